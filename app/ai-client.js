@@ -0,0 +1,345 @@
+/**
+ * @fileoverview 主執行緒端的電腦玩家
+ * 把局面交給 ai-worker.js 思考；不支援 Worker 的環境（例如以 file:// 開啟）
+ * 則退回在主執行緒上計算。
+ * 同一個 Worker 在對局間重複使用（保留已載入的腳本與 GameEngine、GameSearch 的快取）：
+ * 取消只送出帶有請求 id 的 cancel 訊息，只有 Worker 逾時沒有回應或載入失敗時才終止
+ */
+
+const ComputerPlayer = (() => {
+    const WORKER_URL = 'ai-worker.js';
+    // 頁面的 CSP 要求 Trusted Types，new Worker 只接受這個政策建立的網址（政策名稱列在 nginx.conf 的 trusted-types）
+    const SCRIPT_URL_POLICY = 'ai-worker';
+    // 允許載入的腳本：Worker 本身與它以 importScripts 載入的模組（ai-worker.js 另有 importScripts 用的清單）
+    const WORKER_SCRIPTS = ['ai-worker.js', 'engine.js', 'search.js', 'ai.js'];
+    // 未指定時間預算時的預設值（同 GameSearch）
+    const DEFAULT_TIME_BUDGET = 1000;
+    // 超過時間預算多久仍沒有結果就視為 Worker 卡住：搜尋每 TIME_CHECK_INTERVAL 個節點才檢查一次時間，
+    // 第一次思考還要載入腳本
+    const WATCHDOG_GRACE = 2000;
+
+    // 改在主執行緒計算時記錄的日誌事件
+    const WORKER_UNAVAILABLE_EVENT = typeof SecureDom !== 'undefined'
+        ? SecureDom.LogEvents.register('AI_WORKER_UNAVAILABLE', {
+            severity: SecureDom.LogSeverity.WARN,
+            schema: { error: 'string' }
+        })
+        : null;
+
+    let worker = null;
+    let workerAvailable = typeof Worker !== 'undefined';
+    let scriptUrlPolicy = null;
+    // 思考與分析各自進行中的請求：{ id, type, state, difficulty, options, resolve, reject }
+    const active = { think: null, analyze: null };
+    // 已送給 Worker、還沒收到最後回應（move、analysis、error 或 cancelled）的請求，依送出順序；
+    // Worker 依序執行，第一個就是正在執行的請求。取消的請求留到 Worker 回應為止
+    let sent = [];
+    let watchdog = null;
+    let nextId = 1;
+
+    /**
+     * 建立取消錯誤（與 fetch 的 AbortError 同名，方便呼叫端辨識）
+     * @private
+     */
+    function abortError() {
+        const error = new Error('電腦思考已取消');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * 將遊戲狀態轉成可傳給 Worker 的局面描述
+     * @private
+     * @param {GameState} state - 遊戲狀態
+     */
+    function toPosition(state) {
+        return {
+            size: state.size,
+            winLength: state.winLength,
+            firstPlayer: state.firstPlayer,
+            moves: state.moves.map(move => move.index)
+        };
+    }
+
+    /**
+     * 建立逾時錯誤
+     * @private
+     */
+    function timeoutError() {
+        const error = new Error('電腦思考逾時');
+        error.name = 'TimeoutError';
+        return error;
+    }
+
+    /**
+     * 結束請求並空出它的位置
+     * @private
+     */
+    function settle(request, callback) {
+        if (active[request.type] === request) {
+            active[request.type] = null;
+        }
+        callback(request);
+    }
+
+    /**
+     * 依 id 找到仍在進行中的請求（已取消或已結束的請求回傳 null）
+     * @private
+     */
+    function findActive(id) {
+        return Object.values(active).find(request => request !== null && request.id === id) || null;
+    }
+
+    /**
+     * 從已送出的清單移除；移除的是正在執行的請求時，改為監看下一個
+     * @private
+     */
+    function markDone(id) {
+        const index = sent.findIndex(entry => entry.id === id);
+        if (index === -1) return;
+        sent.splice(index, 1);
+        if (index === 0) armWatchdog();
+    }
+
+    /**
+     * 監看正在執行的請求：超過時間預算加上 WATCHDOG_GRACE 仍沒有結果時終止 Worker
+     * @private
+     */
+    function armWatchdog() {
+        clearTimeout(watchdog);
+        watchdog = null;
+        if (sent.length === 0) return;
+        watchdog = setTimeout(handleTimeout, sent[0].timeBudget + WATCHDOG_GRACE);
+    }
+
+    function handleTimeout() {
+        const stuck = sent.map(entry => entry.id);
+        // 只終止這個 Worker，下一次請求時再建立新的
+        disposeWorker();
+        stuck.forEach(id => {
+            const request = findActive(id);
+            if (request) settle(request, current => current.reject(timeoutError()));
+        });
+    }
+
+    function handleMessage(e) {
+        const message = e.data;
+        if (['move', 'analysis', 'error', 'cancelled'].includes(message.type)) {
+            markDone(message.id);
+        }
+
+        const request = findActive(message.id);
+        if (!request) return;
+
+        switch (message.type) {
+            case 'progress':
+                if (typeof request.options.onProgress === 'function') {
+                    request.options.onProgress(message.stats);
+                }
+                break;
+            case 'move':
+                settle(request, current => current.resolve({ move: message.move, stats: message.stats }));
+                break;
+            case 'analysis':
+                settle(request, current => current.resolve(message.analysis));
+                break;
+            case 'error':
+                settle(request, current => current.reject(new Error(message.message)));
+                break;
+        }
+    }
+
+    function handleError(e) {
+        // Worker 無法載入時改在主執行緒計算
+        e.preventDefault();
+        fallBack(e.message || 'Worker 載入失敗');
+        Object.values(active).forEach(request => {
+            if (request) thinkLocally(request);
+        });
+    }
+
+    /**
+     * 停用 Worker，之後都在主執行緒計算，並記錄原因
+     * @private
+     * @param {string} reason - 原因
+     */
+    function fallBack(reason) {
+        disposeWorker();
+        workerAvailable = false;
+        if (WORKER_UNAVAILABLE_EVENT) {
+            SecureDom.Logger.logEvent(WORKER_UNAVAILABLE_EVENT, { error: String(reason) });
+        }
+    }
+
+    function disposeWorker() {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        sent = [];
+        armWatchdog();
+    }
+
+    /**
+     * 取得 Worker 的腳本網址；支援 Trusted Types 時經過政策檢查，只允許同源的 WORKER_SCRIPTS
+     * @private
+     * @returns {(string|TrustedScriptURL)}
+     * @throws {TypeError} 如果網址不在允許清單內
+     */
+    function workerScriptUrl() {
+        if (typeof trustedTypes === 'undefined' || !trustedTypes.createPolicy) return WORKER_URL;
+        if (!scriptUrlPolicy) {
+            scriptUrlPolicy = trustedTypes.createPolicy(SCRIPT_URL_POLICY, {
+                createScriptURL(url) {
+                    const resolved = new URL(url, location.href);
+                    const allowed = WORKER_SCRIPTS.some(name => new URL(name, location.href).href === resolved.href);
+                    if (resolved.origin !== location.origin || !allowed) {
+                        throw new TypeError(`不允許的 Worker 腳本：${url}`);
+                    }
+                    return resolved.href;
+                }
+            });
+        }
+        return scriptUrlPolicy.createScriptURL(WORKER_URL);
+    }
+
+    function getWorker() {
+        if (!worker) {
+            worker = new Worker(workerScriptUrl());
+            worker.addEventListener('message', handleMessage);
+            worker.addEventListener('error', handleError);
+        }
+        return worker;
+    }
+
+    /**
+     * 在主執行緒上計算（讓出一次事件迴圈，以便先更新畫面）
+     * @private
+     */
+    function thinkLocally(request) {
+        setTimeout(() => {
+            if (active[request.type] !== request) return;
+            try {
+                let stats = null;
+                const options = {
+                    ...request.options,
+                    onProgress(progress) {
+                        stats = progress;
+                        if (typeof request.options.onProgress === 'function') {
+                            request.options.onProgress(progress);
+                        }
+                    }
+                };
+                if (request.type === 'analyze') {
+                    const analysis = GameAI.analyze(request.state, options);
+                    settle(request, current => current.resolve(analysis));
+                    return;
+                }
+                const move = GameAI.chooseMove(request.state, request.difficulty, options);
+                settle(request, current => current.resolve({ move, stats }));
+            } catch (error) {
+                settle(request, current => current.reject(error));
+            }
+        }, 0);
+    }
+
+    /**
+     * 送出請求（思考與分析各自同時只會有一個請求，新的請求會取消同類型的舊請求）
+     * @private
+     */
+    function request(type, state, difficulty, options) {
+        abort(type);
+
+        return new Promise((resolve, reject) => {
+            const current = { id: nextId++, type, state, difficulty, options, resolve, reject };
+            active[type] = current;
+
+            if (!workerAvailable) {
+                thinkLocally(current);
+                return;
+            }
+
+            try {
+                const timeBudget = options.timeBudget || DEFAULT_TIME_BUDGET;
+                getWorker().postMessage({
+                    type,
+                    id: current.id,
+                    position: toPosition(state),
+                    difficulty,
+                    timeBudget
+                });
+                sent.push({ id: current.id, timeBudget });
+                if (sent.length === 1) armWatchdog();
+            } catch (error) {
+                fallBack(error.message);
+                thinkLocally(current);
+            }
+        });
+    }
+
+    /**
+     * 取消一種請求：Promise 立即以 AbortError 拒絕；已送給 Worker 的請求另外送出 cancel 訊息，
+     * Worker 還沒開始時就略過，已經開始的搜尋會在時間預算內結束，結果依 id 忽略
+     * @private
+     * @param {string} type - 'think' 或 'analyze'
+     * @returns {boolean} 是否有請求被取消
+     */
+    function abort(type) {
+        const request = active[type];
+        if (!request) return false;
+
+        if (worker && sent.some(entry => entry.id === request.id)) {
+            worker.postMessage({ type: 'cancel', id: request.id });
+        }
+        settle(request, current => current.reject(abortError()));
+        return true;
+    }
+
+    /**
+     * 請電腦思考下一步（同時只會有一個請求，新的請求會取消舊的）
+     * @param {GameState} state - 遊戲狀態
+     * @param {string|AIProfile} difficulty - 難度名稱或棋力參數（見 GameAI.chooseMove）
+     * @param {Object} [options] - 思考選項
+     * @param {number} [options.timeBudget] - 時間預算（毫秒）
+     * @param {function(Object):void} [options.onProgress] - 搜尋進度回呼
+     * @returns {Promise<{move: number, stats: ?Object}>} 取消時以 AbortError 拒絕
+     */
+    function think(state, difficulty, options = {}) {
+        return request('think', state, difficulty, options);
+    }
+
+    /**
+     * 分析局面中每個空格的結果（與 think 各自獨立，不會互相取消；Worker 依序執行）
+     * @param {GameState} state - 遊戲狀態
+     * @param {Object} [options] - 同 think
+     * @returns {Promise<Object>} GameAI.analyze 的結果；取消時以 AbortError 拒絕
+     */
+    function analyze(state, options = {}) {
+        return request('analyze', state, null, options);
+    }
+
+    /**
+     * 取消進行中的思考與分析（不終止 Worker）
+     * @returns {boolean} 是否有請求被取消
+     */
+    function cancel() {
+        const thinking = abort('think');
+        const analyzing = abort('analyze');
+        return thinking || analyzing;
+    }
+
+    /**
+     * 是否正在思考下一步（進行中的分析不算）
+     * @returns {boolean}
+     */
+    function isThinking() {
+        return active.think !== null;
+    }
+
+    return {
+        think,
+        analyze,
+        cancel,
+        isThinking
+    };
+})();
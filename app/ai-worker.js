@@ -0,0 +1,114 @@
+/**
+ * @fileoverview 電腦玩家的 Web Worker
+ * 在背景執行緒中搜尋，避免長時間思考凍結畫面
+ *
+ * 訊息協定（所有訊息都帶有 id，主執行緒以此忽略過期的回應）：
+ *   主執行緒 → Worker
+ *     { type: 'think', id, position: { size, winLength, firstPlayer, moves: number[] },
+ *       difficulty, timeBudget }           difficulty 為難度名稱或棋力參數物件
+ *     { type: 'analyze', id, position, timeBudget }   評估每個空格（提示與分析用）
+ *     { type: 'cancel', id }               取消還沒開始的請求
+ *   Worker → 主執行緒
+ *     { type: 'progress', id, stats }      每完成一層迭代加深時送出
+ *     { type: 'move', id, move, stats }    思考完成，move 為 -1 表示無棋可下
+ *     { type: 'analysis', id, analysis }   分析完成（GameAI.analyze 的結果）
+ *     { type: 'error', id, message }       局面不合法或搜尋失敗
+ *     { type: 'cancelled', id }            請求在開始前被取消
+ *   每個請求最後一定會收到 move、analysis、error 或 cancelled 其中之一
+ *
+ * 請求依收到的順序一次執行一個。搜尋為同步執行，無法中途接收訊息：
+ * 取消只能略過還沒開始的請求，已經開始的搜尋在時間預算內結束，由主執行緒依 id 忽略結果
+ */
+
+// Worker 的回應同樣帶有要求 Trusted Types 的 CSP，importScripts 只接受政策建立的網址
+const SCRIPT_URL_POLICY = 'ai-worker';
+const WORKER_SCRIPTS = ['engine.js', 'search.js', 'ai.js'];
+
+/**
+ * 把腳本名稱轉為 importScripts 接受的網址；支援 Trusted Types 時只允許同源的 WORKER_SCRIPTS
+ * @param {string[]} names - 腳本名稱
+ * @returns {Array<(string|TrustedScriptURL)>}
+ */
+function scriptUrls(names) {
+    if (typeof trustedTypes === 'undefined' || !trustedTypes.createPolicy) return names;
+    const policy = trustedTypes.createPolicy(SCRIPT_URL_POLICY, {
+        createScriptURL(url) {
+            const resolved = new URL(url, self.location.href);
+            const allowed = WORKER_SCRIPTS.some(name => new URL(name, self.location.href).href === resolved.href);
+            if (resolved.origin !== self.location.origin || !allowed) {
+                throw new TypeError(`不允許的 Worker 腳本：${url}`);
+            }
+            return resolved.href;
+        }
+    });
+    return names.map(name => policy.createScriptURL(name));
+}
+
+importScripts(...scriptUrls(WORKER_SCRIPTS));
+
+// 還沒開始的請求（依收到的順序）
+const queue = [];
+let scheduled = false;
+
+self.addEventListener('message', (e) => {
+    const message = e.data || {};
+    if (message.type === 'cancel') {
+        const index = queue.findIndex(request => request.id === message.id);
+        if (index !== -1) {
+            queue.splice(index, 1);
+            self.postMessage({ type: 'cancelled', id: message.id });
+        }
+        return;
+    }
+    if (message.type !== 'think' && message.type !== 'analyze') return;
+
+    queue.push(message);
+    schedule();
+});
+
+/**
+ * 在下一輪事件迴圈執行下一個請求，讓已經送達的 cancel 訊息先處理
+ */
+function schedule() {
+    if (scheduled || queue.length === 0) return;
+    scheduled = true;
+    setTimeout(() => {
+        scheduled = false;
+        run(queue.shift());
+        schedule();
+    }, 0);
+}
+
+/**
+ * 執行一個請求並送出結果
+ * @param {Object} request - think 或 analyze 訊息
+ */
+function run({ type, id, position, difficulty, timeBudget }) {
+    try {
+        // 重放棋步同時也驗證了局面的合法性
+        const state = GameEngine.replay(position.moves, {
+            size: position.size,
+            winLength: position.winLength,
+            firstPlayer: position.firstPlayer
+        });
+
+        let stats = null;
+        const options = {
+            timeBudget,
+            onProgress(progress) {
+                stats = progress;
+                self.postMessage({ type: 'progress', id, stats: progress });
+            }
+        };
+
+        if (type === 'analyze') {
+            self.postMessage({ type: 'analysis', id, analysis: GameAI.analyze(state, options) });
+            return;
+        }
+
+        const move = GameAI.chooseMove(state, difficulty, options);
+        self.postMessage({ type: 'move', id, move, stats });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    }
+}
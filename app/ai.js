@@ -0,0 +1,398 @@
+/**
+ * @fileoverview 電腦玩家
+ * 建立在 GameEngine 之上，不依賴 DOM
+ */
+
+const GameAI = (() => {
+    const Engine = typeof GameEngine !== 'undefined' ? GameEngine : require('./engine.js');
+    const Search = typeof GameSearch !== 'undefined' ? GameSearch : require('./search.js');
+
+    // 舊版完整 Minimax 只適用於 3×3
+    const FULL_SEARCH_MAX_CELLS = 9;
+
+    const STYLES = ['balanced', 'aggressive', 'defensive'];
+
+    /**
+     * 電腦玩家的棋力參數
+     * @typedef {Object} AIProfile
+     * @property {number} errorRate - 每一步改下隨機棋步的機率（0～1）
+     * @property {?number} maxDepth - 搜尋深度上限，null 表示不限制
+     * @property {number} temperature - Softmax 溫度：0 一律下最佳棋步，越高越常下次佳的棋步
+     * @property {string} style - 'balanced'、'aggressive'（偏好製造雙活三等多重威脅）或
+     *     'defensive'（偏好阻擋對手的連線）
+     */
+
+    // 各難度與個性的參數；easy 相當於完全隨機，hard 相當於完整搜尋
+    const PROFILES = Object.freeze({
+        easy: Object.freeze({ errorRate: 1, maxDepth: 1, temperature: 1, style: 'balanced' }),
+        medium: Object.freeze({ errorRate: 0.1, maxDepth: 3, temperature: 0.25, style: 'balanced' }),
+        hard: Object.freeze({ errorRate: 0, maxDepth: null, temperature: 0, style: 'balanced' }),
+        aggressive: Object.freeze({ errorRate: 0.05, maxDepth: 5, temperature: 0.15, style: 'aggressive' }),
+        defensive: Object.freeze({ errorRate: 0.05, maxDepth: 5, temperature: 0.15, style: 'defensive' })
+    });
+
+    // 啟發式分數換算為 -1～1 之間的價值時的尺度（約為一條活二的分數）
+    const HEURISTIC_SCALE = 100;
+    // 個性加分（以價值計，勝負的價值為 ±1）
+    const STYLE_WEIGHTS = {
+        aggressive: { threat: 0.15, fork: 0.4 },
+        defensive: { block: 0.2, pressure: 0.05 }
+    };
+    // 自適應難度參考的最近局數，以及每局結果對強度的調整量
+    const ADAPTIVE_WINDOW = 10;
+    const ADAPTIVE_STEPS = { win: 0.15, draw: 0.05, loss: -0.15 };
+
+    /**
+     * 簡單難度：隨機移動
+     * @param {GameState} state - 遊戲狀態
+     * @param {function(): number} [random=Math.random] - 亂數來源
+     * @returns {number} 格子索引，無棋可下時為 -1
+     */
+    function getRandomMove(state, random = Math.random) {
+        const availableMoves = Engine.legalMoves(state);
+
+        if (availableMoves.length === 0) return -1;
+
+        return availableMoves[Math.floor(random() * availableMoves.length)];
+    }
+
+    /**
+     * 驗證並正規化棋力參數
+     * @param {Object} profile - 棋力參數，未指定的欄位使用 medium 的值
+     * @returns {AIProfile} 凍結的新物件
+     * @throws {RangeError} 如果任何參數超出範圍
+     */
+    function normalizeProfile(profile) {
+        const merged = { ...PROFILES.medium, ...profile };
+        const { errorRate, maxDepth, temperature, style } = merged;
+
+        if (typeof errorRate !== 'number' || !(errorRate >= 0 && errorRate <= 1)) {
+            throw new RangeError(`錯誤率必須介於 0 與 1 之間：${errorRate}`);
+        }
+        if (maxDepth !== null && (!Number.isInteger(maxDepth) || maxDepth < 1)) {
+            throw new RangeError(`搜尋深度上限必須是正整數或 null：${maxDepth}`);
+        }
+        if (typeof temperature !== 'number' || !(temperature >= 0) || !isFinite(temperature)) {
+            throw new RangeError(`溫度必須是非負數：${temperature}`);
+        }
+        if (!STYLES.includes(style)) {
+            throw new RangeError(`未知的風格：${style}`);
+        }
+
+        return Object.freeze({ errorRate, maxDepth, temperature, style });
+    }
+
+    /**
+     * 依玩家最近的結果計算自適應的棋力參數：玩家贏得越多，電腦越強
+     * @param {string[]} outcomes - 以玩家角度的最近結果（'win'、'draw'、'loss'），依時間排序
+     * @returns {AIProfile}
+     */
+    function adaptiveProfile(outcomes) {
+        let strength = 0.5;
+        outcomes.slice(-ADAPTIVE_WINDOW).forEach(outcome => {
+            strength = Math.max(0, Math.min(1, strength + (ADAPTIVE_STEPS[outcome] || 0)));
+        });
+
+        return normalizeProfile({
+            errorRate: Math.round((1 - strength) * 40) / 100,
+            maxDepth: strength >= 0.9 ? null : 1 + Math.round(strength * 5),
+            temperature: Math.round((1 - strength) * 100) / 100,
+            style: 'balanced'
+        });
+    }
+
+    /**
+     * 搜尋分數換算為 -1～1 的價值（越快獲勝越接近 1，啟發式分數不會達到 ±0.9）
+     * @private
+     */
+    function scoreValue(score) {
+        if (score > Search.MATE_BOUND) return 1 - (Search.WIN_SCORE - score) / 1000;
+        if (score < -Search.MATE_BOUND) return -1 + (Search.WIN_SCORE + score) / 1000;
+        return 0.9 * Math.tanh(score / HEURISTIC_SCALE);
+    }
+
+    /**
+     * 個性加分：進攻型看這一步能製造幾個「再一子就連成」的威脅，防守型看能擋住對手多少連線
+     * @private
+     */
+    function styleBonus(state, index, style) {
+        if (style === 'balanced') return 0;
+
+        const { byCell } = Engine.winningLines(state.size, state.winLength);
+        const player = state.currentPlayer;
+        let threats = 0;
+        let blocks = 0;
+        let pressure = 0;
+
+        byCell[index].forEach(line => {
+            let mine = 0;
+            let theirs = 0;
+            line.forEach(cell => {
+                if (state.board[cell] === player) mine++;
+                else if (state.board[cell] !== '') theirs++;
+            });
+            if (theirs === 0 && mine === state.winLength - 2) threats++;
+            if (mine === 0 && theirs >= state.winLength - 2) blocks++;
+            if (mine === 0 && theirs > 0) pressure++;
+        });
+
+        if (style === 'aggressive') {
+            const weights = STYLE_WEIGHTS.aggressive;
+            return threats * weights.threat + (threats >= 2 ? weights.fork : 0);
+        }
+        const weights = STYLE_WEIGHTS.defensive;
+        return blocks * weights.block + pressure * weights.pressure;
+    }
+
+    /**
+     * 依棋力參數選擇棋步：先依錯誤率決定是否隨機，否則以 Softmax 依分數加權抽樣
+     * @param {GameState} state - 遊戲狀態
+     * @param {AIProfile|Object} profile - 棋力參數
+     * @param {Object} [options] - 同 GameSearch.search，另可指定 random 亂數來源
+     * @returns {number} 格子索引，無棋可下時為 -1
+     */
+    function getProfileMove(state, profile, options = {}) {
+        const { errorRate, maxDepth, temperature, style } = normalizeProfile(profile);
+        const random = options.random || Math.random;
+        const searchOptions = { ...options, maxDepth: maxDepth || undefined };
+
+        if (Engine.isOver(state)) return -1;
+        if (errorRate > 0 && random() < errorRate) {
+            return getRandomMove(state, random);
+        }
+        if (temperature === 0 && style === 'balanced') {
+            return Search.search(state, searchOptions).move;
+        }
+
+        const candidates = Search.search(state, { ...searchOptions, analyze: true }).scores
+            .map(entry => ({ move: entry.move, value: scoreValue(entry.score) + styleBonus(state, entry.move, style) }));
+        const best = Math.max(...candidates.map(candidate => candidate.value));
+
+        if (temperature === 0) {
+            const top = candidates.filter(candidate => candidate.value === best);
+            return top[Math.floor(random() * top.length)].move;
+        }
+
+        const weights = candidates.map(candidate => Math.exp((candidate.value - best) / temperature));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let pick = random() * total;
+        for (let i = 0; i < candidates.length; i++) {
+            pick -= weights[i];
+            if (pick < 0) return candidates[i].move;
+        }
+        return candidates[candidates.length - 1].move;
+    }
+
+    /**
+     * 中等難度：淺層搜尋加上 Softmax 抽樣，偶爾失誤
+     * @param {GameState} state - 遊戲狀態
+     * @param {Object} [options] - 同 getProfileMove
+     * @returns {number} 格子索引
+     */
+    function getMediumMove(state, options = {}) {
+        return getProfileMove(state, PROFILES.medium, options);
+    }
+
+    /**
+     * 困難難度：Alpha-Beta 搜尋
+     * @param {GameState} state - 遊戲狀態
+     * @param {Object} [options] - 同 GameSearch.search
+     * @returns {number} 格子索引，無棋可下時為 -1
+     */
+    function getBestMove(state, options = {}) {
+        return Search.search(state, options).move;
+    }
+
+    /**
+     * 舊版的完整 Minimax（無剪枝、無記憶化），只保留作為基準比較
+     * @param {GameState} state - 遊戲狀態
+     * @returns {{move: number, nodes: number, elapsed: number}} 棋步與統計
+     * @throws {RangeError} 如果棋盤大於 3×3（完整搜尋無法在合理時間內完成）
+     */
+    function getMinimaxMove(state) {
+        if (state.board.length > FULL_SEARCH_MAX_CELLS) {
+            throw new RangeError('完整 Minimax 只支援 3×3 棋盤');
+        }
+
+        const startTime = Date.now();
+        const me = state.currentPlayer;
+        const board = state.board.slice();
+        const stats = { nodes: 0 };
+        let bestScore = -Infinity;
+        let bestMove = -1;
+
+        Engine.legalMoves(state).forEach(index => {
+            board[index] = me;
+            const score = minimax(board, state.winLength, 0, false, me, stats);
+            board[index] = '';
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestMove = index;
+            }
+        });
+
+        return { move: bestMove, nodes: stats.nodes, elapsed: Date.now() - startTime };
+    }
+
+    /**
+     * Minimax 演算法實現（就地修改棋盤後還原）
+     * @private
+     * @param {string[]} board - 棋盤
+     * @param {number} winLength - 連線長度
+     * @param {number} depth - 目前深度
+     * @param {boolean} isMaximizing - 是否輪到 me
+     * @param {string} me - 電腦所執的棋
+     * @param {{nodes: number}} stats - 節點計數
+     * @returns {number} 局面分數
+     */
+    function minimax(board, winLength, depth, isMaximizing, me, stats) {
+        stats.nodes++;
+        const result = Engine.findWinner(board, winLength).winner;
+
+        if (result !== null) {
+            if (result === me) return 10 - depth;
+            if (result === 'draw') return 0;
+            return depth - 10;
+        }
+
+        const player = isMaximizing ? me : Engine.otherPlayer(me);
+        let bestScore = isMaximizing ? -Infinity : Infinity;
+        for (let i = 0; i < board.length; i++) {
+            if (board[i] === '') {
+                board[i] = player;
+                const score = minimax(board, winLength, depth + 1, !isMaximizing, me, stats);
+                board[i] = '';
+                bestScore = isMaximizing ? Math.max(score, bestScore) : Math.min(score, bestScore);
+            }
+        }
+        return bestScore;
+    }
+
+    /**
+     * 比較新舊搜尋在同一局面的節點數與耗時
+     * @param {GameState} state - 遊戲狀態
+     * @param {Object} [options] - 同 GameSearch.search
+     * @returns {{alphaBeta: SearchResult, minimax: ?Object}} 大於 3×3 時 minimax 為 null
+     */
+    function benchmark(state, options = {}) {
+        return {
+            alphaBeta: Search.search(state, options),
+            minimax: state.board.length > FULL_SEARCH_MAX_CELLS ? null : getMinimaxMove(state)
+        };
+    }
+
+    /**
+     * 單一空格的分析結果（以輪到的一方角度）
+     * @typedef {Object} MoveEvaluation
+     * @property {number} index - 格子索引
+     * @property {number} score - 搜尋分數
+     * @property {?string} outcome - 雙方都下最佳棋步時的結果：'win'、'draw'、'loss'；
+     *     搜尋未完成而無法判斷時為 null
+     * @property {?number} distance - 到分出結果還有幾手（包含這一手），無法判斷時為 null
+     */
+
+    /**
+     * 將搜尋分數換算為結果與剩餘手數
+     * @private
+     */
+    function toEvaluation(state, index, score, complete) {
+        if (score > Search.MATE_BOUND) {
+            return { index, score, outcome: 'win', distance: Search.WIN_SCORE - score };
+        }
+        if (score < -Search.MATE_BOUND) {
+            return { index, score, outcome: 'loss', distance: Search.WIN_SCORE + score };
+        }
+        if (complete) {
+            // 雙方都無法獲勝時會下到棋盤填滿為止
+            return { index, score, outcome: 'draw', distance: Engine.legalMoves(state).length };
+        }
+        return { index, score, outcome: null, distance: null };
+    }
+
+    /**
+     * 分析目前局面：評估每個候選空格
+     * @param {GameState} state - 遊戲狀態
+     * @param {Object} [options] - 同 GameSearch.search（analyze 固定為 true）
+     * @returns {{player: ?string, best: number, complete: boolean, depth: number, moves: MoveEvaluation[]}}
+     *     moves 依分數由高到低排序；大棋盤只包含搜尋考慮過的空格
+     */
+    function analyze(state, options = {}) {
+        if (Engine.isOver(state)) {
+            return { player: null, best: -1, complete: true, depth: 0, moves: [] };
+        }
+
+        const result = Search.search(state, { ...options, analyze: true });
+        const moves = result.scores
+            .map(entry => toEvaluation(state, entry.move, entry.score, result.complete))
+            .sort((a, b) => b.score - a.score);
+
+        return {
+            player: state.currentPlayer,
+            best: result.move,
+            complete: result.complete,
+            depth: result.depth,
+            moves
+        };
+    }
+
+    /**
+     * 判斷一步棋是否為失誤：有更好的結果（勝或和）卻下成較差的結果
+     * @param {{moves: MoveEvaluation[]}} analysis - 下這步之前的局面分析（analyze 的結果）
+     * @param {number} index - 實際下的格子
+     * @returns {?{move: MoveEvaluation, best: MoveEvaluation}} 不是失誤或無法判斷時為 null
+     */
+    function findBlunder(analysis, index) {
+        const rank = { loss: 0, draw: 1, win: 2 };
+        const best = analysis.moves[0];
+        const move = analysis.moves.find(entry => entry.index === index);
+        if (!best || !move || best.outcome === null || move.outcome === null) {
+            return null;
+        }
+        return rank[move.outcome] < rank[best.outcome] ? { move, best } : null;
+    }
+
+    /**
+     * 依難度選擇棋步
+     * @param {GameState} state - 遊戲狀態
+     * @param {string|AIProfile} difficulty - PROFILES 中的名稱（未知的名稱視為 easy），或自訂的棋力參數
+     * @param {Object} [options] - 同 getProfileMove
+     * @returns {number} 格子索引，無棋可下時為 -1
+     */
+    function chooseMove(state, difficulty, options = {}) {
+        if (difficulty && typeof difficulty === 'object') {
+            return getProfileMove(state, difficulty, options);
+        }
+        switch (difficulty) {
+            case 'hard':
+                return getBestMove(state, options);
+            case 'medium':
+            case 'aggressive':
+            case 'defensive':
+                return getProfileMove(state, PROFILES[difficulty], options);
+            case 'easy':
+            default:
+                return getRandomMove(state, options.random);
+        }
+    }
+
+    return {
+        PROFILES,
+        STYLES,
+        normalizeProfile,
+        adaptiveProfile,
+        getProfileMove,
+        getRandomMove,
+        getMediumMove,
+        getBestMove,
+        getMinimaxMove,
+        benchmark,
+        analyze,
+        findBlunder,
+        chooseMove
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameAI;
+}
@@ -0,0 +1,304 @@
+/**
+ * @fileoverview 井字遊戲規則引擎
+ * 不依賴 DOM 的純邏輯模組，遊戲狀態皆為不可變物件，
+ * 可同時在瀏覽器（全域 GameEngine）與 Node（require）中使用
+ */
+
+const GameEngine = (() => {
+    const PLAYERS = ['X', 'O'];
+
+    // 棋盤大小與連線長度的限制
+    const MIN_SIZE = 3;
+    const MAX_SIZE = 19;
+    const DEFAULT_SIZE = 3;
+
+    // 已產生的獲勝組合，依「大小x連線長度」快取
+    const lineCache = new Map();
+
+    /**
+     * 遊戲狀態
+     * @typedef {Object} GameState
+     * @property {number} size - 棋盤邊長 N（N×N）
+     * @property {number} winLength - 獲勝所需的連線長度 K
+     * @property {string[]} board - 棋盤內容，空格為 ''
+     * @property {string} firstPlayer - 先手玩家
+     * @property {string} currentPlayer - 輪到下棋的玩家
+     * @property {{index: number, player: string}[]} moves - 已下的棋步
+     * @property {?string} winner - 'X'、'O'、'draw'，未結束時為 null
+     * @property {?number[]} winningLine - 獲勝連線的格子索引
+     */
+
+    /**
+     * 取得對手
+     * @param {string} player - 玩家
+     * @returns {string} 對手
+     */
+    function otherPlayer(player) {
+        return player === 'X' ? 'O' : 'X';
+    }
+
+    /**
+     * 驗證並補齊棋盤規則
+     * @param {Object} [options] - 規則選項
+     * @param {number} [options.size=3] - 棋盤邊長
+     * @param {number} [options.winLength] - 連線長度，預設等於邊長
+     * @returns {{size: number, winLength: number}} 規則
+     * @throws {RangeError} 如果大小或連線長度超出範圍
+     */
+    function normalizeRules(options = {}) {
+        const size = options.size === undefined ? DEFAULT_SIZE : options.size;
+        if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+            throw new RangeError(`棋盤大小必須介於 ${MIN_SIZE} 到 ${MAX_SIZE} 之間`);
+        }
+
+        const winLength = options.winLength === undefined ? size : options.winLength;
+        if (!Number.isInteger(winLength) || winLength < MIN_SIZE || winLength > size) {
+            throw new RangeError(`連線長度必須介於 ${MIN_SIZE} 到 ${size} 之間`);
+        }
+
+        return { size, winLength };
+    }
+
+    /**
+     * 產生 N×N 棋盤上所有 K 連線的獲勝組合
+     * @param {number} size - 棋盤邊長
+     * @param {number} winLength - 連線長度
+     * @returns {{lines: number[][], byCell: number[][][]}} 所有組合，以及每一格所屬的組合
+     */
+    function winningLines(size, winLength) {
+        const cacheKey = `${size}x${winLength}`;
+        if (lineCache.has(cacheKey)) {
+            return lineCache.get(cacheKey);
+        }
+
+        // 橫、直、右下斜、左下斜
+        const directions = [[0, 1], [1, 0], [1, 1], [1, -1]];
+        const lines = [];
+        const byCell = Array.from({ length: size * size }, () => []);
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                directions.forEach(([dr, dc]) => {
+                    const endRow = row + dr * (winLength - 1);
+                    const endCol = col + dc * (winLength - 1);
+                    if (endRow >= size || endCol < 0 || endCol >= size) return;
+
+                    const line = [];
+                    for (let k = 0; k < winLength; k++) {
+                        line.push((row + dr * k) * size + col + dc * k);
+                    }
+                    Object.freeze(line);
+                    lines.push(line);
+                    line.forEach(index => byCell[index].push(line));
+                });
+            }
+        }
+
+        byCell.forEach(Object.freeze);
+        const result = Object.freeze({ lines: Object.freeze(lines), byCell: Object.freeze(byCell) });
+        lineCache.set(cacheKey, result);
+        return result;
+    }
+
+    /**
+     * 檢查棋盤上的勝負（不需要完整的遊戲狀態，供搜尋演算法使用）
+     * @param {string[]} board - 棋盤
+     * @param {number} [winLength] - 連線長度，預設等於邊長
+     * @param {number} [lastMove] - 最後一步的位置；提供時只檢查經過該格的連線
+     * @returns {{winner: ?string, line: ?number[]}} 勝者與獲勝連線
+     */
+    function findWinner(board, winLength, lastMove) {
+        const size = Math.round(Math.sqrt(board.length));
+        const { lines, byCell } = winningLines(size, winLength || size);
+        const candidates = lastMove === undefined ? lines : byCell[lastMove];
+
+        for (let i = 0; i < candidates.length; i++) {
+            const line = candidates[i];
+            const first = board[line[0]];
+            if (first && line.every(index => board[index] === first)) {
+                return { winner: first, line };
+            }
+        }
+
+        if (!board.includes('')) {
+            return { winner: 'draw', line: null };
+        }
+
+        return { winner: null, line: null };
+    }
+
+    /**
+     * 建立不可變的遊戲狀態
+     * @private
+     */
+    function freezeState(state) {
+        Object.freeze(state.board);
+        Object.freeze(state.moves);
+        return Object.freeze(state);
+    }
+
+    /**
+     * 建立新遊戲
+     * @param {Object} [options] - 遊戲選項
+     * @param {number} [options.size=3] - 棋盤邊長
+     * @param {number} [options.winLength] - 連線長度，預設等於邊長
+     * @param {string} [options.firstPlayer='X'] - 先手玩家
+     * @returns {GameState} 初始狀態
+     * @throws {Error} 如果先手玩家或規則無效
+     */
+    function createGame(options = {}) {
+        const { size, winLength } = normalizeRules(options);
+        const firstPlayer = options.firstPlayer || 'X';
+        if (!PLAYERS.includes(firstPlayer)) {
+            throw new Error(`無效的玩家：${firstPlayer}`);
+        }
+
+        return freezeState({
+            size,
+            winLength,
+            board: Array(size * size).fill(''),
+            firstPlayer,
+            currentPlayer: firstPlayer,
+            moves: [],
+            winner: null,
+            winningLine: null
+        });
+    }
+
+    /**
+     * 遊戲是否已結束
+     * @param {GameState} state - 遊戲狀態
+     * @returns {boolean}
+     */
+    function isOver(state) {
+        return state.winner !== null;
+    }
+
+    /**
+     * 取得目前可下的格子
+     * @param {GameState} state - 遊戲狀態
+     * @returns {number[]} 空格索引，遊戲結束時為空陣列
+     */
+    function legalMoves(state) {
+        if (isOver(state)) return [];
+
+        const moves = [];
+        state.board.forEach((cell, index) => {
+            if (cell === '') {
+                moves.push(index);
+            }
+        });
+        return moves;
+    }
+
+    /**
+     * 判斷棋步是否合法
+     * @param {GameState} state - 遊戲狀態
+     * @param {number} index - 格子索引
+     * @returns {boolean}
+     */
+    function isLegalMove(state, index) {
+        return !isOver(state)
+            && Number.isInteger(index)
+            && index >= 0
+            && index < state.board.length
+            && state.board[index] === '';
+    }
+
+    /**
+     * 由目前玩家在指定格子下棋
+     * @param {GameState} state - 遊戲狀態
+     * @param {number} index - 格子索引
+     * @returns {GameState} 新的遊戲狀態（原狀態不變）
+     * @throws {Error} 如果棋步不合法
+     */
+    function applyMove(state, index) {
+        if (!isLegalMove(state, index)) {
+            throw new Error(`不合法的棋步：${index}`);
+        }
+
+        const player = state.currentPlayer;
+        const board = state.board.slice();
+        board[index] = player;
+        const { winner, line } = findWinner(board, state.winLength, index);
+
+        return freezeState({
+            size: state.size,
+            winLength: state.winLength,
+            board,
+            firstPlayer: state.firstPlayer,
+            currentPlayer: winner ? player : otherPlayer(player),
+            moves: state.moves.concat(Object.freeze({ index, player })),
+            winner,
+            winningLine: line
+        });
+    }
+
+    /**
+     * 取得勝者
+     * @param {GameState} state - 遊戲狀態
+     * @returns {?string} 'X'、'O'、'draw'，未結束時為 null
+     */
+    function winner(state) {
+        return state.winner;
+    }
+
+    /**
+     * 取得可用來重建同一種遊戲的選項
+     * @param {GameState} state - 遊戲狀態
+     * @returns {{size: number, winLength: number, firstPlayer: string}}
+     */
+    function rulesOf(state) {
+        return {
+            size: state.size,
+            winLength: state.winLength,
+            firstPlayer: state.firstPlayer
+        };
+    }
+
+    /**
+     * 從頭重放棋步
+     * @param {number[]} indices - 依序的格子索引
+     * @param {Object} [options] - 同 createGame
+     * @returns {GameState} 重放後的狀態
+     * @throws {Error} 如果任何一步不合法
+     */
+    function replay(indices, options = {}) {
+        return indices.reduce(applyMove, createGame(options));
+    }
+
+    /**
+     * 悔棋
+     * @param {GameState} state - 遊戲狀態
+     * @param {number} [count=1] - 要撤銷的步數
+     * @returns {GameState} 撤銷後的狀態
+     */
+    function undo(state, count = 1) {
+        const keep = Math.max(0, state.moves.length - count);
+        const indices = state.moves.slice(0, keep).map(move => move.index);
+        return replay(indices, rulesOf(state));
+    }
+
+    return {
+        PLAYERS,
+        MIN_SIZE,
+        MAX_SIZE,
+        normalizeRules,
+        winningLines,
+        otherPlayer,
+        findWinner,
+        createGame,
+        isOver,
+        legalMoves,
+        isLegalMove,
+        applyMove,
+        winner,
+        rulesOf,
+        replay,
+        undo
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameEngine;
+}
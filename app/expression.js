@@ -0,0 +1,226 @@
+/**
+ * @fileoverview 四則運算式的計算
+ * 取代以 new Function 執行輸入的做法（頁面的 CSP 不允許 eval 與 new Function）：
+ * 先把輸入切成記號，再以遞迴下降解析成語法樹並計算，輸入不會被當成程式碼執行。
+ *
+ * 文法：
+ *   expression := term (('+' | '-' | '−') term)*
+ *   term       := factor (('*' | '×' | '/' | '÷') factor)*
+ *   factor     := ('-' | '−') factor | number | '(' expression ')'
+ *   number     := 數字+ ('.' 數字+)? | '.' 數字+
+ *
+ * 輸入長度與巢狀深度（括號與連續的負號）都有上限，除以零與超出數值範圍的結果視為錯誤。
+ * 錯誤帶有 code 與 position（從 0 起算的字元位置，輸入本身有問題時為 null），訊息會標出第幾個字元
+ */
+
+const Expression = (() => {
+    // 輸入長度上限（字元）
+    const MAX_LENGTH = 200;
+    // 巢狀深度上限
+    const MAX_DEPTH = 32;
+
+    // 各種寫法對應的運算子
+    const OPERATORS = {
+        '+': '+',
+        '-': '-',
+        '−': '-',
+        '*': '*',
+        '×': '*',
+        '/': '/',
+        '÷': '/',
+        '(': '(',
+        ')': ')'
+    };
+    const NUMBER = /\d+(?:\.\d+)?|\.\d+/y;
+    const DIGIT_OR_DOT = /[\d.]/;
+
+    /**
+     * 建立運算式錯誤
+     * @private
+     * @param {Function} Type - 錯誤類別
+     * @param {string} code - 錯誤代碼
+     * @param {?number} position - 字元位置
+     * @param {string} reason - 說明
+     */
+    function expressionError(Type, code, position, reason) {
+        const error = new Type(position === null ? reason : `${reason}（第 ${position + 1} 個字元）`);
+        error.code = code;
+        error.position = position;
+        return error;
+    }
+
+    function describe(token) {
+        return token.type === 'number' ? `數字 ${token.text}` : `「${token.text}」`;
+    }
+
+    /**
+     * 把輸入切成記號
+     * @param {string} input - 運算式
+     * @returns {Array<{type: string, value: (string|number), text: string, position: number}>}
+     *     type 為 number 或 operator；operator 的 value 為 + - * / ( ) 之一，text 為原本的寫法
+     * @throws {TypeError} 如果輸入不是字串（code: notString）
+     * @throws {RangeError} 如果輸入太長（code: tooLong）
+     * @throws {SyntaxError} 如果有無法辨識的字元（code: invalidCharacter）或數字格式錯誤（code: invalidNumber）
+     */
+    function tokenize(input) {
+        if (typeof input !== 'string') {
+            throw expressionError(TypeError, 'notString', null, '運算式必須是字串');
+        }
+        if (input.length > MAX_LENGTH) {
+            throw expressionError(RangeError, 'tooLong', null, `運算式不能超過 ${MAX_LENGTH} 個字元`);
+        }
+
+        const tokens = [];
+        let i = 0;
+        while (i < input.length) {
+            const char = input[i];
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+            if (Object.hasOwn(OPERATORS, char)) {
+                tokens.push({ type: 'operator', value: OPERATORS[char], text: char, position: i });
+                i++;
+                continue;
+            }
+            if (!DIGIT_OR_DOT.test(char)) {
+                throw expressionError(SyntaxError, 'invalidCharacter', i, `無法辨識的字元「${char}」`);
+            }
+
+            NUMBER.lastIndex = i;
+            const match = NUMBER.exec(input);
+            // 單獨的小數點、結尾的小數點（1.）或多個小數點（1.2.3）
+            if (!match || DIGIT_OR_DOT.test(input[NUMBER.lastIndex] || '')) {
+                throw expressionError(SyntaxError, 'invalidNumber', i, '數字格式錯誤');
+            }
+            tokens.push({ type: 'number', value: Number(match[0]), text: match[0], position: i });
+            i = NUMBER.lastIndex;
+        }
+        return tokens;
+    }
+
+    /**
+     * 解析運算式
+     * @param {string} input - 運算式，例如 `(1 + 2) × −3.5`
+     * @returns {Object} 語法樹：
+     *     { type: 'number', value, position }、{ type: 'negate', operand, position }
+     *     或 { type: 'binary', operator, left, right, position }（position 為運算子的位置）
+     * @throws {TypeError|RangeError|SyntaxError} 見 tokenize；另有 unexpectedToken、unexpectedEnd、
+     *     unclosedParen（position 為左括號）與 tooDeep（RangeError）
+     */
+    function parse(input) {
+        const tokens = tokenize(input);
+        let index = 0;
+        let depth = 0;
+
+        const peek = () => tokens[index];
+        const isOperator = (token, ...values) => Boolean(token) && token.type === 'operator' && values.includes(token.value);
+
+        function unexpected(token) {
+            return token
+                ? expressionError(SyntaxError, 'unexpectedToken', token.position, `非預期的${describe(token)}`)
+                : expressionError(SyntaxError, 'unexpectedEnd', input.length, '運算式不完整');
+        }
+
+        function enter(token) {
+            if (++depth > MAX_DEPTH) {
+                throw expressionError(RangeError, 'tooDeep', token.position, `巢狀不能超過 ${MAX_DEPTH} 層`);
+            }
+        }
+
+        function parseBinary(parseOperand, operators) {
+            let node = parseOperand();
+            while (isOperator(peek(), ...operators)) {
+                const token = tokens[index++];
+                node = { type: 'binary', operator: token.value, left: node, right: parseOperand(), position: token.position };
+            }
+            return node;
+        }
+
+        function parseExpression() {
+            return parseBinary(parseTerm, ['+', '-']);
+        }
+
+        function parseTerm() {
+            return parseBinary(parseFactor, ['*', '/']);
+        }
+
+        function parseFactor() {
+            const token = peek();
+            if (isOperator(token, '-')) {
+                index++;
+                enter(token);
+                const node = { type: 'negate', operand: parseFactor(), position: token.position };
+                depth--;
+                return node;
+            }
+            if (isOperator(token, '(')) {
+                index++;
+                enter(token);
+                const node = parseExpression();
+                if (!isOperator(peek(), ')')) {
+                    if (peek()) throw unexpected(peek());
+                    throw expressionError(SyntaxError, 'unclosedParen', token.position, '括號沒有對應的右括號');
+                }
+                index++;
+                depth--;
+                return node;
+            }
+            if (!token || token.type !== 'number') throw unexpected(token);
+            index++;
+            return { type: 'number', value: token.value, position: token.position };
+        }
+
+        const tree = parseExpression();
+        if (index < tokens.length) throw unexpected(peek());
+        return tree;
+    }
+
+    /**
+     * 計算語法樹
+     * @private
+     * @param {Object} node - parse() 產生的節點
+     * @returns {number}
+     * @throws {RangeError} 如果除以零（code: divisionByZero）或結果超出數值範圍（code: notFinite），position 為運算子
+     */
+    function compute(node) {
+        if (node.type === 'number') return node.value;
+        if (node.type === 'negate') return -compute(node.operand);
+
+        const left = compute(node.left);
+        const right = compute(node.right);
+        if (node.operator === '/' && right === 0) {
+            throw expressionError(RangeError, 'divisionByZero', node.position, '不能除以零');
+        }
+        const value = node.operator === '+' ? left + right
+            : node.operator === '-' ? left - right
+            : node.operator === '*' ? left * right
+            : left / right;
+        if (!Number.isFinite(value)) {
+            throw expressionError(RangeError, 'notFinite', node.position, '結果超出數值範圍');
+        }
+        return value;
+    }
+
+    /**
+     * 計算運算式
+     * @param {string} input - 運算式
+     * @returns {number} 結果（一定是有限的數字；-0 會轉為 0）
+     * @throws {TypeError|RangeError|SyntaxError} 見 parse 與 compute，錯誤都帶有 code 與 position
+     */
+    function evaluate(input) {
+        return compute(parse(input)) + 0;
+    }
+
+    return {
+        MAX_LENGTH,
+        MAX_DEPTH,
+        tokenize,
+        parse,
+        evaluate
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Expression;
+}
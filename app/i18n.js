@@ -0,0 +1,228 @@
+/**
+ * @fileoverview 介面文字的多語系訊息目錄
+ * 各語言的訊息放在 locales/ 下，以 register 登錄；查不到的訊息依序退回預設語言、最後回傳鍵名本身
+ *
+ * 訊息格式：
+ *   - 以 {name} 插入參數，例如 '輪到 {player} 下棋'
+ *   - 需要單複數時改為物件，依 Intl.PluralRules 的類別（zero、one、two、few、many、other）
+ *     以參數 count 選擇，例如 { one: '{count} game', other: '{count} games' }；
+ *     另可用 '=0' 之類的鍵指定精確數值
+ *
+ * 頁面上的靜態文字以 data-i18n（文字內容）與 data-i18n-attr（「屬性:鍵」，多個以分號分隔）標記，
+ * 參數放在 data-i18n-params（JSON），由 translateDocument 套用
+ */
+
+const I18n = (() => {
+    // 預設語言，也是找不到訊息時的退回語言
+    const DEFAULT_LOCALE = 'zh-TW';
+    const PLACEHOLDER = /\{(\w+)\}/g;
+    // data-i18n-attr 可以翻譯的屬性：只限說明文字，網址與事件處理器不能經由翻譯寫入
+    const ATTRIBUTE_POLICY = 'i18n-attributes';
+    const TRANSLATABLE_ATTRIBUTES = ['aria-*', 'title', 'alt', 'placeholder'];
+
+    // 語言 → 扁平化的訊息（'status.turn' → 文字或單複數物件）
+    const catalogs = new Map();
+    const pluralRules = new Map();
+    let currentLocale = DEFAULT_LOCALE;
+    // 在第一次 translateDocument 時定義（secure-dom.js 在 i18n.js 之後載入）
+    let attributePolicy = null;
+
+    /**
+     * 將巢狀的訊息物件攤平成以點分隔的鍵；含有 other 鍵的物件視為單複數訊息
+     * @private
+     */
+    function flatten(messages, prefix, target) {
+        Object.keys(messages).forEach(key => {
+            const value = messages[key];
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (typeof value === 'string' || (value && typeof value === 'object' && 'other' in value)) {
+                target.set(path, value);
+            } else if (value && typeof value === 'object') {
+                flatten(value, path, target);
+            } else {
+                throw new TypeError(`訊息 ${path} 必須是字串或物件`);
+            }
+        });
+        return target;
+    }
+
+    /**
+     * 登錄（或擴充）一個語言的訊息
+     * @param {string} locale - 語言標籤，例如 'zh-TW'、'en'
+     * @param {Object} messages - 巢狀的訊息物件
+     */
+    function register(locale, messages) {
+        if (!catalogs.has(locale)) {
+            catalogs.set(locale, new Map());
+        }
+        flatten(messages, '', catalogs.get(locale));
+    }
+
+    /**
+     * 已登錄的語言
+     * @returns {string[]}
+     */
+    function locales() {
+        return Array.from(catalogs.keys());
+    }
+
+    /**
+     * 從偏好清單（例如 navigator.languages）中挑出已登錄的語言，先比對完整標籤再比對主要語言
+     * @param {string[]} preferred - 偏好的語言標籤
+     * @returns {string} 找不到時為預設語言
+     */
+    function resolveLocale(preferred) {
+        const available = locales();
+        for (const tag of preferred || []) {
+            if (typeof tag !== 'string') continue;
+            const exact = available.find(locale => locale.toLowerCase() === tag.toLowerCase());
+            if (exact) return exact;
+            const language = tag.split('-')[0].toLowerCase();
+            const partial = available.find(locale => locale.split('-')[0].toLowerCase() === language);
+            if (partial) return partial;
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    /**
+     * 切換語言
+     * @param {string} locale - 已登錄的語言
+     * @throws {RangeError} 如果語言尚未登錄
+     */
+    function setLocale(locale) {
+        if (!catalogs.has(locale)) {
+            throw new RangeError(`未登錄的語言：${locale}`);
+        }
+        currentLocale = locale;
+    }
+
+    /**
+     * 目前的語言
+     * @returns {string}
+     */
+    function getLocale() {
+        return currentLocale;
+    }
+
+    /**
+     * 依語言選擇單複數形式
+     * @private
+     */
+    function selectPlural(forms, count, locale) {
+        if (`=${count}` in forms) return forms[`=${count}`];
+        if (!pluralRules.has(locale)) {
+            pluralRules.set(locale, new Intl.PluralRules(locale));
+        }
+        const category = pluralRules.get(locale).select(count);
+        return category in forms ? forms[category] : forms.other;
+    }
+
+    /**
+     * 查詢訊息：目前語言 → 預設語言 → 鍵名本身
+     * @private
+     */
+    function lookup(key) {
+        for (const locale of [currentLocale, DEFAULT_LOCALE]) {
+            const catalog = catalogs.get(locale);
+            if (catalog && catalog.has(key)) {
+                return { message: catalog.get(key), locale };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 取得翻譯後的文字
+     * @param {string} key - 訊息鍵，例如 'status.yourTurn'
+     * @param {Object} [params] - 插入的參數；單複數訊息以 count 選擇形式
+     * @returns {string} 找不到訊息時回傳鍵名
+     */
+    function t(key, params = {}) {
+        const found = lookup(key);
+        if (!found) return key;
+
+        let message = found.message;
+        if (typeof message === 'object') {
+            message = selectPlural(message, Number(params.count), found.locale);
+        }
+        return message.replace(PLACEHOLDER, (match, name) =>
+            (params[name] === undefined || params[name] === null ? match : String(params[name])));
+    }
+
+    /**
+     * 是否有這個訊息（任何一個查詢順序中的語言）
+     * @param {string} key - 訊息鍵
+     * @returns {boolean}
+     */
+    function has(key) {
+        return lookup(key) !== null;
+    }
+
+    /**
+     * 寫入翻譯後的屬性；有 secure-dom.js 時依 ATTRIBUTE_POLICY 檢查
+     * @private
+     * @throws {RangeError} 如果屬性不在 TRANSLATABLE_ATTRIBUTES 之內
+     */
+    function setTranslatedAttribute(element, attribute, value) {
+        if (typeof SecureDom === 'undefined') {
+            element.setAttribute(attribute, value);
+            return;
+        }
+        if (!attributePolicy) {
+            attributePolicy = SecureDom.SanitizationPolicies.define(ATTRIBUTE_POLICY, {
+                allowedAttributes: TRANSLATABLE_ATTRIBUTES
+            });
+        }
+        const checked = SecureDom.Sanitizer.checkAttribute(attribute, value, attributePolicy);
+        if (checked.value === null) {
+            throw new RangeError(`data-i18n-attr 不能翻譯屬性 ${attribute}`);
+        }
+        element.setAttribute(attribute, checked.value);
+    }
+
+    /**
+     * 套用頁面上 data-i18n 與 data-i18n-attr 標記的翻譯
+     * 有 secure-dom.js 時文字以 SecureDom.setTextContent 寫入，屬性限制在 TRANSLATABLE_ATTRIBUTES 之內
+     * @param {ParentNode} root - 要翻譯的範圍（例如 document）
+     * @throws {RangeError} 如果 data-i18n-attr 標記了不能翻譯的屬性
+     */
+    function translateDocument(root) {
+        const paramsOf = element => (element.hasAttribute('data-i18n-params')
+            ? JSON.parse(element.getAttribute('data-i18n-params'))
+            : {});
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const text = t(element.getAttribute('data-i18n'), paramsOf(element));
+            if (typeof SecureDom === 'undefined') {
+                element.textContent = text;
+            } else {
+                SecureDom.setTextContent(element, text);
+            }
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            const params = paramsOf(element);
+            element.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) setTranslatedAttribute(element, attribute, t(key, params));
+            });
+        });
+    }
+
+    return {
+        DEFAULT_LOCALE,
+        register,
+        locales,
+        resolveLocale,
+        setLocale,
+        getLocale,
+        t,
+        has,
+        translateDocument
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+    // 在 Node 中直接載入內建的訊息目錄（瀏覽器以 <script> 載入）
+    require('./locales/zh-TW.js');
+    require('./locales/en.js');
+}
@@ -0,0 +1,255 @@
+/**
+ * @fileoverview English message catalog
+ */
+
+(typeof I18n !== 'undefined' ? I18n : require('../i18n.js')).register('en', {
+    app: {
+        title: 'Tic-Tac-Toe - Play the Computer',
+        heading: 'Tic-Tac-Toe'
+    },
+    storage: {
+        unavailable: 'Browser storage is unavailable, so scores and settings will not be saved this time.',
+        corrupted: 'Saved data was corrupted and has been reset to defaults (the original data was backed up).'
+    },
+    score: {
+        human: 'Player ({player})',
+        computer: 'Computer ({player})',
+        draw: 'Draws'
+    },
+    status: {
+        draw: 'It\'s a draw!',
+        computerWins: '😢 The computer wins!',
+        youWin: '🎉 You win!',
+        computerPlayerWins: 'Computer {player} wins!',
+        playerWins: '🎉 {player} wins!',
+        yourTurn: 'You are {player}, your move',
+        turn: '{player} to move',
+        computerThinking: 'The computer is {player} and is thinking...',
+        computerPlayerThinking: 'Computer {player} is thinking...',
+        waitingForStep: 'Computer {player} to move, press "Next move" to continue',
+        replaying: 'Replaying: move {ply} of {total}'
+    },
+    thinking: {
+        detail: {
+            one: 'depth {depth} · {count} node',
+            other: 'depth {depth} · {count} nodes'
+        }
+    },
+    board: {
+        label: 'Board',
+        help: 'Use the arrow keys to move and Enter or Space to play; on a 3×3 board the number keys 1 to 9 jump to a cell',
+        cell: '{cell}, {content}',
+        empty: 'empty',
+        cellWithEvaluation: '{label}, {evaluation}'
+    },
+    announce: {
+        you: 'You played {cell}',
+        computer: 'Computer {player} played {cell}',
+        player: '{player} played {cell}',
+        opponent: 'Opponent {player} played {cell}',
+        withResult: '{move}. {result}',
+        start: 'Back to the start',
+        ply: 'Back to move {ply}'
+    },
+    controls: {
+        reset: 'New game',
+        resetScore: 'Reset score',
+        undo: 'Undo',
+        redo: 'Redo',
+        replay: 'Replay',
+        stopReplay: 'Stop replay',
+        step: 'Next move',
+        autoPlay: 'Auto play',
+        pause: 'Pause'
+    },
+    analysis: {
+        hint: 'Hint',
+        show: 'Show analysis',
+        blunders: 'Point out mistakes',
+        win: {
+            one: 'a win in {count} move',
+            other: 'a win within {count} moves'
+        },
+        loss: {
+            one: 'a loss after {count} move',
+            other: 'a loss after {count} moves'
+        },
+        draw: 'a draw',
+        unknown: 'an unclear result',
+        shortWin: 'W{count}',
+        shortLoss: 'L{count}',
+        shortDraw: 'D',
+        shortUnknown: '?',
+        hintMessage: 'Hint: {cell} ({evaluation})',
+        analyzing: 'Analyzing…',
+        blunder: 'Mistake: {cell} leads to {evaluation}; {best} would lead to {bestEvaluation}'
+    },
+    history: {
+        title: 'Moves',
+        start: 'Start',
+        move: '{player} {cell}'
+    },
+    record: {
+        summary: 'Import / export game record',
+        copy: 'Copy notation',
+        exportJson: 'Export JSON',
+        import: 'Import',
+        fromFile: 'Import from file: ',
+        copied: 'Notation copied',
+        copyManually: 'Please copy the notation above manually',
+        exported: 'Game record exported',
+        readFailed: 'Could not read the file: {message}',
+        unsupportedBoard: '{size}×{size} boards with {winLength} in a row are not supported',
+        imported: {
+            one: 'Imported {count} move',
+            other: 'Imported {count} moves'
+        },
+        invalid: 'Invalid game record: {reason}',
+        ongoing: 'unfinished',
+        errors: {
+            notObject: 'it must be a JSON object',
+            format: 'format must be {format}',
+            version: 'unsupported version {version}',
+            playerType: 'player {player} must be of type human or ai',
+            rules: 'unsupported rules (board {size}, {winLength} in a row)',
+            moves: 'moves must be an array',
+            illegalMove: 'move {ply} is illegal',
+            moveTime: 'move {ply} has an invalid time',
+            result: 'the recorded result {claimed} does not match the replayed result {actual}',
+            json: 'it is not valid JSON',
+            square: 'the board must be square',
+            token: 'cannot read "{token}" (move {ply})',
+            empty: 'it is empty'
+        }
+    },
+    stats: {
+        summary: 'Statistics',
+        all: 'All',
+        breakdown: 'By mode and difficulty',
+        recent: 'Recent games',
+        exportCsv: 'Export CSV',
+        clear: 'Clear history',
+        confirmClear: 'Clear all game history?',
+        none: '—',
+        mode: 'Mode',
+        difficulty: 'Difficulty',
+        games: 'Games',
+        wins: 'Won',
+        losses: 'Lost',
+        draws: 'Drawn',
+        winRate: 'Win rate',
+        lossRate: 'Loss rate',
+        drawRate: 'Draw rate',
+        current: 'Current',
+        longestWinStreak: 'Longest winning streak',
+        averageLength: 'Average length',
+        commonOpening: 'Most common opening',
+        streak: {
+            win: {
+                one: '{count} win',
+                other: '{count} wins in a row'
+            },
+            loss: {
+                one: '{count} loss',
+                other: '{count} losses in a row'
+            },
+            draw: {
+                one: '{count} draw',
+                other: '{count} draws in a row'
+            }
+        },
+        opening: {
+            one: '{cell} ({size}×{size}, {count} game)',
+            other: '{cell} ({size}×{size}, {count} games)'
+        },
+        outcome: {
+            win: 'Won',
+            loss: 'Lost',
+            draw: 'Drawn'
+        },
+        difficultyPair: 'X {x} / O {o}',
+        recentItem: {
+            one: '{outcome} · {mode} · {difficulty} · {size}×{size} · {count} move · {date}',
+            other: '{outcome} · {mode} · {difficulty} · {size}×{size} · {count} moves · {date}'
+        }
+    },
+    online: {
+        title: 'Play online',
+        create: 'Create room',
+        code: 'Room code: ',
+        join: 'Join',
+        spectate: 'Watch',
+        room: 'Room code: ',
+        seat: 'You are {player}',
+        spectator: 'Watching',
+        players: {
+            one: 'X: {x} · O: {o} · {count} spectator',
+            other: 'X: {x} · O: {o} · {count} spectators'
+        },
+        presence: {
+            connected: 'online',
+            disconnected: 'disconnected',
+            empty: 'open seat'
+        },
+        rematch: 'Play again',
+        leave: 'Leave room',
+        connecting: 'Connecting…',
+        reconnecting: 'Connection lost, reconnecting…',
+        waitingForOpponent: 'Room {room}: waiting for an opponent',
+        opponentTurn: 'Opponent {player} to move',
+        opponentDisconnected: 'Your opponent disconnected, waiting for them to return…',
+        opponentWins: '😢 Your opponent wins!',
+        errors: {
+            badCode: 'Room codes are 6 letters or digits',
+            badMessage: 'The server could not handle that request',
+            badRules: 'The server does not support this board',
+            roomNotFound: 'Room not found',
+            invalidToken: 'Your seat has expired, so you cannot return to the room',
+            notInRoom: 'You are not in a room',
+            alreadyInRoom: 'You are already in a room',
+            notAPlayer: 'Spectators cannot move',
+            waitingForOpponent: 'Your opponent has not joined yet',
+            notYourTurn: 'It is not your turn',
+            illegalMove: 'That move is illegal',
+            gameNotOver: 'The game is not over yet',
+            serverFull: 'The server is full, please try again later',
+            roomFull: 'This room has too many spectators',
+            connectionFailed: 'Could not connect to the game server',
+            connectionLost: 'Lost the connection to the game server'
+        }
+    },
+    modes: {
+        pvc: 'You first',
+        cvp: 'Computer first',
+        pvp: 'Two players',
+        cvc: 'Computer vs computer'
+    },
+    difficulties: {
+        easy: 'Easy',
+        medium: 'Medium',
+        hard: 'Hard',
+        aggressive: 'Aggressive',
+        defensive: 'Defensive',
+        adaptive: 'Adaptive'
+    },
+    settings: {
+        mode: 'Mode: ',
+        difficulty: 'Difficulty: ',
+        difficultyO: 'O difficulty: ',
+        difficultyX: 'X difficulty: ',
+        boardSize: 'Board: ',
+        winLength: 'In a row: ',
+        winLengthOption: '{count} in a row',
+        highContrast: 'High contrast',
+        motion: 'Motion: ',
+        motionSystem: 'Follow system',
+        motionReduce: 'Reduced',
+        motionFull: 'Full',
+        language: 'Language: ',
+        languageAuto: 'Browser default'
+    },
+    languages: {
+        'zh-TW': '繁體中文',
+        en: 'English'
+    }
+});
@@ -0,0 +1,225 @@
+/**
+ * @fileoverview 繁體中文訊息目錄（預設語言，其他語言缺少的訊息會退回這裡）
+ */
+
+(typeof I18n !== 'undefined' ? I18n : require('../i18n.js')).register('zh-TW', {
+    app: {
+        title: '井字遊戲 - 人機對戰',
+        heading: '井字遊戲'
+    },
+    storage: {
+        unavailable: '無法存取瀏覽器儲存空間，本次的分數與設定不會被保存。',
+        corrupted: '保存的資料已損毀，已重設為預設值（原始資料已另外備份）。'
+    },
+    score: {
+        human: '玩家 ({player})',
+        computer: '電腦 ({player})',
+        draw: '平手'
+    },
+    status: {
+        draw: '平手！',
+        computerWins: '😢 電腦獲勝！',
+        youWin: '🎉 恭喜您獲勝！',
+        computerPlayerWins: '電腦 {player} 獲勝！',
+        playerWins: '🎉 {player} 獲勝！',
+        yourTurn: '您是 {player}，輪到您下棋',
+        turn: '輪到 {player} 下棋',
+        computerThinking: '電腦是 {player}，正在思考...',
+        computerPlayerThinking: '電腦 {player} 正在思考...',
+        waitingForStep: '輪到電腦 {player}，按「下一步」繼續',
+        replaying: '重播中：第 {ply} / {total} 手'
+    },
+    thinking: {
+        detail: '深度 {depth}・{count} 個節點'
+    },
+    board: {
+        label: '棋盤',
+        help: '使用方向鍵移動，Enter 或空白鍵下棋；3×3 棋盤可用數字鍵 1 到 9 跳到對應格子',
+        cell: '{cell}，{content}',
+        empty: '空格',
+        cellWithEvaluation: '{label}，{evaluation}'
+    },
+    announce: {
+        you: '您下在 {cell}',
+        computer: '電腦 {player} 下在 {cell}',
+        player: '{player} 下在 {cell}',
+        opponent: '對手 {player} 下在 {cell}',
+        withResult: '{move}。{result}',
+        start: '回到開局',
+        ply: '回到第 {ply} 手'
+    },
+    controls: {
+        reset: '重新開始',
+        resetScore: '重置分數',
+        undo: '悔棋',
+        redo: '重做',
+        replay: '重播',
+        stopReplay: '停止重播',
+        step: '下一步',
+        autoPlay: '自動播放',
+        pause: '暫停'
+    },
+    analysis: {
+        hint: '提示',
+        show: '顯示分析',
+        blunders: '指出失誤',
+        win: '在 {count} 手內獲勝',
+        loss: '在 {count} 手後落敗',
+        draw: '和局',
+        unknown: '結果未定',
+        shortWin: '勝{count}',
+        shortLoss: '負{count}',
+        shortDraw: '和',
+        shortUnknown: '?',
+        hintMessage: '提示：{cell}（{evaluation}）',
+        analyzing: '分析中…',
+        blunder: '失誤：下在 {cell} 會{evaluation}，下在 {best} 則可{bestEvaluation}'
+    },
+    history: {
+        title: '棋譜',
+        start: '開局',
+        move: '{player} {cell}'
+    },
+    record: {
+        summary: '匯入／匯出棋譜',
+        copy: '複製記譜',
+        exportJson: '匯出 JSON',
+        import: '匯入',
+        fromFile: '從檔案匯入：',
+        copied: '已複製記譜',
+        copyManually: '請手動複製上方的記譜',
+        exported: '已匯出棋譜',
+        readFailed: '讀取檔案失敗：{message}',
+        unsupportedBoard: '不支援 {size}×{size}、{winLength} 子連線的棋盤',
+        imported: '已匯入 {count} 手棋',
+        invalid: '無效的棋譜：{reason}',
+        ongoing: '未結束',
+        errors: {
+            notObject: '必須是 JSON 物件',
+            format: 'format 必須是 {format}',
+            version: '不支援的版本 {version}',
+            playerType: '玩家 {player} 的類型必須是 human 或 ai',
+            rules: '不支援的規則（棋盤 {size}、連線 {winLength}）',
+            moves: 'moves 必須是陣列',
+            illegalMove: '第 {ply} 手不合法',
+            moveTime: '第 {ply} 手的時間格式錯誤',
+            result: '記錄的結果 {claimed} 與重放結果 {actual} 不符',
+            json: '不是合法的 JSON',
+            square: '棋盤必須是正方形',
+            token: '無法辨識「{token}」（第 {ply} 手）',
+            empty: '內容是空的'
+        }
+    },
+    stats: {
+        summary: '統計',
+        all: '全部',
+        breakdown: '各模式與難度',
+        recent: '最近對局',
+        exportCsv: '匯出 CSV',
+        clear: '清除紀錄',
+        confirmClear: '確定要清除所有對局紀錄嗎？',
+        none: '—',
+        mode: '模式',
+        difficulty: '難度',
+        games: '局數',
+        wins: '勝',
+        losses: '負',
+        draws: '和',
+        winRate: '勝率',
+        lossRate: '敗率',
+        drawRate: '平手率',
+        current: '目前',
+        longestWinStreak: '最長連勝',
+        averageLength: '平均手數',
+        commonOpening: '最常見開局',
+        streak: {
+            win: '{count} 連勝',
+            loss: '{count} 連敗',
+            draw: '連續 {count} 局平手'
+        },
+        opening: '{cell}（{size}×{size}，{count} 局）',
+        outcome: {
+            win: '勝',
+            loss: '負',
+            draw: '和'
+        },
+        difficultyPair: 'X {x}／O {o}',
+        recentItem: '{outcome}・{mode}・{difficulty}・{size}×{size}・{count} 手・{date}'
+    },
+    online: {
+        title: '線上對戰',
+        create: '建立房間',
+        code: '加入代碼：',
+        join: '加入',
+        spectate: '觀戰',
+        room: '房間代碼：',
+        seat: '您是 {player}',
+        spectator: '觀戰中',
+        players: 'X：{x}・O：{o}・{count} 人觀戰',
+        presence: {
+            connected: '在線',
+            disconnected: '斷線',
+            empty: '空位'
+        },
+        rematch: '再來一局',
+        leave: '離開房間',
+        connecting: '連線中…',
+        reconnecting: '連線中斷，正在重新連線…',
+        waitingForOpponent: '房間 {room}：等待對手加入',
+        opponentTurn: '輪到對手 {player} 下棋',
+        opponentDisconnected: '對手已斷線，等待重新連線…',
+        opponentWins: '😢 對手獲勝！',
+        errors: {
+            badCode: '加入代碼是 6 個英文字母或數字',
+            badMessage: '伺服器無法處理這個請求',
+            badRules: '伺服器不支援這個棋盤',
+            roomNotFound: '找不到這個房間',
+            invalidToken: '座位已失效，無法回到房間',
+            notInRoom: '尚未進入房間',
+            alreadyInRoom: '已經在房間中',
+            notAPlayer: '觀戰時不能下棋',
+            waitingForOpponent: '對手尚未加入',
+            notYourTurn: '還沒輪到您',
+            illegalMove: '這一步不合法',
+            gameNotOver: '對局尚未結束',
+            serverFull: '伺服器的房間已滿，請稍後再試',
+            roomFull: '觀戰人數已滿',
+            connectionFailed: '無法連線到遊戲伺服器',
+            connectionLost: '與遊戲伺服器的連線中斷'
+        }
+    },
+    modes: {
+        pvc: '玩家先手',
+        cvp: '電腦先手',
+        pvp: '雙人對戰',
+        cvc: '電腦對電腦'
+    },
+    difficulties: {
+        easy: '簡單',
+        medium: '中等',
+        hard: '困難',
+        aggressive: '進攻型',
+        defensive: '防守型',
+        adaptive: '自適應'
+    },
+    settings: {
+        mode: '模式：',
+        difficulty: '難度：',
+        difficultyO: 'O 難度：',
+        difficultyX: 'X 難度：',
+        boardSize: '棋盤：',
+        winLength: '連線：',
+        winLengthOption: '{count} 子',
+        highContrast: '高對比',
+        motion: '動態效果：',
+        motionSystem: '跟隨系統',
+        motionReduce: '減少',
+        motionFull: '完整',
+        language: '語言：',
+        languageAuto: '跟隨瀏覽器'
+    },
+    languages: {
+        'zh-TW': '繁體中文',
+        en: 'English'
+    }
+});
@@ -0,0 +1,262 @@
+/**
+ * @fileoverview 線上對戰的用戶端
+ * 透過 WebSocket 連到遊戲伺服器（server/server.js，經由 nginx 的 /ws 轉送），
+ * 局面以伺服端為準：這裡只送出玩家的操作並轉交伺服端廣播的狀態（協定見 server/lobby.js）。
+ * 連線中斷時自動重連並以 token 回到原本的座位；房間資訊存在 sessionStorage，重新整理頁面後也能回到房間
+ */
+
+const OnlineGame = (() => {
+    const SESSION_KEY = 'tic-tac-toe:online';
+    // 斷線後重連前的等待時間（毫秒），用完仍連不上就放棄
+    const RECONNECT_DELAYS = [500, 1000, 2000, 4000, 8000];
+
+    let socket = null;
+    // 目前的房間：{ room, seat, token }，觀戰時 seat 與 token 為 null
+    let session = null;
+    // 連線建立前要送出的訊息
+    let queue = [];
+    let attempts = 0;
+    let reconnectTimer = null;
+    let status = 'closed';
+    let handlers = {};
+
+    /**
+     * 伺服器位址：與頁面同源的 /ws
+     * @private
+     */
+    function serverUrl() {
+        const { protocol, host } = window.location;
+        return `${protocol === 'https:' ? 'wss' : 'ws'}://${host}/ws`;
+    }
+
+    function notify(name, ...args) {
+        if (typeof handlers[name] === 'function') handlers[name](...args);
+    }
+
+    function setStatus(next) {
+        if (status === next) return;
+        status = next;
+        notify('onStatus', status);
+    }
+
+    function saveSession() {
+        try {
+            if (session) {
+                sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+            } else {
+                sessionStorage.removeItem(SESSION_KEY);
+            }
+        } catch (error) {
+            // 無法使用 sessionStorage 時只是無法在重新整理後回到房間
+        }
+    }
+
+    function endSession() {
+        session = null;
+        saveSession();
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        queue = [];
+        if (socket) {
+            const closing = socket;
+            socket = null;
+            closing.close(1000);
+        }
+        setStatus('closed');
+    }
+
+    function send(message) {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        } else {
+            queue.push(message);
+            open();
+        }
+    }
+
+    // 回到房間：玩家以 token 回到座位，觀戰者重新加入觀戰
+    function rejoin() {
+        const message = session.token
+            ? { type: 'resume', room: session.room, token: session.token }
+            : { type: 'join', room: session.room, spectate: true };
+        socket.send(JSON.stringify(message));
+    }
+
+    function handleMessage(e) {
+        let message;
+        try {
+            message = JSON.parse(e.data);
+        } catch (error) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'joined':
+                session = { room: message.room, seat: message.seat, token: message.token };
+                saveSession();
+                notify('onJoined', { room: session.room, seat: session.seat });
+                break;
+            case 'state':
+                notify('onState', message);
+                break;
+            case 'error':
+                // 回不到原本的房間（房間已清除或座位已讓出）時結束這次連線
+                if (message.code === 'roomNotFound' || message.code === 'invalidToken') {
+                    if (session) endSession();
+                }
+                notify('onError', message.code);
+                break;
+        }
+    }
+
+    function handleClose() {
+        socket = null;
+        if (!session) {
+            if (queue.length > 0) {
+                queue = [];
+                notify('onError', 'connectionFailed');
+            }
+            setStatus('closed');
+            return;
+        }
+        if (attempts >= RECONNECT_DELAYS.length) {
+            endSession();
+            notify('onError', 'connectionLost');
+            return;
+        }
+        setStatus('reconnecting');
+        reconnectTimer = setTimeout(open, RECONNECT_DELAYS[attempts++]);
+    }
+
+    /**
+     * 建立連線（已連線或連線中時不做事）
+     * @private
+     */
+    function open() {
+        if (socket) return;
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        if (status !== 'reconnecting') setStatus('connecting');
+
+        try {
+            socket = new WebSocket(serverUrl());
+        } catch (error) {
+            socket = null;
+            queue = [];
+            notify('onError', 'connectionFailed');
+            setStatus('closed');
+            return;
+        }
+        const current = socket;
+        socket.addEventListener('open', () => {
+            attempts = 0;
+            setStatus('open');
+            if (session) rejoin();
+            queue.splice(0).forEach(message => current.send(JSON.stringify(message)));
+        });
+        socket.addEventListener('message', handleMessage);
+        socket.addEventListener('close', () => {
+            if (socket === current) handleClose();
+        });
+    }
+
+    /**
+     * 設定事件處理函數
+     * @param {Object} callbacks - 事件處理函數
+     * @param {function({room: string, seat: ?string}): void} [callbacks.onJoined] - 入座或開始觀戰
+     * @param {function(Object): void} [callbacks.onState] - 伺服端廣播的局面（見 server/lobby.js）
+     * @param {function(string): void} [callbacks.onError] - 錯誤代碼（伺服端的代碼，或 connectionFailed、connectionLost）
+     * @param {function(string): void} [callbacks.onStatus] - 連線狀態：connecting、open、reconnecting、closed
+     */
+    function setHandlers(callbacks) {
+        handlers = callbacks || {};
+    }
+
+    /**
+     * 建立房間並坐上 X
+     * @param {{size: number, winLength: number}} rules - 棋盤規則
+     */
+    function create(rules) {
+        send({ type: 'create', rules: { size: rules.size, winLength: rules.winLength } });
+    }
+
+    /**
+     * 以加入代碼進入房間
+     * @param {string} room - 加入代碼
+     * @param {boolean} [spectate=false] - 只觀戰
+     */
+    function join(room, spectate = false) {
+        send({ type: 'join', room: room.trim().toUpperCase(), spectate });
+    }
+
+    /**
+     * 回到上次（同一個分頁）所在的房間
+     * @returns {boolean} 是否有可回去的房間
+     */
+    function resume() {
+        let saved = null;
+        try {
+            saved = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+        } catch (error) {
+            saved = null;
+        }
+        if (!saved || typeof saved.room !== 'string') return false;
+
+        session = { room: saved.room, seat: saved.seat || null, token: saved.token || null };
+        open();
+        return true;
+    }
+
+    /**
+     * 下棋（是否合法由伺服端判斷）
+     * @param {number} index - 格子索引
+     */
+    function move(index) {
+        send({ type: 'move', index });
+    }
+
+    /**
+     * 對局結束後再來一局
+     */
+    function restart() {
+        send({ type: 'restart' });
+    }
+
+    /**
+     * 離開房間並中斷連線
+     */
+    function leave() {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: 'leave' }));
+        }
+        endSession();
+    }
+
+    /**
+     * 是否在房間中（包含斷線重連中）
+     * @returns {boolean}
+     */
+    function isActive() {
+        return session !== null;
+    }
+
+    /**
+     * 目前的房間與座位
+     * @returns {?{room: string, seat: ?string}}
+     */
+    function current() {
+        return session ? { room: session.room, seat: session.seat } : null;
+    }
+
+    return {
+        setHandlers,
+        create,
+        join,
+        resume,
+        move,
+        restart,
+        leave,
+        isActive,
+        current
+    };
+})();
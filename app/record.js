@@ -0,0 +1,301 @@
+/**
+ * @fileoverview 棋譜的匯入與匯出
+ *
+ * JSON 棋譜格式（version 1）：
+ *   {
+ *     "format": "tic-tac-toe-record",
+ *     "version": 1,
+ *     "createdAt": "2025-10-01T08:00:00.000Z",
+ *     "mode": "pvc",                                   // 對戰模式，可為 null
+ *     "players": {
+ *       "X": { "type": "human" },
+ *       "O": { "type": "ai", "difficulty": "hard" }    // 電腦玩家附帶難度
+ *     },
+ *     "rules": { "size": 3, "winLength": 3, "firstPlayer": "X" },
+ *     "moves": [
+ *       { "player": "X", "index": 4, "time": "2025-10-01T08:00:03.120Z" }   // time 可為 null
+ *     ],
+ *     "result": { "winner": "X", "line": [0, 4, 8] }  // 'X'、'O' 或 'draw'；未結束為 null
+ *   }
+ *
+ * 精簡記譜（貼到問題回報用）：
+ *   以空白分隔，每一手為「玩家:格子索引」，例如 `X:4 O:0 X:8`；
+ *   非 3×3 三連線的棋盤在最前面加上「N x N / K」，例如 `15x15/5 X:112 O:113`
+ *
+ * 匯入時一律以 GameEngine 重放所有棋步，確認棋譜合法；錯誤訊息來自 I18n 訊息目錄的 record.errors
+ */
+
+const GameRecord = (() => {
+    const Engine = typeof GameEngine !== 'undefined' ? GameEngine : require('./engine.js');
+    const Messages = typeof I18n !== 'undefined' ? I18n : require('./i18n.js');
+
+    const FORMAT = 'tic-tac-toe-record';
+    const VERSION = 1;
+    const PLAYER_TYPES = ['human', 'ai'];
+
+    const RULES_TOKEN = /^(\d+)x(\d+)\/(\d+)$/;
+    const MOVE_TOKEN = /^([XO]):(\d+)$/;
+
+    /**
+     * 棋譜
+     * @typedef {Object} Record
+     * @property {string} format - 固定為 'tic-tac-toe-record'
+     * @property {number} version - 格式版本
+     * @property {string} createdAt - 建立時間（ISO 8601）
+     * @property {?string} mode - 對戰模式
+     * @property {Object<string, {type: string, difficulty: (string|undefined)}>} players - 雙方玩家
+     * @property {{size: number, winLength: number, firstPlayer: string}} rules - 規則
+     * @property {{player: string, index: number, time: ?string}[]} moves - 棋步
+     * @property {?{winner: string, line: ?number[]}} result - 結果
+     */
+
+    /**
+     * 規則錯誤訊息的參數（缺少的欄位以 ? 表示）
+     * @private
+     */
+    function rulesParams(rules) {
+        const show = value => (value === undefined || value === null ? '?' : value);
+        return { size: show(rules.size), winLength: show(rules.winLength) };
+    }
+
+    /**
+     * 建立棋譜錯誤（訊息依目前語言，code 為 record.errors 下的鍵）
+     * @private
+     * @param {string} code - 錯誤代碼
+     * @param {Object} [params] - 訊息參數
+     */
+    function recordError(code, params) {
+        const reason = Messages.t(`record.errors.${code}`, params);
+        const error = new Error(Messages.t('record.invalid', { reason }));
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * 轉為 ISO 時間字串
+     * @private
+     */
+    function toIsoTime(value) {
+        if (value === undefined || value === null) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * 由遊戲狀態建立棋譜
+     * @param {GameState} state - 遊戲狀態
+     * @param {Object} [meta] - 附加資訊
+     * @param {?string} [meta.mode] - 對戰模式
+     * @param {Object} [meta.players] - 雙方玩家，預設皆為 human
+     * @param {number[]} [meta.moveTimes] - 每一手的時間戳記（毫秒）
+     * @param {number} [meta.createdAt] - 建立時間（毫秒），預設為現在
+     * @returns {Record}
+     */
+    function createRecord(state, meta = {}) {
+        const times = meta.moveTimes || [];
+        const players = meta.players || { X: { type: 'human' }, O: { type: 'human' } };
+
+        return {
+            format: FORMAT,
+            version: VERSION,
+            createdAt: toIsoTime(meta.createdAt || Date.now()),
+            mode: meta.mode || null,
+            players: {
+                X: { ...players.X },
+                O: { ...players.O }
+            },
+            rules: Engine.rulesOf(state),
+            moves: state.moves.map((move, i) => ({
+                player: move.player,
+                index: move.index,
+                time: toIsoTime(times[i])
+            })),
+            result: state.winner === null
+                ? null
+                : { winner: state.winner, line: state.winningLine ? state.winningLine.slice() : null }
+        };
+    }
+
+    /**
+     * 將棋譜序列化為 JSON
+     * @param {Record} record - 棋譜
+     * @returns {string}
+     */
+    function stringify(record) {
+        return JSON.stringify(record, null, 2);
+    }
+
+    /**
+     * 驗證棋譜並重放，確認每一手都合法、結果也相符
+     * @param {*} data - 已解析的 JSON 資料
+     * @returns {{record: Record, state: GameState}} 正規化後的棋譜與最終狀態
+     * @throws {Error} 如果棋譜不合法
+     */
+    function validate(data) {
+        if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+            throw recordError('notObject');
+        }
+        if (data.format !== FORMAT) {
+            throw recordError('format', { format: FORMAT });
+        }
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > VERSION) {
+            throw recordError('version', { version: data.version });
+        }
+
+        const players = {};
+        Engine.PLAYERS.forEach(player => {
+            const info = (data.players || {})[player];
+            if (!info || !PLAYER_TYPES.includes(info.type)) {
+                throw recordError('playerType', { player });
+            }
+            players[player] = { type: info.type };
+            if (typeof info.difficulty === 'string') {
+                players[player].difficulty = info.difficulty;
+            }
+        });
+
+        const rules = data.rules || {};
+        let state;
+        try {
+            state = Engine.createGame(rules);
+        } catch (error) {
+            throw recordError('rules', rulesParams(rules));
+        }
+
+        if (!Array.isArray(data.moves)) {
+            throw recordError('moves');
+        }
+        data.moves.forEach((move, i) => {
+            if (!move || move.player !== state.currentPlayer || !Engine.isLegalMove(state, move.index)) {
+                throw recordError('illegalMove', { ply: i + 1 });
+            }
+            if (move.time !== undefined && move.time !== null && toIsoTime(move.time) === null) {
+                throw recordError('moveTime', { ply: i + 1 });
+            }
+            state = Engine.applyMove(state, move.index);
+        });
+
+        const claimed = data.result ? data.result.winner : null;
+        if (claimed !== state.winner) {
+            // 未結束（null）的一方以文字表示，否則訊息會留下 {claimed}、{actual}
+            const show = winner => (winner === null || winner === undefined ? Messages.t('record.ongoing') : winner);
+            throw recordError('result', { claimed: show(claimed), actual: show(state.winner) });
+        }
+
+        const record = createRecord(state, {
+            mode: typeof data.mode === 'string' ? data.mode : null,
+            players,
+            moveTimes: data.moves.map(move => move.time),
+            createdAt: data.createdAt
+        });
+
+        return { record, state };
+    }
+
+    /**
+     * 解析 JSON 棋譜
+     * @param {string} text - JSON 字串
+     * @returns {{record: Record, state: GameState}}
+     * @throws {Error} 如果不是合法的 JSON 或棋譜
+     */
+    function parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw recordError('json');
+        }
+        return validate(data);
+    }
+
+    /**
+     * 轉為精簡記譜
+     * @param {GameState} state - 遊戲狀態
+     * @returns {string} 例如 'X:4 O:0 X:8'
+     */
+    function toNotation(state) {
+        const tokens = state.moves.map(move => `${move.player}:${move.index}`);
+        if (state.size !== 3 || state.winLength !== 3) {
+            tokens.unshift(`${state.size}x${state.size}/${state.winLength}`);
+        }
+        return tokens.join(' ');
+    }
+
+    /**
+     * 解析精簡記譜並重放
+     * @param {string} text - 精簡記譜
+     * @returns {GameState}
+     * @throws {Error} 如果記譜格式錯誤或棋步不合法
+     */
+    function fromNotation(text) {
+        const tokens = String(text).trim().split(/\s+/).filter(Boolean);
+        const rules = { size: 3, winLength: 3 };
+
+        const header = tokens.length > 0 ? RULES_TOKEN.exec(tokens[0]) : null;
+        if (header) {
+            if (header[1] !== header[2]) {
+                throw recordError('square');
+            }
+            rules.size = parseInt(header[1]);
+            rules.winLength = parseInt(header[3]);
+            tokens.shift();
+        }
+
+        const moves = tokens.map((token, i) => {
+            const match = MOVE_TOKEN.exec(token);
+            if (!match) {
+                throw recordError('token', { token, ply: i + 1 });
+            }
+            return { player: match[1], index: parseInt(match[2]) };
+        });
+        if (moves.length > 0) {
+            rules.firstPlayer = moves[0].player;
+        }
+
+        let state;
+        try {
+            state = Engine.createGame(rules);
+        } catch (error) {
+            throw recordError('rules', rulesParams(rules));
+        }
+
+        return moves.reduce((current, move, i) => {
+            if (move.player !== current.currentPlayer || !Engine.isLegalMove(current, move.index)) {
+                throw recordError('illegalMove', { ply: i + 1 });
+            }
+            return Engine.applyMove(current, move.index);
+        }, state);
+    }
+
+    /**
+     * 自動判斷格式並匯入（JSON 棋譜或精簡記譜）
+     * @param {string} text - 匯入的文字
+     * @returns {{record: ?Record, state: GameState}} 精簡記譜沒有 record
+     * @throws {Error} 如果內容不合法
+     */
+    function importText(text) {
+        if (typeof text !== 'string' || text.trim() === '') {
+            throw recordError('empty');
+        }
+        if (text.trim().startsWith('{')) {
+            return parse(text);
+        }
+        return { record: null, state: fromNotation(text) };
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        createRecord,
+        stringify,
+        validate,
+        parse,
+        toNotation,
+        fromNotation,
+        importText
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameRecord;
+}
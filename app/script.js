@@ -1,99 +1,410 @@
-// 遊戲狀態
-let board = ['', '', '', '', '', '', '', '', ''];
-let currentPlayer = 'X';
-let gameActive = true;
-let playerScore = 0;
-let computerScore = 0;
-let drawScore = 0;
+// 寫入頁面的內容一律經過 secure-dom.js：文字以 setTextContent，元素以 h() 描述後由 renderView 產生，
+// 標籤與屬性限制在 UI_POLICY 之內（唯一的例外是 downloadBlob 中不放進頁面的下載連結）
+const { SanitizationPolicies, h, patchView, setTextContent } = SecureDom;
+const UI_POLICY = SanitizationPolicies.define('game-ui', {
+    allowedTags: ['div', 'span', 'li', 'button', 'dt', 'dd', 'tr', 'td'],
+    allowedAttributes: ['class', 'role', 'tabindex', 'title', 'aria-*', 'data-*']
+});
+
+// 遊戲狀態（規則由 engine.js 的 GameEngine 負責）
+let boardSize = 3;
+let winLength = 3;
+let game = GameEngine.createGame({ size: boardSize, winLength });
+let mode = 'pvc';
+// difficulty 為主要電腦的難度（電腦對電腦時為 O），difficultyX 只用於電腦對電腦的 X
 let difficulty = 'medium';
+let difficultyX = 'medium';
+let autoPlay = false;
+let autoPlayTimer = null;
+// 悔棋後可重做的棋步（依下棋順序），以及本局是否已計分
+let redoStack = [];
+let resultRecorded = false;
+// 時間軸上每一手的時間戳記（毫秒），供棋譜匯出
+let moveTimes = [];
+let replayTimer = null;
+// 局面分析：輪到玩家時在背景評估每個空格，供分析圖層、提示與失誤判斷使用
+// analysis 為 { state, result }，result 在分析完成前為 null；hintPosition 為按下提示時的局面
+let analysis = null;
+let hintPosition = null;
 
-// Cookie 操作函數
-const GameStorage = {
-    // 保存遊戲狀態到 Cookie
-    saveGameState() {
-        const gameState = {
-            playerScore,
-            computerScore,
-            drawScore,
-            difficulty
-        };
-        const expires = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toUTCString(); // 30天過期
-        document.cookie = `gameState=${encodeURIComponent(JSON.stringify(gameState))}; expires=${expires}; path=/; SameSite=Strict`;
-    },
-
-    // 從 Cookie 讀取遊戲狀態
-    loadGameState() {
-        const cookies = document.cookie.split(';');
-        const gameStateCookie = cookies.find(cookie => cookie.trim().startsWith('gameState='));
-        
-        if (gameStateCookie) {
-            try {
-                const gameState = JSON.parse(decodeURIComponent(gameStateCookie.split('=')[1].trim()));
-                playerScore = gameState.playerScore || 0;
-                computerScore = gameState.computerScore || 0;
-                drawScore = gameState.drawScore || 0;
-                difficulty = gameState.difficulty || 'medium';
-                difficultySelect.value = difficulty;
-                updateScoreDisplay();
-            } catch (error) {
-                console.error('載入遊戲狀態失敗:', error);
-            }
-        }
-    }
+// 對戰模式：每一方由玩家（human）或電腦（ai）操作
+const GAME_MODES = {
+    pvc: { X: 'human', O: 'ai' },
+    cvp: { X: 'ai', O: 'human' },
+    pvp: { X: 'human', O: 'human' },
+    cvc: { X: 'ai', O: 'ai' }
 };
 
-// 獲勝組合
-const winningConditions = [
-    [0, 1, 2],
-    [3, 4, 5],
-    [6, 7, 8],
-    [0, 3, 6],
-    [1, 4, 7],
-    [2, 5, 8],
-    [0, 4, 8],
-    [2, 4, 6]
-];
+// 各模式分開計分（依棋子記錄勝場）
+let scores = GameStorage.createDefaultState().scores;
+// 已結束對局的紀錄，供統計面板使用（計算方式見 stats.js）
+let gameHistory = [];
+// 顯示與語言設定（高對比、動態效果、介面語言）
+let settings = GameStorage.createDefaultState().settings;
+// 線上對戰：{ room, seat, players, spectators }，不在房間時為 null
+// 線上時局面以伺服器廣播的為準（見 online.js），本機只負責顯示與送出玩家的棋步
+let online = null;
+// 鍵盤焦點所在的格子（棋盤只有這一格可以用 Tab 進入）
+let focusIndex = 4;
+// 棋盤顯示的局面（重播時為重播中的局面），以及標示為失誤的格子
+let boardState = game;
+let blunderIndex = null;
+// 狀態列目前的文字（念出對局結果時使用）
+let statusText = '';
+
+// 電腦每步的思考時間上限（毫秒）
+const AI_TIME_BUDGET = 1000;
+// 電腦對電腦自動播放時每步的間隔（毫秒）
+const AUTO_PLAY_DELAY = 400;
+// 重播時每步的間隔（毫秒）
+const REPLAY_DELAY = 600;
+// 局面分析的時間上限（毫秒）
+const ANALYSIS_TIME_BUDGET = 1000;
+// 統計面板列出的最近局數
+const RECENT_GAMES = 10;
+
+// 遊戲狀態的持久化（後端與資料結構見 storage.js）
+const gameStore = GameStorage.createStore();
 
 // DOM 元素
-const cells = document.querySelectorAll('.cell');
-const statusDisplay = document.getElementById('status');
+const boardElement = document.getElementById('board');
+const statusArea = document.getElementById('statusArea');
+const scoreArea = document.getElementById('scoreArea');
 const resetBtn = document.getElementById('resetBtn');
 const resetScoreBtn = document.getElementById('resetScoreBtn');
+const modeSelect = document.getElementById('modeSelect');
+const difficultyLabel = document.getElementById('difficultyLabel');
 const difficultySelect = document.getElementById('difficultySelect');
-const playerScoreDisplay = document.getElementById('playerScore');
-const computerScoreDisplay = document.getElementById('computerScore');
-const drawScoreDisplay = document.getElementById('drawScore');
+const difficultyXGroup = document.getElementById('difficultyXGroup');
+const difficultyXSelect = document.getElementById('difficultyXSelect');
+const autoPlayControls = document.getElementById('autoPlayControls');
+const stepBtn = document.getElementById('stepBtn');
+const autoPlayBtn = document.getElementById('autoPlayBtn');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const replayBtn = document.getElementById('replayBtn');
+const historyPanel = document.getElementById('history');
+const moveList = document.getElementById('moveList');
+const recordText = document.getElementById('recordText');
+const recordFile = document.getElementById('recordFile');
+const recordMessage = document.getElementById('recordMessage');
+const copyNotationBtn = document.getElementById('copyNotationBtn');
+const exportRecordBtn = document.getElementById('exportRecordBtn');
+const importRecordBtn = document.getElementById('importRecordBtn');
+const boardSizeSelect = document.getElementById('boardSizeSelect');
+const winLengthSelect = document.getElementById('winLengthSelect');
+const thinkingDisplay = document.getElementById('thinking');
+const thinkingProgress = document.getElementById('thinkingProgress');
+const thinkingDetail = document.getElementById('thinkingDetail');
+const storageNotice = document.getElementById('storageNotice');
+const hintBtn = document.getElementById('hintBtn');
+const analysisToggle = document.getElementById('analysisToggle');
+const blunderToggle = document.getElementById('blunderToggle');
+const coachMessage = document.getElementById('coachMessage');
+const announcer = document.getElementById('announcer');
+const highContrastToggle = document.getElementById('highContrastToggle');
+const motionSelect = document.getElementById('motionSelect');
+const languageSelect = document.getElementById('languageSelect');
+// 系統的減少動態效果設定（不支援 matchMedia 的環境視為未設定）
+const reducedMotionQuery = typeof window.matchMedia === 'function'
+    ? window.matchMedia('(prefers-reduced-motion: reduce)')
+    : null;
+const statsModeSelect = document.getElementById('statsModeSelect');
+const statsDifficultySelect = document.getElementById('statsDifficultySelect');
+const statsSummary = document.getElementById('statsSummary');
+const statsBreakdown = document.getElementById('statsBreakdown');
+const statsRecent = document.getElementById('statsRecent');
+const exportStatsBtn = document.getElementById('exportStatsBtn');
+const clearStatsBtn = document.getElementById('clearStatsBtn');
+const onlineLobby = document.getElementById('onlineLobby');
+const onlineRoom = document.getElementById('onlineRoom');
+const createRoomBtn = document.getElementById('createRoomBtn');
+const joinCodeInput = document.getElementById('joinCodeInput');
+const joinRoomBtn = document.getElementById('joinRoomBtn');
+const spectateBtn = document.getElementById('spectateBtn');
+const roomCode = document.getElementById('roomCode');
+const onlineRole = document.getElementById('onlineRole');
+const onlinePlayers = document.getElementById('onlinePlayers');
+const rematchBtn = document.getElementById('rematchBtn');
+const leaveRoomBtn = document.getElementById('leaveRoomBtn');
+const onlineMessage = document.getElementById('onlineMessage');
 
 // 初始化遊戲
 function init() {
-    // 載入保存的遊戲狀態
-    GameStorage.loadGameState();
-    
-    cells.forEach(cell => {
-        cell.addEventListener('click', handleCellClick);
-    });
+    // 棋盤格子由 renderBoard 動態產生，因此在棋盤上做事件委派
+    boardElement.addEventListener('click', handleCellClick);
+    boardElement.addEventListener('keydown', handleBoardKeydown);
+    boardElement.addEventListener('focusin', handleBoardFocus);
     resetBtn.addEventListener('click', resetGame);
     resetScoreBtn.addEventListener('click', resetScore);
+    modeSelect.addEventListener('change', handleModeChange);
     difficultySelect.addEventListener('change', handleDifficultyChange);
-    updateScoreDisplay();
+    difficultyXSelect.addEventListener('change', handleDifficultyChange);
+    stepBtn.addEventListener('click', handleStep);
+    autoPlayBtn.addEventListener('click', toggleAutoPlay);
+    undoBtn.addEventListener('click', undoMove);
+    redoBtn.addEventListener('click', redoMove);
+    replayBtn.addEventListener('click', toggleReplay);
+    hintBtn.addEventListener('click', showHint);
+    analysisToggle.addEventListener('change', updateAnalysis);
+    blunderToggle.addEventListener('change', updateAnalysis);
+    historyPanel.addEventListener('click', handleHistoryClick);
+    copyNotationBtn.addEventListener('click', copyNotation);
+    exportRecordBtn.addEventListener('click', exportRecord);
+    importRecordBtn.addEventListener('click', () => importRecord(recordText.value));
+    recordFile.addEventListener('change', handleRecordFile);
+    boardSizeSelect.addEventListener('change', handleVariantChange);
+    winLengthSelect.addEventListener('change', handleVariantChange);
+    statsModeSelect.addEventListener('change', renderStats);
+    statsDifficultySelect.addEventListener('change', renderStats);
+    exportStatsBtn.addEventListener('click', exportStats);
+    clearStatsBtn.addEventListener('click', clearStats);
+    highContrastToggle.addEventListener('change', handleSettingsChange);
+    motionSelect.addEventListener('change', handleSettingsChange);
+    languageSelect.addEventListener('change', handleSettingsChange);
+    if (reducedMotionQuery) {
+        reducedMotionQuery.addEventListener('change', applySettings);
+    }
+    window.addEventListener('languagechange', handleBrowserLanguageChange);
+    createRoomBtn.addEventListener('click', createRoom);
+    joinRoomBtn.addEventListener('click', () => joinRoom(false));
+    spectateBtn.addEventListener('click', () => joinRoom(true));
+    rematchBtn.addEventListener('click', () => OnlineGame.restart());
+    leaveRoomBtn.addEventListener('click', () => OnlineGame.leave());
+    OnlineGame.setHandlers({
+        onJoined: handleOnlineJoined,
+        onState: handleOnlineState,
+        onError: handleOnlineError,
+        onStatus: handleOnlineStatus
+    });
+
+    // 載入保存的遊戲狀態後才開始第一局
+    loadGameState().then(() => {
+        updateVariantControls();
+        updateModeControls();
+        resetGame();
+        updateScoreDisplay();
+        // 重新整理前在線上房間裡時自動回到房間
+        if (OnlineGame.resume()) showOnlineMessage(I18n.t('online.connecting'));
+    });
+}
+
+// 載入保存的遊戲狀態；資料損毀或無法存取時提示玩家
+function loadGameState() {
+    return gameStore.load().then(({ state, recovered }) => {
+        scores = state.scores;
+        mode = state.mode;
+        difficulty = state.difficulty;
+        difficultyX = state.difficultyX;
+        boardSize = state.boardSize;
+        winLength = state.winLength;
+        gameHistory = state.history;
+        settings = state.settings;
+        applySettings();
+        difficultySelect.value = difficulty;
+        difficultyXSelect.value = difficultyX;
+
+        if (recovered) {
+            setTextContent(storageNotice, I18n.t(recovered.reason === 'unavailable'
+                ? 'storage.unavailable'
+                : 'storage.corrupted'));
+            storageNotice.hidden = false;
+        }
+    });
+}
+
+// 保存遊戲狀態
+function saveGameState() {
+    gameStore.save({ scores, mode, difficulty, difficultyX, boardSize, winLength, history: gameHistory, settings })
+        .catch(error => console.error('保存遊戲狀態失敗:', error));
+}
+
+// 指定的一方是否由電腦操作（線上對戰時兩方都是玩家）
+function isComputer(player) {
+    return !online && GAME_MODES[mode][player] === 'ai';
+}
+
+// 只有一方是玩家的模式（以「您」稱呼玩家）
+function isSinglePlayerMode() {
+    return !online && (mode === 'pvc' || mode === 'cvp');
+}
+
+// 取得一方所使用的電腦難度
+function difficultyFor(player) {
+    return mode === 'cvc' && player === 'X' ? difficultyX : difficulty;
+}
+
+// 交給電腦玩家的難度：自適應難度依玩家在目前模式最近的結果換算成棋力參數
+// （電腦對電腦沒有玩家可參考，改用中等難度）
+function aiDifficultyFor(player) {
+    const name = difficultyFor(player);
+    if (name !== 'adaptive') return name;
+    if (!isSinglePlayerMode()) return 'medium';
+
+    const recent = GameStats.filterGames(gameHistory, { mode, difficulty: 'adaptive' });
+    return GameAI.adaptiveProfile(recent.map(entry => entry.outcome));
+}
+
+// 依模式顯示難度與自動播放控制項
+function updateModeControls() {
+    modeSelect.value = mode;
+    difficultySelect.disabled = Boolean(online) || mode === 'pvp';
+    setTextContent(difficultyLabel, I18n.t(mode === 'cvc' ? 'settings.difficultyO' : 'settings.difficulty'));
+    difficultyXGroup.hidden = mode !== 'cvc';
+    autoPlayControls.hidden = Boolean(online) || mode !== 'cvc';
+    setTextContent(autoPlayBtn, I18n.t(autoPlay ? 'controls.pause' : 'controls.autoPlay'));
+}
+
+// 以 UI_POLICY 建立或更新容器的內容
+function renderView(container, view) {
+    patchView(container, view, { policy: UI_POLICY });
+}
+
+// 依目前局面的棋盤大小產生格子（ARIA grid：每列一個 row，焦點以 roving tabindex 管理）
+function renderBoard() {
+    const hadFocus = boardElement.contains(document.activeElement);
+    const size = game.size;
+    boardElement.style.setProperty('--board-size', size);
+    boardElement.classList.toggle('large', size > 5);
+    if (focusIndex >= size * size) {
+        focusIndex = Math.floor(size * size / 2);
+    }
+
+    boardState = game;
+    renderCells();
+    if (hadFocus) focusCell(focusIndex);
 }
 
-// 安全的評估函數
+// 依 boardState 渲染所有格子：棋子、獲勝連線、焦點，以及目前局面的分析圖層、提示與失誤標示
+function renderCells() {
+    const state = boardState;
+    const size = state.size;
+    const winningLine = state.winningLine || [];
+    const result = state === game && analysis && analysis.state === game ? analysis.result : null;
+    const evaluations = new Map(result && analysisToggle.checked ? result.moves.map(move => [move.index, move]) : []);
+    const hintIndex = result && hintPosition === game ? result.best : null;
+
+    const cellView = index => {
+        const player = state.board[index];
+        const evaluation = evaluations.get(index);
+        const description = evaluation ? describeEvaluation(evaluation) : null;
+        const classes = [
+            'cell',
+            player !== '' && 'taken',
+            player === 'X' && 'x',
+            player === 'O' && 'o',
+            // 高亮獲勝格子
+            winningLine.includes(index) && 'winning',
+            index === hintIndex && 'hint',
+            evaluation && evaluation.outcome && `eval-${evaluation.outcome}`,
+            index === blunderIndex && 'blunder'
+        ];
+        return h('div', {
+            class: classes.filter(Boolean).join(' '),
+            'data-index': index,
+            role: 'gridcell',
+            tabindex: index === focusIndex ? '0' : '-1',
+            'aria-label': description
+                ? I18n.t('board.cellWithEvaluation', { label: cellLabel(state, index), evaluation: description })
+                : cellLabel(state, index),
+            'aria-disabled': String(player !== ''),
+            title: description
+        }, player || null, evaluation ? h('span', { class: 'cell-eval' }, evaluationLabel(evaluation)) : null);
+    };
+
+    const rows = [];
+    for (let r = 0; r < size; r++) {
+        const cells = [];
+        for (let c = 0; c < size; c++) {
+            cells.push(cellView(r * size + c));
+        }
+        rows.push(h('div', { class: 'board-row', role: 'row' }, cells));
+    }
+    renderView(boardElement, rows);
+}
+
+// 格子給螢幕報讀器的名稱，例如「B2，X」或「A1，空格」
+function cellLabel(state, index) {
+    return I18n.t('board.cell', {
+        cell: cellName(index, state.size),
+        content: state.board[index] || I18n.t('board.empty')
+    });
+}
+
+// 把鍵盤焦點移到指定格子
+function focusCell(index) {
+    if (index < 0 || index >= boardState.board.length) return;
+    focusIndex = index;
+    renderCells();
+    boardElement.querySelector(`.cell[data-index="${index}"]`).focus();
+}
+
+// 以滑鼠等方式聚焦格子時同步 roving tabindex
+function handleBoardFocus(e) {
+    if (!e.target.classList.contains('cell')) return;
+    const index = parseInt(e.target.getAttribute('data-index'));
+    if (index !== focusIndex) focusCell(index);
+}
+
+// 棋盤的鍵盤操作：方向鍵、Home／End 移動焦點，3×3 時數字鍵 1～9 直接跳到對應格子，
+// Enter 或空白鍵在焦點格下棋
+function handleBoardKeydown(e) {
+    if (!e.target.classList.contains('cell') || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    const size = game.size;
+    const row = Math.floor(focusIndex / size);
+    const col = focusIndex % size;
+    let target = null;
+
+    switch (e.key) {
+        case 'ArrowUp':
+            target = Math.max(row - 1, 0) * size + col;
+            break;
+        case 'ArrowDown':
+            target = Math.min(row + 1, size - 1) * size + col;
+            break;
+        case 'ArrowLeft':
+            target = row * size + Math.max(col - 1, 0);
+            break;
+        case 'ArrowRight':
+            target = row * size + Math.min(col + 1, size - 1);
+            break;
+        case 'Home':
+            target = e.shiftKey ? 0 : row * size;
+            break;
+        case 'End':
+            target = e.shiftKey ? size * size - 1 : row * size + size - 1;
+            break;
+        case 'Enter':
+        case ' ':
+            e.preventDefault();
+            if (canPlayCell(focusIndex)) playHumanMove(focusIndex);
+            return;
+        default:
+            if (size === 3 && /^[1-9]$/.test(e.key)) {
+                target = parseInt(e.key) - 1;
+            }
+    }
+
+    if (target === null) return;
+    e.preventDefault();
+    focusCell(target);
+}
+
+// 同步棋盤大小與連線長度的選單（連線長度不能超過邊長）
+function updateVariantControls() {
+    boardSizeSelect.value = boardSize;
+    Array.from(winLengthSelect.options).forEach(option => {
+        option.disabled = parseInt(option.value) > boardSize;
+    });
+    winLengthSelect.value = winLength;
+}
+
+// 安全的評估函數：以 Expression 解析四則運算，不把輸入當成程式碼執行
 function evaluateUserInput(input) {
-    // 使用更安全的替代方案
-    
-    // 方法 1：如果需要計算數學表達式
     if (typeof input === 'string' && input.trim().length > 0) {
-        // 使用 Function 建構子，限制作用域
         try {
-            // 只允許基本的數學運算
-            const sanitizedInput = input.replace(/[^0-9+\-*/.()\s]/g, '');
-            if (sanitizedInput !== input) {
-                throw new Error('不允許的字符');
-            }
-            // 創建一個新的函數來計算結果
-            const calculator = new Function('return ' + sanitizedInput);
-            return calculator();
+            return Expression.evaluate(input);
         } catch (error) {
             console.error('計算錯誤：', error);
             return null;
@@ -104,258 +415,940 @@ function evaluateUserInput(input) {
 
 // 處理格子點擊
 function handleCellClick(e) {
+    if (!e.target.classList.contains('cell')) return;
     const cellIndex = parseInt(e.target.getAttribute('data-index'));
     
-    if (board[cellIndex] !== '' || !gameActive || currentPlayer === 'O') {
+    if (!canPlayCell(cellIndex)) {
         return;
     }
     
     // 安全的 DOM 操作
-    const span = document.createElement('span');
-    span.textContent = e.target.getAttribute('data-index');
-    statusDisplay.textContent = ''; // 清空現有內容
-    statusDisplay.appendChild(span);
-    
-    makeMove(cellIndex, 'X');
+    renderStatus(e.target.getAttribute('data-index'));
     
-    if (gameActive && currentPlayer === 'O') {
-        // 電腦延遲 500 毫秒再下棋
-        setTimeout(computerMove, 500);
+    playHumanMove(cellIndex);
+}
+
+// 玩家現在能否在指定格子下棋
+function canPlayCell(index) {
+    return GameEngine.isLegalMove(game, index) && !isComputer(game.currentPlayer)
+        && !ComputerPlayer.isThinking() && !replayTimer
+        && (!online || game.currentPlayer === online.seat);
+}
+
+// 玩家下棋（滑鼠與鍵盤共用）
+function playHumanMove(index) {
+    // 線上對戰時交給伺服器判斷，局面在伺服器廣播後才更新
+    if (online) {
+        OnlineGame.move(index);
+        return;
+    }
+    // 下棋前的局面若已分析完成，用來判斷這一步是否為失誤
+    const before = analysis && analysis.state === game ? analysis.result : null;
+    makeMove(index);
+    reportBlunder(before, index);
+    scheduleNextTurn();
+}
+
+// 若輪到電腦，安排電腦下棋（電腦對電腦時依自動播放設定）
+function scheduleNextTurn() {
+    clearTimeout(autoPlayTimer);
+    updateAnalysis();
+    if (GameEngine.isOver(game) || !isComputer(game.currentPlayer)) return;
+
+    if (mode !== 'cvc') {
+        computerMove();
+    } else if (autoPlay) {
+        autoPlayTimer = setTimeout(computerMove, AUTO_PLAY_DELAY);
     }
 }
 
-// 執行移動
-function makeMove(index, player) {
-    board[index] = player;
-    const cell = document.querySelector(`[data-index="${index}"]`);
-    cell.textContent = player;
-    cell.classList.add('taken');
-    cell.classList.add(player.toLowerCase());
+// 執行移動：交由引擎更新狀態，再渲染結果（新的一步會清除可重做的棋步）
+function makeMove(index) {
+    game = GameEngine.applyMove(game, index);
+    redoStack = [];
+    moveTimes = moveTimes.slice(0, game.moves.length - 1).concat(Date.now());
     
+    renderPosition(game);
     checkResult();
-    
-    if (gameActive) {
-        currentPlayer = currentPlayer === 'X' ? 'O' : 'X';
-        updateStatus();
+    updateStatus();
+    renderHistory();
+    announceMove(game.moves[game.moves.length - 1]);
+}
+
+// 透過 live region 讓螢幕報讀器念出訊息
+function announce(message) {
+    setTextContent(announcer, message);
+}
+
+// 念出剛下的一步；分出勝負時一併念出結果
+function announceMove(move) {
+    let key = 'announce.player';
+    if (online && online.seat) {
+        key = move.player === online.seat ? 'announce.you' : 'announce.opponent';
+    } else if (isComputer(move.player)) {
+        key = 'announce.computer';
+    } else if (isSinglePlayerMode()) {
+        key = 'announce.you';
     }
+    const message = I18n.t(key, { player: move.player, cell: cellName(move.index, game.size) });
+    announce(GameEngine.isOver(game)
+        ? I18n.t('announce.withResult', { move: message, result: statusText })
+        : message);
 }
 
-// 檢查遊戲結果
+// 依遊戲狀態渲染所有格子與獲勝連線
+function renderPosition(state) {
+    boardState = state;
+    renderCells();
+}
+
+// 記錄遊戲結果（悔棋後重新分出勝負時不重複計分）
 function checkResult() {
-    let roundWon = false;
-    let winningCombination = null;
-    
-    for (let i = 0; i < winningConditions.length; i++) {
-        const [a, b, c] = winningConditions[i];
-        if (board[a] && board[a] === board[b] && board[a] === board[c]) {
-            roundWon = true;
-            winningCombination = [a, b, c];
-            break;
-        }
-    }
-    
-    if (roundWon) {
-        const winner = currentPlayer;
-        gameActive = false;
-        
-        // 高亮獲勝格子
-        winningCombination.forEach(index => {
-            document.querySelector(`[data-index="${index}"]`).classList.add('winning');
-        });
-        
-        if (winner === 'X') {
-            playerScore++;
-            statusDisplay.textContent = '🎉 恭喜您獲勝！';
-        } else {
-            computerScore++;
-            statusDisplay.textContent = '😢 電腦獲勝！';
-        }
-        statusDisplay.classList.add('winner');
-        updateScoreDisplay();
-        return;
-    }
-    
-    // 檢查平手
-    if (!board.includes('')) {
-        gameActive = false;
-        drawScore++;
-        statusDisplay.textContent = '平手！';
-        statusDisplay.classList.add('draw');
-        updateScoreDisplay();
+    const winner = GameEngine.winner(game);
+    if (winner === null || resultRecorded) return;
+
+    resultRecorded = true;
+    scores[mode][winner]++;
+    gameHistory = GameStats.appendGame(gameHistory, createGameEntry(winner));
+    updateScoreDisplay();
+}
+
+// 建立統計用的對局紀錄；勝負以玩家的角度計算，雙人對戰與電腦對電腦則以 X 為準
+function createGameEntry(winner) {
+    const perspective = mode === 'cvp' ? 'O' : 'X';
+    let outcome = 'draw';
+    if (winner !== 'draw') {
+        outcome = winner === perspective ? 'win' : 'loss';
     }
+
+    return {
+        endedAt: new Date().toISOString(),
+        mode,
+        difficulty: mode === 'pvp' ? null : difficulty,
+        difficultyX: mode === 'cvc' ? difficultyX : null,
+        boardSize: game.size,
+        winLength: game.winLength,
+        winner,
+        outcome,
+        length: game.moves.length,
+        opening: game.moves[0].index
+    };
+}
+
+// 顯示狀態列；outcome 為 winner 或 draw 時加上對應的樣式
+function renderStatus(text, outcome = null) {
+    statusText = text;
+    renderView(statusArea, h('div', { class: outcome ? `status ${outcome}` : 'status' }, text));
 }
 
 // 更新狀態顯示
 function updateStatus() {
-    if (gameActive) {
-        if (currentPlayer === 'X') {
-            statusDisplay.textContent = '您是 X，輪到您下棋';
-        } else {
-            statusDisplay.textContent = '電腦是 O，正在思考...';
+    const winner = GameEngine.winner(game);
+
+    if (winner === 'draw') {
+        renderStatus(I18n.t('status.draw'), 'draw');
+        return;
+    }
+
+    if (winner !== null) {
+        let key = 'status.playerWins';
+        if (online && online.seat) {
+            key = winner === online.seat ? 'status.youWin' : 'online.opponentWins';
+        } else if (isSinglePlayerMode()) {
+            key = isComputer(winner) ? 'status.computerWins' : 'status.youWin';
+        } else if (mode === 'cvc') {
+            key = 'status.computerPlayerWins';
         }
+        renderStatus(I18n.t(key, { player: winner }), 'winner');
+        return;
+    }
+
+    const player = game.currentPlayer;
+    let key = 'status.waitingForStep';
+    if (online) {
+        key = onlineTurnKey(player);
+    } else if (!isComputer(player)) {
+        key = isSinglePlayerMode() ? 'status.yourTurn' : 'status.turn';
+    } else if (mode !== 'cvc') {
+        key = 'status.computerThinking';
+    } else if (autoPlay || ComputerPlayer.isThinking()) {
+        key = 'status.computerPlayerThinking';
     }
+    renderStatus(I18n.t(key, { player, room: online ? online.room : '' }));
 }
 
-// 電腦移動
+// 電腦移動：交給 ComputerPlayer 在 Worker 中思考
 function computerMove() {
-    if (!gameActive) return;
+    if (GameEngine.isOver(game)) return;
     
-    let move;
+    const position = game;
+    showThinking();
     
-    switch(difficulty) {
-        case 'easy':
-            move = getRandomMove();
-            break;
-        case 'medium':
-            move = getMediumMove();
-            break;
-        case 'hard':
-            move = getBestMove();
-            break;
+    ComputerPlayer.think(position, aiDifficultyFor(position.currentPlayer), {
+        timeBudget: AI_TIME_BUDGET,
+        onProgress: updateThinking
+    }).then(({ move }) => {
+        hideThinking();
+        // 思考期間局面若已改變（例如重新開始），結果作廢
+        if (game !== position || move === -1) return;
+        makeMove(move);
+        scheduleNextTurn();
+    }).catch(error => {
+        if (error.name === 'AbortError') return;
+        hideThinking();
+        console.error('電腦思考失敗:', error);
+        // 退回隨機走法，避免遊戲卡住
+        if (game === position) {
+            const move = GameAI.getRandomMove(game);
+            if (move !== -1) makeMove(move);
+            scheduleNextTurn();
+        }
+    });
+    updateStatus();
+}
+
+// 是否可以分析目前局面（只在輪到玩家時分析，避免分析排在電腦思考之前、拖慢電腦下棋）
+function canAnalyze() {
+    return !online && !GameEngine.isOver(game) && !isComputer(game.currentPlayer) && !replayTimer;
+}
+
+// 局面或分析設定改變後，視需要在背景分析並更新畫面
+function updateAnalysis() {
+    hintBtn.disabled = !canAnalyze();
+    if (canAnalyze() && (analysisToggle.checked || blunderToggle.checked || hintPosition === game)) {
+        startAnalysis();
+    } else if (analysis && analysis.state !== game) {
+        analysis = null;
+    }
+    renderAnalysis();
+}
+
+// 開始分析目前局面（同一局面只分析一次）
+function startAnalysis() {
+    if (analysis && analysis.state === game) return;
+
+    const position = game;
+    analysis = { state: position, result: null };
+    ComputerPlayer.analyze(position, { timeBudget: ANALYSIS_TIME_BUDGET }).then(result => {
+        if (!analysis || analysis.state !== position) return;
+        analysis.result = result;
+        renderAnalysis();
+    }).catch(error => {
+        if (analysis && analysis.state === position) analysis = null;
+        if (error.name !== 'AbortError') console.error('局面分析失敗:', error);
+    });
+}
+
+// 分析結果的說明文字
+function describeEvaluation(evaluation) {
+    switch (evaluation.outcome) {
+        case 'win':
+            return I18n.t('analysis.win', { count: evaluation.distance });
+        case 'loss':
+            return I18n.t('analysis.loss', { count: evaluation.distance });
+        case 'draw':
+            return I18n.t('analysis.draw');
         default:
-            move = getRandomMove();
+            return I18n.t('analysis.unknown');
     }
-    
-    if (move !== -1) {
-        makeMove(move, 'O');
+}
+
+// 分析圖層上的簡短標記（勝／負後面是到分出勝負的手數）
+function evaluationLabel(evaluation) {
+    switch (evaluation.outcome) {
+        case 'win':
+            return I18n.t('analysis.shortWin', { count: evaluation.distance });
+        case 'loss':
+            return I18n.t('analysis.shortLoss', { count: evaluation.distance });
+        case 'draw':
+            return I18n.t('analysis.shortDraw');
+        default:
+            return I18n.t('analysis.shortUnknown');
     }
 }
 
-// 簡單難度：隨機移動
-function getRandomMove() {
-    const availableMoves = [];
-    board.forEach((cell, index) => {
-        if (cell === '') {
-            availableMoves.push(index);
-        }
-    });
-    
-    if (availableMoves.length === 0) return -1;
-    
-    return availableMoves[Math.floor(Math.random() * availableMoves.length)];
+// 在棋盤上顯示分析圖層與提示
+function renderAnalysis() {
+    renderCells();
+    if (hintPosition !== game) return;
+
+    const result = analysis && analysis.state === game ? analysis.result : null;
+    coachMessage.classList.remove('blunder');
+    setTextContent(coachMessage, result
+        ? I18n.t('analysis.hintMessage', {
+            cell: cellName(result.best, game.size),
+            evaluation: describeEvaluation(result.moves.find(move => move.index === result.best))
+        })
+        : I18n.t('analysis.analyzing'));
+}
+
+// 提示目前局面的最佳棋步
+function showHint() {
+    if (!canAnalyze()) return;
+    hintPosition = game;
+    updateAnalysis();
+}
+
+// 清除提示與失誤訊息
+function clearCoachMessage() {
+    if (blunderIndex !== null) {
+        blunderIndex = null;
+        renderCells();
+    }
+    setTextContent(coachMessage, '');
+    coachMessage.classList.remove('blunder');
 }
 
-// 中等難度：混合策略
-function getMediumMove() {
-    // 50% 機會使用最佳策略，50% 機會隨機
-    if (Math.random() < 0.5) {
-        return getBestMove();
+// 玩家下完後檢查是否為失誤（需要下棋前的局面已分析完成）
+function reportBlunder(before, index) {
+    clearCoachMessage();
+    if (!blunderToggle.checked || !before) return;
+
+    const blunder = GameAI.findBlunder(before, index);
+    if (!blunder) return;
+
+    blunderIndex = index;
+    renderCells();
+    coachMessage.classList.add('blunder');
+    setTextContent(coachMessage, I18n.t('analysis.blunder', {
+        cell: cellName(index, game.size),
+        evaluation: describeEvaluation(blunder.move),
+        best: cellName(blunder.best.index, game.size),
+        bestEvaluation: describeEvaluation(blunder.best)
+    }));
+}
+
+// 電腦對電腦：手動走一步
+function handleStep() {
+    if (mode !== 'cvc' || GameEngine.isOver(game) || ComputerPlayer.isThinking()) return;
+    computerMove();
+}
+
+// 電腦對電腦：切換自動播放
+function toggleAutoPlay() {
+    autoPlay = !autoPlay;
+    updateModeControls();
+    if (autoPlay) {
+        if (!ComputerPlayer.isThinking()) scheduleNextTurn();
     } else {
-        return getRandomMove();
+        clearTimeout(autoPlayTimer);
     }
+    updateStatus();
 }
 
-// 困難難度：Minimax 演算法
-function getBestMove() {
-    let bestScore = -Infinity;
-    let bestMove = -1;
-    
-    for (let i = 0; i < 9; i++) {
-        if (board[i] === '') {
-            board[i] = 'O';
-            let score = minimax(board, 0, false);
-            board[i] = '';
-            
-            if (score > bestScore) {
-                bestScore = score;
-                bestMove = i;
-            }
-        }
+// 顯示思考指示
+function showThinking() {
+    thinkingProgress.value = 0;
+    setTextContent(thinkingDetail, '');
+    thinkingDisplay.hidden = false;
+}
+
+// 依搜尋進度更新思考指示
+function updateThinking(stats) {
+    thinkingProgress.value = Math.min(100, Math.round(stats.elapsed / AI_TIME_BUDGET * 100));
+    setTextContent(thinkingDetail, I18n.t('thinking.detail', { depth: stats.depth, count: stats.nodes }));
+}
+
+// 隱藏思考指示
+function hideThinking() {
+    thinkingDisplay.hidden = true;
+}
+
+// 格子名稱（欄以字母、列以數字表示，例如 B2）
+function cellName(index, size) {
+    return `${String.fromCharCode(65 + index % size)}${Math.floor(index / size) + 1}`;
+}
+
+// 完整的棋步時間軸：目前局面之前的棋步加上可重做的棋步
+function timeline() {
+    return game.moves.map(move => move.index).concat(redoStack);
+}
+
+// 渲染棋譜（目前局面之後的棋步以淡色顯示，可點擊跳回任何局面；重播時 currentPly 為重播到的手數）
+function renderHistory(currentPly = game.moves.length) {
+    let player = game.firstPlayer;
+    renderView(moveList, timeline().map((index, i) => {
+        const ply = i + 1;
+        const classes = ['history-move', ply === currentPly && 'current', ply > game.moves.length && 'future'];
+        const item = h('li', null, h('button', { class: classes.filter(Boolean).join(' '), 'data-ply': ply },
+            I18n.t('history.move', { player, cell: cellName(index, game.size) })));
+        player = GameEngine.otherPlayer(player);
+        return item;
+    }));
+
+    updateHistoryControls();
+}
+
+// 更新悔棋、重做與重播按鈕
+function updateHistoryControls() {
+    undoBtn.disabled = !canUndo();
+    redoBtn.disabled = redoStack.length === 0;
+    replayBtn.disabled = !replayTimer && !GameEngine.isOver(game);
+    setTextContent(replayBtn, I18n.t(replayTimer ? 'controls.stopReplay' : 'controls.replay'));
+}
+
+// 是否有可悔的棋（人機對戰時必須有玩家下過的棋）
+function canUndo() {
+    if (online) return false;
+    if (!isSinglePlayerMode()) return game.moves.length > 0;
+    return game.moves.some(move => !isComputer(move.player));
+}
+
+// 跳到時間軸上的第 ply 手之後的局面
+function jumpTo(ply) {
+    const moves = timeline();
+    stopReplay();
+    ComputerPlayer.cancel();
+    clearTimeout(autoPlayTimer);
+    hideThinking();
+    if (autoPlay) {
+        autoPlay = false;
+        updateModeControls();
     }
-    
-    return bestMove;
+
+    game = GameEngine.replay(moves.slice(0, ply), GameEngine.rulesOf(game));
+    redoStack = moves.slice(ply);
+    clearCoachMessage();
+
+    renderPosition(game);
+    updateStatus();
+    renderHistory();
+    announce(ply === 0 ? I18n.t('announce.start') : I18n.t('announce.ply', { ply }));
+    scheduleNextTurn();
 }
 
-// Minimax 演算法實現
-function minimax(board, depth, isMaximizing) {
-    const result = checkWinner();
-    
-    if (result !== null) {
-        if (result === 'O') return 10 - depth;
-        if (result === 'X') return depth - 10;
-        return 0;
+// 悔棋：人機對戰時連同電腦的回應一起撤銷，回到輪到玩家的局面
+function undoMove() {
+    if (!canUndo()) return;
+
+    let count = 1;
+    if (isSinglePlayerMode()) {
+        let lastHuman = game.moves.length - 1;
+        while (isComputer(game.moves[lastHuman].player)) lastHuman--;
+        count = game.moves.length - lastHuman;
     }
-    
-    if (isMaximizing) {
-        let bestScore = -Infinity;
-        for (let i = 0; i < 9; i++) {
-            if (board[i] === '') {
-                board[i] = 'O';
-                let score = minimax(board, depth + 1, false);
-                board[i] = '';
-                bestScore = Math.max(score, bestScore);
-            }
-        }
-        return bestScore;
-    } else {
-        let bestScore = Infinity;
-        for (let i = 0; i < 9; i++) {
-            if (board[i] === '') {
-                board[i] = 'X';
-                let score = minimax(board, depth + 1, true);
-                board[i] = '';
-                bestScore = Math.min(score, bestScore);
-            }
+    jumpTo(game.moves.length - count);
+}
+
+// 重做：人機對戰時連同電腦的回應一起重做
+function redoMove() {
+    if (redoStack.length === 0) return;
+
+    const moves = timeline();
+    const rules = GameEngine.rulesOf(game);
+    let ply = game.moves.length + 1;
+    if (isSinglePlayerMode()) {
+        while (ply < moves.length && isComputer(GameEngine.replay(moves.slice(0, ply), rules).currentPlayer)) {
+            ply++;
         }
-        return bestScore;
     }
+    jumpTo(ply);
 }
 
-// 檢查勝者（用於 Minimax）
-function checkWinner() {
-    for (let i = 0; i < winningConditions.length; i++) {
-        const [a, b, c] = winningConditions[i];
-        if (board[a] && board[a] === board[b] && board[a] === board[c]) {
-            return board[a];
-        }
+// 處理棋譜點擊
+function handleHistoryClick(e) {
+    const button = e.target.closest('[data-ply]');
+    // 線上對戰的局面由伺服器決定，不能跳回之前的局面
+    if (!button || online) return;
+    jumpTo(parseInt(button.getAttribute('data-ply')));
+}
+
+// 以棋譜格式描述一方玩家
+function playerInfo(player) {
+    return isComputer(player)
+        ? { type: 'ai', difficulty: difficultyFor(player) }
+        : { type: 'human' };
+}
+
+// 顯示棋譜匯入／匯出的結果訊息
+function showRecordMessage(message, isError) {
+    setTextContent(recordMessage, message);
+    recordMessage.classList.toggle('error', Boolean(isError));
+}
+
+// 複製精簡記譜（同時填入文字框，剪貼簿不可用時可手動複製）
+function copyNotation() {
+    const notation = GameRecord.toNotation(game);
+    recordText.value = notation;
+
+    if (!navigator.clipboard) {
+        showRecordMessage(I18n.t('record.copyManually'));
+        return;
     }
-    
-    if (!board.includes('')) {
-        return 'draw';
+    navigator.clipboard.writeText(notation)
+        .then(() => showRecordMessage(I18n.t('record.copied')))
+        .catch(() => showRecordMessage(I18n.t('record.copyManually')));
+}
+
+// 下載檔案：以不放進頁面的連結觸發下載。blob: 網址不在 secure-dom.js 的網址政策之內，
+// 連結也不會出現在頁面上，所以直接建立；網址等下載開始後再釋放（立即釋放時部分瀏覽器會下載失敗）
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 40 * 1000);
+}
+
+// 匯出 JSON 棋譜檔案
+function exportRecord() {
+    const record = GameRecord.createRecord(game, {
+        mode,
+        players: { X: playerInfo('X'), O: playerInfo('O') },
+        moveTimes
+    });
+    const blob = new Blob([GameRecord.stringify(record)], { type: 'application/json' });
+    downloadBlob(blob, `tic-tac-toe-${record.createdAt.replace(/[:.]/g, '-')}.json`);
+    showRecordMessage(I18n.t('record.exported'));
+}
+
+// 讀取棋譜檔案
+function handleRecordFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    file.text().then(text => {
+        recordText.value = text;
+        importRecord(text);
+    }).catch(error => {
+        showRecordMessage(I18n.t('record.readFailed', { message: error.message }), true);
+    });
+    e.target.value = '';
+}
+
+// 匯入棋譜（JSON 或精簡記譜），重放驗證後載入為目前局面
+function importRecord(text) {
+    let imported;
+    try {
+        imported = GameRecord.importText(text);
+    } catch (error) {
+        showRecordMessage(error.message, true);
+        return;
     }
-    
-    return null;
+
+    const { state, record } = imported;
+    const supported = select => Array.from(select.options)
+        .some(option => parseInt(option.value) === (select === boardSizeSelect ? state.size : state.winLength));
+    if (!supported(boardSizeSelect) || !supported(winLengthSelect)) {
+        showRecordMessage(I18n.t('record.unsupportedBoard', { size: state.size, winLength: state.winLength }), true);
+        return;
+    }
+
+    boardSize = state.size;
+    winLength = state.winLength;
+    updateVariantControls();
+    saveGameState();
+    resetGame();
+
+    // 匯入的對局不計分
+    clearTimeout(autoPlayTimer);
+    ComputerPlayer.cancel();
+    hideThinking();
+    game = state;
+    moveTimes = record ? record.moves.map(move => (move.time ? Date.parse(move.time) : null)) : [];
+    resultRecorded = true;
+
+    renderPosition(game);
+    updateStatus();
+    renderHistory();
+    scheduleNextTurn();
+    showRecordMessage(I18n.t('record.imported', { count: game.moves.length }));
+}
+
+// 線上對戰時輪到某一方的狀態文字
+function onlineTurnKey(player) {
+    if (!online.players) return 'online.connecting';
+    if (!online.seat) return 'status.turn';
+
+    const opponent = online.players[GameEngine.otherPlayer(online.seat)];
+    if (opponent === 'empty') return 'online.waitingForOpponent';
+    if (opponent === 'disconnected') return 'online.opponentDisconnected';
+    return player === online.seat ? 'status.yourTurn' : 'online.opponentTurn';
+}
+
+// 顯示線上對戰的連線或錯誤訊息
+function showOnlineMessage(message, isError) {
+    setTextContent(onlineMessage, message);
+    onlineMessage.classList.toggle('error', Boolean(isError));
+}
+
+// 依是否在房間中切換線上面板，並停用只適用於本機對局的控制項
+function updateOnlineControls() {
+    const inRoom = online !== null;
+    onlineLobby.hidden = OnlineGame.isActive();
+    onlineRoom.hidden = !inRoom;
+    [modeSelect, difficultyXSelect, boardSizeSelect, winLengthSelect, resetBtn].forEach(control => {
+        control.disabled = inRoom;
+    });
+    updateModeControls();
+    if (!inRoom) return;
+
+    setTextContent(roomCode, online.room);
+    setTextContent(onlineRole, online.seat
+        ? I18n.t('online.seat', { player: online.seat })
+        : I18n.t('online.spectator'));
+    setTextContent(onlinePlayers, online.players
+        ? I18n.t('online.players', {
+            x: I18n.t(`online.presence.${online.players.X}`),
+            o: I18n.t(`online.presence.${online.players.O}`),
+            count: online.spectators
+        })
+        : '');
+    rematchBtn.hidden = !online.seat;
+    rematchBtn.disabled = !GameEngine.isOver(game);
+}
+
+// 建立房間（使用目前的棋盤設定）
+function createRoom() {
+    showOnlineMessage(I18n.t('online.connecting'));
+    OnlineGame.create({ size: boardSize, winLength });
+}
+
+// 以加入代碼入座或觀戰
+function joinRoom(spectate) {
+    const code = joinCodeInput.value.trim();
+    if (!/^[A-Za-z0-9]{6}$/.test(code)) {
+        showOnlineMessage(I18n.t('online.errors.badCode'), true);
+        return;
+    }
+    showOnlineMessage(I18n.t('online.connecting'));
+    OnlineGame.join(code, spectate);
+}
+
+// 進入房間：停止本機對局，等待伺服器送來局面
+function handleOnlineJoined({ room, seat }) {
+    stopReplay();
+    ComputerPlayer.cancel();
+    clearTimeout(autoPlayTimer);
+    hideThinking();
+    autoPlay = false;
+    hintPosition = null;
+    analysis = null;
+    clearCoachMessage();
+    showOnlineMessage('');
+
+    online = { room, seat, players: null, spectators: 0 };
+    updateOnlineControls();
+    updateStatus();
+}
+
+// 伺服器廣播的局面：重放棋步（同時再次驗證），再更新畫面
+function handleOnlineState(snapshot) {
+    if (!online) return;
+
+    let next;
+    try {
+        next = GameEngine.replay(snapshot.moves, snapshot.rules);
+    } catch (error) {
+        console.error('無效的線上局面:', error);
+        return;
+    }
+    const previous = game;
+    showOnlineMessage('');
+    online.players = snapshot.players;
+    online.spectators = snapshot.spectators;
+
+    stopReplay();
+    game = next;
+    redoStack = [];
+    moveTimes = [];
+    // 線上對局不計入本機的分數與統計
+    resultRecorded = true;
+    if (next.moves.length === 0) clearCoachMessage();
+
+    if (boardElement.querySelectorAll('.cell').length !== game.board.length) {
+        renderBoard();
+    }
+    renderPosition(game);
+    updateStatus();
+    renderHistory();
+    updateAnalysis();
+    updateOnlineControls();
+
+    const sameGame = previous.size === next.size && previous.firstPlayer === next.firstPlayer;
+    if (sameGame && next.moves.length === previous.moves.length + 1) {
+        announceMove(next.moves[next.moves.length - 1]);
+    }
+}
+
+// 伺服器或連線的錯誤
+function handleOnlineError(code) {
+    showOnlineMessage(I18n.t(`online.errors.${code}`), true);
+    // 被拒絕的棋步不會改變局面，恢復原本的狀態文字
+    if (online) updateStatus();
+}
+
+// 連線狀態改變；離開房間（或無法重連）後回到本機對局
+function handleOnlineStatus(status) {
+    if (status === 'reconnecting') {
+        showOnlineMessage(I18n.t('online.reconnecting'));
+    } else if (status === 'open' && online) {
+        showOnlineMessage('');
+    } else if (status === 'closed' && online) {
+        online = null;
+        updateOnlineControls();
+        resetGame();
+        return;
+    }
+    updateOnlineControls();
+}
+
+// 逐步重播已結束的一局（最後重現獲勝連線的高亮）
+function toggleReplay() {
+    if (replayTimer) {
+        stopReplay();
+        return;
+    }
+    if (!GameEngine.isOver(game)) return;
+
+    const moves = game.moves.map(move => move.index);
+    let state = GameEngine.createGame(GameEngine.rulesOf(game));
+
+    const step = () => {
+        renderPosition(state);
+        renderHistory(state.moves.length);
+
+        if (state.moves.length === moves.length) {
+            stopReplay();
+            return;
+        }
+        renderStatus(I18n.t('status.replaying', { ply: state.moves.length, total: moves.length }));
+        state = GameEngine.applyMove(state, moves[state.moves.length]);
+        replayTimer = setTimeout(step, REPLAY_DELAY);
+    };
+
+    replayTimer = setTimeout(step, 0);
+    updateHistoryControls();
+}
+
+// 停止重播並回到目前局面
+function stopReplay() {
+    if (!replayTimer) return;
+
+    clearTimeout(replayTimer);
+    replayTimer = null;
+    renderPosition(game);
+    updateStatus();
+    renderHistory();
 }
 
 // 重置遊戲
 function resetGame() {
-    board = ['', '', '', '', '', '', '', '', ''];
-    currentPlayer = 'X';
-    gameActive = true;
+    // 取消進行中的電腦思考
+    ComputerPlayer.cancel();
+    clearTimeout(autoPlayTimer);
+    hideThinking();
+    clearTimeout(replayTimer);
+    replayTimer = null;
+    game = GameEngine.createGame({ size: boardSize, winLength });
+    redoStack = [];
+    moveTimes = [];
+    resultRecorded = false;
+    clearCoachMessage();
     
-    statusDisplay.textContent = '您是 X，輪到您下棋';
-    statusDisplay.classList.remove('winner', 'draw');
+    updateStatus();
     
-    cells.forEach(cell => {
-        cell.textContent = '';
-        cell.classList.remove('taken', 'x', 'o', 'winning');
-    });
+    renderBoard();
+    renderHistory();
+    scheduleNextTurn();
 }
 
-// 重置分數
+// 重置分數（只重置目前模式）
 function resetScore() {
-    playerScore = 0;
-    computerScore = 0;
-    drawScore = 0;
-    updateScoreDisplay(); // 這會同時更新顯示和保存到 Cookie
+    scores[mode] = { X: 0, O: 0, draw: 0 };
+    updateScoreDisplay(); // 這會同時更新顯示和保存狀態
     resetGame();
 }
 
 // 更新分數顯示
 function updateScoreDisplay() {
-    playerScoreDisplay.textContent = playerScore;
-    computerScoreDisplay.textContent = computerScore;
-    drawScoreDisplay.textContent = drawScore;
-    // 保存遊戲狀態到 Cookie
-    GameStorage.saveGameState();
+    const current = scores[mode];
+    const entry = (label, count) => h('span', null, h('span', { class: 'score-label' }, label), ': ', h('span', null, count));
+    const playerLabel = player => I18n.t(isComputer(player) ? 'score.computer' : 'score.human', { player });
+    renderView(scoreArea, h('div', { class: 'score' },
+        entry(playerLabel('X'), current.X),
+        entry(playerLabel('O'), current.O),
+        entry(I18n.t('score.draw'), current.draw)));
+    renderStats();
+    saveGameState();
+}
+
+// 對局紀錄的難度說明
+function difficultyText(entry) {
+    if (entry.difficulty === null) return I18n.t('stats.none');
+    const label = I18n.t(`difficulties.${entry.difficulty}`);
+    return entry.difficultyX === null
+        ? label
+        : I18n.t('stats.difficultyPair', { x: I18n.t(`difficulties.${entry.difficultyX}`), o: label });
+}
+
+// 依目前語言格式化的百分比與小數
+function percent(rate) {
+    return new Intl.NumberFormat(I18n.getLocale(), { style: 'percent', maximumFractionDigits: 0 }).format(rate);
+}
+
+function decimal(value) {
+    return new Intl.NumberFormat(I18n.getLocale(), { minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(value);
+}
+
+// 渲染統計面板（篩選條件留空代表全部）
+function renderStats() {
+    const games = GameStats.filterGames(gameHistory, {
+        mode: statsModeSelect.value,
+        difficulty: statsDifficultySelect.value
+    });
+    const summary = GameStats.summarize(games);
+    const streak = summary.currentStreak;
+    const opening = summary.commonOpening;
+
+    const items = [
+        ['stats.games', summary.games],
+        ['stats.winRate', percent(summary.winRate)],
+        ['stats.lossRate', percent(summary.lossRate)],
+        ['stats.drawRate', percent(summary.drawRate)],
+        ['stats.current', streak.outcome
+            ? I18n.t(`stats.streak.${streak.outcome}`, { count: streak.length })
+            : I18n.t('stats.none')],
+        ['stats.longestWinStreak', summary.longestWinStreak],
+        ['stats.averageLength', decimal(summary.averageLength)],
+        ['stats.commonOpening', opening
+            ? I18n.t('stats.opening', {
+                cell: cellName(opening.index, opening.boardSize),
+                size: opening.boardSize,
+                count: opening.count
+            })
+            : I18n.t('stats.none')]
+    ];
+    renderView(statsSummary, items.map(([term, value]) => [
+        h('dt', null, I18n.t(term)),
+        h('dd', null, String(value))
+    ]));
+
+    renderView(statsBreakdown, GameStats.breakdown(games).map(group => h('tr', null, [
+        I18n.t(`modes.${group.mode}`),
+        difficultyText(group),
+        group.summary.games,
+        percent(group.summary.winRate),
+        percent(group.summary.lossRate),
+        percent(group.summary.drawRate),
+        decimal(group.summary.averageLength)
+    ].map(value => h('td', null, String(value))))));
+
+    renderView(statsRecent, GameStats.recent(games, RECENT_GAMES).map(entry =>
+        h('li', null, I18n.t('stats.recentItem', {
+            outcome: I18n.t(`stats.outcome.${entry.outcome}`),
+            mode: I18n.t(`modes.${entry.mode}`),
+            difficulty: difficultyText(entry),
+            size: entry.boardSize,
+            count: entry.length,
+            date: new Date(entry.endedAt).toLocaleString(I18n.getLocale())
+        }))));
+
+    exportStatsBtn.disabled = games.length === 0;
+}
+
+// 匯出目前篩選條件下的對局紀錄為 CSV
+function exportStats() {
+    const games = GameStats.filterGames(gameHistory, {
+        mode: statsModeSelect.value,
+        difficulty: statsDifficultySelect.value
+    });
+    // 加上 BOM 讓試算表軟體以 UTF-8 開啟
+    const blob = new Blob(['\uFEFF' + GameStats.toCsv(games)], { type: 'text/csv' });
+    downloadBlob(blob, `tic-tac-toe-stats-${new Date().toISOString().replace(/[:.]/g, '-')}.csv`);
+}
+
+// 清除所有對局紀錄（分數不受影響）
+function clearStats() {
+    if (!confirm(I18n.t('stats.confirmClear'))) return;
+    gameHistory = [];
+    renderStats();
+    saveGameState();
 }
 
 // 處理難度變更
 function handleDifficultyChange(e) {
-    difficulty = e.target.value;
+    if (e.target === difficultyXSelect) {
+        difficultyX = e.target.value;
+    } else {
+        difficulty = e.target.value;
+    }
+    saveGameState();
     resetGame();
 }
 
+// 處理對戰模式變更
+function handleModeChange(e) {
+    mode = e.target.value;
+    autoPlay = false;
+    updateModeControls();
+    updateScoreDisplay();
+    resetGame();
+}
+
+// 處理棋盤大小或連線長度變更
+function handleVariantChange(e) {
+    boardSize = parseInt(boardSizeSelect.value);
+    // 換棋盤時預設使用最長可用的連線（15×15 為五子棋）
+    const requested = parseInt(winLengthSelect.value);
+    const maxLength = Math.min(boardSize, 5);
+    winLength = e.target === boardSizeSelect ? maxLength : Math.min(requested, maxLength);
+    updateVariantControls();
+    saveGameState();
+    resetGame();
+}
+
+// 套用顯示與語言設定：高對比主題、減少動態效果（跟隨系統時依 prefers-reduced-motion），
+// 以及介面語言（未指定或不支援時依瀏覽器的語言偏好）與頁面上的靜態文字
+function applySettings() {
+    const reduceMotion = settings.motion === 'reduce'
+        || (settings.motion === 'system' && reducedMotionQuery !== null && reducedMotionQuery.matches);
+    document.documentElement.classList.toggle('high-contrast', settings.highContrast);
+    document.documentElement.classList.toggle('reduce-motion', reduceMotion);
+    highContrastToggle.checked = settings.highContrast;
+    motionSelect.value = settings.motion;
+
+    const browserLanguages = navigator.languages || [navigator.language];
+    I18n.setLocale(I18n.resolveLocale([settings.locale].concat(browserLanguages)));
+    document.documentElement.lang = I18n.getLocale();
+    languageSelect.value = settings.locale || '';
+    I18n.translateDocument(document);
+}
+
+// 切換語言後重新產生由程式寫入的文字（同時保存狀態）
+function refreshText() {
+    updateModeControls();
+    updateOnlineControls();
+    renderHistory();
+    if (!replayTimer) updateStatus();
+    renderAnalysis();
+    updateScoreDisplay();
+}
+
+// 處理顯示與語言設定變更
+function handleSettingsChange() {
+    const previousLocale = I18n.getLocale();
+    settings = {
+        highContrast: highContrastToggle.checked,
+        motion: motionSelect.value,
+        locale: languageSelect.value || null
+    };
+    applySettings();
+    if (I18n.getLocale() !== previousLocale) {
+        refreshText();
+    } else {
+        saveGameState();
+    }
+}
+
+// 瀏覽器的語言偏好改變（只影響跟隨瀏覽器的設定）
+function handleBrowserLanguageChange() {
+    const previousLocale = I18n.getLocale();
+    applySettings();
+    if (I18n.getLocale() !== previousLocale) refreshText();
+}
+
 // 安全的輸入驗證函數
 function validateInput(input) {
     // 1. 檢查輸入類型
@@ -0,0 +1,415 @@
+/**
+ * @fileoverview 電腦玩家的搜尋核心
+ * Negamax + Alpha-Beta 剪枝、考慮棋盤對稱的置換表（Zobrist 雜湊）、
+ * 有時間預算的迭代加深，以及深度上限時的啟發式評估
+ */
+
+const GameSearch = (() => {
+    const Engine = typeof GameEngine !== 'undefined' ? GameEngine : require('./engine.js');
+
+    // 勝負分數：越快獲勝分數越高，MATE_BOUND 以上視為必勝／必敗
+    const WIN_SCORE = 1000000;
+    const MATE_BOUND = WIN_SCORE - 1000;
+
+    // 置換表的邊界類型
+    const EXACT = 0;
+    const LOWER = 1;
+    const UPPER = 2;
+
+    const DEFAULT_TIME_BUDGET = 1000;
+    const MAX_TABLE_ENTRIES = 500000;
+    // 每搜尋多少節點檢查一次時間
+    const TIME_CHECK_INTERVAL = 1024;
+    // 超過此格數的棋盤只考慮既有棋子附近的空格
+    const NEIGHBORHOOD_MIN_CELLS = 36;
+
+    const now = typeof performance !== 'undefined' && performance.now
+        ? () => performance.now()
+        : () => Date.now();
+
+    // 依棋盤大小快取的對稱置換與 Zobrist 表
+    const geometryCache = new Map();
+
+    /**
+     * 搜尋結果
+     * @typedef {Object} SearchResult
+     * @property {number} move - 最佳棋步，無棋可下時為 -1
+     * @property {number} score - 以目前玩家角度的分數
+     * @property {number} depth - 完成的搜尋深度
+     * @property {boolean} complete - 是否已搜尋到所有終局（結果為精確值）
+     * @property {number} nodes - 搜尋的節點數
+     * @property {number} tableHits - 置換表命中次數
+     * @property {number} elapsed - 花費的毫秒數
+     * @property {{move: number, score: number}[]} [scores] - 分析模式下每個候選棋步的分數
+     */
+
+    /**
+     * 產生 32 位元亂數（固定種子，讓雜湊在不同執行環境間一致）
+     * @private
+     */
+    function createRandom(seed) {
+        let value = seed >>> 0;
+        return () => {
+            value ^= value << 13;
+            value ^= value >>> 17;
+            value ^= value << 5;
+            return value >>> 0;
+        };
+    }
+
+    /**
+     * 取得棋盤的 8 種對稱置換與 Zobrist 雜湊表
+     * @private
+     * @param {number} size - 棋盤邊長
+     */
+    function geometry(size) {
+        if (geometryCache.has(size)) {
+            return geometryCache.get(size);
+        }
+
+        const last = size - 1;
+        const transforms = [
+            (r, c) => [r, c],
+            (r, c) => [c, last - r],
+            (r, c) => [last - r, last - c],
+            (r, c) => [last - c, r],
+            (r, c) => [r, last - c],
+            (r, c) => [last - r, c],
+            (r, c) => [c, r],
+            (r, c) => [last - c, last - r]
+        ];
+
+        const cells = size * size;
+        const symmetries = transforms.map(transform => {
+            const forward = new Array(cells);
+            const inverse = new Array(cells);
+            for (let index = 0; index < cells; index++) {
+                const [r, c] = transform(Math.floor(index / size), index % size);
+                forward[index] = r * size + c;
+                inverse[r * size + c] = index;
+            }
+            return { forward, inverse };
+        });
+
+        // 每格每位玩家各有高低兩組 32 位元亂數
+        const random = createRandom(0x9e3779b9 + size);
+        const zobrist = {};
+        Engine.PLAYERS.forEach(player => {
+            zobrist[player] = Array.from({ length: cells }, () => [random(), random()]);
+        });
+
+        const result = { symmetries, zobrist };
+        geometryCache.set(size, result);
+        return result;
+    }
+
+    /**
+     * 啟發式評估：統計每條仍有機會的連線上己方與對方的棋子數
+     * @private
+     * @param {string[]} board - 棋盤
+     * @param {number[][]} lines - 所有獲勝組合
+     * @param {string} player - 評估角度
+     * @returns {number} 分數（遠小於 MATE_BOUND）
+     */
+    function evaluate(board, lines, player) {
+        let score = 0;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            let mine = 0;
+            let theirs = 0;
+            for (let j = 0; j < line.length; j++) {
+                const cell = board[line[j]];
+                if (cell === player) mine++;
+                else if (cell !== '') theirs++;
+            }
+            if (mine > 0 && theirs === 0) score += Math.pow(10, mine);
+            else if (theirs > 0 && mine === 0) score -= Math.pow(10, theirs);
+        }
+        return Math.max(-MATE_BOUND + 1, Math.min(MATE_BOUND - 1, score));
+    }
+
+    /**
+     * 搜尋中途因時間用盡而中止
+     * @private
+     */
+    class SearchTimeout extends Error {}
+
+    /**
+     * 在目前局面搜尋最佳棋步
+     * @param {GameState} state - 遊戲狀態
+     * @param {Object} [options] - 搜尋選項
+     * @param {number} [options.maxDepth] - 深度上限，預設為剩餘空格數
+     * @param {number} [options.timeBudget=1000] - 時間預算（毫秒）
+     * @param {function(SearchResult):void} [options.onProgress] - 每完成一層深度時呼叫
+     * @param {boolean} [options.analyze=false] - 分析模式：根節點的每一步都以完整視窗搜尋，
+     *     結果附上所有候選棋步的精確分數（較慢）
+     * @returns {SearchResult}
+     */
+    function search(state, options = {}) {
+        const startTime = now();
+        const rootMoves = Engine.legalMoves(state);
+        const stats = { nodes: 0, tableHits: 0 };
+
+        if (rootMoves.length === 0) {
+            const empty = { move: -1, score: 0, depth: 0, complete: true, ...stats, elapsed: 0 };
+            return options.analyze ? { ...empty, scores: [] } : empty;
+        }
+
+        const { size, winLength } = state;
+        const { lines, byCell } = Engine.winningLines(size, winLength);
+        const { symmetries, zobrist } = geometry(size);
+        const board = state.board.slice();
+        const table = new Map();
+        const deadline = startTime + (options.timeBudget || DEFAULT_TIME_BUDGET);
+        const maxDepth = Math.min(options.maxDepth || rootMoves.length, rootMoves.length);
+        const useNeighborhood = board.length >= NEIGHBORHOOD_MIN_CELLS;
+
+        let emptyCount = rootMoves.length;
+        // 8 種對稱方向各自的雜湊值（高、低 32 位元）
+        const hashes = symmetries.map(() => [0, 0]);
+        board.forEach((cell, index) => {
+            if (cell !== '') toggle(index, cell);
+        });
+
+        function toggle(index, player) {
+            for (let s = 0; s < symmetries.length; s++) {
+                const key = zobrist[player][symmetries[s].forward[index]];
+                hashes[s][0] ^= key[0];
+                hashes[s][1] ^= key[1];
+            }
+        }
+
+        // 取所有對稱方向中最小的雜湊作為標準鍵
+        function canonicalKey() {
+            let best = Infinity;
+            let symmetry = 0;
+            for (let s = 0; s < hashes.length; s++) {
+                const key = (hashes[s][0] & 0x1fffff) * 4294967296 + (hashes[s][1] >>> 0);
+                if (key < best) {
+                    best = key;
+                    symmetry = s;
+                }
+            }
+            return { key: best, symmetry };
+        }
+
+        function place(index, player) {
+            board[index] = player;
+            toggle(index, player);
+            emptyCount--;
+        }
+
+        function remove(index, player) {
+            board[index] = '';
+            toggle(index, player);
+            emptyCount++;
+        }
+
+        function isWinningMove(index) {
+            const candidates = byCell[index];
+            const player = board[index];
+            for (let i = 0; i < candidates.length; i++) {
+                const line = candidates[i];
+                let j = 0;
+                while (j < line.length && board[line[j]] === player) j++;
+                if (j === line.length) return true;
+            }
+            return false;
+        }
+
+        // 候選棋步：大棋盤只看既有棋子周圍兩格內的空格，並依周圍棋子數與離中心距離排序
+        function candidateMoves(firstMove) {
+            const center = (size - 1) / 2;
+            const moves = [];
+            for (let index = 0; index < board.length; index++) {
+                if (board[index] !== '') continue;
+
+                const row = Math.floor(index / size);
+                const col = index % size;
+                let neighbours = 0;
+                for (let dr = -2; dr <= 2; dr++) {
+                    for (let dc = -2; dc <= 2; dc++) {
+                        const r = row + dr;
+                        const c = col + dc;
+                        if ((dr || dc) && r >= 0 && r < size && c >= 0 && c < size && board[r * size + c] !== '') {
+                            neighbours += Math.abs(dr) <= 1 && Math.abs(dc) <= 1 ? 2 : 1;
+                        }
+                    }
+                }
+                if (useNeighborhood && neighbours === 0) continue;
+
+                const distance = Math.abs(row - center) + Math.abs(col - center);
+                moves.push({ index, order: neighbours * size - distance });
+            }
+
+            moves.sort((a, b) => b.order - a.order);
+            const ordered = moves.map(move => move.index);
+            if (ordered.length === 0) {
+                // 空棋盤只下中央
+                ordered.push(Math.floor(board.length / 2));
+            }
+            if (firstMove !== undefined && firstMove !== -1 && board[firstMove] === '') {
+                const position = ordered.indexOf(firstMove);
+                if (position > 0) ordered.splice(position, 1);
+                if (position !== 0) ordered.unshift(firstMove);
+            }
+            return ordered;
+        }
+
+        function checkTime() {
+            if (++stats.nodes % TIME_CHECK_INTERVAL === 0 && now() > deadline) {
+                throw new SearchTimeout();
+            }
+        }
+
+        // 置換表中的必勝分數以「距離此節點」儲存，取出時換回「距離根節點」
+        function toTable(score, ply) {
+            if (score > MATE_BOUND) return score + ply;
+            if (score < -MATE_BOUND) return score - ply;
+            return score;
+        }
+
+        function fromTable(score, ply) {
+            if (score > MATE_BOUND) return score - ply;
+            if (score < -MATE_BOUND) return score + ply;
+            return score;
+        }
+
+        function negamax(player, depth, ply, alpha, beta) {
+            checkTime();
+
+            if (emptyCount === 0) return 0;
+            if (depth === 0) return evaluate(board, lines, player);
+
+            const originalAlpha = alpha;
+            const { key, symmetry } = canonicalKey();
+            const entry = table.get(key);
+            let tableMove;
+            if (entry) {
+                tableMove = symmetries[symmetry].inverse[entry.move];
+                if (entry.depth >= depth) {
+                    stats.tableHits++;
+                    const score = fromTable(entry.score, ply);
+                    if (entry.flag === EXACT) return score;
+                    if (entry.flag === LOWER) alpha = Math.max(alpha, score);
+                    else beta = Math.min(beta, score);
+                    if (alpha >= beta) return score;
+                }
+            }
+
+            const opponent = Engine.otherPlayer(player);
+            const moves = candidateMoves(tableMove);
+            let bestScore = -Infinity;
+            let bestMove = moves[0];
+
+            for (let i = 0; i < moves.length; i++) {
+                const index = moves[i];
+                place(index, player);
+                let score;
+                try {
+                    score = isWinningMove(index)
+                        ? WIN_SCORE - ply - 1
+                        : -negamax(opponent, depth - 1, ply + 1, -beta, -alpha);
+                } finally {
+                    remove(index, player);
+                }
+
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestMove = index;
+                }
+                alpha = Math.max(alpha, score);
+                if (alpha >= beta) break;
+            }
+
+            if (table.size < MAX_TABLE_ENTRIES || table.has(key)) {
+                let flag = EXACT;
+                if (bestScore <= originalAlpha) flag = UPPER;
+                else if (bestScore >= beta) flag = LOWER;
+                table.set(key, {
+                    depth,
+                    score: toTable(bestScore, ply),
+                    flag,
+                    move: symmetries[symmetry].forward[bestMove]
+                });
+            }
+
+            return bestScore;
+        }
+
+        function searchRoot(depth, firstMove) {
+            const player = state.currentPlayer;
+            const opponent = Engine.otherPlayer(player);
+            let alpha = -Infinity;
+            let bestScore = -Infinity;
+            let bestMove = -1;
+            const scores = [];
+
+            candidateMoves(firstMove).forEach(index => {
+                place(index, player);
+                let score;
+                try {
+                    // 分析模式不縮小視窗，否則較差棋步的分數只是上界
+                    score = isWinningMove(index)
+                        ? WIN_SCORE - 1
+                        : -negamax(opponent, depth - 1, 1, -Infinity, options.analyze ? Infinity : -alpha);
+                } finally {
+                    remove(index, player);
+                }
+
+                scores.push({ move: index, score });
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestMove = index;
+                }
+                alpha = Math.max(alpha, score);
+            });
+
+            return { move: bestMove, score: bestScore, scores };
+        }
+
+        // 迭代加深：時間用盡時採用最後一個完成深度的結果
+        let result = { move: rootMoves[0], score: 0, depth: 0, complete: false };
+        for (let depth = 1; depth <= maxDepth; depth++) {
+            let iteration;
+            try {
+                iteration = searchRoot(depth, result.move);
+            } catch (error) {
+                if (error instanceof SearchTimeout) break;
+                throw error;
+            }
+
+            // 一般模式只需最佳棋步分出勝負；分析模式要每一步都分出勝負
+            const decided = options.analyze
+                ? iteration.scores.every(entry => Math.abs(entry.score) > MATE_BOUND)
+                : Math.abs(iteration.score) > MATE_BOUND;
+            result = {
+                move: iteration.move,
+                score: iteration.score,
+                depth,
+                complete: decided || depth === rootMoves.length
+            };
+            if (options.analyze) {
+                result.scores = iteration.scores;
+            }
+
+            if (typeof options.onProgress === 'function') {
+                options.onProgress({ ...result, ...stats, elapsed: now() - startTime });
+            }
+            if (result.complete) break;
+        }
+
+        return { ...result, ...stats, elapsed: now() - startTime };
+    }
+
+    return {
+        WIN_SCORE,
+        MATE_BOUND,
+        search,
+        evaluate
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameSearch;
+}
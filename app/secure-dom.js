@@ -0,0 +1,1945 @@
+/**
+ * @fileoverview 安全的 DOM 操作工具庫
+ * 提供一套安全的 DOM 操作方法，防止 XSS 攻擊
+ *
+ * 以 UMD 格式撰寫：
+ *   - <script src="secure-dom.js">：全域變數 SecureDom
+ *   - CommonJS（例如在 Node 以 jsdom 測試）：require('./secure-dom.js')，不設定全域變數
+ *   - ES module（Node 或支援 CommonJS 的打包工具）：import { Validator, Logger } from './secure-dom.mjs'
+ * 所有公開的名稱列在檔案結尾的匯出清單中；TrustedTypesPolicy 只供 Sanitizer 使用，不對外公開。
+ * DOM 相關的函數在呼叫時才使用 window 與 document，載入時不需要 DOM
+ * @version 2.0.0
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+        return;
+    }
+    root.SecureDom = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, () => {
+    'use strict';
+
+    /**
+     * DOM 安全操作的配置選項
+     * @type {Object}
+     */
+    const SecurityConfig = {
+        // 未指定時使用的淨化政策（允許的標籤與屬性見 SanitizationPolicies）
+        DEFAULT_POLICY: 'default',
+        // 連同內容一起移除的元素，任何政策都不能允許（其餘不在政策內的元素只拆掉標籤、保留內容）；
+        // button 不在其中，政策允許時一律設為 type="button"，不會提交所在的表單
+        FORBID_CONTENTS: ['script', 'style', 'template', 'iframe', 'frame', 'object', 'embed', 'form', 'input',
+            'textarea', 'select', 'noscript', 'noembed', 'noframes', 'xmp', 'title', 'svg', 'math'],
+        // 值為網址、需要通過 Validator.checkUrl 的屬性
+        URL_ATTRIBUTES: ['href'],
+        // 政策可以允許的 target 值：只接受瀏覽情境關鍵字，不接受具名視窗（可能指向其他頁面開啟的視窗）
+        TARGETS: ['_blank', '_self', '_parent', '_top'],
+        // 網址政策（Validator.checkUrl）
+        URL_POLICY: {
+            // 允許的 scheme（含結尾的冒號）
+            schemes: ['https:', 'http:', 'mailto:'],
+            // 允許的來源，例如 ['self', 'https://example.com']（self 為目前頁面的來源）；null 表示不限制
+            origins: null,
+            // 是否允許相對網址（例如 /help、?page=2、#top），以目前文件為基準解析
+            allowRelative: true,
+            // 網址長度上限（字元）
+            maxLength: 2048
+        },
+        // Trusted Types 政策名稱，nginx.conf 的 CSP（trusted-types 指令）需列出這個名稱
+        TRUSTED_TYPES_POLICY: 'secure-dom',
+        // 最大內容長度（字符）
+        MAX_CONTENT_LENGTH: 5000
+    };
+
+    /**
+     * 錯誤訊息目錄
+     * 頁面有載入 i18n.js 時登錄到 I18n（secureDom 命名空間）並跟隨介面語言，否則一律使用繁體中文
+     * @type {Object}
+     */
+    const SecureDomMessages = {
+        catalogs: {
+            'zh-TW': {
+                invalidElement: '無效的 DOM 元素',
+                inputNotString: '輸入必須是字符串',
+                contentTooLong: '內容長度超過限制 {max} 字符',
+                tagNotAllowed: '不允許的 HTML 標籤',
+                domPurifyMissing: 'DOMPurify 未載入'
+            },
+            en: {
+                invalidElement: 'Invalid DOM element',
+                inputNotString: 'Input must be a string',
+                contentTooLong: 'Content exceeds the limit of {max} characters',
+                tagNotAllowed: 'HTML tag is not allowed',
+                domPurifyMissing: 'DOMPurify is not loaded'
+            }
+        },
+
+        /**
+         * 取得訊息
+         * @param {string} key - 訊息鍵
+         * @param {Object} [params] - 以 {name} 插入的參數
+         * @returns {string}
+         */
+        t(key, params = {}) {
+            if (typeof I18n !== 'undefined') {
+                return I18n.t(`secureDom.${key}`, params);
+            }
+            return this.catalogs['zh-TW'][key].replace(/\{(\w+)\}/g, (match, name) =>
+                (params[name] === undefined ? match : String(params[name])));
+        }
+    };
+
+    if (typeof I18n !== 'undefined') {
+        Object.entries(SecureDomMessages.catalogs).forEach(([locale, messages]) => {
+            I18n.register(locale, { secureDom: messages });
+        });
+    }
+
+    /**
+     * 驗證工具類
+     * @type {Object}
+     */
+    const Validator = {
+        /**
+         * 驗證 DOM 元素
+         * @param {HTMLElement} element - 要驗證的元素
+         * @throws {Error} 如果元素無效
+         */
+        validateElement(element) {
+            if (!(element instanceof HTMLElement)) {
+                throw new TypeError(SecureDomMessages.t('invalidElement'));
+            }
+        },
+
+        /**
+         * 驗證字符串輸入
+         * @param {string} input - 要驗證的字符串
+         * @throws {Error} 如果輸入無效或超出長度限制
+         */
+        validateInput(input) {
+            if (typeof input !== 'string') {
+                throw new TypeError(SecureDomMessages.t('inputNotString'));
+            }
+            if (input.length > SecurityConfig.MAX_CONTENT_LENGTH) {
+                throw new Error(SecureDomMessages.t('contentTooLong', { max: SecurityConfig.MAX_CONTENT_LENGTH }));
+            }
+        },
+
+        /**
+         * 檢查並正規化網址
+         * 以 URL 解析（相對網址以目前文件為基準），再依網址政策檢查 scheme 與來源
+         * @param {string} url - 要檢查的網址
+         * @param {Object} [policy=SecurityConfig.URL_POLICY] - 網址政策，見 SecurityConfig.URL_POLICY
+         * @returns {{valid: boolean, url: ?string, reason: ?string}} 通過時 url 為正規化後的絕對網址；
+         *     不通過時 reason 為 UrlRejection 之一
+         */
+        checkUrl(url, policy = SecurityConfig.URL_POLICY) {
+            const reject = reason => ({ valid: false, url: null, reason });
+            if (typeof url !== 'string') return reject(UrlRejection.NOT_STRING);
+            const trimmed = url.trim();
+            if (trimmed === '') return reject(UrlRejection.EMPTY);
+            if (trimmed.length > policy.maxLength) return reject(UrlRejection.TOO_LONG);
+            // URL 解析時會默默去掉換行與定位字元（java\nscript: 會變成 javascript:），直接拒絕控制字元；
+            // 其他空白會被編碼為 %20，不影響 scheme 的判斷（例如 mailto:?subject=Hello World）
+            if (/[\u0000-\u001F\u007F]/.test(trimmed)) return reject(UrlRejection.INVALID_CHARACTERS);
+
+            const base = typeof document !== 'undefined' ? document.baseURI : undefined;
+            let relative = false;
+            let parsed;
+            try {
+                parsed = new URL(trimmed);
+            } catch (error) {
+                relative = true;
+            }
+            if (relative) {
+                if (!policy.allowRelative) return reject(UrlRejection.RELATIVE_NOT_ALLOWED);
+                try {
+                    parsed = new URL(trimmed, base);
+                } catch (error) {
+                    return reject(UrlRejection.UNPARSEABLE);
+                }
+            }
+
+            if (!policy.schemes.includes(parsed.protocol)) return reject(UrlRejection.SCHEME_NOT_ALLOWED);
+            if (parsed.username || parsed.password) return reject(UrlRejection.CREDENTIALS);
+            // 來源限制只適用於有來源的網址（http、https），mailto 等沒有來源
+            if (policy.origins && parsed.origin !== 'null') {
+                const self = base ? new URL(base).origin : null;
+                const allowed = policy.origins.some(origin =>
+                    (origin === 'self' ? self : origin) === parsed.origin);
+                if (!allowed) return reject(UrlRejection.ORIGIN_NOT_ALLOWED);
+            }
+
+            return { valid: true, url: parsed.href, reason: null };
+        },
+
+        /**
+         * 驗證 URL
+         * @param {string} url - 要驗證的 URL
+         * @returns {boolean} URL 是否有效（原因見 checkUrl）
+         */
+        isValidUrl(url) {
+            return this.checkUrl(url).valid;
+        },
+
+        /**
+         * 取得可以設定到 href 的網址
+         * @param {string} url - 連結網址
+         * @returns {?string} 正規化後的網址，不安全時為 null
+         */
+        toSafeUrl(url) {
+            return this.checkUrl(url).url;
+        }
+    };
+
+    /**
+     * 網址被拒絕的原因（Validator.checkUrl）
+     * @readonly
+     * @enum {string}
+     */
+    const UrlRejection = {
+        NOT_STRING: 'notString',
+        EMPTY: 'empty',
+        TOO_LONG: 'tooLong',
+        INVALID_CHARACTERS: 'invalidCharacters',
+        UNPARSEABLE: 'unparseable',
+        RELATIVE_NOT_ALLOWED: 'relativeNotAllowed',
+        SCHEME_NOT_ALLOWED: 'schemeNotAllowed',
+        CREDENTIALS: 'credentials',
+        ORIGIN_NOT_ALLOWED: 'originNotAllowed'
+    };
+
+    /**
+     * 具名的淨化政策
+     * 每個政策是凍結的物件 { name, allowedTags, allowedAttributes, allowedTargets }，定義後不能修改；
+     * createElement、setSanitizedHTML 與 renderRichContent 以 options.policy 指定（名稱或 define() 回傳的政策），
+     * 未指定時使用 SecurityConfig.DEFAULT_POLICY。
+     * allowedAttributes 中結尾為 * 的項目比對前綴（例如 data-*）；
+     * SecurityConfig.FORBID_CONTENTS 與 URL_ATTRIBUTES 的檢查不受政策影響
+     * @type {Object}
+     */
+    const SanitizationPolicies = {
+        _policies: new Map(),
+
+        /**
+         * 定義政策
+         * @param {string} name - 政策名稱
+         * @param {Object} rules - 規則
+         * @param {string[]} [rules.allowedTags=[]] - 允許的標籤
+         * @param {string[]} [rules.allowedAttributes=[]] - 允許的屬性
+         * @param {string[]} [rules.allowedTargets=['_blank', '_self']] - 允許的 target 值（SecurityConfig.TARGETS 之中）
+         * @returns {Object} 凍結的政策
+         * @throws {TypeError|RangeError} 如果規則無效或名稱已定義
+         */
+        define(name, { allowedTags = [], allowedAttributes = [], allowedTargets = ['_blank', '_self'] } = {}) {
+            if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name)) {
+                throw new TypeError(`無效的政策名稱：${name}`);
+            }
+            if (this._policies.has(name)) {
+                throw new RangeError(`政策已定義：${name}`);
+            }
+            const list = (values, label) => {
+                if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+                    throw new TypeError(`${name} 的 ${label} 必須是字串陣列`);
+                }
+                return Object.freeze(values.map(value => value.toLowerCase()));
+            };
+            const tags = list(allowedTags, 'allowedTags');
+            const forbidden = tags.filter(tag => SecurityConfig.FORBID_CONTENTS.includes(tag));
+            if (forbidden.length > 0) {
+                throw new RangeError(`${name} 不能允許這些標籤：${forbidden.join(', ')}`);
+            }
+
+            const targets = list(allowedTargets, 'allowedTargets');
+            const unknown = targets.filter(target => !SecurityConfig.TARGETS.includes(target));
+            if (unknown.length > 0) {
+                throw new RangeError(`${name} 不能允許這些 target：${unknown.join(', ')}`);
+            }
+
+            const policy = Object.freeze({
+                name,
+                allowedTags: tags,
+                allowedAttributes: list(allowedAttributes, 'allowedAttributes'),
+                allowedTargets: targets
+            });
+            this._policies.set(name, policy);
+            return policy;
+        },
+
+        /**
+         * 取得政策
+         * @param {string|Object} [policy=SecurityConfig.DEFAULT_POLICY] - 政策名稱或 define() 回傳的政策
+         * @returns {Object} 凍結的政策
+         * @throws {RangeError} 如果政策不存在
+         */
+        resolve(policy = SecurityConfig.DEFAULT_POLICY) {
+            const name = typeof policy === 'string' ? policy : policy && policy.name;
+            const found = this._policies.get(name);
+            // 只接受 define() 回傳的物件，避免傳入自行組成（未凍結）的政策
+            if (!found || (typeof policy !== 'string' && found !== policy)) {
+                throw new RangeError(`未定義的淨化政策：${name}`);
+            }
+            return found;
+        },
+
+        /**
+         * 標籤是否在政策之內
+         * @param {Object} policy - 政策
+         * @param {string} tag - 標籤名稱
+         * @returns {boolean}
+         */
+        allowsTag(policy, tag) {
+            return policy.allowedTags.includes(tag.toLowerCase());
+        },
+
+        /**
+         * 屬性名稱是否在政策之內
+         * @param {Object} policy - 政策
+         * @param {string} name - 屬性名稱
+         * @returns {boolean}
+         */
+        allowsAttribute(policy, name) {
+            const lower = name.toLowerCase();
+            return policy.allowedAttributes.some(pattern => {
+                if (!pattern.endsWith('*')) return lower === pattern;
+                const prefix = pattern.slice(0, -1);
+                // 萬用字元至少比對一個字元，且只允許合法的屬性名稱字元
+                return lower.startsWith(prefix) && /^[a-z0-9_.-]+$/.test(lower.slice(prefix.length));
+            });
+        }
+    };
+
+    (() => {
+        const formatting = ['b', 'i', 'em', 'strong', 'span', 'p', 'br', 'div', 'ul', 'ol', 'li', 'code', 'pre'];
+        // 只留下文字
+        SanitizationPolicies.define('strict-text');
+        // 基本排版，沒有連結
+        SanitizationPolicies.define('basic-formatting', {
+            allowedTags: formatting,
+            allowedAttributes: ['class', 'data-*']
+        });
+        // 基本排版加上連結
+        SanitizationPolicies.define('links', {
+            allowedTags: [...formatting, 'a'],
+            allowedAttributes: ['class', 'data-*', 'href', 'target', 'rel']
+        });
+        // 未指定政策時使用：連結加上 id
+        SanitizationPolicies.define('default', {
+            allowedTags: [...formatting, 'a'],
+            allowedAttributes: ['class', 'id', 'data-*', 'href', 'target', 'rel']
+        });
+    })();
+
+    /**
+     * 日誌嚴重程度等級
+     * @readonly
+     * @enum {string}
+     */
+    const LogSeverity = {
+        INFO: 'INFO',
+        WARN: 'WARN',
+        ERROR: 'ERROR',
+        SECURITY: 'SECURITY'
+    };
+
+    /**
+     * 預定義的日誌事件類型
+     * 每個類型在 LogEvents 登錄了嚴重程度與內容格式
+     * @readonly
+     * @enum {string}
+     */
+    const LogEventType = {
+        VALIDATION_ERROR: 'VALIDATION_ERROR',
+        SANITIZATION: 'CONTENT_SANITIZATION',
+        XSS_ATTEMPT: 'XSS_ATTEMPT',
+        DOM_MANIPULATION: 'DOM_MANIPULATION',
+        API_ERROR: 'API_ERROR',
+        INVALID_URL: 'INVALID_URL',
+        TEXT_UPDATE_ERROR: 'TEXT_UPDATE_ERROR',
+        TEXT_NODE_ERROR: 'TEXT_NODE_ERROR',
+        ELEMENT_CREATION_ERROR: 'ELEMENT_CREATION_ERROR',
+        HTML_UPDATE_ERROR: 'HTML_UPDATE_ERROR',
+        CONTENT_RENDERED: 'CONTENT_RENDERED',
+        RENDER_ERROR: 'RENDER_ERROR',
+        INTERACTIVE_ELEMENT_ERROR: 'INTERACTIVE_ELEMENT_ERROR',
+        TRUSTED_TYPES_ERROR: 'TRUSTED_TYPES_ERROR',
+        // 未登錄的類型或內容不符格式時改記這個類型
+        INVALID_LOG_EVENT: 'INVALID_LOG_EVENT'
+    };
+
+    /**
+     * 日誌事件類型的登錄表
+     * 每個類型宣告嚴重程度與內容格式（schema）：schema 是「欄位 → 型別」的物件，
+     * 型別為 string、number、boolean、object 或 array，結尾加 ? 表示可省略，未列出的欄位不允許；
+     * schema 為 null 時不檢查內容
+     * @type {Object}
+     */
+    const LogEvents = {
+        _definitions: new Map(),
+
+        /**
+         * 登錄事件類型
+         * @param {string} eventType - 類型名稱（英數字、底線或連字號，以字母開頭，最多 64 字元）
+         * @param {Object} definition - 定義
+         * @param {LogSeverity} definition.severity - 嚴重程度
+         * @param {?Object<string, string>} [definition.schema=null] - 內容格式
+         * @returns {string} 類型名稱
+         * @throws {TypeError|RangeError} 如果定義無效或名稱已登錄
+         */
+        register(eventType, { severity, schema = null } = {}) {
+            if (typeof eventType !== 'string' || !/^[A-Za-z][A-Za-z0-9_-]{0,63}$/.test(eventType)) {
+                throw new TypeError(`無效的事件類型名稱：${eventType}`);
+            }
+            if (this._definitions.has(eventType)) {
+                throw new RangeError(`事件類型已登錄：${eventType}`);
+            }
+            if (!Object.values(LogSeverity).includes(severity)) {
+                throw new RangeError(`未知的日誌等級：${severity}`);
+            }
+            if (schema !== null) {
+                Object.entries(schema).forEach(([field, type]) => {
+                    if (!/^(string|number|boolean|object|array)\??$/.test(type)) {
+                        throw new TypeError(`${eventType}.${field} 的型別無效：${type}`);
+                    }
+                });
+            }
+
+            this._definitions.set(eventType, { severity, schema: schema && { ...schema } });
+            return eventType;
+        },
+
+        /**
+         * 取得事件類型的定義
+         * @param {string} eventType - 類型名稱
+         * @returns {?{severity: LogSeverity, schema: ?Object<string, string>}} 未登錄時為 null
+         */
+        get(eventType) {
+            return this._definitions.get(eventType) || null;
+        },
+
+        /**
+         * 檢查內容是否符合事件類型的格式
+         * @param {string} eventType - 已登錄的類型名稱
+         * @param {Object} data - 內容
+         * @returns {string[]} 不符合的地方，符合時為空陣列
+         */
+        validate(eventType, data) {
+            const { schema } = this._definitions.get(eventType);
+            if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+                return ['內容必須是物件'];
+            }
+            if (schema === null) return [];
+
+            const problems = Object.keys(data)
+                .filter(field => !Object.hasOwn(schema, field))
+                .map(field => `未知的欄位：${field}`);
+            Object.entries(schema).forEach(([field, spec]) => {
+                const type = spec.replace('?', '');
+                const value = data[field];
+                if (value === undefined) {
+                    if (!spec.endsWith('?')) problems.push(`缺少欄位：${field}`);
+                    return;
+                }
+                const actual = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+                if (actual !== type) problems.push(`${field} 必須是 ${type}`);
+            });
+            return problems;
+        }
+    };
+
+    [
+        [LogEventType.VALIDATION_ERROR, LogSeverity.WARN, null],
+        [LogEventType.SANITIZATION, LogSeverity.SECURITY, { policy: 'string', removed: 'array', length: 'number' }],
+        [LogEventType.XSS_ATTEMPT, LogSeverity.SECURITY, null],
+        [LogEventType.DOM_MANIPULATION, LogSeverity.WARN, null],
+        [LogEventType.API_ERROR, LogSeverity.ERROR, null],
+        [LogEventType.INVALID_URL, LogSeverity.SECURITY, { url: 'string', reason: 'string' }],
+        [LogEventType.TEXT_UPDATE_ERROR, LogSeverity.ERROR, { error: 'string' }],
+        [LogEventType.TEXT_NODE_ERROR, LogSeverity.ERROR, { error: 'string' }],
+        [LogEventType.ELEMENT_CREATION_ERROR, LogSeverity.ERROR, { error: 'string' }],
+        [LogEventType.HTML_UPDATE_ERROR, LogSeverity.ERROR, { error: 'string' }],
+        [LogEventType.CONTENT_RENDERED, LogSeverity.INFO, { type: 'string', length: 'number' }],
+        [LogEventType.RENDER_ERROR, LogSeverity.ERROR, { error: 'string', length: 'number' }],
+        [LogEventType.INTERACTIVE_ELEMENT_ERROR, LogSeverity.ERROR, { error: 'string', config: 'string?' }],
+        [LogEventType.TRUSTED_TYPES_ERROR, LogSeverity.SECURITY, { error: 'string' }],
+        [LogEventType.INVALID_LOG_EVENT, LogSeverity.WARN, { eventType: 'string', problems: 'array' }]
+    ].forEach(([eventType, severity, schema]) => LogEvents.register(eventType, { severity, schema }));
+
+    /**
+     * 日誌的傳送方式
+     * 每個傳送方式是 { name, minSeverity, remote, send(entries) }：send 一次收到一批日誌，
+     * 回傳（或以 Promise 回傳）是否已送達；沒送達的批次留在離線佇列，網路恢復後重送。
+     * minSeverity 可以讓個別傳送方式只接收較嚴重的日誌；remote 為 true 時離線期間不嘗試送出
+     * @type {Object}
+     */
+    const LogTransports = {
+        /**
+         * 以 navigator.sendBeacon 送到日誌收集器（頁面關閉時也能送出，但無法得知伺服端是否收下）
+         * @param {Object} [options] - 選項
+         * @param {string} [options.url='/api/logs'] - 收集器位址
+         * @param {LogSeverity} [options.minSeverity] - 只送出這個等級以上的日誌
+         * @returns {Object} 傳送方式
+         */
+        beacon({ url = '/api/logs', minSeverity } = {}) {
+            return {
+                name: 'beacon',
+                minSeverity,
+                remote: true,
+                send(entries) {
+                    // 不支援 sendBeacon 時直接放棄，避免在離線佇列裡永遠重試
+                    if (typeof navigator === 'undefined' || !navigator.sendBeacon) return true;
+                    // 瀏覽器無法排入傳送時回傳 false
+                    return navigator.sendBeacon(url, JSON.stringify(entries));
+                }
+            };
+        },
+
+        /**
+         * 以 fetch（keepalive）送到日誌收集器，可以得知伺服端是否收下
+         * @param {Object} [options] - 選項
+         * @param {string} [options.url='/api/logs'] - 收集器位址
+         * @param {LogSeverity} [options.minSeverity] - 只送出這個等級以上的日誌
+         * @returns {Object} 傳送方式
+         */
+        fetch({ url = '/api/logs', minSeverity } = {}) {
+            return {
+                name: 'fetch',
+                minSeverity,
+                remote: true,
+                async send(entries) {
+                    try {
+                        const response = await fetch(url, {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(entries),
+                            credentials: 'same-origin',
+                            keepalive: true
+                        });
+                        // 只有伺服端錯誤值得重送；4xx（格式不符、超過限流）重送也不會成功
+                        return response.status < 500;
+                    } catch (error) {
+                        return false;
+                    }
+                }
+            };
+        },
+
+        /**
+         * 輸出到瀏覽器主控台（每筆一行）
+         * @param {Object} [options] - 選項
+         * @param {LogSeverity} [options.minSeverity] - 只輸出這個等級以上的日誌
+         * @returns {Object} 傳送方式
+         */
+        console({ minSeverity } = {}) {
+            const methods = {
+                [LogSeverity.INFO]: 'info',
+                [LogSeverity.WARN]: 'warn',
+                [LogSeverity.ERROR]: 'error',
+                [LogSeverity.SECURITY]: 'warn'
+            };
+            return {
+                name: 'console',
+                minSeverity,
+                remote: false,
+                send(entries) {
+                    entries.forEach(entry => {
+                        console[methods[entry.severity]]('[%s] %s', entry.severity, entry.eventType, entry.data);
+                    });
+                    return true;
+                }
+            };
+        },
+
+        /**
+         * 保存在記憶體中（測試時檢查記錄了哪些日誌）
+         * @param {Object} [options] - 選項
+         * @param {LogSeverity} [options.minSeverity] - 只保存這個等級以上的日誌
+         * @returns {Object} 傳送方式，另有 entries 陣列與 clear()
+         */
+        memory({ minSeverity } = {}) {
+            const entries = [];
+            return {
+                name: 'memory',
+                minSeverity,
+                remote: false,
+                entries,
+                send(batch) {
+                    entries.push(...batch);
+                    return true;
+                },
+                clear() {
+                    entries.length = 0;
+                }
+            };
+        }
+    };
+
+    /**
+     * 安全的日誌記錄器
+     * 日誌先放進緩衝區，累積到 batchSize 筆、經過 flushInterval 或頁面隱藏／關閉時整批交給各個傳送方式
+     * @type {Object}
+     */
+    const Logger = {
+        /**
+         * 目前的設定，以 configure() 修改
+         * @private
+         */
+        _config: {
+            // 低於這個等級的日誌直接丟棄
+            minSeverity: LogSeverity.WARN,
+            // 每批最多幾筆
+            batchSize: 20,
+            // 每批序列化後的位元組上限（日誌收集器接受 16 KB 以內的請求）
+            maxBatchBytes: 15 * 1024,
+            // 緩衝區最久保留多久（毫秒）
+            flushInterval: 5000,
+            // 離線佇列最多保留幾筆，超過時丟棄最舊的
+            maxQueueSize: 200,
+            // 事件類型 → 記錄比例（0 到 1），用於頻繁發生的事件
+            sampling: {},
+            // 開發模式：記錄未登錄的事件類型或不符格式的內容時拋出錯誤，並輸出到主控台
+            devMode: false,
+            // 正式環境只送到日誌收集器，不在使用者的主控台留下記錄
+            transports: [LogTransports.beacon()]
+        },
+        _buffer: [],
+        // 送達失敗的批次：{ transport, entries }
+        _offline: [],
+        _timer: null,
+        _listening: false,
+
+        /**
+         * 修改日誌設定（未指定的項目維持原值）
+         * @param {Object} options - 設定
+         * @param {LogSeverity} [options.minSeverity] - 最低記錄等級
+         * @param {number} [options.batchSize] - 每批最多幾筆
+         * @param {number} [options.maxBatchBytes] - 每批的位元組上限
+         * @param {number} [options.flushInterval] - 緩衝區最久保留多久（毫秒）
+         * @param {number} [options.maxQueueSize] - 離線佇列的上限
+         * @param {Object<string, number>} [options.sampling] - 各事件類型的記錄比例
+         * @param {boolean} [options.devMode] - 開發模式；未同時指定 transports 時，開啟會加上主控台輸出，關閉會移除
+         * @param {Object[]} [options.transports] - 傳送方式，見 LogTransports
+         * @throws {TypeError|RangeError} 如果設定無效
+         */
+        configure(options = {}) {
+            const config = { ...this._config, ...options };
+            if (this._rank(config.minSeverity) < 0) {
+                throw new RangeError(`未知的日誌等級：${config.minSeverity}`);
+            }
+            ['batchSize', 'maxBatchBytes', 'flushInterval', 'maxQueueSize'].forEach(name => {
+                if (!Number.isInteger(config[name]) || config[name] < 1) {
+                    throw new RangeError(`${name} 必須是正整數`);
+                }
+            });
+            Object.entries(config.sampling || {}).forEach(([eventType, rate]) => {
+                if (typeof rate !== 'number' || !(rate >= 0 && rate <= 1)) {
+                    throw new RangeError(`${eventType} 的記錄比例必須介於 0 到 1 之間`);
+                }
+            });
+            if (typeof config.devMode !== 'boolean') {
+                throw new TypeError('devMode 必須是布林值');
+            }
+            if (!Array.isArray(config.transports) || config.transports.some(transport =>
+                !transport || typeof transport.send !== 'function'
+                || (transport.minSeverity !== undefined && this._rank(transport.minSeverity) < 0))) {
+                throw new TypeError('transports 必須是傳送方式的陣列（見 LogTransports）');
+            }
+            if (options.transports === undefined && config.devMode !== this._config.devMode) {
+                const others = config.transports.filter(transport => transport.name !== 'console');
+                config.transports = config.devMode ? [...others, LogTransports.console()] : others;
+            }
+
+            this._config = { ...config, sampling: { ...config.sampling } };
+        },
+
+        /**
+         * 日誌等級的順序（未知的等級為 -1）
+         * @private
+         * @param {LogSeverity} severity - 日誌嚴重程度
+         * @returns {number}
+         */
+        _rank(severity) {
+            return Object.values(LogSeverity).indexOf(severity);
+        },
+
+        /**
+         * 格式化日誌消息
+         * @private
+         * @param {LogSeverity} severity - 日誌嚴重程度
+         * @param {LogEventType} eventType - 事件類型
+         * @param {Object} data - 日誌數據
+         * @returns {Object} 格式化的日誌對象
+         */
+        _formatLogMessage(severity, eventType, data) {
+            return {
+                timestamp: new Date().toISOString(),
+                severity,
+                eventType,
+                data: this._sanitizeLogData(data),
+                sessionId: this._getSessionId()
+            };
+        },
+
+        /**
+         * 淨化日誌數據
+         * @private
+         * @param {Object} data - 原始數據
+         * @returns {Object} 淨化後的數據
+         */
+        _sanitizeLogData(data) {
+            if (!data) return {};
+
+            // 深度克隆以避免修改原始數據
+            const sanitized = JSON.parse(JSON.stringify(data));
+
+            // 移除敏感信息
+            const sensitiveKeys = ['password', 'token', 'secret', 'key'];
+            this._recursivelyRemoveSensitive(sanitized, sensitiveKeys);
+
+            // 截斷長字符串
+            this._recursivelyTruncateStrings(sanitized, 1000);
+
+            return sanitized;
+        },
+
+        /**
+         * 遞迴移除敏感數據
+         * @private
+         * @param {Object} obj - 要處理的對象
+         * @param {string[]} sensitiveKeys - 敏感鍵名列表
+         */
+        _recursivelyRemoveSensitive(obj, sensitiveKeys) {
+            if (typeof obj !== 'object' || obj === null) return;
+
+            for (const key in obj) {
+                if (sensitiveKeys.includes(key.toLowerCase())) {
+                    obj[key] = '[REDACTED]';
+                } else if (typeof obj[key] === 'object') {
+                    this._recursivelyRemoveSensitive(obj[key], sensitiveKeys);
+                }
+            }
+        },
+
+        /**
+         * 遞迴截斷長字符串
+         * @private
+         * @param {Object} obj - 要處理的對象
+         * @param {number} maxLength - 最大長度
+         */
+        _recursivelyTruncateStrings(obj, maxLength) {
+            if (typeof obj !== 'object' || obj === null) return;
+
+            for (const key in obj) {
+                if (typeof obj[key] === 'string' && obj[key].length > maxLength) {
+                    obj[key] = obj[key].substring(0, maxLength) + '...';
+                } else if (typeof obj[key] === 'object') {
+                    this._recursivelyTruncateStrings(obj[key], maxLength);
+                }
+            }
+        },
+
+        /**
+         * 獲取會話 ID
+         * @private
+         * @returns {string} 會話 ID
+         */
+        _getSessionId() {
+            if (!window._logSessionId) {
+                window._logSessionId = Math.random().toString(36).substring(2, 15);
+            }
+            return window._logSessionId;
+        },
+
+        /**
+         * 記錄事件（嚴重程度與內容格式依 LogEvents 的登錄）
+         * 未登錄的類型或內容不符格式時，開發模式直接拋出錯誤，否則改記一筆 INVALID_LOG_EVENT
+         * @param {LogEventType} eventType - 已登錄的事件類型
+         * @param {Object} [data={}] - 詳細信息
+         * @throws {TypeError} 開發模式下類型未登錄或內容不符格式
+         */
+        logEvent(eventType, data = {}) {
+            const definition = LogEvents.get(eventType);
+            const problems = definition ? LogEvents.validate(eventType, data) : ['事件類型未登錄'];
+            if (problems.length > 0) {
+                if (this._config.devMode) {
+                    throw new TypeError(`無效的日誌事件 ${eventType}：${problems.join('；')}`);
+                }
+                this._record(LogSeverity.WARN, LogEventType.INVALID_LOG_EVENT, {
+                    eventType: String(eventType),
+                    problems
+                });
+                return;
+            }
+            this._record(definition.severity, eventType, data);
+        },
+
+        /**
+         * 記錄安全相關事件
+         * 保留給既有的呼叫端，等同 logEvent
+         * @param {LogEventType} eventType - 事件類型
+         * @param {Object} details - 詳細信息
+         */
+        logSecurityEvent(eventType, details) {
+            this.logEvent(eventType, details);
+        },
+
+        /**
+         * 放進緩衝區，依設定篩選等級與取樣
+         * @private
+         * @param {LogSeverity} severity - 日誌嚴重程度
+         * @param {LogEventType} eventType - 事件類型
+         * @param {Object} data - 詳細信息
+         */
+        _record(severity, eventType, data) {
+            const config = this._config;
+            if (this._rank(severity) < this._rank(config.minSeverity)) return;
+            const rate = config.sampling[eventType];
+            if (rate !== undefined && Math.random() >= rate) return;
+
+            this._buffer.push(this._formatLogMessage(severity, eventType, data));
+            this._listen();
+            if (this._buffer.length >= config.batchSize) {
+                this.flush();
+            } else if (!this._timer) {
+                this._timer = setTimeout(() => this.flush(), config.flushInterval);
+            }
+        },
+
+        /**
+         * 立即送出緩衝區的日誌，並重送離線佇列
+         * @returns {Promise<void>} 所有傳送方式都回應後完成
+         */
+        flush() {
+            clearTimeout(this._timer);
+            this._timer = null;
+
+            const entries = this._buffer.splice(0);
+            const deliveries = this._offline.splice(0);
+            this._config.transports.forEach(transport => {
+                const minRank = transport.minSeverity === undefined ? 0 : this._rank(transport.minSeverity);
+                const accepted = entries.filter(entry => this._rank(entry.severity) >= minRank);
+                if (accepted.length > 0) deliveries.push({ transport, entries: accepted });
+            });
+
+            // 逐批同步呼叫 send，頁面關閉（pagehide）時 sendBeacon 才來得及送出
+            const pending = [];
+            deliveries.forEach(({ transport, entries: batch }) => {
+                this._chunk(batch).forEach(chunk => pending.push(this._deliver(transport, chunk)));
+            });
+            return Promise.all(pending).then(() => {});
+        },
+
+        /**
+         * 把日誌依筆數與大小切成多批
+         * @private
+         * @param {Object[]} entries - 日誌
+         * @returns {Object[][]}
+         */
+        _chunk(entries) {
+            const { batchSize, maxBatchBytes } = this._config;
+            const encoder = new TextEncoder();
+            const chunks = [];
+            let chunk = [];
+            // 陣列的括號
+            let bytes = 2;
+            entries.forEach(entry => {
+                const size = encoder.encode(JSON.stringify(entry)).length + 1;
+                if (chunk.length > 0 && (chunk.length >= batchSize || bytes + size > maxBatchBytes)) {
+                    chunks.push(chunk);
+                    chunk = [];
+                    bytes = 2;
+                }
+                chunk.push(entry);
+                bytes += size;
+            });
+            if (chunk.length > 0) chunks.push(chunk);
+            return chunks;
+        },
+
+        /**
+         * 交給傳送方式，沒送達時放進離線佇列
+         * @private
+         * @param {Object} transport - 傳送方式
+         * @param {Object[]} entries - 一批日誌
+         * @returns {Promise<void>}
+         */
+        async _deliver(transport, entries) {
+            const offline = transport.remote && typeof navigator !== 'undefined' && navigator.onLine === false;
+            let delivered = false;
+            if (!offline) {
+                try {
+                    delivered = await transport.send(entries);
+                } catch (error) {
+                    // 靜默失敗 - 不在日誌中記錄日誌錯誤
+                    delivered = false;
+                }
+            }
+            if (!delivered) this._enqueueOffline(transport, entries);
+        },
+
+        /**
+         * 放進離線佇列，超過上限時丟棄最舊的日誌
+         * @private
+         * @param {Object} transport - 傳送方式
+         * @param {Object[]} entries - 一批日誌
+         */
+        _enqueueOffline(transport, entries) {
+            this._offline.push({ transport, entries: entries.slice() });
+            let total = this._offline.reduce((sum, item) => sum + item.entries.length, 0);
+            while (total > this._config.maxQueueSize) {
+                const oldest = this._offline[0];
+                oldest.entries.shift();
+                total--;
+                if (oldest.entries.length === 0) this._offline.shift();
+            }
+        },
+
+        /**
+         * 第一次記錄日誌時開始監聽頁面與網路狀態
+         * @private
+         */
+        _listen() {
+            if (this._listening || typeof window === 'undefined') return;
+            this._listening = true;
+
+            // 頁面關閉或切到背景後可能不再有機會執行，立即送出
+            window.addEventListener('pagehide', () => this.flush());
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            });
+            // 網路恢復時重送離線佇列
+            window.addEventListener('online', () => {
+                if (this._offline.length > 0) this.flush();
+            });
+        }
+    };
+
+    /**
+     * 安全地更新元素的文本內容
+     * @param {HTMLElement} element - 目標元素
+     * @param {string} content - 要設置的內容
+     * @throws {Error} 如果參數無效
+     */
+    function setTextContent(element, content) {
+        try {
+            Validator.validateElement(element);
+            Validator.validateInput(content);
+            element.textContent = content;
+        } catch (error) {
+            Logger.logEvent(LogEventType.TEXT_UPDATE_ERROR, { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 安全地創建文本節點
+     * @param {HTMLElement} parent - 父元素
+     * @param {string} content - 文本內容
+     * @returns {Text} 新創建的文本節點
+     */
+    function createSafeTextNode(parent, content) {
+        try {
+            Validator.validateElement(parent);
+            Validator.validateInput(content);
+            const textNode = document.createTextNode(content);
+            parent.appendChild(textNode);
+            return textNode;
+        } catch (error) {
+            Logger.logEvent(LogEventType.TEXT_NODE_ERROR, { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 安全地創建元素
+     * @param {HTMLElement} parent - 父元素
+     * @param {string} tagName - 標籤名稱
+     * @param {Object} options - 配置選項
+     * @param {string} [options.text] - 文本內容
+     * @param {Object} [options.attributes] - 元素屬性（值為 null 或 undefined 的屬性會略過）
+     * @param {string|Object} [options.policy] - 淨化政策，限制可用的標籤與屬性（見 SanitizationPolicies）
+     * @returns {HTMLElement} 新創建的元素
+     */
+    function createElement(parent, tagName, options = {}) {
+        try {
+            Validator.validateElement(parent);
+            const policy = SanitizationPolicies.resolve(options.policy);
+            if (typeof tagName !== 'string' || !SanitizationPolicies.allowsTag(policy, tagName)) {
+                throw new Error(SecureDomMessages.t('tagNotAllowed'));
+            }
+
+            const element = document.createElement(tagName);
+
+            if (options.text) {
+                Validator.validateInput(options.text);
+                element.textContent = options.text;
+            }
+
+            if (options.attributes) {
+                Object.entries(options.attributes).forEach(([key, value]) => {
+                    if (value === null || value === undefined) return;
+                    const checked = Sanitizer.checkAttribute(key, String(value), policy);
+                    if (checked.value !== null) {
+                        element.setAttribute(key, checked.value);
+                    } else if (checked.reason) {
+                        Logger.logEvent(LogEventType.INVALID_URL, { url: String(value), reason: checked.reason });
+                    }
+                });
+                if (element.localName === 'a' && element.hasAttribute('href')) {
+                    element.setAttribute('rel', 'noopener noreferrer');
+                }
+            }
+            if (element.localName === 'button') {
+                element.setAttribute('type', 'button');
+            }
+
+            parent.appendChild(element);
+            return element;
+        } catch (error) {
+            Logger.logEvent(LogEventType.ELEMENT_CREATION_ERROR, { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Trusted Types 政策
+     * CSP 設定 require-trusted-types-for 'script' 時，innerHTML、DOMParser.parseFromString 等注入點只接受 TrustedHTML。
+     * secure-dom.js 只在 Sanitizer 解析 HTML 時用到注入點：解析在 <template> 或 DOMParser 的惰性文件中進行
+     * （不執行腳本、不載入資源），結果經過淨化後才放進頁面，所以政策本身不轉換內容。
+     * 政策只供 Sanitizer 使用，不在匯出清單中
+     * @type {Object}
+     */
+    const TrustedTypesPolicy = {
+        // undefined 表示還沒建立過，null 表示瀏覽器不支援或無法建立
+        _policy: undefined,
+
+        /**
+         * 取得政策，第一次呼叫時建立
+         * @returns {?Object} TrustedTypePolicy；瀏覽器不支援，或 CSP 不允許這個名稱時為 null
+         */
+        get() {
+            if (this._policy !== undefined) return this._policy;
+            this._policy = null;
+            if (typeof trustedTypes === 'undefined' || typeof trustedTypes.createPolicy !== 'function') {
+                return null;
+            }
+            try {
+                this._policy = trustedTypes.createPolicy(SecurityConfig.TRUSTED_TYPES_POLICY, {
+                    createHTML: html => html
+                });
+            } catch (error) {
+                // CSP 的 trusted-types 未列出名稱，或同名政策已被建立
+                Logger.logEvent(LogEventType.TRUSTED_TYPES_ERROR, { error: error.message });
+            }
+            return this._policy;
+        },
+
+        /**
+         * 把要在惰性文件中解析的 HTML 轉為 TrustedHTML
+         * @param {string} html - HTML 內容
+         * @returns {TrustedHTML|string} 沒有政策時原樣回傳
+         */
+        createHTML(html) {
+            const policy = this.get();
+            return policy ? policy.createHTML(html) : html;
+        }
+    };
+
+    /**
+     * HTML 淨化器
+     * 以 <template>（或 DOMParser）在不會執行腳本、不會載入資源的文件中解析 HTML，
+     * 再依淨化政策（見 SanitizationPolicies）在同一次走訪中檢查每個節點：
+     *   - 不在政策內的元素會被拆掉（保留內容），SecurityConfig.FORBID_CONTENTS 的元素連同內容一起移除
+     *   - 不在政策內的屬性會被移除
+     *   - URL_ATTRIBUTES 的值必須通過 Validator.checkUrl 並改為正規化後的網址，有 href 的連結一律加上 rel="noopener noreferrer"
+     *   - button 一律設為 type="button"
+     * 頁面有載入 DOMPurify 時以它解析並先過濾一次（它對瀏覽器解析差異的防護較完整），再做同一次走訪，
+     * 兩條路徑的結果都符合同一個政策。
+     * 啟用 Trusted Types 時，內建解析經由 TrustedTypesPolicy，DOMPurify 則使用它自己的 dompurify 政策
+     * @type {Object}
+     */
+    const Sanitizer = {
+        HTML_NAMESPACE: 'http://www.w3.org/1999/xhtml',
+
+        /**
+         * 淨化 HTML
+         * @param {string} html - HTML 內容
+         * @param {Object} [options] - 選項
+         * @param {string|Object} [options.policy] - 淨化政策
+         * @param {string} [options.engine='auto'] - builtin、dompurify，或 auto（有 DOMPurify 時使用）
+         * @returns {{fragment: DocumentFragment, policy: string, removed: Object[]}} removed 為被移除的內容：
+         *     { type: 'element' | 'attribute' | 'node', name, path, reason? }，path 為所在位置（例如 'p > b'，最外層為 ''；
+         *     DOMPurify 移除的元素無法得知位置，path 為 null）；網址被拒絕時另有 reason（UrlRejection）
+         * @throws {Error} 如果指定 dompurify 但未載入
+         * @throws {RangeError} 如果政策不存在
+         */
+        sanitize(html, { policy, engine = 'auto' } = {}) {
+            const rules = SanitizationPolicies.resolve(policy);
+            const hasDomPurify = typeof DOMPurify !== 'undefined';
+            if (engine === 'dompurify' && !hasDomPurify) {
+                throw new Error(SecureDomMessages.t('domPurifyMissing'));
+            }
+
+            const removed = [];
+            const fragment = engine !== 'builtin' && hasDomPurify
+                ? this._sanitizeWithDomPurify(html, rules, removed)
+                : this._parse(html);
+            this.clean(fragment, rules, removed);
+            return { fragment, policy: rules.name, removed };
+        },
+
+        /**
+         * 依政策清理節點的子孫（直接修改節點）
+         * @param {Node} node - 要清理的節點
+         * @param {Object} policy - SanitizationPolicies.resolve() 取得的政策
+         * @param {Object[]} [removed=[]] - 收集被移除的內容
+         * @param {string} [path=''] - node 的位置
+         * @returns {Object[]} removed
+         */
+        clean(node, policy, removed = [], path = '') {
+            Array.from(node.childNodes).forEach(child => {
+                if (child.nodeType === Node.TEXT_NODE) return;
+                // 註解、處理指令等
+                if (child.nodeType !== Node.ELEMENT_NODE) {
+                    removed.push({ type: 'node', name: child.nodeName.toLowerCase(), path });
+                    child.remove();
+                    return;
+                }
+
+                const tag = child.localName;
+                const isHtml = child.namespaceURI === this.HTML_NAMESPACE;
+                if (!isHtml || !SanitizationPolicies.allowsTag(policy, tag)) {
+                    removed.push({ type: 'element', name: tag, path });
+                    // SVG、MathML 與會執行或提交內容的元素連同內容一起移除，其他元素只拆掉標籤
+                    if (!isHtml || SecurityConfig.FORBID_CONTENTS.includes(tag)) {
+                        child.remove();
+                    } else {
+                        this.clean(child, policy, removed, path);
+                        child.replaceWith(...child.childNodes);
+                    }
+                    return;
+                }
+
+                const childPath = path ? `${path} > ${tag}` : tag;
+                Array.from(child.attributes).forEach(attribute => {
+                    const { value, reason } = this.checkAttribute(attribute.name, attribute.value, policy);
+                    if (value === null) {
+                        const entry = { type: 'attribute', name: attribute.name, path: childPath };
+                        if (reason) entry.reason = reason;
+                        removed.push(entry);
+                        child.removeAttribute(attribute.name);
+                    } else if (value !== attribute.value) {
+                        child.setAttribute(attribute.name, value);
+                    }
+                });
+                if (tag === 'a' && child.hasAttribute('href')) {
+                    child.setAttribute('rel', 'noopener noreferrer');
+                }
+                if (tag === 'button') {
+                    child.setAttribute('type', 'button');
+                }
+                this.clean(child, policy, removed, childPath);
+            });
+            return removed;
+        },
+
+        /**
+         * 檢查屬性，回傳要保留的值
+         * @param {string} name - 屬性名稱
+         * @param {string} value - 屬性值
+         * @param {Object} policy - 政策
+         * @returns {{value: ?string, reason: ?string}} value 為要保留的值（網址會正規化），應移除時為 null；
+         *     網址被拒絕時 reason 為 UrlRejection 之一
+         */
+        checkAttribute(name, value, policy) {
+            const lower = name.toLowerCase();
+            if (!SanitizationPolicies.allowsAttribute(policy, lower)) return { value: null, reason: null };
+            if (SecurityConfig.URL_ATTRIBUTES.includes(lower)) {
+                const result = Validator.checkUrl(value);
+                return { value: result.url, reason: result.reason };
+            }
+            if (lower === 'target' && !policy.allowedTargets.includes(value)) {
+                return { value: null, reason: null };
+            }
+            return { value, reason: null };
+        },
+
+        /**
+         * 在惰性文件中解析 HTML
+         * @private
+         * @param {string} html - HTML 內容
+         * @returns {DocumentFragment}
+         */
+        _parse(html) {
+            const template = document.createElement('template');
+            if ('content' in template) {
+                template.innerHTML = TrustedTypesPolicy.createHTML(html);
+                return template.content;
+            }
+            const parsed = new DOMParser().parseFromString(TrustedTypesPolicy.createHTML(html), 'text/html');
+            const fragment = parsed.createDocumentFragment();
+            while (parsed.body.firstChild) {
+                fragment.appendChild(parsed.body.firstChild);
+            }
+            return fragment;
+        },
+
+        /**
+         * 以 DOMPurify 解析並依政策先過濾，把它移除的內容轉為相同的格式
+         * @private
+         * @param {string} html - HTML 內容
+         * @param {Object} policy - 政策
+         * @param {Object[]} removed - 收集被移除的內容
+         * @returns {DocumentFragment}
+         */
+        _sanitizeWithDomPurify(html, policy, removed) {
+            const fragment = DOMPurify.sanitize(html, {
+                ALLOWED_TAGS: policy.allowedTags.slice(),
+                ALLOWED_ATTR: policy.allowedAttributes.filter(name => !name.endsWith('*')),
+                ALLOW_DATA_ATTR: policy.allowedAttributes.includes('data-*'),
+                FORBID_CONTENTS: SecurityConfig.FORBID_CONTENTS,
+                RETURN_DOM_FRAGMENT: true
+            });
+            DOMPurify.removed.forEach(item => {
+                // DOMPurify 解析時外層的 <body> 也會列在移除清單中
+                if (item.element && item.element.nodeName === 'BODY') return;
+                // DOMPurify 回報元素時它已脫離文件，無法得知位置
+                if (item.element) {
+                    removed.push({ type: 'element', name: item.element.nodeName.toLowerCase(), path: null });
+                } else if (item.attribute) {
+                    removed.push({ type: 'attribute', name: item.attribute.name, path: this._pathOf(item.from) });
+                }
+            });
+            return fragment;
+        },
+
+        /**
+         * 元素在解析結果中的位置
+         * @private
+         * @param {?Node} node - 節點
+         * @returns {string}
+         */
+        _pathOf(node) {
+            const tags = [];
+            for (let current = node; current && current.nodeType === Node.ELEMENT_NODE; current = current.parentNode) {
+                if (current.localName === 'body') break;
+                tags.unshift(current.localName);
+            }
+            return tags.join(' > ');
+        }
+    };
+
+    /**
+     * 淨化 HTML（見 Sanitizer）
+     * @param {string} html - HTML 內容
+     * @param {Object} [options] - 見 Sanitizer.sanitize
+     * @returns {{fragment: DocumentFragment, policy: string, removed: Object[]}}
+     */
+    function sanitizeHtml(html, options) {
+        Validator.validateInput(html);
+        return Sanitizer.sanitize(html, options);
+    }
+
+    /**
+     * 安全地設置 HTML 內容
+     * 以 Sanitizer 淨化一次，有內容被移除時記錄移除了哪些節點與屬性
+     * @param {HTMLElement} element - 目標元素
+     * @param {string} html - HTML 內容
+     * @param {Object} [options] - 選項
+     * @param {string|Object} [options.policy] - 淨化政策（見 SanitizationPolicies）
+     */
+    function setSanitizedHTML(element, html, options = {}) {
+        try {
+            Validator.validateElement(element);
+            Validator.validateInput(html);
+
+            const { fragment, policy, removed } = Sanitizer.sanitize(html, { policy: options.policy });
+
+            // 記錄被移除的內容；原始 HTML 可能含有使用者的資料，只記錄長度
+            if (removed.length > 0) {
+                Logger.logEvent(LogEventType.SANITIZATION, { policy, removed, length: html.length });
+            }
+
+            // 清空目標元素
+            while (element.firstChild) {
+                element.removeChild(element.firstChild);
+            }
+
+            // 安全地將淨化後的 DocumentFragment 添加到 DOM
+            element.appendChild(fragment);
+        } catch (error) {
+            Logger.logEvent(LogEventType.HTML_UPDATE_ERROR, { error: error.message });
+            throw error;
+        }
+    }
+
+
+    /**
+     * HTML 轉義函數
+     * @param {string} str - 要轉義的字符串
+     * @returns {string} 轉義後的字符串
+     */
+    function escapeHtml(str) {
+        return str
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    /**
+     * 安全的 Markdown 子集
+     * 支援段落（單一換行為 <br>）、**粗體**／__粗體__、*斜體*／_斜體_、`程式碼`、``` 程式碼區塊、
+     * 無序（- * +）與有序（1.）清單，以及 [文字](網址) 連結；不支援 HTML，所有文字一律當作純文字。
+     * 先解析成節點樹，再輸出為 HTML 字串（markdownToHtml）或直接建立 DOM（markdownToFragment），
+     * 產生的標籤與屬性都在 links 政策之內（見 SanitizationPolicies）
+     * @type {Object}
+     */
+    const Markdown = {
+        // 可以用反斜線跳脫的字元
+        ESCAPABLE: '\\`*_[]()#+-.!>',
+
+        /**
+         * 解析成區塊節點
+         * @param {string} text - Markdown 內容
+         * @returns {Object[]} 節點：paragraph、list、codeBlock
+         */
+        parse(text) {
+            const lines = text.replace(/\r\n?/g, '\n').split('\n');
+            const blocks = [];
+            const isFence = line => /^\s*```/.test(line);
+            const listItem = line => /^\s*(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/.exec(line);
+
+            let i = 0;
+            while (i < lines.length) {
+                const line = lines[i];
+                if (line.trim() === '') {
+                    i++;
+                } else if (isFence(line)) {
+                    const code = [];
+                    i++;
+                    while (i < lines.length && !isFence(lines[i])) code.push(lines[i++]);
+                    i++;
+                    blocks.push({ type: 'codeBlock', value: code.join('\n') });
+                } else if (listItem(line)) {
+                    const ordered = !listItem(line)[1];
+                    const items = [];
+                    let match;
+                    while (i < lines.length && (match = listItem(lines[i])) && !match[1] === ordered) {
+                        items.push(this.parseInline(match[3]));
+                        i++;
+                    }
+                    blocks.push({ type: 'list', ordered, items });
+                } else {
+                    const paragraph = [];
+                    while (i < lines.length && lines[i].trim() !== '' && !isFence(lines[i]) && !listItem(lines[i])) {
+                        paragraph.push(lines[i++].trim());
+                    }
+                    blocks.push({ type: 'paragraph', children: this.parseInline(paragraph.join('\n')) });
+                }
+            }
+            return blocks;
+        },
+
+        /**
+         * 解析行內格式
+         * @param {string} text - 一段文字
+         * @param {boolean} [inLink=false] - 是否在連結文字中（連結不能巢狀）
+         * @returns {Object[]} 節點：text、break、code、strong、em、link
+         */
+        parseInline(text, inLink = false) {
+            const nodes = [];
+            let buffer = '';
+            const pushText = () => {
+                if (buffer) nodes.push({ type: 'text', value: buffer });
+                buffer = '';
+            };
+
+            let i = 0;
+            while (i < text.length) {
+                const char = text[i];
+                const rest = text.slice(i);
+
+                if (char === '\\' && this.ESCAPABLE.includes(text[i + 1] || '')) {
+                    buffer += text[i + 1];
+                    i += 2;
+                    continue;
+                }
+                if (char === '\n') {
+                    pushText();
+                    nodes.push({ type: 'break' });
+                    i++;
+                    continue;
+                }
+                if (char === '`') {
+                    const end = text.indexOf('`', i + 1);
+                    if (end > i + 1) {
+                        pushText();
+                        nodes.push({ type: 'code', value: text.slice(i + 1, end) });
+                        i = end + 1;
+                        continue;
+                    }
+                }
+                if (char === '*' || char === '_') {
+                    const strong = text[i + 1] === char;
+                    const delimiter = strong ? char + char : char;
+                    // 底線在單字中間（例如 snake_case）不算格式
+                    const intraword = char === '_' && /[A-Za-z0-9]/.test(text[i - 1] || '');
+                    const end = intraword ? -1 : this._findClosing(text, delimiter, i + delimiter.length);
+                    if (end > i + delimiter.length) {
+                        pushText();
+                        nodes.push({
+                            type: strong ? 'strong' : 'em',
+                            children: this.parseInline(text.slice(i + delimiter.length, end), inLink)
+                        });
+                        i = end + delimiter.length;
+                        continue;
+                    }
+                }
+                if (char === '[' && !inLink) {
+                    const link = /^\[((?:\\.|[^[\]\\])+)\]\(([^\s()]+)\)/.exec(rest);
+                    if (link) {
+                        pushText();
+                        const children = this.parseInline(link[1], true);
+                        const checked = Validator.checkUrl(link[2]);
+                        if (checked.valid) {
+                            nodes.push({ type: 'link', href: checked.url, children });
+                        } else {
+                            // 不安全的網址只保留連結文字
+                            Logger.logEvent(LogEventType.INVALID_URL, { url: link[2], reason: checked.reason });
+                            nodes.push(...children);
+                        }
+                        i += link[0].length;
+                        continue;
+                    }
+                }
+
+                buffer += char;
+                i++;
+            }
+            pushText();
+            return nodes;
+        },
+
+        /**
+         * 找到結尾的格式符號（略過跳脫字元）
+         * @private
+         * @returns {number} 位置，找不到時為 -1
+         */
+        _findClosing(text, delimiter, from) {
+            for (let i = from; i < text.length; i++) {
+                if (text[i] === '\\') {
+                    i++;
+                } else if (delimiter.length === 1 && text[i] === delimiter && text[i + 1] === delimiter) {
+                    // 找單一符號時略過成對的符號（那是粗體）
+                    i++;
+                } else if (text.startsWith(delimiter, i)) {
+                    return i;
+                }
+            }
+            return -1;
+        },
+
+        /**
+         * 輸出為 HTML 字串
+         * @param {Object[]} nodes - parse() 或 parseInline() 的節點
+         * @returns {string}
+         */
+        toHtml(nodes) {
+            return nodes.map(node => {
+                switch (node.type) {
+                    case 'text': return escapeHtml(node.value);
+                    case 'break': return '<br>';
+                    case 'code': return `<code>${escapeHtml(node.value)}</code>`;
+                    case 'strong': return `<strong>${this.toHtml(node.children)}</strong>`;
+                    case 'em': return `<em>${this.toHtml(node.children)}</em>`;
+                    case 'link':
+                        return `<a href="${escapeHtml(node.href)}" rel="noopener noreferrer">${this.toHtml(node.children)}</a>`;
+                    case 'paragraph': return `<p>${this.toHtml(node.children)}</p>`;
+                    case 'codeBlock': return `<pre><code>${escapeHtml(node.value)}</code></pre>`;
+                    case 'list': {
+                        const tag = node.ordered ? 'ol' : 'ul';
+                        return `<${tag}>${node.items.map(item => `<li>${this.toHtml(item)}</li>`).join('')}</${tag}>`;
+                    }
+                    default: return '';
+                }
+            }).join('');
+        },
+
+        /**
+         * 建立 DOM 節點（文字一律以文字節點加入，不經過 HTML 解析）
+         * @param {Object[]} nodes - parse() 或 parseInline() 的節點
+         * @param {Node} parent - 要加入的父節點
+         */
+        appendTo(nodes, parent) {
+            const doc = parent.ownerDocument || parent;
+            const element = (tag, children) => {
+                const el = doc.createElement(tag);
+                this.appendTo(children, el);
+                return el;
+            };
+            nodes.forEach(node => {
+                let child;
+                switch (node.type) {
+                    case 'text':
+                        child = doc.createTextNode(node.value);
+                        break;
+                    case 'break':
+                        child = doc.createElement('br');
+                        break;
+                    case 'code':
+                        child = element('code', [{ type: 'text', value: node.value }]);
+                        break;
+                    case 'strong':
+                    case 'em':
+                        child = element(node.type, node.children);
+                        break;
+                    case 'link':
+                        child = element('a', node.children);
+                        child.setAttribute('href', node.href);
+                        child.setAttribute('rel', 'noopener noreferrer');
+                        break;
+                    case 'paragraph':
+                        child = element('p', node.children);
+                        break;
+                    case 'codeBlock':
+                        child = doc.createElement('pre');
+                        child.appendChild(element('code', [{ type: 'text', value: node.value }]));
+                        break;
+                    case 'list':
+                        child = doc.createElement(node.ordered ? 'ol' : 'ul');
+                        node.items.forEach(item => child.appendChild(element('li', item)));
+                        break;
+                    default:
+                        return;
+                }
+                parent.appendChild(child);
+            });
+        }
+    };
+
+    /**
+     * 把 Markdown 轉為 HTML 字串（見 Markdown）
+     * @param {string} markdown - Markdown 內容
+     * @returns {string} HTML，只包含 links 政策內的標籤與屬性
+     */
+    function markdownToHtml(markdown) {
+        Validator.validateInput(markdown);
+        return Markdown.toHtml(Markdown.parse(markdown));
+    }
+
+    /**
+     * 把 Markdown 轉為 DocumentFragment（見 Markdown）
+     * @param {string} markdown - Markdown 內容
+     * @returns {DocumentFragment}
+     */
+    function markdownToFragment(markdown) {
+        Validator.validateInput(markdown);
+        const fragment = document.createDocumentFragment();
+        Markdown.appendTo(Markdown.parse(markdown), fragment);
+        return fragment;
+    }
+
+    /**
+     * 安全地渲染富文本內容
+     * @param {HTMLElement} container - 容器元素
+     * @param {string} content - 要渲染的內容
+     * @param {Object} options - 渲染選項
+     * @param {boolean} [options.plainText] - 當作純文字
+     * @param {boolean} [options.allowHtml] - 當作 HTML 淨化後插入
+     * @param {boolean} [options.markdown] - 當作 Markdown
+     * @param {string|Object} [options.policy] - HTML 與 Markdown 使用的淨化政策（見 SanitizationPolicies）
+     */
+    function renderRichContent(container, content, options = {}) {
+        try {
+            // 驗證輸入
+            Validator.validateElement(container);
+            Validator.validateInput(content);
+
+            // 根據內容類型選擇渲染策略
+            if (options.plainText) {
+                // 純文本：使用 textContent
+                setTextContent(container, content);
+            } else if (options.allowHtml) {
+                // HTML：使用淨化和 DocumentFragment
+                setSanitizedHTML(container, content, { policy: options.policy });
+            } else if (options.markdown) {
+                // Markdown：解析後直接建立 DOM 節點，不經過 HTML 字串；再依政策拿掉不允許的格式（例如 strict-text 只留文字）
+                const fragment = markdownToFragment(content);
+                Sanitizer.clean(fragment, SanitizationPolicies.resolve(options.policy));
+                while (container.firstChild) {
+                    container.removeChild(container.firstChild);
+                }
+                container.appendChild(fragment);
+            } else {
+                // 預設：以文字節點加入（不會被解析為 HTML，不需要再轉義）
+                createSafeTextNode(container, content);
+            }
+
+            // 添加安全屬性
+            if (container.tagName === 'A') {
+                container.setAttribute('rel', 'noopener noreferrer');
+            }
+
+            // 記錄操作
+            Logger.logEvent(LogEventType.CONTENT_RENDERED, {
+                type: options.plainText ? 'text' : (options.allowHtml ? 'html' : (options.markdown ? 'markdown' : 'escaped')),
+                length: content.length
+            });
+
+        } catch (error) {
+            // 只記錄長度，使用者輸入的內容不送到日誌收集器
+            Logger.logEvent(LogEventType.RENDER_ERROR, {
+                error: error.message,
+                length: String(content).length
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * 創建安全的互動元素
+     * @deprecated 監聽器直接加在元素上，沒有 data-action 時不會呼叫 onClick，也不能以鍵盤啟動。
+     *     請改用 h() 描述元素、以 patchView 產生，由容器委派事件；原生的 button 本身就能以 Enter 與空白鍵啟動，
+     *     其他元素要加上 role="button"、tabindex="0" 與處理 Enter／空白鍵的 keydown（政策須允許 role 與 tabindex）
+     * @example
+     *   patchView(toolbar, h('button', { class: 'btn', on: { click: start } }, label), { policy });
+     * @param {HTMLElement} container - 容器元素
+     * @param {Object} config - 元素配置
+     * @returns {HTMLElement} 新創建的元素
+     */
+    function createSecureInteractiveElement(container, config) {
+        try {
+            const element = createElement(container, config.tag || 'div', {
+                text: config.text,
+                attributes: {
+                    'class': config.className,
+                    'id': config.id,
+                    'data-action': config.action
+                }
+            });
+
+            // 使用事件委派而不是內聯事件處理器
+            if (config.onClick) {
+                element.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    const action = e.currentTarget.getAttribute('data-action');
+                    if (action && typeof config.onClick === 'function') {
+                        config.onClick(e);
+                    }
+                });
+            }
+
+            return element;
+        } catch (error) {
+            Logger.logEvent(LogEventType.INTERACTIVE_ELEMENT_ERROR, {
+                error: error.message,
+                config: JSON.stringify(config)
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * 宣告式建構 DOM（hyperscript）
+     * 以 h() 描述節點，再以 patch() 建立或更新容器內的 DOM：
+     *   - 標籤與屬性經過與 createElement 相同的淨化政策檢查，網址屬性經過 Validator.checkUrl
+     *   - 字串與數字一律成為文字節點，不會被當成 HTML；只有 h() 產生的物件才會成為元素，
+     *     資料中的一般物件不會被誤認為節點
+     *   - 事件處理函數不加在個別元素上，而是由容器依事件類型委派（見 EVENT_TYPES）
+     *   - 再次 patch 同一個容器時沿用標籤相同的既有節點，只更新有差異的文字、屬性與處理函數，
+     *     所以也能接手頁面上原本就有的靜態內容
+     * @type {Object}
+     */
+    const View = {
+        // 可以委派的事件類型（都會冒泡；焦點事件請用 focusin、focusout）
+        EVENT_TYPES: ['click', 'dblclick', 'input', 'change', 'keydown', 'keyup',
+            'focusin', 'focusout', 'pointerdown', 'pointerup'],
+
+        // 標記 h() 產生的節點描述
+        _marker: Symbol('View.node'),
+        // 元素 → { root, on }：root 為負責委派的容器
+        _handlers: new WeakMap(),
+        // 容器 → 已委派的事件類型
+        _delegated: new WeakMap(),
+
+        /**
+         * 建立節點描述（見 h）
+         * @param {string} tag - 標籤名稱
+         * @param {?Object} props - 屬性；on 為 { 事件類型: 處理函數 }
+         * @param {Array} children - 子節點
+         * @returns {Object} 凍結的節點描述
+         * @throws {TypeError} 如果參數無效
+         */
+        node(tag, props, children) {
+            if (typeof tag !== 'string' || tag === '') {
+                throw new TypeError('標籤名稱必須是字串');
+            }
+            // 省略 props 時，第二個參數是子節點
+            if (props !== null && props !== undefined && (typeof props !== 'object' || Array.isArray(props) || this.isNode(props))) {
+                children = [props, ...children];
+                props = null;
+            }
+            const { on = {}, ...attributes } = props || {};
+            if (typeof on !== 'object' || on === null) {
+                throw new TypeError('on 必須是物件');
+            }
+            Object.entries(on).forEach(([type, handler]) => {
+                if (!this.EVENT_TYPES.includes(type)) {
+                    throw new TypeError(`不支援委派的事件類型：${type}`);
+                }
+                if (typeof handler !== 'function') {
+                    throw new TypeError(`${type} 的處理函數必須是函數`);
+                }
+            });
+
+            return Object.freeze({
+                [this._marker]: true,
+                tag: tag.toLowerCase(),
+                attributes: Object.freeze(attributes),
+                on: Object.freeze({ ...on }),
+                children: Object.freeze(this._normalize(children))
+            });
+        },
+
+        /**
+         * 是否為 h() 產生的節點描述
+         * @param {*} value - 要檢查的值
+         * @returns {boolean}
+         */
+        isNode(value) {
+            return typeof value === 'object' && value !== null && value[this._marker] === true;
+        },
+
+        /**
+         * 建立或更新容器的內容，使其符合節點描述
+         * @param {HTMLElement} container - 容器元素（本身不會被修改，只處理它的子節點）
+         * @param {*} view - 節點描述、字串，或它們的陣列
+         * @param {Object} [options] - 選項
+         * @param {string|Object} [options.policy] - 淨化政策（見 SanitizationPolicies）
+         * @returns {HTMLElement} container
+         * @throws {Error} 如果容器無效、標籤不在政策內或文字超過長度限制（DOM 不會被修改）
+         */
+        patch(container, view, options = {}) {
+            try {
+                Validator.validateElement(container);
+                const policy = SanitizationPolicies.resolve(options.policy);
+                const views = this._normalize([view]);
+                // 先檢查整棵樹，避免更新到一半才發現不合法
+                views.forEach(child => this._check(child, policy));
+
+                this._patchChildren(container, views, policy, container);
+                views.forEach(child => this._delegate(container, child));
+                return container;
+            } catch (error) {
+                Logger.logEvent(LogEventType.ELEMENT_CREATION_ERROR, { error: error.message });
+                throw error;
+            }
+        },
+
+        /**
+         * 攤平子節點：數字轉為字串，null、undefined 與布林值略過
+         * @private
+         * @param {Array} children - 子節點
+         * @returns {Array<Object|string>}
+         * @throws {TypeError} 如果有無法轉為節點的值
+         */
+        _normalize(children) {
+            const result = [];
+            children.forEach(child => {
+                if (Array.isArray(child)) {
+                    result.push(...this._normalize(child));
+                } else if (child === null || child === undefined || typeof child === 'boolean') {
+                    return;
+                } else if (typeof child === 'string' || typeof child === 'number') {
+                    result.push(String(child));
+                } else if (this.isNode(child)) {
+                    result.push(child);
+                } else {
+                    throw new TypeError(`無法轉為節點的值：${Object.prototype.toString.call(child)}`);
+                }
+            });
+            return result;
+        },
+
+        /**
+         * 檢查標籤與文字
+         * @private
+         */
+        _check(view, policy) {
+            if (typeof view === 'string') {
+                Validator.validateInput(view);
+                return;
+            }
+            if (!SanitizationPolicies.allowsTag(policy, view.tag)) {
+                throw new Error(SecureDomMessages.t('tagNotAllowed'));
+            }
+            view.children.forEach(child => this._check(child, policy));
+        },
+
+        /**
+         * 依節點描述更新 parent 的子節點，標籤相同的既有節點會沿用
+         * @private
+         */
+        _patchChildren(parent, views, policy, root) {
+            views.forEach((view, i) => {
+                const existing = parent.childNodes[i];
+                if (existing && this._matches(existing, view)) {
+                    this._update(existing, view, policy, root);
+                    return;
+                }
+                const node = typeof view === 'string' ? document.createTextNode('') : document.createElement(view.tag);
+                this._update(node, view, policy, root);
+                if (existing) {
+                    parent.replaceChild(node, existing);
+                } else {
+                    parent.appendChild(node);
+                }
+            });
+            while (parent.childNodes.length > views.length) {
+                parent.removeChild(parent.lastChild);
+            }
+        },
+
+        _matches(node, view) {
+            if (typeof view === 'string') return node.nodeType === Node.TEXT_NODE;
+            return node.nodeType === Node.ELEMENT_NODE
+                && node.namespaceURI === Sanitizer.HTML_NAMESPACE
+                && node.localName === view.tag;
+        },
+
+        /**
+         * 更新單一節點的文字、屬性、處理函數與子節點
+         * @private
+         */
+        _update(node, view, policy, root) {
+            if (typeof view === 'string') {
+                if (node.data !== view) node.data = view;
+                return;
+            }
+
+            const wanted = new Map();
+            Object.entries(view.attributes).forEach(([name, value]) => {
+                if (value === null || value === undefined || value === false) return;
+                const checked = Sanitizer.checkAttribute(name, value === true ? '' : String(value), policy);
+                if (checked.value !== null) {
+                    wanted.set(name.toLowerCase(), checked.value);
+                } else if (checked.reason) {
+                    Logger.logEvent(LogEventType.INVALID_URL, { url: String(value), reason: checked.reason });
+                }
+            });
+            if (view.tag === 'a' && wanted.has('href')) {
+                wanted.set('rel', 'noopener noreferrer');
+            }
+            if (view.tag === 'button') {
+                wanted.set('type', 'button');
+            }
+            Array.from(node.attributes).forEach(attribute => {
+                if (!wanted.has(attribute.name)) node.removeAttribute(attribute.name);
+            });
+            wanted.forEach((value, name) => {
+                if (node.getAttribute(name) !== value) node.setAttribute(name, value);
+            });
+
+            if (Object.keys(view.on).length > 0) {
+                this._handlers.set(node, { root, on: view.on });
+            } else {
+                this._handlers.delete(node);
+            }
+            this._patchChildren(node, view.children, policy, root);
+        },
+
+        /**
+         * 在容器上為節點描述用到的事件類型加上委派的監聽器（每個類型只加一次）
+         * @private
+         */
+        _delegate(container, view) {
+            if (typeof view === 'string') return;
+            let types = this._delegated.get(container);
+            if (!types) {
+                types = new Set();
+                this._delegated.set(container, types);
+            }
+            Object.keys(view.on).forEach(type => {
+                if (types.has(type)) return;
+                types.add(type);
+                container.addEventListener(type, event => this._dispatch(container, event));
+            });
+            view.children.forEach(child => this._delegate(container, child));
+        },
+
+        /**
+         * 從事件目標往上找到容器為止，依序呼叫由這個容器委派的處理函數；
+         * 處理函數呼叫 stopPropagation() 後不再往上
+         * @private
+         */
+        _dispatch(container, event) {
+            for (let node = event.target; node && node !== container; node = node.parentNode) {
+                const entry = this._handlers.get(node);
+                if (entry && entry.root === container && entry.on[event.type]) {
+                    entry.on[event.type].call(node, event, node);
+                    if (event.cancelBubble) break;
+                }
+            }
+        }
+    };
+
+    /**
+     * 描述一個元素（見 View）
+     * @example
+     *   patchView(scoreArea, h('div', { class: 'score' },
+     *       h('span', { class: 'score-label' }, label), ': ', h('span', null, count)));
+     * @param {string} tag - 標籤名稱
+     * @param {?Object} [props] - 屬性（值為 null、undefined 或 false 時略過，true 為空字串）；
+     *     on 為委派的事件處理函數 { 事件類型: function(event, element) }
+     * @param {...*} children - 子節點：h() 的結果、字串或數字（一律當作文字），可以是陣列；null、undefined 與布林值略過
+     * @returns {Object} 節點描述
+     */
+    function h(tag, props, ...children) {
+        return View.node(tag, props, children);
+    }
+
+    /**
+     * 建立或更新容器的內容（見 View.patch）
+     * @param {HTMLElement} container - 容器元素
+     * @param {*} view - h() 的結果、字串，或它們的陣列
+     * @param {Object} [options] - 選項
+     * @param {string|Object} [options.policy] - 淨化政策（見 SanitizationPolicies）
+     * @returns {HTMLElement} container
+     */
+    function patchView(container, view, options) {
+        return View.patch(container, view, options);
+    }
+
+    return Object.freeze({
+        SecurityConfig,
+        SecureDomMessages,
+        Validator,
+        UrlRejection,
+        SanitizationPolicies,
+        LogSeverity,
+        LogEventType,
+        LogEvents,
+        LogTransports,
+        Logger,
+        setTextContent,
+        createSafeTextNode,
+        createElement,
+        Sanitizer,
+        sanitizeHtml,
+        setSanitizedHTML,
+        escapeHtml,
+        Markdown,
+        markdownToHtml,
+        markdownToFragment,
+        renderRichContent,
+        // 已淘汰，請改用 h() 與 patchView
+        createSecureInteractiveElement,
+        View,
+        h,
+        patchView
+    });
+});
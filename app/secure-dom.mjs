@@ -0,0 +1,37 @@
+/**
+ * @fileoverview secure-dom.js 的 ES module 入口
+ * 實作在 UMD 格式的 secure-dom.js：以 CommonJS 的預設匯出取得，再逐一具名匯出。
+ * 需要能載入 CommonJS 的環境（Node 或打包工具）；瀏覽器直接以 <script src="secure-dom.js"> 載入
+ */
+
+import SecureDom from './secure-dom.js';
+
+export const {
+    SecurityConfig,
+    SecureDomMessages,
+    Validator,
+    UrlRejection,
+    SanitizationPolicies,
+    LogSeverity,
+    LogEventType,
+    LogEvents,
+    LogTransports,
+    Logger,
+    setTextContent,
+    createSafeTextNode,
+    createElement,
+    Sanitizer,
+    sanitizeHtml,
+    setSanitizedHTML,
+    escapeHtml,
+    Markdown,
+    markdownToHtml,
+    markdownToFragment,
+    renderRichContent,
+    createSecureInteractiveElement,
+    View,
+    h,
+    patchView
+} = SecureDom;
+
+export default SecureDom;
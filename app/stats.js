@@ -0,0 +1,167 @@
+/**
+ * @fileoverview 對局統計
+ * 由保存的對局紀錄計算勝率、連勝、平均手數與常見開局，並匯出 CSV；不依賴 DOM
+ */
+
+const GameStats = (() => {
+    const Storage = typeof GameStorage !== 'undefined' ? GameStorage : require('./storage.js');
+
+    const CSV_COLUMNS = [
+        'endedAt', 'mode', 'difficulty', 'difficultyX', 'boardSize', 'winLength',
+        'winner', 'outcome', 'length', 'opening'
+    ];
+
+    /**
+     * 加入一局紀錄
+     * @param {GameEntry[]} history - 原有紀錄（依時間排序）
+     * @param {GameEntry} entry - 新的一局
+     * @returns {GameEntry[]} 新陣列，最多保留 GameStorage.MAX_HISTORY 局
+     */
+    function appendGame(history, entry) {
+        return history.concat(entry).slice(-Storage.MAX_HISTORY);
+    }
+
+    /**
+     * 依模式與難度篩選
+     * @param {GameEntry[]} history - 對局紀錄
+     * @param {Object} [filter] - 篩選條件，未指定的欄位不篩選
+     * @param {string} [filter.mode] - 對戰模式
+     * @param {string} [filter.difficulty] - 電腦難度
+     * @returns {GameEntry[]}
+     */
+    function filterGames(history, filter = {}) {
+        return history.filter(entry =>
+            (!filter.mode || entry.mode === filter.mode)
+            && (!filter.difficulty || entry.difficulty === filter.difficulty));
+    }
+
+    /**
+     * 計算統計摘要
+     * @param {GameEntry[]} games - 對局紀錄（依時間排序）
+     * @returns {{games: number, wins: number, losses: number, draws: number,
+     *     winRate: number, lossRate: number, drawRate: number,
+     *     currentStreak: {outcome: ?string, length: number}, longestWinStreak: number,
+     *     averageLength: number, commonOpening: ?{boardSize: number, index: number, count: number}}}
+     */
+    function summarize(games) {
+        const counts = { win: 0, loss: 0, draw: 0 };
+        const openings = new Map();
+        let totalLength = 0;
+        let longestWinStreak = 0;
+        let winStreak = 0;
+
+        games.forEach(entry => {
+            counts[entry.outcome]++;
+            totalLength += entry.length;
+
+            winStreak = entry.outcome === 'win' ? winStreak + 1 : 0;
+            longestWinStreak = Math.max(longestWinStreak, winStreak);
+
+            const key = `${entry.boardSize}:${entry.opening}`;
+            openings.set(key, (openings.get(key) || 0) + 1);
+        });
+
+        const currentStreak = { outcome: null, length: 0 };
+        for (let i = games.length - 1; i >= 0; i--) {
+            if (currentStreak.outcome !== null && games[i].outcome !== currentStreak.outcome) break;
+            currentStreak.outcome = games[i].outcome;
+            currentStreak.length++;
+        }
+
+        let commonOpening = null;
+        openings.forEach((count, key) => {
+            if (!commonOpening || count > commonOpening.count) {
+                const [boardSize, index] = key.split(':').map(Number);
+                commonOpening = { boardSize, index, count };
+            }
+        });
+
+        const total = games.length;
+        const rate = count => (total === 0 ? 0 : count / total);
+
+        return {
+            games: total,
+            wins: counts.win,
+            losses: counts.loss,
+            draws: counts.draw,
+            winRate: rate(counts.win),
+            lossRate: rate(counts.loss),
+            drawRate: rate(counts.draw),
+            currentStreak,
+            longestWinStreak,
+            averageLength: total === 0 ? 0 : totalLength / total,
+            commonOpening
+        };
+    }
+
+    /**
+     * 依模式與難度分組統計
+     * @param {GameEntry[]} history - 對局紀錄
+     * @returns {{mode: string, difficulty: ?string, difficultyX: ?string, summary: Object}[]}
+     */
+    function breakdown(history) {
+        const groups = new Map();
+        history.forEach(entry => {
+            const key = `${entry.mode}|${entry.difficulty}|${entry.difficultyX}`;
+            if (!groups.has(key)) {
+                groups.set(key, { mode: entry.mode, difficulty: entry.difficulty, difficultyX: entry.difficultyX, games: [] });
+            }
+            groups.get(key).games.push(entry);
+        });
+
+        return Array.from(groups.values()).map(group => ({
+            mode: group.mode,
+            difficulty: group.difficulty,
+            difficultyX: group.difficultyX,
+            summary: summarize(group.games)
+        }));
+    }
+
+    /**
+     * 取得最近 N 局（最新的在前）
+     * @param {GameEntry[]} history - 對局紀錄
+     * @param {number} count - 局數
+     * @returns {GameEntry[]}
+     */
+    function recent(history, count) {
+        return history.slice(-count).reverse();
+    }
+
+    /**
+     * CSV 欄位跳脫（RFC 4180），並避免以 = + - @ 開頭的值被試算表當成公式
+     * @private
+     */
+    function csvField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * 匯出 CSV
+     * @param {GameEntry[]} history - 對局紀錄
+     * @returns {string} 含標題列的 CSV
+     */
+    function toCsv(history) {
+        const rows = [CSV_COLUMNS.join(',')];
+        history.forEach(entry => {
+            rows.push(CSV_COLUMNS.map(column => csvField(entry[column])).join(','));
+        });
+        return rows.join('\r\n') + '\r\n';
+    }
+
+    return {
+        appendGame,
+        filterGames,
+        summarize,
+        breakdown,
+        recent,
+        toCsv
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameStats;
+}
@@ -0,0 +1,568 @@
+/**
+ * @fileoverview 遊戲狀態的持久化
+ * 可抽換的儲存後端（IndexedDB、localStorage、記憶體），資料帶有結構版本與校驗碼；
+ * 舊版存在 Cookie 的狀態會在第一次載入時遷移並刪除 Cookie
+ *
+ * 儲存的內容（envelope）：
+ *   { schemaVersion, savedAt, checksum, data }
+ * 其中 checksum 為 data 正規化 JSON 的 FNV-1a 雜湊，用來偵測截斷或竄改
+ */
+
+const GameStorage = (() => {
+    const Engine = typeof GameEngine !== 'undefined' ? GameEngine : require('./engine.js');
+
+    // 目前的資料結構版本；版本 0 代表舊版 Cookie 的格式
+    const SCHEMA_VERSION = 4;
+    const STATE_KEY = 'gameState';
+    const BACKUP_KEY = 'gameState.corrupt';
+    const LEGACY_COOKIE = 'gameState';
+
+    const MODES = ['pvc', 'cvp', 'pvp', 'cvc'];
+    // 電腦的難度與個性（見 ai.js 的 PROFILES），adaptive 依玩家最近的結果調整棋力
+    const DIFFICULTIES = ['easy', 'medium', 'hard', 'aggressive', 'defensive', 'adaptive'];
+    const WINNERS = ['X', 'O', 'draw'];
+    const OUTCOMES = ['win', 'loss', 'draw'];
+    // 動態效果：跟隨系統的 prefers-reduced-motion、一律減少或一律完整
+    const MOTION_PREFERENCES = ['system', 'reduce', 'full'];
+    // 介面語言的標籤（BCP 47 的簡化形式，例如 zh-TW、en）；null 代表跟隨瀏覽器
+    const LOCALE_TAG = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+    // 保存的對局紀錄上限（超過時捨棄最舊的）
+    const MAX_HISTORY = 200;
+
+    /**
+     * 持久化的遊戲狀態
+     * @typedef {Object} StoredState
+     * @property {Object<string, {X: number, O: number, draw: number}>} scores - 各模式的分數
+     * @property {string} mode - 對戰模式
+     * @property {string} difficulty - 主要電腦的難度
+     * @property {string} difficultyX - 電腦對電腦時 X 的難度
+     * @property {number} boardSize - 棋盤邊長
+     * @property {number} winLength - 連線長度
+     * @property {GameEntry[]} history - 最近的對局紀錄（依時間排序，最多 MAX_HISTORY 局）
+     * @property {{highContrast: boolean, motion: string, locale: ?string}} settings - 顯示與語言設定
+     */
+
+    /**
+     * 一局的紀錄
+     * @typedef {Object} GameEntry
+     * @property {string} endedAt - 結束時間（ISO 8601）
+     * @property {string} mode - 對戰模式
+     * @property {?string} difficulty - 電腦難度（雙人對戰為 null；電腦對電腦時為 O 的難度）
+     * @property {?string} difficultyX - 電腦對電腦時 X 的難度，其他模式為 null
+     * @property {number} boardSize - 棋盤邊長
+     * @property {number} winLength - 連線長度
+     * @property {string} winner - 'X'、'O' 或 'draw'
+     * @property {string} outcome - 玩家（雙人對戰或電腦對電腦時以 X）的結果：'win'、'loss' 或 'draw'
+     * @property {number} length - 總手數
+     * @property {number} opening - 第一手的格子索引
+     */
+
+    /**
+     * 儲存後端：所有方法皆回傳 Promise
+     * @typedef {Object} StorageBackend
+     * @property {string} name - 後端名稱
+     * @property {function(string): Promise<*>} get - 取值，不存在時為 undefined
+     * @property {function(string, *): Promise<void>} set - 存值
+     * @property {function(string): Promise<void>} remove - 刪除
+     */
+
+    /**
+     * 建立預設狀態
+     * @returns {StoredState}
+     */
+    function createDefaultState() {
+        const scores = {};
+        MODES.forEach(mode => {
+            scores[mode] = { X: 0, O: 0, draw: 0 };
+        });
+        return {
+            scores,
+            mode: 'pvc',
+            difficulty: 'medium',
+            difficultyX: 'medium',
+            boardSize: 3,
+            winLength: 3,
+            history: [],
+            settings: { highContrast: false, motion: 'system', locale: null }
+        };
+    }
+
+    /**
+     * 記憶體後端（測試或無法使用瀏覽器儲存空間時）
+     * @param {Object} [initial] - 初始內容
+     * @returns {StorageBackend}
+     */
+    function createMemoryBackend(initial = {}) {
+        const entries = new Map(Object.entries(initial));
+        const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+        return {
+            name: 'memory',
+            get: key => Promise.resolve(copy(entries.get(key))),
+            set: (key, value) => {
+                entries.set(key, copy(value));
+                return Promise.resolve();
+            },
+            remove: key => {
+                entries.delete(key);
+                return Promise.resolve();
+            }
+        };
+    }
+
+    /**
+     * localStorage 後端
+     * @param {Storage} [storage=localStorage] - Web Storage 物件
+     * @param {string} [prefix='tic-tac-toe:'] - 鍵名前綴
+     * @returns {StorageBackend}
+     */
+    function createLocalStorageBackend(storage = globalThis.localStorage, prefix = 'tic-tac-toe:') {
+        return {
+            name: 'localStorage',
+            get: key => new Promise(resolve => {
+                const raw = storage.getItem(prefix + key);
+                if (raw === null) {
+                    resolve(undefined);
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(raw));
+                } catch (error) {
+                    // 交給呼叫端的完整性檢查處理
+                    resolve(raw);
+                }
+            }),
+            set: (key, value) => new Promise(resolve => {
+                storage.setItem(prefix + key, JSON.stringify(value));
+                resolve();
+            }),
+            remove: key => new Promise(resolve => {
+                storage.removeItem(prefix + key);
+                resolve();
+            })
+        };
+    }
+
+    /**
+     * IndexedDB 後端
+     * @param {Object} [options] - 選項
+     * @param {string} [options.databaseName='tic-tac-toe'] - 資料庫名稱
+     * @param {string} [options.storeName='state'] - Object store 名稱
+     * @param {IDBFactory} [options.indexedDB=indexedDB] - IndexedDB 工廠
+     * @returns {StorageBackend}
+     */
+    function createIndexedDBBackend(options = {}) {
+        const databaseName = options.databaseName || 'tic-tac-toe';
+        const storeName = options.storeName || 'state';
+        const factory = options.indexedDB || globalThis.indexedDB;
+        let opening = null;
+
+        function open() {
+            if (!opening) {
+                opening = new Promise((resolve, reject) => {
+                    const request = factory.open(databaseName, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                    request.onblocked = () => reject(new Error('IndexedDB 被其他分頁鎖定'));
+                });
+                opening.catch(() => {
+                    opening = null;
+                });
+            }
+            return opening;
+        }
+
+        function run(mode, operation) {
+            return open().then(db => new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, mode);
+                const request = operation(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            }));
+        }
+
+        return {
+            name: 'indexedDB',
+            get: key => run('readonly', store => store.get(key)),
+            set: (key, value) => run('readwrite', store => store.put(value, key)).then(() => undefined),
+            remove: key => run('readwrite', store => store.delete(key)).then(() => undefined)
+        };
+    }
+
+    /**
+     * 依執行環境選擇後端：IndexedDB > localStorage > 記憶體
+     * @returns {StorageBackend}
+     */
+    function detectBackend() {
+        try {
+            if (typeof indexedDB !== 'undefined' && indexedDB) {
+                return createIndexedDBBackend();
+            }
+            if (typeof localStorage !== 'undefined' && localStorage) {
+                return createLocalStorageBackend();
+            }
+        } catch (error) {
+            // 例如停用 Cookie 時存取 localStorage 會拋出 SecurityError
+        }
+        return createMemoryBackend();
+    }
+
+    /**
+     * 以 document.cookie 讀取舊版狀態
+     * @private
+     */
+    function createDocumentCookieJar() {
+        return {
+            read(name) {
+                const cookie = document.cookie.split(';').find(item => item.trim().startsWith(`${name}=`));
+                return cookie ? cookie.slice(cookie.indexOf('=') + 1).trim() : null;
+            },
+            remove(name) {
+                document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/; SameSite=Strict`;
+            }
+        };
+    }
+
+    /**
+     * 鍵名排序後的 JSON，讓校驗碼不受鍵的順序影響
+     * @private
+     */
+    function canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(canonicalJson).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * 計算資料的校驗碼（FNV-1a 32 位元）
+     * @param {*} data - 資料
+     * @returns {string} 8 位十六進位字串
+     */
+    function checksum(data) {
+        const text = canonicalJson(data);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * 結構遷移：MIGRATIONS[v] 把版本 v 的資料轉成版本 v + 1
+     * @private
+     */
+    const MIGRATIONS = [
+        // 0 → 1：舊版 Cookie。最早只有人機對戰的三個分數，之後加入各模式分數與棋盤設定
+        legacy => {
+            const state = createDefaultState();
+            if (legacy.scores && typeof legacy.scores === 'object') {
+                MODES.forEach(mode => {
+                    const saved = legacy.scores[mode] || {};
+                    state.scores[mode] = { X: saved.X || 0, O: saved.O || 0, draw: saved.draw || 0 };
+                });
+            } else {
+                state.scores.pvc = {
+                    X: legacy.playerScore || 0,
+                    O: legacy.computerScore || 0,
+                    draw: legacy.drawScore || 0
+                };
+            }
+            ['mode', 'difficulty', 'difficultyX', 'boardSize', 'winLength'].forEach(key => {
+                if (legacy[key] !== undefined) state[key] = legacy[key];
+            });
+            // 之後版本加入的欄位由後續的遷移補上
+            delete state.history;
+            delete state.settings;
+            return state;
+        },
+        // 1 → 2：加入對局紀錄
+        state => ({ ...state, history: [] }),
+        // 2 → 3：加入顯示設定
+        state => ({ ...state, settings: { highContrast: false, motion: 'system' } }),
+        // 3 → 4：加入介面語言（預設跟隨瀏覽器）
+        state => ({ ...state, settings: { ...state.settings, locale: null } })
+    ];
+
+    /**
+     * 將資料遷移到目前的結構版本
+     * @param {*} data - 資料
+     * @param {number} fromVersion - 資料的版本
+     * @returns {*} 目前版本的資料
+     * @throws {Error} 如果資料來自更新的版本或版本號無效
+     */
+    function migrate(data, fromVersion) {
+        if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+            throw new Error(`無效的資料版本：${fromVersion}`);
+        }
+        if (fromVersion > SCHEMA_VERSION) {
+            throw new Error(`資料版本 ${fromVersion} 比程式支援的 ${SCHEMA_VERSION} 新`);
+        }
+
+        let migrated = data;
+        for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+            migrated = MIGRATIONS[version](migrated);
+        }
+        return migrated;
+    }
+
+    /**
+     * 驗證並正規化一局的紀錄
+     * @private
+     */
+    function validateEntry(entry, i) {
+        const fail = field => new RangeError(`第 ${i + 1} 筆對局紀錄的 ${field} 無效`);
+        if (typeof entry !== 'object' || entry === null) {
+            throw new TypeError(`第 ${i + 1} 筆對局紀錄必須是物件`);
+        }
+        if (typeof entry.endedAt !== 'string' || isNaN(Date.parse(entry.endedAt))) throw fail('endedAt');
+        if (!MODES.includes(entry.mode)) throw fail('mode');
+        const isOptionalDifficulty = value => value === null || DIFFICULTIES.includes(value);
+        if (!isOptionalDifficulty(entry.difficulty)) throw fail('difficulty');
+        if (!isOptionalDifficulty(entry.difficultyX)) throw fail('difficultyX');
+        if (!WINNERS.includes(entry.winner)) throw fail('winner');
+        if (!OUTCOMES.includes(entry.outcome)) throw fail('outcome');
+
+        let rules;
+        try {
+            rules = Engine.normalizeRules({ size: entry.boardSize, winLength: entry.winLength });
+        } catch (error) {
+            throw fail('boardSize / winLength');
+        }
+        const cells = rules.size * rules.size;
+        if (!Number.isInteger(entry.length) || entry.length < 1 || entry.length > cells) throw fail('length');
+        if (!Number.isInteger(entry.opening) || entry.opening < 0 || entry.opening >= cells) throw fail('opening');
+
+        return {
+            endedAt: entry.endedAt,
+            mode: entry.mode,
+            difficulty: entry.difficulty,
+            difficultyX: entry.difficultyX,
+            boardSize: rules.size,
+            winLength: rules.winLength,
+            winner: entry.winner,
+            outcome: entry.outcome,
+            length: entry.length,
+            opening: entry.opening
+        };
+    }
+
+    /**
+     * 驗證並正規化狀態
+     * @param {*} data - 要驗證的資料
+     * @returns {StoredState} 只包含已知欄位的新物件
+     * @throws {Error} 如果任何欄位不符合結構
+     */
+    function validate(data) {
+        if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+            throw new TypeError('遊戲狀態必須是物件');
+        }
+
+        const isCount = value => Number.isSafeInteger(value) && value >= 0;
+        if (typeof data.scores !== 'object' || data.scores === null) {
+            throw new TypeError('缺少分數資料');
+        }
+        const scores = {};
+        MODES.forEach(mode => {
+            const score = data.scores[mode];
+            if (!score || !isCount(score.X) || !isCount(score.O) || !isCount(score.draw)) {
+                throw new RangeError(`模式 ${mode} 的分數無效`);
+            }
+            scores[mode] = { X: score.X, O: score.O, draw: score.draw };
+        });
+
+        if (!MODES.includes(data.mode)) {
+            throw new RangeError(`未知的對戰模式：${data.mode}`);
+        }
+        ['difficulty', 'difficultyX'].forEach(key => {
+            if (!DIFFICULTIES.includes(data[key])) {
+                throw new RangeError(`未知的難度：${data[key]}`);
+            }
+        });
+        const rules = Engine.normalizeRules({ size: data.boardSize, winLength: data.winLength });
+
+        if (!Array.isArray(data.history)) {
+            throw new TypeError('對局紀錄必須是陣列');
+        }
+        const history = data.history.slice(-MAX_HISTORY).map(validateEntry);
+
+        const settings = data.settings;
+        if (typeof settings !== 'object' || settings === null) {
+            throw new TypeError('缺少顯示設定');
+        }
+        if (typeof settings.highContrast !== 'boolean') {
+            throw new TypeError('highContrast 必須是布林值');
+        }
+        if (!MOTION_PREFERENCES.includes(settings.motion)) {
+            throw new RangeError(`未知的動態效果設定：${settings.motion}`);
+        }
+        if (settings.locale !== null && !(typeof settings.locale === 'string' && LOCALE_TAG.test(settings.locale))) {
+            throw new RangeError(`無效的語言設定：${settings.locale}`);
+        }
+
+        return {
+            scores,
+            mode: data.mode,
+            difficulty: data.difficulty,
+            difficultyX: data.difficultyX,
+            boardSize: rules.size,
+            winLength: rules.winLength,
+            history,
+            settings: { highContrast: settings.highContrast, motion: settings.motion, locale: settings.locale }
+        };
+    }
+
+    /**
+     * 檢查 envelope 的版本與校驗碼，並遷移、驗證其中的資料
+     * @private
+     */
+    function unwrap(envelope) {
+        if (typeof envelope !== 'object' || envelope === null) {
+            throw new TypeError('儲存的資料格式錯誤');
+        }
+        if (envelope.checksum !== checksum(envelope.data)) {
+            throw new Error('校驗碼不符，資料可能已損毀');
+        }
+        return validate(migrate(envelope.data, envelope.schemaVersion));
+    }
+
+    /**
+     * 建立遊戲狀態的儲存庫
+     * @param {Object} [options] - 選項
+     * @param {StorageBackend} [options.backend] - 儲存後端，預設自動偵測
+     * @param {?{read: function(string): ?string, remove: function(string): void}} [options.cookieJar]
+     *     舊版 Cookie 的來源，預設為 document.cookie；傳入 null 可停用遷移
+     * @returns {{backend: StorageBackend, load: function(): Promise<Object>, save: function(StoredState): Promise<void>, clear: function(): Promise<void>}}
+     */
+    function createStore(options = {}) {
+        let backend = options.backend || detectBackend();
+        const cookieJar = options.cookieJar !== undefined
+            ? options.cookieJar
+            : (typeof document !== 'undefined' ? createDocumentCookieJar() : null);
+
+        /**
+         * 保留損毀的原始資料並重設為預設值
+         * @private
+         */
+        async function recover(raw, error) {
+            try {
+                await backend.set(BACKUP_KEY, { savedAt: new Date().toISOString(), reason: error.message, raw });
+                await backend.remove(STATE_KEY);
+            } catch (backupError) {
+                // 備份失敗時仍以預設值繼續
+            }
+            return {
+                state: createDefaultState(),
+                source: 'default',
+                recovered: { reason: 'corrupted', message: error.message, backupKey: BACKUP_KEY }
+            };
+        }
+
+        /**
+         * 儲存狀態
+         * @param {StoredState} state - 遊戲狀態
+         * @returns {Promise<void>}
+         */
+        function save(state) {
+            let data;
+            try {
+                data = validate(state);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            return backend.set(STATE_KEY, {
+                schemaVersion: SCHEMA_VERSION,
+                savedAt: new Date().toISOString(),
+                checksum: checksum(data),
+                data
+            });
+        }
+
+        /**
+         * 載入狀態：依序嘗試儲存庫、舊版 Cookie，最後使用預設值
+         * @returns {Promise<{state: StoredState, source: string, recovered: ?Object}>}
+         *     recovered 不為 null 時表示資料損毀或儲存空間無法使用，已改用預設值
+         */
+        async function load() {
+            let envelope;
+            try {
+                envelope = await backend.get(STATE_KEY);
+            } catch (error) {
+                // 儲存空間無法使用（例如無痕模式），本次改存在記憶體
+                backend = createMemoryBackend();
+                return {
+                    state: createDefaultState(),
+                    source: 'default',
+                    recovered: { reason: 'unavailable', message: error.message, backupKey: null }
+                };
+            }
+
+            if (envelope !== undefined && envelope !== null) {
+                try {
+                    return { state: unwrap(envelope), source: 'store', recovered: null };
+                } catch (error) {
+                    return recover(envelope, error);
+                }
+            }
+
+            const cookie = cookieJar ? cookieJar.read(LEGACY_COOKIE) : null;
+            if (cookie) {
+                // 舊版 Cookie 只匯入一次，無論成功與否都會刪除
+                cookieJar.remove(LEGACY_COOKIE);
+                try {
+                    const state = validate(migrate(JSON.parse(decodeURIComponent(cookie)), 0));
+                    await save(state);
+                    return { state, source: 'cookie', recovered: null };
+                } catch (error) {
+                    return recover(cookie, error);
+                }
+            }
+
+            return { state: createDefaultState(), source: 'default', recovered: null };
+        }
+
+        /**
+         * 刪除已儲存的狀態
+         * @returns {Promise<void>}
+         */
+        function clear() {
+            return backend.remove(STATE_KEY);
+        }
+
+        return {
+            get backend() {
+                return backend;
+            },
+            load,
+            save,
+            clear
+        };
+    }
+
+    return {
+        SCHEMA_VERSION,
+        MODES,
+        DIFFICULTIES,
+        MAX_HISTORY,
+        MOTION_PREFERENCES,
+        createDefaultState,
+        createMemoryBackend,
+        createLocalStorageBackend,
+        createIndexedDBBackend,
+        detectBackend,
+        checksum,
+        migrate,
+        validate,
+        createStore
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameStorage;
+}
@@ -0,0 +1,320 @@
+/**
+ * @fileoverview 線上對戰的房間管理
+ * 建立房間、以加入代碼入座或觀戰、斷線重連，並以 GameEngine 在伺服端驗證每一步棋
+ *
+ * 協定（JSON 文字訊息）：
+ *   用戶端 → 伺服端
+ *     { type: 'create', rules: { size, winLength } }   建立房間並坐上 X
+ *     { type: 'join', room, spectate }                 入座空位（或 spectate 為 true 時觀戰）；沒有空位時改為觀戰
+ *     { type: 'resume', room, token }                  斷線後以入座時取得的 token 回到原本的座位
+ *     { type: 'move', index }                          下棋
+ *     { type: 'restart' }                              對局結束後再來一局（先手交換）
+ *     { type: 'leave' }                                離開房間（讓出座位）
+ *   伺服端 → 用戶端
+ *     { type: 'joined', room, seat, token }            入座（seat 為 'X'／'O'）或觀戰（seat 與 token 為 null）
+ *     { type: 'state', room, rules, moves, players, spectators }
+ *                                                      目前局面：moves 為格子索引，players 為各座位的
+ *                                                      'connected'、'disconnected' 或 'empty'
+ *     { type: 'error', code }                          code 見 ERRORS
+ */
+
+const crypto = require('crypto');
+const GameEngine = require('../app/engine.js');
+
+// 加入代碼的字元（去掉容易看錯的 0／O、1／I／L）
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// 錯誤代碼（用戶端以 online.errors.<code> 顯示訊息）
+const ERRORS = {
+    BAD_MESSAGE: 'badMessage',
+    BAD_RULES: 'badRules',
+    ROOM_NOT_FOUND: 'roomNotFound',
+    INVALID_TOKEN: 'invalidToken',
+    NOT_IN_ROOM: 'notInRoom',
+    ALREADY_IN_ROOM: 'alreadyInRoom',
+    NOT_A_PLAYER: 'notAPlayer',
+    WAITING_FOR_OPPONENT: 'waitingForOpponent',
+    NOT_YOUR_TURN: 'notYourTurn',
+    ILLEGAL_MOVE: 'illegalMove',
+    GAME_NOT_OVER: 'gameNotOver',
+    SERVER_FULL: 'serverFull',
+    ROOM_FULL: 'roomFull'
+};
+
+const DEFAULT_OPTIONS = {
+    // 房間裡沒有任何連線後保留多久（毫秒），讓斷線的玩家可以回來
+    reconnectGrace: 2 * 60 * 1000,
+    maxRooms: 1000,
+    maxSpectators: 50
+};
+
+/**
+ * 產生加入代碼
+ * @private
+ */
+function generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+/**
+ * 以固定時間比較 token，避免由回應時間猜出內容
+ * @private
+ */
+function sameToken(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * 建立大廳（管理所有房間與連線）
+ * @param {Object} [options] - 見 DEFAULT_OPTIONS
+ * @returns {{connect: function(EventEmitter): void, roomCount: function(): number, close: function(): void}}
+ */
+function createLobby(options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    // 加入代碼 → 房間
+    const rooms = new Map();
+
+    /**
+     * 房間
+     * @typedef {Object} Room
+     * @property {string} code - 加入代碼
+     * @property {GameState} state - 目前局面（由伺服端維護，是唯一可信的狀態）
+     * @property {Object<string, ?{token: string, client: ?Object}>} seats - X 與 O 的座位，空位為 null
+     * @property {Set<Object>} spectators - 觀戰的用戶端
+     * @property {?Timeout} expiry - 無人連線時的清除計時器
+     */
+
+    function send(client, message) {
+        client.connection.send(JSON.stringify(message));
+    }
+
+    function sendError(client, code) {
+        send(client, { type: 'error', code });
+    }
+
+    function members(room) {
+        const clients = Array.from(room.spectators);
+        GameEngine.PLAYERS.forEach(player => {
+            const seat = room.seats[player];
+            if (seat && seat.client) clients.push(seat.client);
+        });
+        return clients;
+    }
+
+    function snapshot(room) {
+        const players = {};
+        GameEngine.PLAYERS.forEach(player => {
+            const seat = room.seats[player];
+            if (!seat) {
+                players[player] = 'empty';
+            } else {
+                players[player] = seat.client ? 'connected' : 'disconnected';
+            }
+        });
+        return {
+            type: 'state',
+            room: room.code,
+            rules: GameEngine.rulesOf(room.state),
+            moves: room.state.moves.map(move => move.index),
+            players,
+            spectators: room.spectators.size
+        };
+    }
+
+    function broadcast(room) {
+        const message = snapshot(room);
+        members(room).forEach(client => send(client, message));
+    }
+
+    // 房間沒有任何連線時開始倒數，期間有人回來就取消
+    function scheduleExpiry(room) {
+        clearTimeout(room.expiry);
+        room.expiry = null;
+        if (members(room).length > 0) return;
+        room.expiry = setTimeout(() => rooms.delete(room.code), config.reconnectGrace);
+        room.expiry.unref();
+    }
+
+    function enter(client, room, seat, token) {
+        client.room = room;
+        client.seat = seat;
+        if (seat) {
+            room.seats[seat] = { token, client };
+        } else {
+            room.spectators.add(client);
+        }
+        scheduleExpiry(room);
+        send(client, { type: 'joined', room: room.code, seat, token: seat ? token : null });
+        broadcast(room);
+    }
+
+    // 離開目前的房間；keepSeat 為 true 時保留座位等待重連
+    function exit(client, keepSeat) {
+        const room = client.room;
+        if (!room) return;
+        if (client.seat) {
+            const seat = room.seats[client.seat];
+            if (keepSeat) {
+                seat.client = null;
+            } else {
+                room.seats[client.seat] = null;
+            }
+        } else {
+            room.spectators.delete(client);
+        }
+        client.room = null;
+        client.seat = null;
+        scheduleExpiry(room);
+        broadcast(room);
+    }
+
+    function handleCreate(client, message) {
+        if (client.room) return sendError(client, ERRORS.ALREADY_IN_ROOM);
+        if (rooms.size >= config.maxRooms) return sendError(client, ERRORS.SERVER_FULL);
+
+        let state;
+        try {
+            const rules = message.rules || {};
+            state = GameEngine.createGame({ size: rules.size, winLength: rules.winLength });
+        } catch (error) {
+            return sendError(client, ERRORS.BAD_RULES);
+        }
+
+        let code;
+        do {
+            code = generateCode();
+        } while (rooms.has(code));
+
+        const room = { code, state, seats: { X: null, O: null }, spectators: new Set(), expiry: null };
+        rooms.set(code, room);
+        enter(client, room, 'X', crypto.randomBytes(16).toString('hex'));
+    }
+
+    function handleJoin(client, message) {
+        if (client.room) return sendError(client, ERRORS.ALREADY_IN_ROOM);
+        const room = rooms.get(typeof message.room === 'string' ? message.room.toUpperCase() : '');
+        if (!room) return sendError(client, ERRORS.ROOM_NOT_FOUND);
+
+        const seat = message.spectate ? null : GameEngine.PLAYERS.find(player => room.seats[player] === null);
+        if (!seat && room.spectators.size >= config.maxSpectators) return sendError(client, ERRORS.ROOM_FULL);
+        enter(client, room, seat || null, seat ? crypto.randomBytes(16).toString('hex') : null);
+    }
+
+    function handleResume(client, message) {
+        if (client.room) return sendError(client, ERRORS.ALREADY_IN_ROOM);
+        const room = rooms.get(typeof message.room === 'string' ? message.room.toUpperCase() : '');
+        if (!room) return sendError(client, ERRORS.ROOM_NOT_FOUND);
+
+        const seat = GameEngine.PLAYERS.find(player =>
+            room.seats[player] !== null && sameToken(room.seats[player].token, message.token));
+        if (!seat) return sendError(client, ERRORS.INVALID_TOKEN);
+
+        // 同一個座位從新的連線回來時，舊的連線就不再代表這個座位
+        const previous = room.seats[seat].client;
+        if (previous) {
+            previous.room = null;
+            previous.seat = null;
+            previous.connection.close(1000, 'resumed elsewhere');
+        }
+        enter(client, room, seat, room.seats[seat].token);
+    }
+
+    function handleMove(client, message) {
+        const room = client.room;
+        if (!room) return sendError(client, ERRORS.NOT_IN_ROOM);
+        if (!client.seat) return sendError(client, ERRORS.NOT_A_PLAYER);
+        if (GameEngine.PLAYERS.some(player => room.seats[player] === null)) {
+            return sendError(client, ERRORS.WAITING_FOR_OPPONENT);
+        }
+        if (room.state.currentPlayer !== client.seat || GameEngine.isOver(room.state)) {
+            return sendError(client, ERRORS.NOT_YOUR_TURN);
+        }
+        if (!GameEngine.isLegalMove(room.state, message.index)) {
+            return sendError(client, ERRORS.ILLEGAL_MOVE);
+        }
+
+        room.state = GameEngine.applyMove(room.state, message.index);
+        broadcast(room);
+    }
+
+    function handleRestart(client) {
+        const room = client.room;
+        if (!room) return sendError(client, ERRORS.NOT_IN_ROOM);
+        if (!client.seat) return sendError(client, ERRORS.NOT_A_PLAYER);
+        if (!GameEngine.isOver(room.state)) return sendError(client, ERRORS.GAME_NOT_OVER);
+
+        const rules = GameEngine.rulesOf(room.state);
+        room.state = GameEngine.createGame({ ...rules, firstPlayer: GameEngine.otherPlayer(rules.firstPlayer) });
+        broadcast(room);
+    }
+
+    const HANDLERS = {
+        create: handleCreate,
+        join: handleJoin,
+        resume: handleResume,
+        move: handleMove,
+        restart: handleRestart,
+        leave: client => exit(client, false)
+    };
+
+    function handleMessage(client, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return sendError(client, ERRORS.BAD_MESSAGE);
+        }
+        const handler = message && typeof message === 'object' && Object.hasOwn(HANDLERS, message.type)
+            ? HANDLERS[message.type]
+            : null;
+        if (!handler) return sendError(client, ERRORS.BAD_MESSAGE);
+        handler(client, message);
+    }
+
+    /**
+     * 接管一條 WebSocket 連線
+     * @param {EventEmitter} connection - websocket.js 建立的連線
+     */
+    function connect(connection) {
+        const client = { connection, room: null, seat: null };
+        connection.on('message', text => handleMessage(client, text));
+        connection.on('close', () => exit(client, true));
+    }
+
+    /**
+     * 目前的房間數
+     * @returns {number}
+     */
+    function roomCount() {
+        return rooms.size;
+    }
+
+    /**
+     * 關閉所有連線並清除房間（伺服器停止時）
+     */
+    function close() {
+        rooms.forEach(room => {
+            clearTimeout(room.expiry);
+            members(room).forEach(client => client.connection.close(1001, 'server shutdown'));
+        });
+        rooms.clear();
+    }
+
+    return {
+        connect,
+        roomCount,
+        close
+    };
+}
+
+module.exports = {
+    ERRORS,
+    CODE_ALPHABET,
+    createLobby
+};
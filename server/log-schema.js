@@ -0,0 +1,165 @@
+/**
+ * @fileoverview 安全事件日誌的格式檢查
+ * 對應 secure-dom.js 中 Logger._formatLogMessage 產生的物件：
+ *   { timestamp, severity, eventType, data, sessionId }
+ * Logger 以陣列整批送出，也接受單筆物件；不符合格式的內容一律拒收，避免任意資料被寫進日誌檔。
+ * 瀏覽器依 CSP 的 report-uri 送出的違規報告另外轉為同樣格式的日誌（cspReportToLogMessage）
+ */
+
+// 與 secure-dom.js 的 LogSeverity 相同，依嚴重程度由低到高排列
+const SEVERITIES = ['INFO', 'WARN', 'ERROR', 'SECURITY'];
+const FIELDS = ['timestamp', 'severity', 'eventType', 'data', 'sessionId'];
+
+const EVENT_TYPE_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+const SESSION_ID_PATTERN = /^[a-z0-9]{1,32}$/;
+// ISO 8601（Date.prototype.toISOString 的格式）
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?Z$/;
+
+// data 序列化後的長度上限（字元）與巢狀深度上限
+const MAX_DATA_LENGTH = 8 * 1024;
+const MAX_DATA_DEPTH = 5;
+// 用戶端時鐘可以比伺服器快多少（毫秒）
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+// 一批最多幾筆
+const MAX_BATCH_SIZE = 50;
+
+// CSP 違規報告轉成的日誌：沒有 Logger 的 sessionId，一律使用 CSP_SESSION_ID
+const CSP_EVENT_TYPE = 'CSP_VIOLATION';
+const CSP_SESSION_ID = 'csp';
+// 報告中保留的欄位（report-uri 的 csp-report 格式 → data 的欄位），其餘欄位（例如 original-policy）不保留
+const CSP_REPORT_FIELDS = {
+    'document-uri': 'documentUri',
+    'referrer': 'referrer',
+    'blocked-uri': 'blockedUri',
+    'effective-directive': 'effectiveDirective',
+    'violated-directive': 'violatedDirective',
+    'disposition': 'disposition',
+    'source-file': 'sourceFile',
+    'line-number': 'lineNumber',
+    'column-number': 'columnNumber',
+    'status-code': 'statusCode',
+    'script-sample': 'scriptSample'
+};
+// 報告中每個字串欄位保留的長度上限（字元）
+const MAX_CSP_FIELD_LENGTH = 512;
+
+/**
+ * 計算巢狀深度
+ * @private
+ */
+function depthOf(value) {
+    if (typeof value !== 'object' || value === null) return 0;
+    const children = Object.values(value);
+    return 1 + (children.length === 0 ? 0 : Math.max(...children.map(depthOf)));
+}
+
+/**
+ * 驗證一筆日誌並回傳只含已知欄位的副本
+ * @param {*} message - 用戶端送來的日誌
+ * @param {number} [now=Date.now()] - 目前時間（毫秒），用來拒絕來自未來的時間戳記
+ * @returns {{timestamp: string, severity: string, eventType: string, data: Object, sessionId: string}}
+ * @throws {TypeError|RangeError} 如果格式不符
+ */
+function validateLogMessage(message, now = Date.now()) {
+    if (typeof message !== 'object' || message === null || Array.isArray(message)) {
+        throw new TypeError('日誌必須是 JSON 物件');
+    }
+    const unknown = Object.keys(message).filter(key => !FIELDS.includes(key));
+    if (unknown.length > 0) {
+        throw new TypeError(`未知的欄位：${unknown.join(', ')}`);
+    }
+
+    const { timestamp, severity, eventType, data, sessionId } = message;
+    if (typeof timestamp !== 'string' || !TIMESTAMP_PATTERN.test(timestamp) || Number.isNaN(Date.parse(timestamp))) {
+        throw new TypeError('timestamp 必須是 ISO 8601 格式的 UTC 時間');
+    }
+    if (Date.parse(timestamp) > now + MAX_CLOCK_SKEW) {
+        throw new RangeError('timestamp 不能是未來的時間');
+    }
+    if (!SEVERITIES.includes(severity)) {
+        throw new RangeError(`未知的嚴重程度：${severity}`);
+    }
+    if (typeof eventType !== 'string' || !EVENT_TYPE_PATTERN.test(eventType)) {
+        throw new TypeError('eventType 必須是 1 到 64 個英數字、底線或連字號，且以字母開頭');
+    }
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        throw new TypeError('data 必須是物件');
+    }
+    if (JSON.stringify(data).length > MAX_DATA_LENGTH) {
+        throw new RangeError(`data 超過 ${MAX_DATA_LENGTH} 字元`);
+    }
+    if (depthOf(data) > MAX_DATA_DEPTH) {
+        throw new RangeError(`data 的巢狀深度超過 ${MAX_DATA_DEPTH} 層`);
+    }
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+        throw new TypeError('sessionId 必須是 1 到 32 個小寫英數字');
+    }
+
+    return { timestamp, severity, eventType, data, sessionId };
+}
+
+/**
+ * 驗證一批日誌（陣列或單筆物件），任何一筆不符就整批拒收
+ * @param {*} body - 用戶端送來的內容
+ * @param {number} [now=Date.now()] - 目前時間（毫秒）
+ * @returns {Object[]} 驗證後的日誌
+ * @throws {TypeError|RangeError} 如果格式不符，訊息會標出第幾筆
+ */
+function validateLogBatch(body, now = Date.now()) {
+    if (!Array.isArray(body)) return [validateLogMessage(body, now)];
+    if (body.length === 0 || body.length > MAX_BATCH_SIZE) {
+        throw new RangeError(`一批必須有 1 到 ${MAX_BATCH_SIZE} 筆日誌`);
+    }
+    return body.map((message, i) => {
+        try {
+            return validateLogMessage(message, now);
+        } catch (error) {
+            error.message = `第 ${i + 1} 筆：${error.message}`;
+            throw error;
+        }
+    });
+}
+
+/**
+ * 把瀏覽器送來的 CSP 違規報告轉為日誌
+ * @param {*} body - 報告內容：{ "csp-report": { ... } }
+ * @param {number} [now=Date.now()] - 目前時間（毫秒），作為日誌的 timestamp
+ * @returns {{timestamp: string, severity: string, eventType: string, data: Object, sessionId: string}}
+ * @throws {TypeError|RangeError} 如果不是 CSP 違規報告
+ */
+function cspReportToLogMessage(body, now = Date.now()) {
+    const report = typeof body === 'object' && body !== null ? body['csp-report'] : undefined;
+    if (typeof report !== 'object' || report === null || Array.isArray(report)) {
+        throw new TypeError('內容必須是 {"csp-report": {...}}');
+    }
+
+    const data = {};
+    Object.entries(CSP_REPORT_FIELDS).forEach(([field, key]) => {
+        const value = report[field];
+        if (typeof value === 'string') {
+            data[key] = value.slice(0, MAX_CSP_FIELD_LENGTH);
+        } else if (Number.isFinite(value)) {
+            data[key] = value;
+        }
+    });
+    if (!data.effectiveDirective && !data.violatedDirective) {
+        throw new TypeError('報告缺少 effective-directive 或 violated-directive');
+    }
+
+    return validateLogMessage({
+        timestamp: new Date(now).toISOString(),
+        severity: 'SECURITY',
+        eventType: CSP_EVENT_TYPE,
+        data,
+        sessionId: CSP_SESSION_ID
+    }, now);
+}
+
+module.exports = {
+    SEVERITIES,
+    EVENT_TYPE_PATTERN,
+    MAX_BATCH_SIZE,
+    validateLogMessage,
+    validateLogBatch,
+    cspReportToLogMessage
+};
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview 安全事件日誌收集器
+ * 接收 secure-dom.js 的 Logger（beacon 或 fetch 傳送方式）整批送到 /api/logs 的日誌，
+ * 檢查格式（log-schema.js）、依 sessionId 限流（rate-limiter.js）後寫入輪替的 JSON Lines 檔（log-store.js）；
+ * 瀏覽器依 CSP 的 report-uri 送出的違規報告也寫入同一份日誌（eventType 為 CSP_VIOLATION）。
+ * nginx 把 /api/logs 與 /api/csp-reports 轉送到這裡
+ *
+ *   POST /api/logs   寫入日誌（text/plain 或 application/json；一批日誌的陣列或單筆物件），成功回 204；
+ *                    部分日誌超過限流時只寫入其餘的並回 429
+ *   GET  /api/logs   查詢日誌，需要 Authorization: Bearer <LOG_QUERY_TOKEN>
+ *                    參數：eventType、severity（可用逗號分隔多個）、from、to（ISO 8601）、limit（1–1000）
+ *   POST /api/csp-reports  CSP 違規報告（application/csp-report 或 application/json），成功回 204；
+ *                    依用戶端 IP 限流
+ *   GET  /healthz    健康檢查
+ *
+ * 環境變數：
+ *   PORT             監聽的埠號（預設 8082）
+ *   LOG_DIR          日誌目錄（預設專案下的 logs/）
+ *   LOG_QUERY_TOKEN  查詢用的 token；未設定時不提供查詢
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const LogSchema = require('./log-schema.js');
+const RateLimiter = require('./rate-limiter.js');
+const LogStore = require('./log-store.js');
+
+const DEFAULT_PORT = 8082;
+const LOG_PATH = '/api/logs';
+const CSP_REPORT_PATH = '/api/csp-reports';
+const HEALTH_PATH = '/healthz';
+// 請求內容的長度上限（位元組），nginx 的 client_max_body_size 與此相同
+const MAX_BODY_SIZE = 16 * 1024;
+const MAX_QUERY_LIMIT = 1000;
+const ACCEPTED_TYPES = ['text/plain', 'application/json'];
+const CSP_REPORT_TYPES = ['application/csp-report', 'application/json'];
+
+/**
+ * 帶有 HTTP 狀態碼的錯誤
+ * @private
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function sendText(response, status, text, headers = {}) {
+    response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+    response.end(text);
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * 讀取請求內容，超過上限時回 413
+ * @private
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const declared = Number(request.headers['content-length']);
+        if (declared > MAX_BODY_SIZE) {
+            reject(httpError(413, 'Payload Too Large'));
+            request.resume();
+            return;
+        }
+
+        // 超過上限後繼續讀完但不保留，回應 413 後由 Connection: close 關閉連線
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                chunks.length = 0;
+                reject(httpError(413, 'Payload Too Large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * 檢查 Content-Type 後讀取並解析 JSON 內容
+ * @private
+ */
+async function readJson(request, acceptedTypes) {
+    const type = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!acceptedTypes.includes(type)) {
+        throw httpError(415, 'Unsupported Media Type');
+    }
+    const body = await readBody(request);
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        throw httpError(400, '內容不是有效的 JSON');
+    }
+}
+
+/**
+ * 用戶端 IP：nginx 把連線位址附加在 X-Forwarded-For 的最後（前面的部分由用戶端提供，不可信）
+ * @private
+ */
+function clientAddress(request) {
+    const forwarded = (request.headers['x-forwarded-for'] || '').split(',').map(item => item.trim()).filter(Boolean);
+    return forwarded.length > 0 ? forwarded[forwarded.length - 1] : request.socket.remoteAddress;
+}
+
+/**
+ * 以固定時間比較 token
+ * @private
+ */
+function sameToken(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * 解析逗號分隔的清單，並檢查每一項
+ * @private
+ */
+function parseList(value, name, isValid) {
+    if (value === null) return undefined;
+    const items = value.split(',').map(item => item.trim()).filter(Boolean);
+    const invalid = items.find(item => !isValid(item));
+    if (items.length === 0 || invalid !== undefined) {
+        throw httpError(400, `無效的 ${name}：${invalid === undefined ? value : invalid}`);
+    }
+    return items;
+}
+
+function parseTime(value, name) {
+    if (value === null) return undefined;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw httpError(400, `無效的 ${name}：${value}`);
+    return time;
+}
+
+/**
+ * 把查詢字串轉為 log-store.js 的查詢條件
+ * @private
+ */
+function parseQuery(params) {
+    const filter = {
+        eventTypes: parseList(params.get('eventType'), 'eventType', item => LogSchema.EVENT_TYPE_PATTERN.test(item)),
+        severities: parseList(params.get('severity'), 'severity', item => LogSchema.SEVERITIES.includes(item)),
+        from: parseTime(params.get('from'), 'from'),
+        to: parseTime(params.get('to'), 'to'),
+        limit: 100
+    };
+    if (params.has('limit')) {
+        const limit = Number(params.get('limit'));
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) {
+            throw httpError(400, `limit 必須是 1 到 ${MAX_QUERY_LIMIT} 的整數`);
+        }
+        filter.limit = limit;
+    }
+    if (filter.from !== undefined && filter.to !== undefined && filter.from > filter.to) {
+        throw httpError(400, 'from 不能晚於 to');
+    }
+    return filter;
+}
+
+/**
+ * 建立日誌收集器（尚未開始監聽）
+ * @param {Object} [options] - 伺服器選項
+ * @param {?string} [options.queryToken] - 查詢用的 token；未設定時 GET /api/logs 回 404
+ * @param {Object} [options.store] - 日誌儲存選項，見 log-store.js
+ * @param {Object} [options.rateLimit] - 每個 sessionId（CSP 報告為每個用戶端 IP）的限流選項，見 rate-limiter.js
+ * @returns {http.Server} 伺服器，另有 store 屬性
+ */
+function createServer(options = {}) {
+    const store = LogStore.createLogStore(options.store);
+    const limiter = RateLimiter.createRateLimiter(options.rateLimit);
+    const queryToken = options.queryToken || null;
+
+    async function handleSubmit(request, response) {
+        const body = await readJson(request, ACCEPTED_TYPES);
+        let messages;
+        try {
+            messages = LogSchema.validateLogBatch(body);
+        } catch (error) {
+            throw httpError(400, error.message);
+        }
+
+        // 每筆日誌各計一次
+        let retryAfter = 0;
+        const accepted = messages.filter(message => {
+            const result = limiter.take(message.sessionId);
+            if (!result.allowed) retryAfter = Math.max(retryAfter, result.retryAfter);
+            return result.allowed;
+        });
+
+        for (const message of accepted) {
+            await store.append(message);
+        }
+        if (accepted.length < messages.length) {
+            sendText(response, 429, 'Too Many Requests', { 'Retry-After': String(retryAfter) });
+            return;
+        }
+        response.writeHead(204);
+        response.end();
+    }
+
+    async function handleCspReport(request, response) {
+        const body = await readJson(request, CSP_REPORT_TYPES);
+        let message;
+        try {
+            message = LogSchema.cspReportToLogMessage(body);
+        } catch (error) {
+            throw httpError(400, error.message);
+        }
+
+        // sessionId 只有小寫英數字，加上前綴不會與 Logger 的 key 重複
+        const result = limiter.take(`ip:${clientAddress(request)}`);
+        if (!result.allowed) {
+            sendText(response, 429, 'Too Many Requests', { 'Retry-After': String(result.retryAfter) });
+            return;
+        }
+        await store.append(message);
+        response.writeHead(204);
+        response.end();
+    }
+
+    async function handleQuery(request, response, params) {
+        if (!queryToken) throw httpError(404, 'Not Found');
+        const [scheme, token] = (request.headers.authorization || '').split(' ');
+        if (scheme !== 'Bearer' || !sameToken(token, queryToken)) {
+            sendText(response, 401, 'Unauthorized', { 'WWW-Authenticate': 'Bearer' });
+            return;
+        }
+        sendJson(response, 200, await store.query(parseQuery(params)));
+    }
+
+    async function handle(request, response) {
+        const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+        if (pathname === HEALTH_PATH) {
+            sendText(response, 200, 'ok');
+        } else if (pathname === CSP_REPORT_PATH) {
+            if (request.method !== 'POST') {
+                sendText(response, 405, 'Method Not Allowed', { Allow: 'POST' });
+                return;
+            }
+            await handleCspReport(request, response);
+        } else if (pathname !== LOG_PATH) {
+            sendText(response, 404, 'Not Found');
+        } else if (request.method === 'POST') {
+            await handleSubmit(request, response);
+        } else if (request.method === 'GET') {
+            await handleQuery(request, response, searchParams);
+        } else {
+            sendText(response, 405, 'Method Not Allowed', { Allow: 'GET, POST' });
+        }
+    }
+
+    const server = http.createServer((request, response) => {
+        handle(request, response).catch(error => {
+            if (!error.status) console.error('日誌收集器錯誤:', error);
+            if (response.headersSent) {
+                response.end();
+                return;
+            }
+            sendText(response, error.status || 500, error.status ? error.message : 'Internal Server Error',
+                error.status === 413 ? { Connection: 'close' } : {});
+        });
+    });
+
+    server.store = store;
+    return server;
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || DEFAULT_PORT;
+    const server = createServer({
+        queryToken: process.env.LOG_QUERY_TOKEN,
+        store: process.env.LOG_DIR ? { directory: process.env.LOG_DIR } : undefined
+    });
+
+    server.listen(port, () => console.log(`日誌收集器已啟動：http://localhost:${port}${LOG_PATH}`));
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+        server.close(() => process.exit(0));
+        setTimeout(() => process.exit(0), 5000).unref();
+    }));
+}
+
+module.exports = {
+    LOG_PATH,
+    CSP_REPORT_PATH,
+    createServer
+};
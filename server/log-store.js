@@ -0,0 +1,172 @@
+/**
+ * @fileoverview 安全事件日誌的儲存
+ * 每筆日誌是一行 JSON（JSON Lines），依接收日期（UTC）分檔：
+ *   security-2026-10-19.jsonl、security-2026-10-19.1.jsonl、…
+ * 同一天的檔案超過 maxFileSize 時換下一個編號，檔案總數超過 maxFiles 時刪掉最舊的
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FILE_PATTERN = /^security-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+
+const DEFAULT_OPTIONS = {
+    directory: path.join(__dirname, '..', 'logs'),
+    maxFileSize: 5 * 1024 * 1024,
+    maxFiles: 14
+};
+
+/**
+ * 解析日誌檔名
+ * @private
+ * @returns {?{name: string, date: string, part: number}}
+ */
+function parseFileName(name) {
+    const match = FILE_PATTERN.exec(name);
+    return match ? { name, date: match[1], part: Number(match[2] || 0) } : null;
+}
+
+function fileName(date, part) {
+    return part === 0 ? `security-${date}.jsonl` : `security-${date}.${part}.jsonl`;
+}
+
+// 由舊到新
+function compareFiles(a, b) {
+    return a.date === b.date ? a.part - b.part : (a.date < b.date ? -1 : 1);
+}
+
+/**
+ * 建立日誌儲存
+ * @param {Object} [options] - 見 DEFAULT_OPTIONS
+ * @returns {{append: function(Object): Promise<Object>, query: function(Object=): Promise<{entries: Object[], truncated: boolean}>}}
+ */
+function createLogStore(options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    if (!Number.isInteger(config.maxFiles) || config.maxFiles < 1) {
+        throw new RangeError('maxFiles 必須是正整數');
+    }
+
+    // 目前寫入的檔案：{ date, part, size }
+    let current = null;
+    // 所有寫入依序進行，避免同時寫入時輪替出錯
+    let pending = Promise.resolve();
+
+    async function listFiles() {
+        const names = await fs.promises.readdir(config.directory).catch(error => {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        });
+        return names.map(parseFileName).filter(Boolean).sort(compareFiles);
+    }
+
+    // 啟動後第一次寫入時接續當天最後一個檔案
+    async function resumeCurrent(date) {
+        await fs.promises.mkdir(config.directory, { recursive: true });
+        const today = (await listFiles()).filter(file => file.date === date);
+        if (today.length === 0) return { date, part: 0, size: 0 };
+        const last = today[today.length - 1];
+        const { size } = await fs.promises.stat(path.join(config.directory, last.name));
+        return { date, part: last.part, size };
+    }
+
+    async function prune() {
+        const files = await listFiles();
+        const excess = files.slice(0, Math.max(0, files.length - config.maxFiles));
+        await Promise.all(excess.map(file =>
+            fs.promises.unlink(path.join(config.directory, file.name)).catch(() => {})));
+    }
+
+    async function write(entry) {
+        const line = JSON.stringify(entry) + '\n';
+        const bytes = Buffer.byteLength(line);
+        const date = entry.receivedAt.slice(0, 10);
+
+        if (!current || current.date !== date) {
+            current = await resumeCurrent(date);
+        }
+        if (current.size > 0 && current.size + bytes > config.maxFileSize) {
+            current = { date, part: current.part + 1, size: 0 };
+        }
+
+        const isNewFile = current.size === 0;
+        await fs.promises.appendFile(path.join(config.directory, fileName(current.date, current.part)), line);
+        current.size += bytes;
+        // 開了新檔案才可能超過檔案數
+        if (isNewFile) await prune();
+    }
+
+    /**
+     * 寫入一筆日誌（已通過 log-schema.js 的檢查）
+     * @param {Object} message - 日誌
+     * @returns {Promise<Object>} 實際寫入的內容（加上 receivedAt）
+     */
+    function append(message) {
+        const entry = { ...message, receivedAt: new Date().toISOString() };
+        const result = pending.then(() => write(entry)).then(() => entry);
+        // 一筆寫入失敗不影響之後的寫入
+        pending = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * 查詢日誌，由新到舊
+     * @param {Object} [filter] - 查詢條件
+     * @param {string[]} [filter.eventTypes] - 只要這些事件類型
+     * @param {string[]} [filter.severities] - 只要這些嚴重程度
+     * @param {number} [filter.from] - 接收時間下限（毫秒，含）
+     * @param {number} [filter.to] - 接收時間上限（毫秒，含）
+     * @param {number} [filter.limit=100] - 最多幾筆
+     * @returns {Promise<{entries: Object[], truncated: boolean}>} truncated 表示還有更多符合的日誌
+     */
+    async function query(filter = {}) {
+        const limit = filter.limit || 100;
+        const fromDate = filter.from !== undefined ? new Date(filter.from).toISOString().slice(0, 10) : null;
+        const toDate = filter.to !== undefined ? new Date(filter.to).toISOString().slice(0, 10) : null;
+        const matches = entry => {
+            const received = Date.parse(entry.receivedAt);
+            return (!filter.eventTypes || filter.eventTypes.includes(entry.eventType))
+                && (!filter.severities || filter.severities.includes(entry.severity))
+                && (filter.from === undefined || received >= filter.from)
+                && (filter.to === undefined || received <= filter.to);
+        };
+
+        await pending;
+        const files = (await listFiles()).reverse()
+            .filter(file => (!fromDate || file.date >= fromDate) && (!toDate || file.date <= toDate));
+
+        const entries = [];
+        for (const file of files) {
+            let text;
+            try {
+                text = await fs.promises.readFile(path.join(config.directory, file.name), 'utf8');
+            } catch (error) {
+                // 查詢期間被輪替刪除
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+            const lines = text.split('\n');
+            for (let i = lines.length - 1; i >= 0; i--) {
+                if (!lines[i]) continue;
+                let entry;
+                try {
+                    entry = JSON.parse(lines[i]);
+                } catch (error) {
+                    continue;
+                }
+                if (!matches(entry)) continue;
+                if (entries.length === limit) return { entries, truncated: true };
+                entries.push(entry);
+            }
+        }
+        return { entries, truncated: false };
+    }
+
+    return {
+        append,
+        query
+    };
+}
+
+module.exports = {
+    createLogStore
+};
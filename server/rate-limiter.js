@@ -0,0 +1,82 @@
+/**
+ * @fileoverview 以固定時間窗計數的限流器
+ * 日誌收集器以 sessionId 為 key，避免單一頁面（或偽造的用戶端）塞爆日誌
+ */
+
+const DEFAULT_OPTIONS = {
+    // 每個時間窗內允許的次數
+    limit: 60,
+    // 時間窗長度（毫秒）
+    windowMs: 60 * 1000,
+    // 最多追蹤幾個 key，超過時先清掉已過期的，仍不夠就清掉最舊的
+    maxKeys: 10000
+};
+
+/**
+ * 建立限流器
+ * @param {Object} [options] - 見 DEFAULT_OPTIONS
+ * @returns {{take: function(string, number=): {allowed: boolean, retryAfter: number}, size: function(): number}}
+ */
+function createRateLimiter(options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    if (!Number.isInteger(config.limit) || config.limit < 1) {
+        throw new RangeError('limit 必須是正整數');
+    }
+    if (!(config.windowMs > 0)) {
+        throw new RangeError('windowMs 必須大於 0');
+    }
+
+    // key → { start, count }；Map 保留插入順序，最前面的就是最舊的時間窗
+    const windows = new Map();
+
+    function evict(now) {
+        windows.forEach((window, key) => {
+            if (now - window.start >= config.windowMs) windows.delete(key);
+        });
+        while (windows.size >= config.maxKeys) {
+            windows.delete(windows.keys().next().value);
+        }
+    }
+
+    /**
+     * 記一次並回傳是否允許
+     * @param {string} key - 限流的對象
+     * @param {number} [now=Date.now()] - 目前時間（毫秒）
+     * @returns {{allowed: boolean, retryAfter: number}} retryAfter 為不允許時需等待的秒數
+     */
+    function take(key, now = Date.now()) {
+        let window = windows.get(key);
+        if (window && now - window.start >= config.windowMs) {
+            windows.delete(key);
+            window = null;
+        }
+        if (!window) {
+            if (windows.size >= config.maxKeys) evict(now);
+            window = { start: now, count: 0 };
+            windows.set(key, window);
+        }
+
+        if (window.count >= config.limit) {
+            return { allowed: false, retryAfter: Math.ceil((window.start + config.windowMs - now) / 1000) };
+        }
+        window.count++;
+        return { allowed: true, retryAfter: 0 };
+    }
+
+    /**
+     * 目前追蹤的 key 數
+     * @returns {number}
+     */
+    function size() {
+        return windows.size;
+    }
+
+    return {
+        take,
+        size
+    };
+}
+
+module.exports = {
+    createRateLimiter
+};
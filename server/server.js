@@ -0,0 +1,81 @@
+/**
+ * @fileoverview 線上對戰的遊戲伺服器
+ * 在 /ws 接受 WebSocket 連線並交給大廳（lobby.js）處理，/healthz 供健康檢查；
+ * 靜態檔案仍由 nginx 提供，nginx 把 /ws 轉送到這裡
+ *
+ * 環境變數：
+ *   PORT             監聽的埠號（預設 8081）
+ *   ALLOWED_ORIGINS  允許的 Origin，以逗號分隔；未設定時不檢查
+ */
+
+const http = require('http');
+const WebSocket = require('./websocket.js');
+const Lobby = require('./lobby.js');
+
+const DEFAULT_PORT = 8081;
+const WS_PATH = '/ws';
+const HEALTH_PATH = '/healthz';
+
+/**
+ * 建立遊戲伺服器（尚未開始監聽）
+ * @param {Object} [options] - 伺服器選項
+ * @param {string[]} [options.origins] - 允許的 Origin
+ * @param {number} [options.heartbeatInterval] - WebSocket 心跳間隔（毫秒）
+ * @param {Object} [options.lobby] - 大廳選項，見 lobby.js
+ * @returns {http.Server} 伺服器，另有 lobby 屬性（停止前先呼叫 lobby.close() 關閉所有 WebSocket 連線）
+ */
+function createServer(options = {}) {
+    const lobby = Lobby.createLobby(options.lobby);
+
+    const server = http.createServer((request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        if (pathname === HEALTH_PATH) {
+            response.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('ok');
+        } else if (pathname === WS_PATH) {
+            response.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8', Upgrade: 'websocket' });
+            response.end('Upgrade Required');
+        } else {
+            response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Not Found');
+        }
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        if (pathname !== WS_PATH) {
+            socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+            return;
+        }
+        const connection = WebSocket.accept(request, socket, {
+            origins: options.origins,
+            heartbeatInterval: options.heartbeatInterval
+        });
+        if (connection) lobby.connect(connection);
+    });
+
+    server.lobby = lobby;
+    return server;
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || DEFAULT_PORT;
+    const origins = process.env.ALLOWED_ORIGINS
+        ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+        : undefined;
+    const server = createServer({ origins });
+
+    server.listen(port, () => console.log(`遊戲伺服器已啟動：http://localhost:${port}${WS_PATH}`));
+
+    // 容器停止時通知所有用戶端再關閉
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+        server.lobby.close();
+        server.close(() => process.exit(0));
+        setTimeout(() => process.exit(0), 5000).unref();
+    }));
+}
+
+module.exports = {
+    WS_PATH,
+    createServer
+};
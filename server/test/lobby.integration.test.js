@@ -0,0 +1,295 @@
+/**
+ * @fileoverview 遊戲伺服器與大廳的整合測試
+ * 以 createServer 在隨機埠號啟動伺服器，再用 WebSocket 用戶端（ws 套件）走過完整的協定
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const WebSocketClient = require('ws');
+const { createServer, WS_PATH } = require('../server.js');
+const { ERRORS } = require('../lobby.js');
+
+// 等待訊息的上限（毫秒），避免協定出錯時測試卡住
+const MESSAGE_TIMEOUT = 2000;
+
+/**
+ * 啟動伺服器
+ * @param {Object} [lobby] - 大廳選項
+ * @returns {Promise<{server: http.Server, url: string}>}
+ */
+async function start(lobby) {
+    const server = createServer({ heartbeatInterval: 0, lobby });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    return { server, url: `ws://127.0.0.1:${server.address().port}${WS_PATH}` };
+}
+
+/**
+ * 連線並收集伺服端送來的訊息
+ * @param {string} url - 伺服器網址
+ * @returns {Promise<Object>} 用戶端：send(message)、next(type) 依序取出下一則訊息並檢查類型、close()
+ */
+async function connect(url) {
+    const socket = new WebSocketClient(url);
+    const queue = [];
+    const waiters = [];
+    socket.on('message', data => {
+        const message = JSON.parse(data.toString());
+        if (waiters.length > 0) {
+            waiters.shift()(message);
+        } else {
+            queue.push(message);
+        }
+    });
+    await once(socket, 'open');
+
+    return {
+        socket,
+        send(message) {
+            socket.send(JSON.stringify(message));
+        },
+        async next(type) {
+            const message = queue.length > 0 ? queue.shift() : await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error(`等待 ${type} 逾時`)), MESSAGE_TIMEOUT);
+                waiters.push(value => {
+                    clearTimeout(timer);
+                    resolve(value);
+                });
+            });
+            assert.equal(message.type, type, JSON.stringify(message));
+            return message;
+        },
+        pending() {
+            return queue.length;
+        },
+        async close() {
+            if (socket.readyState === WebSocketClient.CLOSED) return;
+            socket.close();
+            await once(socket, 'close');
+        }
+    };
+}
+
+/**
+ * 建立房間並讓第二位玩家入座
+ * @returns {Promise<{x: Object, o: Object, room: string, tokens: Object}>}
+ */
+async function seatTwoPlayers(url, rules = { size: 3, winLength: 3 }) {
+    const x = await connect(url);
+    x.send({ type: 'create', rules });
+    const created = await x.next('joined');
+    assert.equal(created.seat, 'X');
+    assert.match(created.room, /^[A-Z2-9]{6}$/);
+    await x.next('state');
+
+    const o = await connect(url);
+    o.send({ type: 'join', room: created.room.toLowerCase() });
+    const joined = await o.next('joined');
+    assert.equal(joined.seat, 'O');
+    const state = await o.next('state');
+    assert.deepEqual(state.players, { X: 'connected', O: 'connected' });
+    assert.deepEqual(await x.next('state'), state);
+
+    return { x, o, room: created.room, tokens: { X: created.token, O: joined.token } };
+}
+
+/**
+ * 下一步棋並等待所有人收到新的局面
+ * @returns {Promise<Object>} 新的局面
+ */
+async function move(player, index, watchers) {
+    player.send({ type: 'move', index });
+    const states = await Promise.all(watchers.map(client => client.next('state')));
+    states.forEach(state => assert.deepEqual(state, states[0]));
+    return states[0];
+}
+
+describe('線上對戰大廳', () => {
+    let server;
+    let url;
+    let clients;
+
+    async function open(lobby) {
+        ({ server, url } = await start(lobby));
+    }
+
+    beforeEach(() => {
+        clients = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        server.lobby.close();
+        server.close();
+        await once(server, 'close');
+    });
+
+    test('兩位玩家下完一整局，再來一局時交換先手', async () => {
+        await open();
+        const { x, o } = await seatTwoPlayers(url);
+        clients.push(x, o);
+
+        await move(x, 0, [x, o]);
+        await move(o, 3, [x, o]);
+        await move(x, 1, [x, o]);
+        await move(o, 4, [x, o]);
+        const final = await move(x, 2, [x, o]);
+        assert.deepEqual(final.moves, [0, 3, 1, 4, 2]);
+        assert.deepEqual(final.rules, { size: 3, winLength: 3, firstPlayer: 'X' });
+
+        // 對局已結束，不能再下
+        o.send({ type: 'move', index: 5 });
+        assert.equal((await o.next('error')).code, ERRORS.NOT_YOUR_TURN);
+
+        o.send({ type: 'restart' });
+        const [restarted] = await Promise.all([x.next('state'), o.next('state')]);
+        assert.deepEqual(restarted.moves, []);
+        assert.equal(restarted.rules.firstPlayer, 'O');
+        await move(o, 4, [x, o]);
+    });
+
+    test('拒絕不合法與不是自己回合的棋步', async () => {
+        await open();
+        const x = await connect(url);
+        clients.push(x);
+        x.send({ type: 'move', index: 0 });
+        assert.equal((await x.next('error')).code, ERRORS.NOT_IN_ROOM);
+        x.send({ type: 'create', rules: { size: 3, winLength: 3 } });
+        const { room } = await x.next('joined');
+        await x.next('state');
+
+        // 對手還沒入座
+        x.send({ type: 'move', index: 0 });
+        assert.equal((await x.next('error')).code, ERRORS.WAITING_FOR_OPPONENT);
+
+        const o = await connect(url);
+        clients.push(o);
+        o.send({ type: 'join', room });
+        await o.next('joined');
+        await Promise.all([o.next('state'), x.next('state')]);
+
+        o.send({ type: 'move', index: 0 });
+        assert.equal((await o.next('error')).code, ERRORS.NOT_YOUR_TURN);
+
+        await move(x, 4, [x, o]);
+        for (const index of [4, -1, 9, 1.5, '0', null]) {
+            o.send({ type: 'move', index });
+            assert.equal((await o.next('error')).code, ERRORS.ILLEGAL_MOVE, String(index));
+        }
+        x.send({ type: 'move', index: 0 });
+        assert.equal((await x.next('error')).code, ERRORS.NOT_YOUR_TURN);
+
+        // 被拒絕的棋步不會改變局面，也不會通知其他人
+        const state = await move(o, 0, [x, o]);
+        assert.deepEqual(state.moves, [4, 0]);
+        assert.equal(x.pending() + o.pending(), 0);
+
+        x.send({ type: 'restart' });
+        assert.equal((await x.next('error')).code, ERRORS.GAME_NOT_OVER);
+        o.send('not json');
+        assert.equal((await o.next('error')).code, ERRORS.BAD_MESSAGE);
+    });
+
+    test('斷線後以 token 回到原本的座位', async () => {
+        await open();
+        const { x, o, room, tokens } = await seatTwoPlayers(url);
+        clients.push(o);
+        await move(x, 0, [x, o]);
+
+        await x.close();
+        assert.deepEqual((await o.next('state')).players, { X: 'disconnected', O: 'connected' });
+
+        const intruder = await connect(url);
+        clients.push(intruder);
+        intruder.send({ type: 'resume', room, token: tokens.O.replace(/.$/, c => (c === '0' ? '1' : '0')) });
+        assert.equal((await intruder.next('error')).code, ERRORS.INVALID_TOKEN);
+
+        const back = await connect(url);
+        clients.push(back);
+        back.send({ type: 'resume', room, token: tokens.X });
+        const resumed = await back.next('joined');
+        assert.deepEqual(resumed, { type: 'joined', room, seat: 'X', token: tokens.X });
+        const state = await back.next('state');
+        assert.deepEqual(state.moves, [0]);
+        assert.deepEqual(state.players, { X: 'connected', O: 'connected' });
+        assert.deepEqual(await o.next('state'), state);
+
+        // 回來的玩家繼續原本的對局
+        await move(o, 4, [back, o]);
+        await move(back, 8, [back, o]);
+    });
+
+    test('從另一條連線回到座位時，舊的連線被關閉', async () => {
+        await open();
+        const { x, o, room, tokens } = await seatTwoPlayers(url);
+        clients.push(o);
+
+        const other = await connect(url);
+        clients.push(other);
+        const closed = once(x.socket, 'close');
+        other.send({ type: 'resume', room, token: tokens.X });
+        await other.next('joined');
+        const [code] = await closed;
+        assert.equal(code, 1000);
+        await move(other, 0, [other, o]);
+    });
+
+    test('觀戰者收到每一步的局面，但不能下棋', async () => {
+        await open();
+        const { x, o, room } = await seatTwoPlayers(url);
+        const spectator = await connect(url);
+        clients.push(x, o, spectator);
+
+        spectator.send({ type: 'join', room, spectate: true });
+        assert.deepEqual(await spectator.next('joined'), { type: 'joined', room, seat: null, token: null });
+        const [state] = await Promise.all([spectator.next('state'), x.next('state'), o.next('state')]);
+        assert.equal(state.spectators, 1);
+
+        const after = await move(x, 4, [x, o, spectator]);
+        assert.deepEqual(after.moves, [4]);
+        spectator.send({ type: 'move', index: 0 });
+        assert.equal((await spectator.next('error')).code, ERRORS.NOT_A_PLAYER);
+
+        // 座位滿了以後，一般的加入也會改為觀戰
+        const late = await connect(url);
+        clients.push(late);
+        late.send({ type: 'join', room });
+        assert.equal((await late.next('joined')).seat, null);
+        assert.equal((await late.next('state')).spectators, 2);
+    });
+
+    test('房間在所有人離線且超過保留時間後被清除', async () => {
+        const reconnectGrace = 50;
+        await open({ reconnectGrace });
+        const { x, o, room, tokens } = await seatTwoPlayers(url);
+        assert.equal(server.lobby.roomCount(), 1);
+
+        await o.close();
+        await x.close();
+        await new Promise(resolve => setTimeout(resolve, reconnectGrace * 4));
+        assert.equal(server.lobby.roomCount(), 0);
+
+        const late = await connect(url);
+        clients.push(late);
+        late.send({ type: 'resume', room, token: tokens.X });
+        assert.equal((await late.next('error')).code, ERRORS.ROOM_NOT_FOUND);
+        late.send({ type: 'join', room });
+        assert.equal((await late.next('error')).code, ERRORS.ROOM_NOT_FOUND);
+    });
+
+    test('保留時間內有人回來就不清除房間', async () => {
+        const reconnectGrace = 100;
+        await open({ reconnectGrace });
+        const { x, o, room, tokens } = await seatTwoPlayers(url);
+        await o.close();
+        await x.close();
+
+        const back = await connect(url);
+        clients.push(back);
+        back.send({ type: 'resume', room, token: tokens.O });
+        assert.equal((await back.next('joined')).seat, 'O');
+        await new Promise(resolve => setTimeout(resolve, reconnectGrace * 2));
+        assert.equal(server.lobby.roomCount(), 1);
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview log-schema.js 與 rate-limiter.js 的測試
+ * 日誌收集器收到的內容都來自網路上的任何人：格式不符、過大或來自未來的日誌一律拒收
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const LogSchema = require('../log-schema.js');
+const { createRateLimiter } = require('../rate-limiter.js');
+
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+
+/**
+ * 符合格式的日誌（與 Logger._formatLogMessage 產生的相同）
+ */
+function message(overrides = {}) {
+    return {
+        timestamp: '2026-10-19T11:59:59.123Z',
+        severity: 'SECURITY',
+        eventType: 'XSS_ATTEMPT',
+        data: { source: 'chat', removed: ['script'] },
+        sessionId: 'abc123',
+        ...overrides
+    };
+}
+
+/**
+ * 巢狀深度為 depth 的物件（空物件的深度為 1）
+ */
+function nested(depth) {
+    let value = {};
+    for (let i = 1; i < depth; i++) value = { child: value };
+    return value;
+}
+
+describe('validateLogMessage', () => {
+    test('回傳只含已知欄位的副本', () => {
+        const input = message();
+        const result = LogSchema.validateLogMessage(input, NOW);
+        assert.deepEqual(result, input);
+        assert.notEqual(result, input);
+    });
+
+    test('拒收格式不符的日誌', () => {
+        const cases = [
+            [null, TypeError, /JSON 物件/],
+            ['text', TypeError, /JSON 物件/],
+            [[message()], TypeError, /JSON 物件/],
+            [{ ...message(), extra: 1 }, TypeError, /未知的欄位：extra/],
+            [{ ...message(), __proto__: { polluted: true } }, null, null],
+            [message({ timestamp: '2026-10-19 11:59:59' }), TypeError, /timestamp/],
+            [message({ timestamp: '2026-13-45T99:99:99Z' }), TypeError, /timestamp/],
+            [message({ timestamp: Date.now() }), TypeError, /timestamp/],
+            [message({ severity: 'DEBUG' }), RangeError, /未知的嚴重程度：DEBUG/],
+            [message({ severity: 'security' }), RangeError, /未知的嚴重程度/],
+            [message({ eventType: '1_EVENT' }), TypeError, /eventType/],
+            [message({ eventType: 'A'.repeat(65) }), TypeError, /eventType/],
+            [message({ eventType: '<script>' }), TypeError, /eventType/],
+            [message({ data: null }), TypeError, /data 必須是物件/],
+            [message({ data: ['x'] }), TypeError, /data 必須是物件/],
+            [message({ data: 'x' }), TypeError, /data 必須是物件/],
+            [message({ sessionId: 'ABC' }), TypeError, /sessionId/],
+            [message({ sessionId: 'a'.repeat(33) }), TypeError, /sessionId/],
+            [message({ sessionId: '../etc' }), TypeError, /sessionId/],
+            [message({ sessionId: undefined }), TypeError, /sessionId/]
+        ];
+        cases.forEach(([input, type, pattern]) => {
+            if (type === null) {
+                // __proto__ 不是自有欄位，不會被複製到結果
+                assert.deepEqual(Object.keys(LogSchema.validateLogMessage(input, NOW)).sort(),
+                    ['data', 'eventType', 'sessionId', 'severity', 'timestamp']);
+                return;
+            }
+            assert.throws(() => LogSchema.validateLogMessage(input, NOW), error =>
+                error instanceof type && pattern.test(error.message), JSON.stringify(input));
+        });
+    });
+
+    test('拒收過大或過深的 data', () => {
+        const limit = 8 * 1024;
+        // {"text":"..."} 的長度為內容加 11 個字元
+        assert.doesNotThrow(() => LogSchema.validateLogMessage(message({ data: { text: 'x'.repeat(limit - 11) } }), NOW));
+        assert.throws(() => LogSchema.validateLogMessage(message({ data: { text: 'x'.repeat(limit - 10) } }), NOW),
+            { name: 'RangeError', message: /超過 8192 字元/ });
+        assert.doesNotThrow(() => LogSchema.validateLogMessage(message({ data: nested(5) }), NOW));
+        assert.throws(() => LogSchema.validateLogMessage(message({ data: nested(6) }), NOW),
+            { name: 'RangeError', message: /巢狀深度超過 5 層/ });
+    });
+
+    test('時間戳記最多比伺服器快五分鐘', () => {
+        const ahead = offset => message({ timestamp: new Date(NOW + offset).toISOString() });
+        assert.doesNotThrow(() => LogSchema.validateLogMessage(ahead(5 * 60 * 1000), NOW));
+        assert.throws(() => LogSchema.validateLogMessage(ahead(5 * 60 * 1000 + 1), NOW),
+            { name: 'RangeError', message: /未來的時間/ });
+        assert.doesNotThrow(() => LogSchema.validateLogMessage(ahead(-365 * 24 * 60 * 60 * 1000), NOW));
+    });
+});
+
+describe('validateLogBatch', () => {
+    test('接受單筆物件或 1 到 MAX_BATCH_SIZE 筆的陣列', () => {
+        assert.equal(LogSchema.validateLogBatch(message(), NOW).length, 1);
+        const batch = Array.from({ length: LogSchema.MAX_BATCH_SIZE }, () => message());
+        assert.equal(LogSchema.validateLogBatch(batch, NOW).length, LogSchema.MAX_BATCH_SIZE);
+        assert.throws(() => LogSchema.validateLogBatch([], NOW), RangeError);
+        assert.throws(() => LogSchema.validateLogBatch([...batch, message()], NOW), { name: 'RangeError', message: /1 到 50 筆/ });
+    });
+
+    test('任何一筆不符就整批拒收，並標出第幾筆', () => {
+        assert.throws(() => LogSchema.validateLogBatch([message(), message({ severity: 'LOUD' })], NOW),
+            { name: 'RangeError', message: '第 2 筆：未知的嚴重程度：LOUD' });
+    });
+});
+
+describe('cspReportToLogMessage', () => {
+    test('只保留已知欄位並截斷過長的字串', () => {
+        const result = LogSchema.cspReportToLogMessage({
+            'csp-report': {
+                'document-uri': 'https://game.test/',
+                'blocked-uri': `https://evil.test/${'a'.repeat(600)}`,
+                'effective-directive': 'script-src-elem',
+                'original-policy': "default-src 'self'",
+                'line-number': 12,
+                'column-number': null,
+                'script-sample': { nested: true }
+            }
+        }, NOW);
+        assert.deepEqual(Object.keys(result.data), ['documentUri', 'blockedUri', 'effectiveDirective', 'lineNumber']);
+        assert.equal(result.data.blockedUri.length, 512);
+        assert.equal(result.timestamp, new Date(NOW).toISOString());
+        assert.equal(result.severity, 'SECURITY');
+        assert.equal(result.eventType, 'CSP_VIOLATION');
+        assert.equal(result.sessionId, 'csp');
+    });
+
+    test('拒收不是 CSP 違規報告的內容', () => {
+        [null, [], {}, { 'csp-report': [] }, { 'csp-report': 'x' }, { 'csp-report': { 'blocked-uri': 'x' } }]
+            .forEach(body => assert.throws(() => LogSchema.cspReportToLogMessage(body, NOW), TypeError, JSON.stringify(body)));
+    });
+});
+
+describe('createRateLimiter', () => {
+    test('時間窗內超過上限時回傳需等待的秒數', () => {
+        const limiter = createRateLimiter({ limit: 2, windowMs: 10 * 1000 });
+        assert.deepEqual(limiter.take('a', 0), { allowed: true, retryAfter: 0 });
+        assert.deepEqual(limiter.take('a', 1000), { allowed: true, retryAfter: 0 });
+        assert.deepEqual(limiter.take('a', 1500), { allowed: false, retryAfter: 9 });
+        assert.deepEqual(limiter.take('a', 9999), { allowed: false, retryAfter: 1 });
+        // 其他 key 不受影響
+        assert.equal(limiter.take('b', 1500).allowed, true);
+        // 新的時間窗
+        assert.deepEqual(limiter.take('a', 10 * 1000), { allowed: true, retryAfter: 0 });
+    });
+
+    test('追蹤的 key 數不超過 maxKeys', () => {
+        const limiter = createRateLimiter({ limit: 1, windowMs: 1000, maxKeys: 3 });
+        ['a', 'b', 'c', 'd'].forEach(key => limiter.take(key, 0));
+        assert.equal(limiter.size(), 3);
+        // 最舊的 a 已被清掉，重新計算
+        assert.equal(limiter.take('a', 0).allowed, true);
+        assert.equal(limiter.take('d', 0).allowed, false);
+        // 過期的時間窗先被清掉
+        limiter.take('e', 1000);
+        assert.equal(limiter.size(), 1);
+    });
+
+    test('選項錯誤時拋出 RangeError', () => {
+        assert.throws(() => createRateLimiter({ limit: 0 }), { name: 'RangeError', message: 'limit 必須是正整數' });
+        assert.throws(() => createRateLimiter({ limit: 1.5 }), RangeError);
+        assert.throws(() => createRateLimiter({ windowMs: 0 }), { name: 'RangeError', message: 'windowMs 必須大於 0' });
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview 日誌收集器的整合測試
+ * 以 createServer 在隨機埠號啟動收集器（日誌寫入暫存目錄），再用 fetch 走過每個端點
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { createServer, LOG_PATH, CSP_REPORT_PATH } = require('../log-server.js');
+
+const TOKEN = 'query-token-for-tests';
+
+function message(overrides = {}) {
+    return {
+        timestamp: new Date().toISOString(),
+        severity: 'SECURITY',
+        eventType: 'XSS_ATTEMPT',
+        data: { source: 'chat' },
+        sessionId: 'abc123',
+        ...overrides
+    };
+}
+
+function cspReport(directive = 'script-src-elem') {
+    return { 'csp-report': { 'document-uri': 'https://game.test/', 'blocked-uri': 'inline', 'effective-directive': directive } };
+}
+
+describe('日誌收集器', () => {
+    let directory;
+    let server;
+    let base;
+
+    async function start(options = {}) {
+        server = createServer({ queryToken: TOKEN, store: { directory }, ...options });
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        base = `http://127.0.0.1:${server.address().port}`;
+    }
+
+    function post(pathname, body, type = 'text/plain', headers = {}) {
+        return fetch(base + pathname, {
+            method: 'POST',
+            headers: { 'Content-Type': type, ...headers },
+            body: typeof body === 'string' ? body : JSON.stringify(body)
+        });
+    }
+
+    function get(search = '', token = TOKEN) {
+        return fetch(`${base}${LOG_PATH}${search}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    }
+
+    beforeEach(async () => {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'log-server-'));
+    });
+
+    afterEach(async () => {
+        server.close();
+        await once(server, 'close');
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    test('接受 beacon（text/plain）與 JSON 的日誌並寫入檔案', async () => {
+        await start();
+        assert.equal((await post(LOG_PATH, [message(), message({ eventType: 'INVALID_URL' })])).status, 204);
+        assert.equal((await post(LOG_PATH, message({ severity: 'WARN' }), 'application/json; charset=utf-8')).status, 204);
+
+        const { entries } = await server.store.query();
+        assert.deepEqual(entries.map(entry => entry.eventType), ['XSS_ATTEMPT', 'INVALID_URL', 'XSS_ATTEMPT']);
+        const [file] = await fs.promises.readdir(directory);
+        assert.match(file, /^security-\d{4}-\d{2}-\d{2}\.jsonl$/);
+    });
+
+    test('拒收格式不符、過大或類型錯誤的內容', async () => {
+        await start();
+        const bad = await post(LOG_PATH, [message(), message({ sessionId: 'NOT-VALID' })]);
+        assert.equal(bad.status, 400);
+        assert.match(await bad.text(), /^第 2 筆：sessionId/);
+        assert.equal((await post(LOG_PATH, '{"timestamp":')).status, 400);
+        assert.equal((await post(LOG_PATH, message(), 'application/x-www-form-urlencoded')).status, 415);
+        assert.equal((await post(LOG_PATH, message(), 'text/html')).status, 415);
+
+        const tooLarge = await post(LOG_PATH, `[${' '.repeat(16 * 1024)}]`);
+        assert.equal(tooLarge.status, 413);
+        assert.equal(tooLarge.headers.get('connection'), 'close');
+
+        // 沒有任何一筆被寫入
+        assert.deepEqual((await server.store.query()).entries, []);
+    });
+
+    test('超過限流時寫入其餘的日誌並回 429 與 Retry-After', async () => {
+        await start({ rateLimit: { limit: 2, windowMs: 60 * 1000 } });
+        const response = await post(LOG_PATH, [message(), message(), message(), message({ sessionId: 'other' })]);
+        assert.equal(response.status, 429);
+        const retryAfter = Number(response.headers.get('retry-after'));
+        assert.ok(retryAfter > 0 && retryAfter <= 60, String(retryAfter));
+
+        const { entries } = await server.store.query();
+        assert.deepEqual(entries.map(entry => entry.sessionId), ['other', 'abc123', 'abc123']);
+        assert.equal((await post(LOG_PATH, message())).status, 429);
+        assert.equal((await post(LOG_PATH, message({ sessionId: 'third' }))).status, 204);
+    });
+
+    test('查詢需要 Bearer token', async () => {
+        await start();
+        const missing = await get('', null);
+        assert.equal(missing.status, 401);
+        assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+        assert.equal((await get('', 'wrong')).status, 401);
+        assert.equal((await get('', `${TOKEN}x`)).status, 401);
+        const basic = await fetch(base + LOG_PATH, { headers: { Authorization: `Basic ${TOKEN}` } });
+        assert.equal(basic.status, 401);
+
+        const ok = await get();
+        assert.equal(ok.status, 200);
+        assert.equal(ok.headers.get('cache-control'), 'no-store');
+        assert.deepEqual(await ok.json(), { entries: [], truncated: false });
+    });
+
+    test('未設定 token 時不提供查詢', async () => {
+        await start({ queryToken: undefined });
+        assert.equal((await get('', '')).status, 404);
+        assert.equal((await get('', 'undefined')).status, 404);
+    });
+
+    test('查詢參數篩選日誌並檢查格式', async () => {
+        await start();
+        await post(LOG_PATH, [
+            message({ eventType: 'A', severity: 'INFO' }),
+            message({ eventType: 'B', severity: 'WARN' }),
+            message({ eventType: 'C', severity: 'SECURITY' })
+        ]);
+        const types = async search => (await (await get(search)).json()).entries.map(entry => entry.eventType);
+
+        assert.deepEqual(await types('?eventType=A,C'), ['C', 'A']);
+        assert.deepEqual(await types('?severity=WARN'), ['B']);
+        assert.deepEqual(await types('?eventType=A&severity=WARN'), []);
+        assert.deepEqual(await types(`?from=${encodeURIComponent(new Date(Date.now() + 60 * 1000).toISOString())}`), []);
+        assert.deepEqual(await types('?to=2000-01-01T00:00:00Z'), []);
+        const limited = await (await get('?limit=1')).json();
+        assert.deepEqual(limited.entries.map(entry => entry.eventType), ['C']);
+        assert.equal(limited.truncated, true);
+
+        for (const search of ['?severity=DEBUG', '?eventType=', '?eventType=<x>', '?from=yesterday', '?limit=0',
+            '?limit=1001', '?limit=1.5', '?from=2026-10-02T00:00:00Z&to=2026-10-01T00:00:00Z']) {
+            assert.equal((await get(search)).status, 400, search);
+        }
+    });
+
+    test('CSP 違規報告寫入同一份日誌並依用戶端 IP 限流', async () => {
+        await start({ rateLimit: { limit: 1, windowMs: 60 * 1000 } });
+        assert.equal((await post(CSP_REPORT_PATH, cspReport(), 'application/csp-report',
+            { 'X-Forwarded-For': '203.0.113.9, 198.51.100.1' })).status, 204);
+
+        const { entries: [entry] } = await server.store.query();
+        assert.equal(entry.eventType, 'CSP_VIOLATION');
+        assert.equal(entry.sessionId, 'csp');
+        assert.deepEqual(entry.data, { documentUri: 'https://game.test/', blockedUri: 'inline', effectiveDirective: 'script-src-elem' });
+
+        // X-Forwarded-For 只採用 nginx 附加的最後一個位址
+        const limited = await post(CSP_REPORT_PATH, cspReport(), 'application/json',
+            { 'X-Forwarded-For': '192.0.2.1, 198.51.100.1' });
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+        assert.equal((await post(CSP_REPORT_PATH, cspReport(), 'application/json',
+            { 'X-Forwarded-For': '198.51.100.2' })).status, 204);
+
+        // 與 Logger 的 sessionId 分開計算
+        assert.equal((await post(LOG_PATH, message())).status, 204);
+
+        assert.equal((await post(CSP_REPORT_PATH, { 'csp-report': { 'blocked-uri': 'x' } }, 'application/csp-report')).status, 400);
+        assert.equal((await post(CSP_REPORT_PATH, cspReport(), 'text/plain')).status, 415);
+        const wrongMethod = await fetch(base + CSP_REPORT_PATH);
+        assert.equal(wrongMethod.status, 405);
+        assert.equal(wrongMethod.headers.get('allow'), 'POST');
+    });
+
+    test('其他路徑與方法', async () => {
+        await start();
+        assert.equal(await (await fetch(`${base}/healthz`)).text(), 'ok');
+        assert.equal((await fetch(`${base}/api/other`)).status, 404);
+        const wrongMethod = await fetch(base + LOG_PATH, { method: 'DELETE' });
+        assert.equal(wrongMethod.status, 405);
+        assert.equal(wrongMethod.headers.get('allow'), 'GET, POST');
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview log-store.js 的測試
+ * 每個測試使用自己的暫存目錄
+ */
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogStore } = require('../log-store.js');
+
+function message(eventType = 'XSS_ATTEMPT', severity = 'SECURITY') {
+    return { timestamp: new Date().toISOString(), severity, eventType, data: { n: 1 }, sessionId: 'abc' };
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+describe('createLogStore', () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'log-store-'));
+    });
+
+    afterEach(async () => {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    async function files() {
+        return (await fs.promises.readdir(directory)).sort();
+    }
+
+    async function lines(name) {
+        const text = await fs.promises.readFile(path.join(directory, name), 'utf8');
+        return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+
+    test('每筆日誌寫成一行 JSON 並加上 receivedAt', async () => {
+        const store = createLogStore({ directory: path.join(directory, 'nested') });
+        const written = await store.append(message());
+        assert.match(written.receivedAt, /^\d{4}-\d{2}-\d{2}T/);
+        const [entry] = await lines(path.join('nested', `security-${today()}.jsonl`));
+        assert.deepEqual(entry, written);
+    });
+
+    test('同一天的檔案超過 maxFileSize 時換下一個編號', async () => {
+        const lineSize = Buffer.byteLength(JSON.stringify({ ...message(), receivedAt: new Date().toISOString() }) + '\n');
+        const store = createLogStore({ directory, maxFileSize: lineSize * 2 });
+        // 同時寫入也依序進行
+        await Promise.all(Array.from({ length: 5 }, () => store.append(message())));
+        assert.deepEqual(await files(), [
+            `security-${today()}.1.jsonl`,
+            `security-${today()}.2.jsonl`,
+            `security-${today()}.jsonl`
+        ]);
+        assert.equal((await lines(`security-${today()}.jsonl`)).length, 2);
+        assert.equal((await lines(`security-${today()}.1.jsonl`)).length, 2);
+        assert.equal((await lines(`security-${today()}.2.jsonl`)).length, 1);
+
+        // 重新啟動後接續當天最後一個檔案
+        const restarted = createLogStore({ directory, maxFileSize: lineSize * 2 });
+        await restarted.append(message());
+        assert.equal((await lines(`security-${today()}.2.jsonl`)).length, 2);
+    });
+
+    test('檔案總數超過 maxFiles 時刪掉最舊的', async () => {
+        const old = ['security-2026-01-01.jsonl', 'security-2026-01-02.jsonl', 'security-2026-01-02.1.jsonl'];
+        await Promise.all(old.map(name => fs.promises.writeFile(path.join(directory, name), '{}\n')));
+        // 其他檔案不受影響
+        await fs.promises.writeFile(path.join(directory, 'notes.txt'), 'x');
+
+        const store = createLogStore({ directory, maxFiles: 2 });
+        await store.append(message());
+        assert.deepEqual(await files(), ['notes.txt', 'security-2026-01-02.1.jsonl', `security-${today()}.jsonl`]);
+    });
+
+    test('查詢由新到舊，依事件類型、嚴重程度與時間篩選', async () => {
+        const store = createLogStore({ directory });
+        await store.append(message('A', 'INFO'));
+        await store.append(message('B', 'WARN'));
+        await store.append(message('A', 'SECURITY'));
+        // 無法解析的一行會被略過
+        await fs.promises.appendFile(path.join(directory, `security-${today()}.jsonl`), 'not json\n');
+
+        const all = await store.query();
+        assert.deepEqual(all.entries.map(entry => entry.eventType + entry.severity), ['ASECURITY', 'BWARN', 'AINFO']);
+        assert.equal(all.truncated, false);
+
+        assert.deepEqual((await store.query({ eventTypes: ['A'] })).entries.map(entry => entry.severity), ['SECURITY', 'INFO']);
+        assert.deepEqual((await store.query({ severities: ['WARN', 'INFO'] })).entries.map(entry => entry.eventType), ['B', 'A']);
+
+        const limited = await store.query({ limit: 2 });
+        assert.equal(limited.entries.length, 2);
+        assert.equal(limited.truncated, true);
+
+        const received = all.entries.map(entry => Date.parse(entry.receivedAt));
+        assert.equal((await store.query({ from: Math.max(...received) + 1 })).entries.length, 0);
+        assert.equal((await store.query({ to: Math.min(...received) - 1 })).entries.length, 0);
+        assert.equal((await store.query({ from: Math.min(...received), to: Math.max(...received) })).entries.length, 3);
+    });
+
+    test('查詢時略過日期範圍外的檔案', async () => {
+        const entry = { ...message('OLD'), receivedAt: '2026-01-01T00:00:00.000Z' };
+        await fs.promises.writeFile(path.join(directory, 'security-2026-01-01.jsonl'), JSON.stringify(entry) + '\n');
+        const store = createLogStore({ directory });
+        await store.append(message('NEW'));
+
+        assert.deepEqual((await store.query()).entries.map(item => item.eventType), ['NEW', 'OLD']);
+        assert.deepEqual((await store.query({ to: Date.parse('2026-01-01T23:59:59Z') })).entries.map(item => item.eventType), ['OLD']);
+    });
+
+    test('目錄不存在時查詢回傳空的結果', async () => {
+        const store = createLogStore({ directory: path.join(directory, 'missing') });
+        assert.deepEqual(await store.query(), { entries: [], truncated: false });
+    });
+
+    test('maxFiles 必須是正整數', () => {
+        assert.throws(() => createLogStore({ directory, maxFiles: 0 }), { name: 'RangeError', message: 'maxFiles 必須是正整數' });
+    });
+});
@@ -0,0 +1,374 @@
+/**
+ * @fileoverview 最小的 WebSocket 伺服端實作（RFC 6455）
+ * 只處理遊戲伺服器需要的部分：握手、文字訊息（含分段）、ping／pong 與關閉交握；
+ * 不支援二進位訊息與擴充（例如 permessage-deflate），也不依賴第三方套件
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xa
+};
+
+// 關閉代碼（RFC 6455 第 7.4 節）
+const CLOSE_CODES = {
+    NORMAL: 1000,
+    GOING_AWAY: 1001,
+    PROTOCOL_ERROR: 1002,
+    UNSUPPORTED_DATA: 1003,
+    NO_STATUS: 1005,
+    ABNORMAL: 1006,
+    INVALID_PAYLOAD: 1007,
+    MESSAGE_TOO_BIG: 1009
+};
+
+// 預設的單則訊息上限（位元組）與心跳間隔（毫秒）
+const DEFAULT_MAX_MESSAGE_SIZE = 16 * 1024;
+const DEFAULT_HEARTBEAT_INTERVAL = 30000;
+// 送出關閉框架後等待對方回應的時間（毫秒），逾時直接切斷
+const CLOSE_TIMEOUT = 5000;
+
+/**
+ * 建立帶有關閉代碼的錯誤（解析框架失敗時用來決定關閉原因）
+ * @private
+ */
+function frameError(closeCode, message) {
+    const error = new Error(message);
+    error.closeCode = closeCode;
+    return error;
+}
+
+/**
+ * 計算握手回應的 Sec-WebSocket-Accept
+ * @param {string} key - 用戶端送來的 Sec-WebSocket-Key
+ * @returns {string}
+ */
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * 編碼伺服端送出的框架（伺服端的框架不加遮罩）
+ * @param {number} opcode - 操作碼
+ * @param {Buffer} payload - 內容
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * 從緩衝區開頭解析一個用戶端框架
+ * @param {Buffer} buffer - 收到但尚未處理的資料
+ * @param {number} maxSize - 內容長度上限
+ * @returns {?{fin: boolean, opcode: number, payload: Buffer, size: number}} 資料不足一個框架時為 null；
+ *     size 為這個框架佔用的位元組數
+ * @throws {Error} 如果框架違反協定或超過長度上限（error.closeCode 為對應的關閉代碼）
+ */
+function decodeFrame(buffer, maxSize) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    if ((buffer[0] & 0x70) !== 0) {
+        throw frameError(CLOSE_CODES.PROTOCOL_ERROR, '不支援擴充位元');
+    }
+    if ((buffer[1] & 0x80) === 0) {
+        throw frameError(CLOSE_CODES.PROTOCOL_ERROR, '用戶端的框架必須加上遮罩');
+    }
+
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const longLength = buffer.readBigUInt64BE(2);
+        length = longLength > BigInt(maxSize) ? Infinity : Number(longLength);
+        offset = 10;
+    }
+    if (length > maxSize) {
+        throw frameError(CLOSE_CODES.MESSAGE_TOO_BIG, `訊息超過 ${maxSize} 位元組`);
+    }
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) {
+        payload[i] = buffer[offset + 4 + i] ^ mask[i & 3];
+    }
+    return { fin, opcode, payload, size: offset + 4 + length };
+}
+
+/**
+ * 以 HTTP 錯誤回應拒絕升級請求
+ * @private
+ */
+function rejectUpgrade(socket, status, message) {
+    socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+/**
+ * 完成 WebSocket 握手（在 http.Server 的 upgrade 事件中呼叫）
+ * @param {http.IncomingMessage} request - 升級請求
+ * @param {net.Socket} socket - 底層連線
+ * @param {Object} [options] - 連線選項，另見 createConnection
+ * @param {string[]} [options.origins] - 允許的 Origin；未指定時不檢查
+ * @returns {?EventEmitter} 連線物件；請求無效時回應錯誤並回傳 null
+ */
+function accept(request, socket, options = {}) {
+    const headers = request.headers;
+    const key = headers['sec-websocket-key'];
+    const valid = request.method === 'GET'
+        && /\bwebsocket\b/i.test(headers.upgrade || '')
+        && /\bupgrade\b/i.test(headers.connection || '')
+        && typeof key === 'string'
+        && Buffer.from(key, 'base64').length === 16;
+
+    if (!valid) {
+        rejectUpgrade(socket, 400, 'Bad Request');
+        return null;
+    }
+    if (headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 426 Upgrade Required\r\nSec-WebSocket-Version: 13\r\n'
+            + 'Connection: close\r\nContent-Length: 0\r\n\r\n');
+        return null;
+    }
+    if (options.origins && !options.origins.includes(headers.origin)) {
+        rejectUpgrade(socket, 403, 'Forbidden');
+        return null;
+    }
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        '',
+        ''
+    ].join('\r\n'));
+    return createConnection(socket, options);
+}
+
+/**
+ * 在已完成握手的 socket 上建立連線
+ *
+ * 事件：
+ *   - message (text: string)：收到完整的文字訊息
+ *   - close (code: number)：連線已關閉（未收到關閉框架時為 1006）
+ *
+ * @param {net.Socket} socket - 底層連線
+ * @param {Object} [options] - 連線選項
+ * @param {number} [options.maxMessageSize=16384] - 單則訊息上限（位元組）
+ * @param {number} [options.heartbeatInterval=30000] - ping 的間隔（毫秒），到下一次 ping 前沒有收到 pong 就切斷；0 代表不送
+ * @returns {EventEmitter} 連線物件，另有 send(text)、close(code, reason) 與 isOpen()
+ */
+function createConnection(socket, options = {}) {
+    const maxSize = options.maxMessageSize || DEFAULT_MAX_MESSAGE_SIZE;
+    const heartbeatInterval = options.heartbeatInterval === undefined
+        ? DEFAULT_HEARTBEAT_INTERVAL
+        : options.heartbeatInterval;
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+    const connection = new EventEmitter();
+
+    let buffer = Buffer.alloc(0);
+    // 分段訊息：{ opcode, parts, size }
+    let fragments = null;
+    let closeSent = false;
+    let closeReceived = false;
+    // 收到違反協定的資料後不再解析後續內容
+    let failed = false;
+    let closed = false;
+    let closeCode = CLOSE_CODES.ABNORMAL;
+    let alive = true;
+    let heartbeat = null;
+
+    function write(opcode, payload) {
+        if (closed || socket.destroyed) return false;
+        socket.write(encodeFrame(opcode, payload));
+        return true;
+    }
+
+    /**
+     * 送出文字訊息
+     * @param {string} text - 訊息
+     * @returns {boolean} 連線已關閉時為 false
+     */
+    function send(text) {
+        if (closeSent) return false;
+        return write(OPCODES.TEXT, Buffer.from(text, 'utf8'));
+    }
+
+    /**
+     * 開始關閉交握
+     * @param {number} [code=1000] - 關閉代碼
+     * @param {string} [reason] - 原因（UTF-8 不超過 123 位元組）
+     */
+    function close(code = CLOSE_CODES.NORMAL, reason = '') {
+        if (closeSent) return;
+        closeSent = true;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        write(OPCODES.CLOSE, payload);
+        setTimeout(() => socket.destroy(), CLOSE_TIMEOUT).unref();
+    }
+
+    function isOpen() {
+        return !closeSent && !closed;
+    }
+
+    function deliver(opcode, payload) {
+        // 關閉交握開始後不再處理新的訊息
+        if (closeSent) return;
+        if (opcode === OPCODES.BINARY) {
+            close(CLOSE_CODES.UNSUPPORTED_DATA, 'text only');
+            return;
+        }
+        let text;
+        try {
+            text = decoder.decode(payload);
+        } catch (error) {
+            close(CLOSE_CODES.INVALID_PAYLOAD, 'invalid utf-8');
+            return;
+        }
+        connection.emit('message', text);
+    }
+
+    function handleControl(frame) {
+        if (!frame.fin || frame.payload.length > 125) {
+            throw frameError(CLOSE_CODES.PROTOCOL_ERROR, '控制框架不能分段或超過 125 位元組');
+        }
+        switch (frame.opcode) {
+            case OPCODES.CLOSE:
+                closeReceived = true;
+                closeCode = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : CLOSE_CODES.NO_STATUS;
+                if (!closeSent) {
+                    closeSent = true;
+                    write(OPCODES.CLOSE, frame.payload.subarray(0, 2));
+                }
+                socket.end();
+                break;
+            case OPCODES.PING:
+                write(OPCODES.PONG, frame.payload);
+                break;
+            case OPCODES.PONG:
+                alive = true;
+                break;
+            default:
+                throw frameError(CLOSE_CODES.PROTOCOL_ERROR, `未知的操作碼 ${frame.opcode}`);
+        }
+    }
+
+    function handleFrame(frame) {
+        if (frame.opcode >= OPCODES.CLOSE) {
+            handleControl(frame);
+            return;
+        }
+
+        if (frame.opcode === OPCODES.CONTINUATION) {
+            if (!fragments) {
+                throw frameError(CLOSE_CODES.PROTOCOL_ERROR, '沒有開頭的分段框架');
+            }
+            fragments.parts.push(frame.payload);
+            fragments.size += frame.payload.length;
+            if (fragments.size > maxSize) {
+                throw frameError(CLOSE_CODES.MESSAGE_TOO_BIG, `訊息超過 ${maxSize} 位元組`);
+            }
+            if (frame.fin) {
+                const { opcode, parts } = fragments;
+                fragments = null;
+                deliver(opcode, Buffer.concat(parts));
+            }
+        } else if (frame.opcode === OPCODES.TEXT || frame.opcode === OPCODES.BINARY) {
+            if (fragments) {
+                throw frameError(CLOSE_CODES.PROTOCOL_ERROR, '上一則分段訊息尚未結束');
+            }
+            if (frame.fin) {
+                deliver(frame.opcode, frame.payload);
+            } else {
+                fragments = { opcode: frame.opcode, parts: [frame.payload], size: frame.payload.length };
+            }
+        } else {
+            throw frameError(CLOSE_CODES.PROTOCOL_ERROR, `未知的操作碼 ${frame.opcode}`);
+        }
+    }
+
+    socket.setNoDelay(true);
+    socket.on('data', chunk => {
+        buffer = buffer.length === 0 ? chunk : Buffer.concat([buffer, chunk]);
+        try {
+            let frame;
+            while (!closeReceived && !failed && (frame = decodeFrame(buffer, maxSize)) !== null) {
+                buffer = buffer.subarray(frame.size);
+                handleFrame(frame);
+            }
+        } catch (error) {
+            // 違反協定時不等對方回應，送出關閉框架後直接結束連線（RFC 6455 第 7.1.7 節）
+            failed = true;
+            close(error.closeCode || CLOSE_CODES.PROTOCOL_ERROR);
+            socket.end();
+        }
+        if (closeReceived || failed) buffer = Buffer.alloc(0);
+    });
+    // 錯誤之後一定會觸發 close
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        connection.emit('close', closeCode);
+    });
+
+    if (heartbeatInterval > 0) {
+        heartbeat = setInterval(() => {
+            if (!alive) {
+                socket.destroy();
+                return;
+            }
+            alive = false;
+            write(OPCODES.PING, Buffer.alloc(0));
+        }, heartbeatInterval);
+        heartbeat.unref();
+    }
+
+    connection.send = send;
+    connection.close = close;
+    connection.isOpen = isOpen;
+    return connection;
+}
+
+module.exports = {
+    OPCODES,
+    CLOSE_CODES,
+    acceptKey,
+    encodeFrame,
+    decodeFrame,
+    accept,
+    createConnection
+};
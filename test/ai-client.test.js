@@ -0,0 +1,237 @@
+/**
+ * @fileoverview app/ai-client.js 與 app/ai-worker.js 的測試
+ * 假的 Worker 在獨立的 vm context 中執行真正的 ai-worker.js，訊息以 structuredClone 非同步傳遞；
+ * 確認取消以請求 id 通知 Worker 而不終止它、思考與分析互不取消，以及只有逾時或載入失敗時才終止
+ */
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const APP = path.join(__dirname, '..', 'app');
+// 7×7／四連線的局面：搜尋不會在時間預算前完成
+const LARGE = { size: 7, winLength: 4, firstPlayer: 'X', moves: [24, 25] };
+
+function loadScript(context, name) {
+    vm.runInContext(fs.readFileSync(path.join(APP, name), 'utf8'), context, { filename: name });
+}
+
+/**
+ * 在 vm context 中執行 ai-worker.js 的假 Worker；終止後不再傳遞任何訊息
+ */
+class FakeWorker {
+    constructor(url) {
+        FakeWorker.instances.push(this);
+        this.url = String(url);
+        this.terminated = false;
+        this.received = [];
+        this.sentBack = [];
+        this.listeners = { message: [], error: [] };
+        this.workerListeners = [];
+        this.start();
+    }
+
+    start() {
+        const context = vm.createContext({
+            self: {
+                location: { href: `http://localhost/${this.url}` },
+                postMessage: data => this.deliver(data),
+                addEventListener: (type, listener) => {
+                    if (type === 'message') this.workerListeners.push(listener);
+                }
+            },
+            setTimeout: (callback, delay) => setTimeout(() => {
+                if (!this.terminated) callback();
+            }, delay),
+            importScripts: (...names) => names.forEach(name => loadScript(context, name))
+        });
+        loadScript(context, 'ai-worker.js');
+    }
+
+    deliver(data) {
+        const copy = structuredClone(data);
+        this.sentBack.push(copy);
+        setImmediate(() => {
+            if (!this.terminated) this.listeners.message.forEach(listener => listener({ data: copy }));
+        });
+    }
+
+    postMessage(data) {
+        const copy = structuredClone(data);
+        this.received.push(copy);
+        setImmediate(() => {
+            if (!this.terminated) this.workerListeners.forEach(listener => listener({ data: copy }));
+        });
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type].push(listener);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+FakeWorker.instances = [];
+
+/**
+ * 收到訊息卻從不回應的 Worker
+ */
+class StuckWorker extends FakeWorker {
+    start() {}
+}
+
+/**
+ * 載入失敗的 Worker：建立後送出 error 事件
+ */
+class BrokenWorker extends FakeWorker {
+    start() {
+        setImmediate(() => this.listeners.error.forEach(listener => listener({
+            message: 'importScripts 失敗',
+            preventDefault() {}
+        })));
+    }
+}
+
+/**
+ * 在新的 context 載入 ai-client.js（與頁面相同，GameAI 也在主執行緒上）
+ */
+function createClient(WorkerClass = FakeWorker) {
+    const context = vm.createContext({ Worker: WorkerClass, setTimeout, clearTimeout });
+    ['engine.js', 'search.js', 'ai.js', 'ai-client.js'].forEach(name => loadScript(context, name));
+    return vm.runInContext('({ ComputerPlayer, GameEngine })', context);
+}
+
+function position({ size, winLength, firstPlayer, moves }, GameEngine) {
+    return GameEngine.replay(moves, { size, winLength, firstPlayer });
+}
+
+afterEach(() => {
+    FakeWorker.instances.forEach(worker => worker.terminate());
+    FakeWorker.instances = [];
+});
+
+describe('ComputerPlayer', () => {
+    test('在 Worker 中思考，之後的請求沿用同一個 Worker', async () => {
+        const { ComputerPlayer, GameEngine } = createClient();
+        const state = GameEngine.replay([0, 3, 1, 4]);
+
+        const first = await ComputerPlayer.think(state, 'hard', { timeBudget: 500 });
+        assert.equal(first.move, 2);
+        assert.equal(ComputerPlayer.isThinking(), false);
+        const analysis = await ComputerPlayer.analyze(state, { timeBudget: 500 });
+        assert.equal(analysis.best, 2);
+
+        assert.equal(FakeWorker.instances.length, 1);
+        assert.equal(FakeWorker.instances[0].terminated, false);
+        assert.deepEqual(FakeWorker.instances[0].received.map(message => message.type), ['think', 'analyze']);
+    });
+
+    test('取消還沒開始的請求：送出 cancel，Worker 略過它並回應 cancelled', async () => {
+        const { ComputerPlayer, GameEngine } = createClient();
+        const state = GameEngine.replay([0, 3, 1, 4]);
+
+        const cancelled = ComputerPlayer.think(state, 'hard', { timeBudget: 500 });
+        // 新的思考取消同類型的舊請求
+        const next = ComputerPlayer.think(state, 'hard', { timeBudget: 500 });
+        await assert.rejects(cancelled, { name: 'AbortError', message: '電腦思考已取消' });
+        assert.equal((await next).move, 2);
+
+        const [worker] = FakeWorker.instances;
+        assert.deepEqual(worker.received.map(({ type, id }) => [type, id]), [['think', 1], ['cancel', 1], ['think', 2]]);
+        assert.deepEqual(worker.sentBack.filter(({ type }) => type !== 'progress').map(({ type, id }) => [type, id]),
+            [['cancelled', 1], ['move', 2]]);
+        assert.equal(worker.terminated, false);
+        assert.equal(FakeWorker.instances.length, 1);
+    });
+
+    test('取消已經開始的搜尋：立即拒絕，Worker 在時間預算內結束，結果被忽略', async () => {
+        const { ComputerPlayer, GameEngine } = createClient();
+        const progress = [];
+        let started;
+        const firstProgress = new Promise(resolve => {
+            started = resolve;
+        });
+        const thinking = ComputerPlayer.think(position(LARGE, GameEngine), 'hard', {
+            timeBudget: 200,
+            onProgress: stats => {
+                progress.push(stats);
+                started();
+            }
+        });
+        assert.equal(ComputerPlayer.isThinking(), true);
+        await firstProgress;
+
+        assert.equal(ComputerPlayer.cancel(), true);
+        assert.equal(ComputerPlayer.isThinking(), false);
+        assert.equal(ComputerPlayer.cancel(), false);
+        await assert.rejects(thinking, { name: 'AbortError' });
+        const reported = progress.length;
+
+        const next = await ComputerPlayer.think(GameEngine.replay([0, 3, 1, 4]), 'hard', { timeBudget: 200 });
+        assert.equal(next.move, 2);
+        // 取消後不再回報進度，舊請求的結果在新請求之前送達但被忽略
+        assert.equal(progress.length, reported);
+        const [worker] = FakeWorker.instances;
+        assert.deepEqual(worker.sentBack.filter(({ type }) => type === 'move').map(({ id }) => id), [1, 2]);
+        assert.equal(worker.terminated, false);
+        assert.equal(FakeWorker.instances.length, 1);
+    });
+
+    test('思考與分析互不取消，Worker 依序執行', async () => {
+        const { ComputerPlayer, GameEngine } = createClient();
+        const state = GameEngine.replay([0, 3, 1, 4]);
+
+        const analysis = ComputerPlayer.analyze(state, { timeBudget: 500 });
+        const thinking = ComputerPlayer.think(state, 'hard', { timeBudget: 500 });
+        assert.equal((await analysis).best, 2);
+        assert.equal((await thinking).move, 2);
+
+        // 新的思考只取消舊的思考，進行中的分析照常完成
+        const pendingAnalysis = ComputerPlayer.analyze(state, { timeBudget: 500 });
+        const replaced = ComputerPlayer.think(state, 'hard', { timeBudget: 500 });
+        const replacement = ComputerPlayer.think(state, 'hard', { timeBudget: 500 });
+        await assert.rejects(replaced, { name: 'AbortError' });
+        assert.equal((await pendingAnalysis).best, 2);
+        assert.equal((await replacement).move, 2);
+
+        // cancel() 取消兩者
+        const analyzing = ComputerPlayer.analyze(state, { timeBudget: 500 });
+        const thinkingAgain = ComputerPlayer.think(state, 'hard', { timeBudget: 500 });
+        assert.equal(ComputerPlayer.cancel(), true);
+        await assert.rejects(analyzing, { name: 'AbortError' });
+        await assert.rejects(thinkingAgain, { name: 'AbortError' });
+        assert.equal(FakeWorker.instances.length, 1);
+        assert.equal(FakeWorker.instances[0].terminated, false);
+    });
+
+    test('Worker 逾時沒有回應時才終止，下一次請求建立新的 Worker', async () => {
+        const { ComputerPlayer, GameEngine } = createClient(StuckWorker);
+        const state = GameEngine.replay([0, 3, 1, 4]);
+
+        const started = Date.now();
+        await assert.rejects(ComputerPlayer.think(state, 'hard', { timeBudget: 50 }),
+            { name: 'TimeoutError', message: '電腦思考逾時' });
+        // 時間預算加上 WATCHDOG_GRACE（2 秒）
+        assert.ok(Date.now() - started >= 2000);
+        assert.equal(FakeWorker.instances[0].terminated, true);
+        assert.equal(ComputerPlayer.isThinking(), false);
+
+        ComputerPlayer.think(state, 'hard', { timeBudget: 50 }).catch(() => {});
+        assert.equal(FakeWorker.instances.length, 2);
+        assert.equal(FakeWorker.instances[1].terminated, false);
+        ComputerPlayer.cancel();
+    });
+
+    test('Worker 載入失敗時改在主執行緒計算', async () => {
+        const { ComputerPlayer, GameEngine } = createClient(BrokenWorker);
+        const state = GameEngine.replay([0, 3, 1, 4]);
+
+        assert.equal((await ComputerPlayer.think(state, 'hard', { timeBudget: 500 })).move, 2);
+        assert.equal(FakeWorker.instances[0].terminated, true);
+        assert.equal((await ComputerPlayer.analyze(state, { timeBudget: 500 })).best, 2);
+        assert.equal(FakeWorker.instances.length, 1);
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview app/ai.js 的棋力參數測試
+ * normalizeProfile 的範圍檢查、adaptiveProfile 依最近結果調整強度，
+ * 以及注入亂數來源時 getProfileMove 的錯誤率、Softmax 溫度與個性
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const GameEngine = require('../app/engine.js');
+const GameAI = require('../app/ai.js');
+
+/**
+ * 以種子產生 0 到 1 之間的隨機數（mulberry32）
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 依序回傳指定的值，並記錄被呼叫的次數
+ */
+function sequence(...values) {
+    const random = () => {
+        random.calls++;
+        return values.length > 0 ? values.shift() : 0;
+    };
+    random.calls = 0;
+    return random;
+}
+
+// X：0、1，O：3、4，輪到 X；下 2 立即獲勝，其他棋步讓 O 在 5 獲勝或只能和局
+const WIN_NOW = GameEngine.replay([0, 3, 1, 4]);
+
+describe('normalizeProfile', () => {
+    test('未指定的欄位使用 medium 的值，回傳凍結的新物件', () => {
+        assert.deepEqual(GameAI.normalizeProfile({}), GameAI.PROFILES.medium);
+        assert.deepEqual(GameAI.normalizeProfile(undefined), GameAI.PROFILES.medium);
+        const profile = GameAI.normalizeProfile({ errorRate: 0, maxDepth: null, style: 'defensive', extra: 1 });
+        assert.deepEqual(profile, { errorRate: 0, maxDepth: null, temperature: 0.25, style: 'defensive' });
+        assert.ok(Object.isFrozen(profile));
+        Object.values(GameAI.PROFILES).forEach(preset => assert.deepEqual(GameAI.normalizeProfile(preset), preset));
+    });
+
+    test('超出範圍的參數拋出 RangeError', () => {
+        [
+            [{ errorRate: -0.1 }, '錯誤率必須介於 0 與 1 之間：-0.1'],
+            [{ errorRate: 1.5 }, '錯誤率必須介於 0 與 1 之間：1.5'],
+            [{ errorRate: NaN }, '錯誤率必須介於 0 與 1 之間：NaN'],
+            [{ errorRate: '0.5' }, '錯誤率必須介於 0 與 1 之間：0.5'],
+            [{ maxDepth: 0 }, '搜尋深度上限必須是正整數或 null：0'],
+            [{ maxDepth: 2.5 }, '搜尋深度上限必須是正整數或 null：2.5'],
+            [{ maxDepth: undefined }, '搜尋深度上限必須是正整數或 null：undefined'],
+            [{ temperature: -1 }, '溫度必須是非負數：-1'],
+            [{ temperature: Infinity }, '溫度必須是非負數：Infinity'],
+            [{ temperature: null }, '溫度必須是非負數：null'],
+            [{ style: 'reckless' }, '未知的風格：reckless']
+        ].forEach(([profile, message]) => {
+            assert.throws(() => GameAI.normalizeProfile(profile), { name: 'RangeError', message }, message);
+        });
+    });
+});
+
+describe('adaptiveProfile', () => {
+    test('沒有紀錄時為中間強度，全勝時等於完整搜尋，全敗時最弱', () => {
+        assert.deepEqual(GameAI.adaptiveProfile([]), { errorRate: 0.2, maxDepth: 4, temperature: 0.5, style: 'balanced' });
+        assert.deepEqual(GameAI.adaptiveProfile(Array(10).fill('win')),
+            { errorRate: 0, maxDepth: null, temperature: 0, style: 'balanced' });
+        assert.deepEqual(GameAI.adaptiveProfile(Array(10).fill('loss')),
+            { errorRate: 0.4, maxDepth: 1, temperature: 1, style: 'balanced' });
+        assert.ok(Object.isFrozen(GameAI.adaptiveProfile([])));
+    });
+
+    test('玩家贏得越多，電腦越強', () => {
+        const depth = profile => (profile.maxDepth === null ? Infinity : profile.maxDepth);
+        let previous = GameAI.adaptiveProfile(Array(10).fill('loss'));
+        for (let wins = 1; wins <= 10; wins++) {
+            const outcomes = Array(10 - wins).fill('loss').concat(Array(wins).fill('win'));
+            const profile = GameAI.adaptiveProfile(outcomes);
+            assert.ok(profile.errorRate <= previous.errorRate, String(wins));
+            assert.ok(profile.temperature <= previous.temperature, String(wins));
+            assert.ok(depth(profile) >= depth(previous), String(wins));
+            previous = profile;
+        }
+    });
+
+    test('只參考最近十局，強度不超出範圍，未知的結果不影響', () => {
+        const recent = Array(10).fill('draw');
+        assert.deepEqual(GameAI.adaptiveProfile(Array(30).fill('loss').concat(recent)), GameAI.adaptiveProfile(recent));
+        assert.deepEqual(GameAI.adaptiveProfile(Array(30).fill('win')), GameAI.adaptiveProfile(Array(10).fill('win')));
+        assert.deepEqual(GameAI.adaptiveProfile(['abandoned', undefined]), GameAI.adaptiveProfile([]));
+        // 連敗後的一場勝利從最弱往上調整，而不是從累積的負值開始
+        assert.deepEqual(GameAI.adaptiveProfile([...Array(9).fill('loss'), 'win']),
+            { errorRate: 0.34, maxDepth: 2, temperature: 0.85, style: 'balanced' });
+    });
+});
+
+describe('getProfileMove', () => {
+    const exact = { errorRate: 0, maxDepth: null, temperature: 0, style: 'balanced' };
+
+    test('依錯誤率改下隨機棋步', () => {
+        // 第一個亂數小於錯誤率時失誤，第二個亂數選擇空格
+        const legal = GameEngine.legalMoves(WIN_NOW);
+        assert.equal(GameAI.getProfileMove(WIN_NOW, { ...exact, errorRate: 0.5 }, { random: sequence(0.49, 0) }), legal[0]);
+        assert.equal(GameAI.getProfileMove(WIN_NOW, { ...exact, errorRate: 0.5 }, { random: sequence(0.49, 0.99) }),
+            legal[legal.length - 1]);
+        assert.equal(GameAI.getProfileMove(WIN_NOW, { ...exact, errorRate: 0.5 }, { random: sequence(0.5) }), 2);
+        assert.equal(GameAI.getProfileMove(WIN_NOW, { ...exact, errorRate: 1 }, { random: sequence(0.99, 0.4) }),
+            legal[2]);
+    });
+
+    test('錯誤率與溫度為 0 時一律下最佳棋步，不使用亂數', () => {
+        const random = sequence();
+        assert.equal(GameAI.getProfileMove(WIN_NOW, exact, { random }), 2);
+        assert.equal(GameAI.getProfileMove(GameEngine.replay([0, 4, 8]), exact, { random }) % 2, 1);
+        assert.equal(random.calls, 0);
+    });
+
+    test('溫度越低越集中在最佳棋步，溫度高時也會下其他棋步', () => {
+        const random = createRandom(20261019);
+        const picks = temperature => Array.from({ length: 60 },
+            () => GameAI.getProfileMove(WIN_NOW, { ...exact, temperature }, { random }));
+
+        assert.ok(picks(0.01).every(move => move === 2));
+        const spread = new Set(picks(100));
+        assert.ok(spread.size >= 3, [...spread].join());
+        spread.forEach(move => assert.ok(GameEngine.isLegalMove(WIN_NOW, move), String(move)));
+    });
+
+    test('Softmax 依分數排序抽樣：亂數 0 取第一個候選，接近 1 取最後一個', () => {
+        const low = GameAI.getProfileMove(WIN_NOW, { ...exact, temperature: 100 }, { random: sequence(0) });
+        const high = GameAI.getProfileMove(WIN_NOW, { ...exact, temperature: 100 }, { random: sequence(0.999999) });
+        assert.notEqual(low, high);
+        assert.ok(GameEngine.isLegalMove(WIN_NOW, low) && GameEngine.isLegalMove(WIN_NOW, high));
+    });
+
+    test('相同的種子得到相同的棋步', () => {
+        const play = seed => {
+            const random = createRandom(seed);
+            let state = GameEngine.createGame({ size: 4, winLength: 3 });
+            while (!GameEngine.isOver(state)) {
+                state = GameEngine.applyMove(state, GameAI.getProfileMove(state, GameAI.PROFILES.medium, { random }));
+            }
+            return state.moves.map(move => move.index);
+        };
+        assert.deepEqual(play(7), play(7));
+    });
+
+    test('個性不改變必勝與必須阻擋的棋步，同分時以亂數選擇', () => {
+        const aggressive = { ...exact, style: 'aggressive' };
+        const defensive = { ...exact, style: 'defensive' };
+        assert.equal(GameAI.getProfileMove(WIN_NOW, aggressive, { random: sequence(0) }), 2);
+        // X：4、1，O：0，輪到 O，只有 7 不會輸
+        assert.equal(GameAI.getProfileMove(GameEngine.replay([4, 0, 1]), defensive, { random: sequence(0) }), 7);
+        // 空棋盤上每一格都是和局，也沒有威脅可以製造
+        const moves = new Set([0, 0.3, 0.6, 0.9].map(value =>
+            GameAI.getProfileMove(GameEngine.createGame(), aggressive, { random: sequence(value) })));
+        assert.equal(moves.size, 4);
+    });
+
+    test('對局結束時回傳 -1，不合法的參數拋出 RangeError', () => {
+        const random = sequence();
+        assert.equal(GameAI.getProfileMove(GameEngine.replay([0, 3, 1, 4, 2]), GameAI.PROFILES.easy, { random }), -1);
+        assert.equal(random.calls, 0);
+        assert.throws(() => GameAI.getProfileMove(WIN_NOW, { errorRate: 2 }), RangeError);
+        assert.throws(() => GameAI.chooseMove(WIN_NOW, { style: 'chaotic' }), RangeError);
+    });
+
+    test('chooseMove 的 easy 與未知難度使用注入的亂數', () => {
+        const legal = GameEngine.legalMoves(WIN_NOW);
+        assert.equal(GameAI.chooseMove(WIN_NOW, 'easy', { random: sequence(0.99) }), legal[legal.length - 1]);
+        assert.equal(GameAI.chooseMove(WIN_NOW, 'unknown', { random: sequence(0) }), legal[0]);
+        assert.equal(GameAI.chooseMove(WIN_NOW, 'hard'), 2);
+    });
+});
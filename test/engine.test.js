@@ -0,0 +1,200 @@
+/**
+ * @fileoverview app/engine.js 的測試
+ * 獲勝組合的數量與形狀、勝負與和局、不合法的棋步、以重放實作的悔棋，
+ * 以及隨機對局中只檢查最後一步（lastMove）與檢查整個棋盤的結果相同
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const GameEngine = require('../app/engine.js');
+
+/**
+ * 以種子產生 0 到 1 之間的隨機數（mulberry32）
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 以字串畫出棋盤：每列一行，'.' 為空格
+ */
+function board(rows) {
+    return rows.join('').split('').map(cell => (cell === '.' ? '' : cell));
+}
+
+describe('normalizeRules', () => {
+    test('補齊預設值', () => {
+        assert.deepEqual(GameEngine.normalizeRules(), { size: 3, winLength: 3 });
+        assert.deepEqual(GameEngine.normalizeRules({ size: 7 }), { size: 7, winLength: 7 });
+        assert.deepEqual(GameEngine.normalizeRules({ size: 7, winLength: 4 }), { size: 7, winLength: 4 });
+        assert.deepEqual(GameEngine.normalizeRules({ size: 19, winLength: 3 }), { size: 19, winLength: 3 });
+    });
+
+    test('大小或連線長度超出範圍時拋出 RangeError', () => {
+        [2, 20, 3.5, '3', null, NaN].forEach(size => {
+            assert.throws(() => GameEngine.normalizeRules({ size }),
+                { name: 'RangeError', message: '棋盤大小必須介於 3 到 19 之間' }, String(size));
+        });
+        [2, 6, 4.5, '4', null].forEach(winLength => {
+            assert.throws(() => GameEngine.normalizeRules({ size: 5, winLength }),
+                { name: 'RangeError', message: '連線長度必須介於 3 到 5 之間' }, String(winLength));
+        });
+        assert.throws(() => GameEngine.createGame({ size: 4, winLength: 5 }), RangeError);
+        assert.throws(() => GameEngine.createGame({ firstPlayer: 'Z' }), { message: '無效的玩家：Z' });
+    });
+});
+
+describe('winningLines', () => {
+    test('N×N 棋盤上 K 連線的數量', () => {
+        for (let size = 3; size <= 9; size++) {
+            for (let winLength = 3; winLength <= size; winLength++) {
+                const free = size - winLength + 1;
+                // 橫與直各 N × (N−K+1)，兩個斜向各 (N−K+1)²
+                const expected = 2 * size * free + 2 * free * free;
+                assert.equal(GameEngine.winningLines(size, winLength).lines.length, expected, `${size}x${winLength}`);
+            }
+        }
+    });
+
+    test('每條連線是 K 個連續且不重複的格子，byCell 包含經過該格的所有連線', () => {
+        const size = 6;
+        const winLength = 4;
+        const { lines, byCell } = GameEngine.winningLines(size, winLength);
+        const keys = new Set();
+        lines.forEach(line => {
+            assert.equal(line.length, winLength);
+            const cells = line.map(index => [Math.floor(index / size), index % size]);
+            const [dr, dc] = [cells[1][0] - cells[0][0], cells[1][1] - cells[0][1]];
+            assert.ok([[0, 1], [1, 0], [1, 1], [1, -1]].some(([r, c]) => r === dr && c === dc), String(line));
+            cells.forEach(([row, col], k) => {
+                assert.deepEqual([row, col], [cells[0][0] + dr * k, cells[0][1] + dc * k], String(line));
+            });
+            keys.add(line.join());
+        });
+        assert.equal(keys.size, lines.length);
+        byCell.forEach((cellLines, index) => {
+            assert.deepEqual(cellLines, lines.filter(line => line.includes(index)), String(index));
+        });
+        // 快取且不可變
+        assert.equal(GameEngine.winningLines(size, winLength), GameEngine.winningLines(size, winLength));
+        assert.ok(Object.isFrozen(lines) && Object.isFrozen(lines[0]));
+    });
+});
+
+describe('findWinner', () => {
+    test('3×3 的橫、直、兩個斜向與和局', () => {
+        assert.deepEqual(GameEngine.findWinner(board(['XXX', 'OO.', '...'])), { winner: 'X', line: [0, 1, 2] });
+        assert.deepEqual(GameEngine.findWinner(board(['OX.', 'OX.', 'O.X'])), { winner: 'O', line: [0, 3, 6] });
+        assert.deepEqual(GameEngine.findWinner(board(['XO.', 'OX.', '..X'])), { winner: 'X', line: [0, 4, 8] });
+        assert.deepEqual(GameEngine.findWinner(board(['XXO', 'XO.', 'O..'])), { winner: 'O', line: [2, 4, 6] });
+        assert.deepEqual(GameEngine.findWinner(board(['XOX', 'XOO', 'OXX'])), { winner: 'draw', line: null });
+        assert.deepEqual(GameEngine.findWinner(board(['XO.', '...', '...'])), { winner: null, line: null });
+    });
+
+    test('N×N 棋盤上的 K 連線', () => {
+        const rows = [
+            '.......',
+            '.....O.',
+            '....O..',
+            '...O...',
+            '..O....',
+            '.......',
+            '.......'
+        ];
+        assert.deepEqual(GameEngine.findWinner(board(rows), 4), { winner: 'O', line: [12, 18, 24, 30] });
+        // 五連線的規則下四個不算
+        assert.deepEqual(GameEngine.findWinner(board(rows), 5), { winner: null, line: null });
+        // 只檢查經過最後一步的連線
+        assert.equal(GameEngine.findWinner(board(rows), 4, 24).winner, 'O');
+        assert.equal(GameEngine.findWinner(board(rows), 4, 0).winner, null);
+    });
+
+    test('隨機對局中只檢查最後一步與檢查整個棋盤的結果相同', () => {
+        const random = createRandom(20251019);
+        for (let game = 0; game < 300; game++) {
+            const size = 3 + Math.floor(random() * 5);
+            const winLength = 3 + Math.floor(random() * (size - 2));
+            let state = GameEngine.createGame({ size, winLength, firstPlayer: random() < 0.5 ? 'X' : 'O' });
+            while (!GameEngine.isOver(state)) {
+                const moves = GameEngine.legalMoves(state);
+                const index = moves[Math.floor(random() * moves.length)];
+                state = GameEngine.applyMove(state, index);
+                const full = GameEngine.findWinner(state.board, winLength);
+                // 遊戲在第一條連線出現時就結束，所以整個棋盤最多只有經過最後一步的連線
+                assert.equal(state.winner, full.winner, `${size}x${winLength} ${state.moves.map(move => move.index)}`);
+            }
+            if (state.winner !== 'draw') {
+                assert.ok(state.winningLine.includes(state.moves[state.moves.length - 1].index));
+                assert.ok(state.winningLine.every(index => state.board[index] === state.winner));
+            }
+        }
+    });
+});
+
+describe('對局', () => {
+    test('輪流下棋，原狀態不變', () => {
+        const start = GameEngine.createGame({ firstPlayer: 'O' });
+        assert.equal(start.currentPlayer, 'O');
+        assert.deepEqual(GameEngine.legalMoves(start), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+
+        const next = GameEngine.applyMove(start, 4);
+        assert.equal(next.currentPlayer, 'X');
+        assert.equal(next.board[4], 'O');
+        assert.deepEqual(next.moves, [{ index: 4, player: 'O' }]);
+        assert.equal(start.board[4], '');
+        assert.deepEqual(start.moves, []);
+        assert.ok(Object.isFrozen(next) && Object.isFrozen(next.board) && Object.isFrozen(next.moves));
+        assert.deepEqual(GameEngine.rulesOf(next), { size: 3, winLength: 3, firstPlayer: 'O' });
+    });
+
+    test('獲勝後不能再下，currentPlayer 留在勝者', () => {
+        const state = GameEngine.replay([0, 3, 1, 4, 2]);
+        assert.equal(GameEngine.winner(state), 'X');
+        assert.deepEqual(state.winningLine, [0, 1, 2]);
+        assert.equal(state.currentPlayer, 'X');
+        assert.ok(GameEngine.isOver(state));
+        assert.deepEqual(GameEngine.legalMoves(state), []);
+        assert.throws(() => GameEngine.applyMove(state, 5), { message: '不合法的棋步：5' });
+    });
+
+    test('和局', () => {
+        const state = GameEngine.replay([0, 1, 2, 4, 3, 5, 7, 6, 8]);
+        assert.equal(state.winner, 'draw');
+        assert.equal(state.winningLine, null);
+        assert.deepEqual(GameEngine.legalMoves(state), []);
+    });
+
+    test('不合法的棋步拋出錯誤', () => {
+        const state = GameEngine.applyMove(GameEngine.createGame({ size: 4 }), 5);
+        [5, -1, 16, 1.5, '0', null, undefined, NaN].forEach(index => {
+            assert.equal(GameEngine.isLegalMove(state, index), false, String(index));
+            assert.throws(() => GameEngine.applyMove(state, index), { message: `不合法的棋步：${index}` });
+        });
+        assert.throws(() => GameEngine.replay([0, 0]), { message: '不合法的棋步：0' });
+    });
+
+    test('悔棋等於重放剩下的棋步', () => {
+        const options = { size: 5, winLength: 4, firstPlayer: 'O' };
+        const indices = [12, 6, 7, 18, 11, 13];
+        const state = GameEngine.replay(indices, options);
+
+        assert.deepEqual(GameEngine.undo(state), GameEngine.replay(indices.slice(0, 5), options));
+        assert.deepEqual(GameEngine.undo(state, 2), GameEngine.replay(indices.slice(0, 4), options));
+        assert.deepEqual(GameEngine.undo(state, 99), GameEngine.createGame(options));
+        assert.equal(GameEngine.undo(state).currentPlayer, 'X');
+
+        // 撤銷獲勝的一步後可以繼續下
+        const won = GameEngine.replay([0, 3, 1, 4, 2]);
+        const undone = GameEngine.undo(won);
+        assert.equal(undone.winner, null);
+        assert.equal(undone.currentPlayer, 'X');
+        assert.equal(GameEngine.applyMove(undone, 8).currentPlayer, 'O');
+    });
+});
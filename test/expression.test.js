@@ -0,0 +1,262 @@
+/**
+ * @fileoverview app/expression.js 的測試
+ * 隨機產生的運算式與參考實作比對，隨機字串確認只會得到有限的數字或帶有 code 與 position 的錯誤，
+ * 再加上長度、深度與容易出錯的固定案例。隨機數以固定的種子產生，失敗時可以重現
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const Expression = require('../app/expression.js');
+
+const SEED = 20251019;
+const RANDOM_EXPRESSIONS = 5000;
+const RANDOM_STRINGS = 20000;
+
+/**
+ * 以種子產生 0 到 1 之間的隨機數（mulberry32）
+ * @param {number} seed - 種子
+ * @returns {function(): number}
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 同一個運算子的各種寫法
+const SPELLINGS = { '+': ['+'], '-': ['-', '−'], '*': ['*', '×'], '/': ['/', '÷'] };
+const PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2 };
+
+/**
+ * 產生隨機的語法樹
+ * @returns {Object} { type: 'number', text } | { type: 'negate', operand } | { type: 'binary', operator, left, right }
+ */
+function randomTree(random, depth = 0) {
+    const pick = list => list[Math.floor(random() * list.length)];
+    if (depth >= 5 || random() < 0.3) {
+        const integer = String(Math.floor(random() * 1000));
+        const text = pick([integer, `${integer}.${Math.floor(random() * 100)}`, `.${Math.floor(random() * 10)}5`]);
+        return { type: 'number', text };
+    }
+    if (random() < 0.15) return { type: 'negate', operand: randomTree(random, depth + 1) };
+    return {
+        type: 'binary',
+        operator: pick(Object.keys(PRECEDENCE)),
+        left: randomTree(random, depth + 1),
+        right: randomTree(random, depth + 1)
+    };
+}
+
+/**
+ * 把語法樹寫成運算式：只在優先順序需要時加括號（偶爾多加一層），並隨機加入空白與運算子的其他寫法
+ */
+function print(tree, random) {
+    const space = () => (random() < 0.3 ? ' ' : '');
+    const wrap = text => `(${space()}${text}${space()})`;
+    const child = (node, needsParens) => {
+        const text = print(node, random);
+        return needsParens || (node.type !== 'number' && random() < 0.1) ? wrap(text) : text;
+    };
+    switch (tree.type) {
+        case 'number':
+            return tree.text;
+        case 'negate': {
+            const spelling = SPELLINGS['-'][Math.floor(random() * 2)];
+            return spelling + child(tree.operand, tree.operand.type === 'binary');
+        }
+        default: {
+            const precedence = PRECEDENCE[tree.operator];
+            const spellings = SPELLINGS[tree.operator];
+            const operator = spellings[Math.floor(random() * spellings.length)];
+            const left = child(tree.left, tree.left.type === 'binary' && PRECEDENCE[tree.left.operator] < precedence);
+            // 左結合：右邊同一層級的運算也要加括號，才會依語法樹的順序計算
+            const right = child(tree.right, tree.right.type === 'binary' && PRECEDENCE[tree.right.operator] <= precedence);
+            return `${left}${space()}${operator}${space()}${right}`;
+        }
+    }
+}
+
+/**
+ * 參考實作：直接計算語法樹
+ * @returns {{value: number}|{code: string}} 除以零或超出範圍時回傳錯誤代碼
+ */
+function reference(tree) {
+    if (tree.type === 'number') return { value: Number(tree.text) };
+    if (tree.type === 'negate') {
+        const operand = reference(tree.operand);
+        return operand.code ? operand : { value: -operand.value };
+    }
+    const left = reference(tree.left);
+    if (left.code) return left;
+    const right = reference(tree.right);
+    if (right.code) return right;
+    if (tree.operator === '/' && right.value === 0) return { code: 'divisionByZero' };
+    const value = tree.operator === '+' ? left.value + right.value
+        : tree.operator === '-' ? left.value - right.value
+        : tree.operator === '*' ? left.value * right.value
+        : left.value / right.value;
+    return Number.isFinite(value) ? { value } : { code: 'notFinite' };
+}
+
+/**
+ * 執行並回傳結果或錯誤
+ */
+function attempt(input) {
+    try {
+        return { value: Expression.evaluate(input) };
+    } catch (error) {
+        return { error };
+    }
+}
+
+/**
+ * 檢查錯誤帶有 code 與範圍內的 position
+ */
+function assertExpressionError(error, input) {
+    const label = JSON.stringify(input);
+    assert.ok(error instanceof SyntaxError || error instanceof RangeError || error instanceof TypeError, label);
+    assert.equal(typeof error.code, 'string', label);
+    if (error.code === 'tooLong' || error.code === 'notString') {
+        assert.equal(error.position, null, label);
+    } else {
+        assert.ok(Number.isInteger(error.position), label);
+        assert.ok(error.position >= 0 && error.position <= input.length, `${label} position ${error.position}`);
+        assert.match(error.message, new RegExp(`（第 ${error.position + 1} 個字元）$`), label);
+    }
+}
+
+function assertThrowsCode(input, code, position) {
+    const { value, error } = attempt(input);
+    assert.ok(error, `${JSON.stringify(input)} 應該拋出錯誤，卻得到 ${value}`);
+    assert.equal(error.code, code, JSON.stringify(input));
+    assert.equal(error.position, position, JSON.stringify(input));
+    assertExpressionError(error, input);
+}
+
+describe('Expression', () => {
+    test('隨機運算式的結果與參考實作相同', () => {
+        const random = createRandom(SEED);
+        let checked = 0;
+        while (checked < RANDOM_EXPRESSIONS) {
+            const tree = randomTree(random);
+            const input = print(tree, random);
+            if (input.length > Expression.MAX_LENGTH) continue;
+            checked++;
+
+            const expected = reference(tree);
+            const actual = attempt(input);
+            if (expected.code) {
+                assert.ok(actual.error, `${input} 應該拋出 ${expected.code}`);
+                assert.equal(actual.error.code, expected.code, input);
+                assertExpressionError(actual.error, input);
+            } else {
+                assert.ok(!actual.error, `${input}：${actual.error && actual.error.message}`);
+                // 結果的 -0 會轉為 0
+                assert.ok(Object.is(actual.value, expected.value + 0), `${input} = ${actual.value}，應為 ${expected.value}`);
+            }
+        }
+    });
+
+    test('隨機字串只會得到有限的數字，或帶有 code 與 position 的錯誤', () => {
+        const random = createRandom(SEED + 1);
+        const alphabet = '0123456789.+-*/()×÷− \t';
+        for (let i = 0; i < RANDOM_STRINGS; i++) {
+            let input = '';
+            const length = Math.floor(random() * 60);
+            for (let j = 0; j < length; j++) {
+                // 大多是運算式會用到的字元，其餘為任意的位元組
+                input += random() < 0.8
+                    ? alphabet[Math.floor(random() * alphabet.length)]
+                    : String.fromCharCode(Math.floor(random() * 256));
+            }
+            const { value, error } = attempt(input);
+            if (error) {
+                assertExpressionError(error, input);
+            } else {
+                assert.ok(Number.isFinite(value), `${JSON.stringify(input)} = ${value}`);
+            }
+        }
+    });
+
+    test('長度上限為 MAX_LENGTH 個字元', () => {
+        assert.equal(Expression.MAX_LENGTH, 200);
+        const exact = `${'1+'.repeat(99)}1 `;
+        assert.equal(exact.length, 200);
+        assert.equal(Expression.evaluate(exact), 100);
+        assertThrowsCode(`${exact}1`, 'tooLong', null);
+        assertThrowsCode('9'.repeat(250), 'tooLong', null);
+    });
+
+    test('巢狀深度上限為 MAX_DEPTH 層', () => {
+        assert.equal(Expression.MAX_DEPTH, 32);
+        assert.equal(Expression.evaluate(`${'('.repeat(32)}1${')'.repeat(32)}`), 1);
+        assertThrowsCode(`${'('.repeat(33)}1${')'.repeat(33)}`, 'tooDeep', 32);
+        // 括號與負號一起計算深度
+        assert.equal(Expression.evaluate(`${'(-'.repeat(16)}1${')'.repeat(16)}`), 1);
+        assertThrowsCode(`${'(-'.repeat(16)}(1)${')'.repeat(16)}`, 'tooDeep', 32);
+    });
+
+    test('連續的負號', () => {
+        assert.equal(Expression.evaluate('--1'), 1);
+        assert.equal(Expression.evaluate('1--1'), 2);
+        assert.equal(Expression.evaluate('1 - - - 1'), 0);
+        assert.equal(Expression.evaluate('−−2'), 2);
+        assert.equal(Expression.evaluate(`${'-'.repeat(32)}1`), 1);
+        assert.equal(Expression.evaluate(`1-${'-'.repeat(31)}1`), 2);
+        assertThrowsCode(`${'-'.repeat(33)}1`, 'tooDeep', 32);
+        assertThrowsCode(`${'-'.repeat(150)}1`, 'tooDeep', 32);
+        assertThrowsCode('1-', 'unexpectedEnd', 2);
+    });
+
+    test('除以零', () => {
+        assertThrowsCode('1/0', 'divisionByZero', 1);
+        assertThrowsCode('1 ÷ (2 - 2)', 'divisionByZero', 2);
+        assertThrowsCode('0/-0', 'divisionByZero', 1);
+        assert.ok(Object.is(Expression.evaluate('0*-1'), 0));
+    });
+
+    test('數字格式錯誤', () => {
+        assertThrowsCode('1..2', 'invalidNumber', 0);
+        assertThrowsCode('1.', 'invalidNumber', 0);
+        assertThrowsCode('1.2.3', 'invalidNumber', 0);
+        assertThrowsCode('2+.', 'invalidNumber', 2);
+        assertThrowsCode('1e5', 'invalidCharacter', 1);
+        assert.equal(Expression.evaluate('.5+1.25'), 1.75);
+    });
+
+    test('語法錯誤', () => {
+        assertThrowsCode('(1)(2)', 'unexpectedToken', 3);
+        assertThrowsCode('1 2', 'unexpectedToken', 2);
+        assertThrowsCode('(1+2))', 'unexpectedToken', 5);
+        assertThrowsCode('*1', 'unexpectedToken', 0);
+        assertThrowsCode('()', 'unexpectedToken', 1);
+        assertThrowsCode('(((1', 'unclosedParen', 2);
+        assertThrowsCode('', 'unexpectedEnd', 0);
+        assertThrowsCode('   ', 'unexpectedEnd', 3);
+        assertThrowsCode('1 + alert(1)', 'invalidCharacter', 4);
+        assertThrowsCode('1;2', 'invalidCharacter', 1);
+    });
+
+    test('輸入必須是字串', () => {
+        for (const input of [1, null, undefined, {}, ['1']]) {
+            const { error } = attempt(input);
+            assert.ok(error instanceof TypeError);
+            assert.equal(error.code, 'notString');
+            assert.equal(error.position, null);
+        }
+    });
+
+    test('parse 依優先順序與左結合建立語法樹', () => {
+        const tree = Expression.parse('1-2-3*4');
+        assert.equal(tree.operator, '-');
+        assert.equal(tree.position, 3);
+        assert.equal(tree.left.operator, '-');
+        assert.equal(tree.right.operator, '*');
+        assert.deepEqual(Expression.tokenize('2×(−1)').map(token => token.value), [2, '*', '(', '-', 1, ')']);
+    });
+});
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview 測試用的 DOM 環境
+ * secure-dom.js 的函數在呼叫時才使用 window、document 等全域變數：以 jsdom 建立視窗，
+ * 再把用到的名稱設為 Node 的全域變數（載入 secure-dom.js 的先後不影響）
+ */
+
+const { JSDOM } = require('jsdom');
+
+// secure-dom.js 用到的瀏覽器全域變數
+const GLOBALS = ['window', 'document', 'navigator', 'Node', 'HTMLElement', 'DOMParser'];
+
+/**
+ * 建立 jsdom 視窗並設定全域變數
+ * @param {Object} [options] - 選項
+ * @param {string} [options.url='https://game.test/app/index.html'] - 頁面網址（相對網址以此為基準）
+ * @returns {Window} 測試結束時以 window.close() 關閉
+ */
+function installDom({ url = 'https://game.test/app/index.html' } = {}) {
+    const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>', { url });
+    GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, {
+            value: name === 'window' ? window : window[name],
+            configurable: true,
+            writable: true
+        });
+    });
+    return window;
+}
+
+module.exports = { installDom };
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview app/index.html 載入的檔案
+ * app/ 就是網站根目錄：Dockerfile 只把 app/ 複製到 nginx 的網站根目錄，本機也以 npx serve app 執行，
+ * 所以頁面上的相對路徑都必須指向 app/ 之中的檔案
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const APP = path.join(__dirname, '..', 'app');
+const ROOT = path.join(__dirname, '..');
+
+test('頁面載入的腳本與樣式都在 app/ 之中', () => {
+    const html = fs.readFileSync(path.join(APP, 'index.html'), 'utf8');
+    const references = Array.from(html.matchAll(/<(?:script|link)\b[^>]*\b(?:src|href)="([^"]+)"/g), match => match[1]);
+    assert.ok(references.includes('secure-dom.js'));
+    references.forEach(reference => {
+        assert.doesNotMatch(reference, /^(?:[a-z]+:|\/|\.\.)/i, reference);
+        assert.ok(fs.existsSync(path.join(APP, reference)), reference);
+    });
+});
+
+test('Dockerfile 只把 app/ 複製到網站根目錄', () => {
+    const dockerfile = fs.readFileSync(path.join(ROOT, 'Dockerfile'), 'utf8');
+    const copies = dockerfile.split('\n').filter(line => /^COPY\s/.test(line) && line.includes('/usr/share/nginx/html'));
+    assert.deepEqual(copies, ['COPY app/ /usr/share/nginx/html/']);
+});
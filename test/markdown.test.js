@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Markdown 的 XSS 測試
+ * 危險的網址只保留連結文字，HTML 一律當作文字；輸出的每個標籤與屬性都在 links 政策之內，
+ * 每個連結都帶有 rel="noopener noreferrer"，且 markdownToHtml 與 markdownToFragment 的結果相同
+ */
+
+const { describe, test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installDom } = require('./helpers/dom.js');
+
+const window = installDom({ url: 'https://game.test/app/index.html' });
+const {
+    SanitizationPolicies,
+    Validator,
+    LogEventType,
+    LogTransports,
+    Logger,
+    markdownToHtml,
+    markdownToFragment,
+    renderRichContent
+} = require('../app/secure-dom.js');
+
+const LINKS = SanitizationPolicies.resolve('links');
+const memory = LogTransports.memory();
+
+beforeEach(async () => {
+    Logger.configure({ devMode: false, transports: [memory] });
+    await Logger.flush();
+    memory.clear();
+});
+
+after(async () => {
+    await Logger.flush();
+    window.close();
+});
+
+/**
+ * 以 <template> 解析 HTML（不執行腳本）
+ */
+function parse(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return template.content;
+}
+
+function serialize(fragment) {
+    const wrapper = document.createElement('div');
+    wrapper.appendChild(fragment);
+    return wrapper.innerHTML;
+}
+
+/**
+ * 檢查 Markdown 的輸出：標籤與屬性在 links 政策之內、連結帶有 rel，兩種輸出方式結果相同
+ * @returns {string} markdownToHtml 的結果
+ */
+function render(markdown) {
+    const label = JSON.stringify(markdown);
+    const html = markdownToHtml(markdown);
+    // 比較解析後的結果（序列化時文字中的引號不會轉成 &quot;）
+    assert.equal(serialize(markdownToFragment(markdown)), serialize(parse(html)), label);
+
+    parse(html).querySelectorAll('*').forEach(element => {
+        const tag = element.localName;
+        assert.ok(LINKS.allowedTags.includes(tag), `${label}：<${tag}>`);
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            assert.ok(tag === 'a' && (name === 'href' || name === 'rel'), `${label}：${tag}[${name}]`);
+            if (name === 'href') assert.equal(Validator.checkUrl(value).url, value, label);
+        });
+        if (tag === 'a') assert.equal(element.getAttribute('rel'), 'noopener noreferrer', label);
+    });
+    return html;
+}
+
+/**
+ * 取得記錄的 INVALID_URL；render 會轉換兩次，每個網址只取第一筆
+ */
+async function loggedUrls() {
+    await Logger.flush();
+    return memory.entries
+        .filter(entry => entry.eventType === LogEventType.INVALID_URL)
+        .filter((entry, index) => index % 2 === 0)
+        .map(entry => [entry.data.url, entry.data.reason]);
+}
+
+describe('Markdown 的危險網址', () => {
+    test('javascript: 連結只保留文字並記錄', async () => {
+        assert.equal(render('[x](javascript:void0)'), '<p>x</p>');
+        assert.equal(render('[x](JaVaScRiPt:alert%281%29)'), '<p>x</p>');
+        assert.equal(render('- [x](vbscript:msgbox)'), '<ul><li>x</li></ul>');
+        assert.deepEqual(await loggedUrls(), [
+            ['javascript:void0', 'schemeNotAllowed'],
+            ['JaVaScRiPt:alert%281%29', 'schemeNotAllowed'],
+            ['vbscript:msgbox', 'schemeNotAllowed']
+        ]);
+    });
+
+    test('網址含有括號或空白時不成為連結', () => {
+        assert.equal(render('[x](javascript:alert(1))'), '<p>[x](javascript:alert(1))</p>');
+        assert.equal(render('[x]( javascript:alert(1))'), '<p>[x]( javascript:alert(1))</p>');
+        assert.equal(render('[x](<javascript:alert(1)>)'), '<p>[x](&lt;javascript:alert(1)&gt;)</p>');
+    });
+
+    test('圖片語法不產生 <img>，data: 網址被拒絕', async () => {
+        assert.equal(render('![x](data:text/html,<script>alert(1)</script>)'),
+            '<p>![x](data:text/html,&lt;script&gt;alert(1)&lt;/script&gt;)</p>');
+        assert.equal(render('![x](data:image/svg+xml;base64,PHN2Zz4=)'), '<p>!x</p>');
+        assert.equal(render('![x](https://example.com/a.png)'),
+            '<p>!<a href="https://example.com/a.png" rel="noopener noreferrer">x</a></p>');
+        assert.deepEqual(await loggedUrls(), [['data:image/svg+xml;base64,PHN2Zz4=', 'schemeNotAllowed']]);
+    });
+
+    test('自動連結語法與裸網址都當作文字', () => {
+        assert.equal(render('<https://example.com>'), '<p>&lt;https://example.com&gt;</p>');
+        assert.equal(render('<javascript:alert(1)>'), '<p>&lt;javascript:alert(1)&gt;</p>');
+        assert.equal(render('https://example.com'), '<p>https://example.com</p>');
+    });
+
+    test('巢狀的中括號', () => {
+        assert.equal(render('[a [b](https://x.test)](https://y.test)'),
+            '<p>[a <a href="https://x.test/" rel="noopener noreferrer">b</a>](https://y.test)</p>');
+        assert.equal(render('[[x](javascript:void0)](https://a.test)'),
+            '<p>[x](https://a.test)</p>');
+        assert.equal(render('[a\\]b](https://x.test)'), '<p><a href="https://x.test/" rel="noopener noreferrer">a]b</a></p>');
+    });
+
+    test('網址中的引號不會跳出屬性', () => {
+        assert.equal(render('[x](https://x.test/?a=1&b="2")'),
+            '<p><a href="https://x.test/?a=1&amp;b=%222%22" rel="noopener noreferrer">x</a></p>');
+        assert.equal(render('[x](https://x.test)"onmouseover="alert(1)'),
+            '<p><a href="https://x.test/" rel="noopener noreferrer">x</a>&quot;onmouseover=&quot;alert(1)</p>');
+    });
+
+    test('允許的連結一律加上 rel', () => {
+        // 網址中的空白要先編碼，否則不成為連結
+        assert.equal(render('[m](mailto:team@game.test?subject=Hi there)'),
+            '<p>[m](mailto:team@game.test?subject=Hi there)</p>');
+        assert.equal(render('[h](/help) [m](mailto:team@game.test?subject=Hi%20there) [e](//evil.test)'),
+            '<p><a href="https://game.test/help" rel="noopener noreferrer">h</a> '
+            + '<a href="mailto:team@game.test?subject=Hi%20there" rel="noopener noreferrer">m</a> '
+            + '<a href="https://evil.test/" rel="noopener noreferrer">e</a></p>');
+    });
+});
+
+describe('Markdown 中的 HTML', () => {
+    test('原始 HTML 一律當作文字', () => {
+        assert.equal(render('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+        assert.equal(render('<img src=x onerror=alert(1)>'), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+        assert.equal(render('<a href="javascript:alert(1)">x</a>'),
+            '<p>&lt;a href=&quot;javascript:alert(1)&quot;&gt;x&lt;/a&gt;</p>');
+        assert.equal(render('**<b onclick="x">y</b>**'), '<p><strong>&lt;b onclick=&quot;x&quot;&gt;y&lt;/b&gt;</strong></p>');
+    });
+
+    test('程式碼中的 HTML 也是文字', () => {
+        assert.equal(render('`<i>`'), '<p><code>&lt;i&gt;</code></p>');
+        assert.equal(render('```\n<script>alert(1)</script>\n```'), '<pre><code>&lt;script&gt;alert(1)&lt;/script&gt;</code></pre>');
+    });
+
+    test('renderRichContent 的 markdown 模式結果相同', () => {
+        const container = document.createElement('div');
+        const markdown = '**<b>x</b>** [y](javascript:void0) [z](https://z.test)';
+        renderRichContent(container, markdown, { markdown: true, policy: 'links' });
+        assert.equal(container.innerHTML, markdownToHtml(markdown));
+    });
+});
+
+test('隨機組合的 Markdown 片段都只輸出 links 政策內的標籤與屬性', () => {
+    const pieces = [
+        '[x](javascript:void0)', '[x](https://x.test)', '[', ']', '(', ')', '![i](data:x)', '<script>', '</b>',
+        '**', '*', '_', '`', '\\', '\n', '\n\n', '- ', '1. ', '```', '"', "'", '&', '<a href="x">', 'onerror=',
+        '[a [b](/c)](/d)', 'mailto:x@y.test', '//evil.test', 'text '
+    ];
+    // 固定種子的線性同餘產生器，失敗時可以重現
+    let seed = 42;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+    for (let i = 0; i < 2000; i++) {
+        let markdown = '';
+        const count = 1 + Math.floor(random() * 8);
+        for (let j = 0; j < count; j++) markdown += pieces[Math.floor(random() * pieces.length)];
+        render(markdown);
+    }
+});
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview nginx.conf 的安全標頭
+ * location 中只要有 add_header 就不會繼承 server 的 add_header，
+ * 這裡解析設定檔，依 nginx 選擇 location 的規則算出每個路徑實際送出的標頭
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG = fs.readFileSync(path.join(__dirname, '..', 'nginx.conf'), 'utf8');
+const SECURITY_HEADERS = ['X-Frame-Options', 'X-Content-Type-Options', 'X-XSS-Protection', 'Referrer-Policy',
+    'Content-Security-Policy'];
+
+/**
+ * 把設定檔切成字詞：引號中的字串、{、}、; 與其他不含空白的字詞，略過註解
+ */
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /#[^\n]*|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([{};])|([^\s{};"'#][^\s{};]*)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[0].startsWith('#')) continue;
+        const value = match[1] ?? match[2] ?? match[3] ?? match[4];
+        tokens.push(value);
+    }
+    return tokens;
+}
+
+/**
+ * 解析為指令樹：{ name, args, children }
+ */
+function parse(tokens) {
+    let position = 0;
+    function block() {
+        const directives = [];
+        while (position < tokens.length && tokens[position] !== '}') {
+            const words = [];
+            while (![';', '{'].includes(tokens[position])) words.push(tokens[position++]);
+            const directive = { name: words[0], args: words.slice(1), children: null };
+            if (tokens[position++] === '{') {
+                directive.children = block();
+                position++;
+            }
+            directives.push(directive);
+        }
+        return directives;
+    }
+    return block();
+}
+
+function find(directives, name) {
+    return directives.filter(directive => directive.name === name);
+}
+
+function headersOf(directives) {
+    const headers = find(directives, 'add_header');
+    return headers.length === 0 ? null : new Map(headers.map(({ args }) => [args[0], args[1]]));
+}
+
+const [server] = find(find(parse(tokenize(CONFIG)), 'http')[0].children, 'server');
+const locations = find(server.children, 'location');
+const serverHeaders = headersOf(server.children);
+
+/**
+ * 依 nginx 的規則選擇 location：完全相符、依序比對正規表示式、最長的前綴
+ */
+function locationFor(uri) {
+    const exact = locations.find(({ args }) => args[0] === '=' && args[1] === uri);
+    if (exact) return exact;
+    const regex = locations.find(({ args }) => (args[0] === '~' || args[0] === '~*')
+        && new RegExp(args[1], args[0] === '~*' ? 'i' : '').test(uri));
+    if (regex) return regex;
+    return locations.filter(({ args }) => args.length === 1 && uri.startsWith(args[0]))
+        .sort((a, b) => b.args[0].length - a.args[0].length)[0];
+}
+
+function headersFor(uri) {
+    return headersOf(locationFor(uri).children) || serverHeaders;
+}
+
+describe('nginx.conf', () => {
+    test('server 層級設定了所有安全標頭', () => {
+        SECURITY_HEADERS.forEach(name => assert.ok(serverHeaders.has(name), name));
+        const csp = serverHeaders.get('Content-Security-Policy');
+        assert.match(csp, /require-trusted-types-for 'script'/);
+        assert.match(csp, /trusted-types secure-dom dompurify ai-worker;/);
+    });
+
+    test('有自己 add_header 的 location 重複所有安全標頭', () => {
+        locations.filter(location => headersOf(location.children)).forEach(location => {
+            const headers = headersOf(location.children);
+            SECURITY_HEADERS.forEach(name => {
+                assert.equal(headers.get(name), serverHeaders.get(name), `location ${location.args.join(' ')}：${name}`);
+            });
+        });
+    });
+
+    test('頁面、腳本與 Worker 的回應都帶有安全標頭', () => {
+        ['/', '/index.html', '/ai-worker.js', '/engine.js', '/secure-dom.js', '/style.css', '/favicon.ico']
+            .forEach(uri => {
+                const headers = headersFor(uri);
+                SECURITY_HEADERS.forEach(name => assert.equal(headers.get(name), serverHeaders.get(name), `${uri}：${name}`));
+            });
+        assert.equal(headersFor('/ai-worker.js').get('Cache-Control'), 'public, no-transform');
+        assert.equal(locationFor('/AI-WORKER.JS'), locationFor('/ai-worker.js'));
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview app/record.js 的測試
+ * JSON 棋譜與精簡記譜的匯出再匯入得到相同的對局，以及各種不合法棋譜的錯誤代碼與訊息
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const GameEngine = require('../app/engine.js');
+const GameRecord = require('../app/record.js');
+
+const CREATED_AT = Date.parse('2026-10-19T08:00:00.000Z');
+
+function recordOf(indices, options, meta = {}) {
+    const state = GameEngine.replay(indices, options);
+    return GameRecord.createRecord(state, { createdAt: CREATED_AT, ...meta });
+}
+
+/**
+ * 斷言拋出的錯誤帶有指定的代碼與訊息
+ */
+function assertRecordError(fn, code, reason) {
+    assert.throws(fn, error => {
+        assert.equal(error.code, code);
+        assert.equal(error.message, `無效的棋譜：${reason}`);
+        return true;
+    });
+}
+
+describe('JSON 棋譜', () => {
+    test('匯出後再匯入得到相同的棋譜與最終狀態', () => {
+        const indices = [4, 0, 2, 8, 6];
+        const meta = {
+            mode: 'pvc',
+            players: { X: { type: 'human' }, O: { type: 'ai', difficulty: 'hard' } },
+            moveTimes: indices.map((_, i) => CREATED_AT + (i + 1) * 1000)
+        };
+        const record = recordOf(indices, undefined, meta);
+
+        assert.equal(record.format, GameRecord.FORMAT);
+        assert.equal(record.version, GameRecord.VERSION);
+        assert.equal(record.createdAt, '2026-10-19T08:00:00.000Z');
+        assert.deepEqual(record.rules, { size: 3, winLength: 3, firstPlayer: 'X' });
+        assert.deepEqual(record.moves[0], { player: 'X', index: 4, time: '2026-10-19T08:00:01.000Z' });
+        assert.deepEqual(record.result, { winner: 'X', line: [2, 4, 6] });
+
+        const { record: imported, state } = GameRecord.parse(GameRecord.stringify(record));
+        assert.deepEqual(imported, record);
+        assert.deepEqual(state, GameEngine.replay(indices));
+    });
+
+    test('N×N 棋盤、O 先手、未結束與和局的棋譜', () => {
+        [
+            [[112, 113, 97, 98], { size: 15, winLength: 5, firstPlayer: 'O' }],
+            [[0, 1, 2, 4, 3, 5, 7, 6, 8], undefined],
+            [[], { size: 4 }]
+        ].forEach(([indices, options]) => {
+            const record = recordOf(indices, options);
+            const { record: imported, state } = GameRecord.importText(GameRecord.stringify(record));
+            assert.deepEqual(imported, record);
+            assert.deepEqual(state, GameEngine.replay(indices, options));
+        });
+        assert.deepEqual(recordOf([0, 1, 2, 4, 3, 5, 7, 6, 8]).result, { winner: 'draw', line: null });
+        assert.equal(recordOf([], { size: 4 }).result, null);
+    });
+
+    test('匯入時正規化：略過多餘的欄位，時間換成 ISO 格式，獲勝連線以重放結果為準', () => {
+        const record = recordOf([0, 3, 1, 4, 2], undefined, { players: { X: { type: 'ai' }, O: { type: 'human' } } });
+        const data = JSON.parse(GameRecord.stringify(record));
+        data.extra = '<img src=x onerror=alert(1)>';
+        data.mode = 42;
+        data.players.X.difficulty = 7;
+        data.players.O.name = 'eve';
+        data.moves[0].time = CREATED_AT;
+        data.result.line = [6, 7, 8];
+
+        const { record: imported } = GameRecord.validate(data);
+        assert.equal('extra' in imported, false);
+        assert.equal(imported.mode, null);
+        assert.deepEqual(imported.players, { X: { type: 'ai' }, O: { type: 'human' } });
+        assert.equal(imported.moves[0].time, '2026-10-19T08:00:00.000Z');
+        assert.deepEqual(imported.result, { winner: 'X', line: [0, 1, 2] });
+    });
+
+    test('不合法的棋譜', () => {
+        const valid = () => JSON.parse(GameRecord.stringify(recordOf([4, 0, 8], undefined)));
+        const cases = [
+            [data => [data], 'notObject', '必須是 JSON 物件'],
+            [data => ({ ...data, format: 'chess' }), 'format', 'format 必須是 tic-tac-toe-record'],
+            [data => ({ ...data, version: 2 }), 'version', '不支援的版本 2'],
+            [data => ({ ...data, version: '1' }), 'version', '不支援的版本 1'],
+            [data => ({ ...data, players: { X: { type: 'human' } } }), 'playerType', '玩家 O 的類型必須是 human 或 ai'],
+            [data => ({ ...data, players: { X: { type: 'robot' }, O: { type: 'ai' } } }), 'playerType',
+                '玩家 X 的類型必須是 human 或 ai'],
+            [data => ({ ...data, rules: { size: 20, winLength: 5 } }), 'rules', '不支援的規則（棋盤 20、連線 5）'],
+            [data => ({ ...data, rules: { size: 2 } }), 'rules', '不支援的規則（棋盤 2、連線 ?）'],
+            [data => ({ ...data, moves: {} }), 'moves', 'moves 必須是陣列'],
+            [data => ({ ...data, moves: [data.moves[0], { ...data.moves[1], index: 4 }] }), 'illegalMove', '第 2 手不合法'],
+            [data => ({ ...data, moves: [data.moves[0], { ...data.moves[1], player: 'X' }] }), 'illegalMove',
+                '第 2 手不合法'],
+            [data => ({ ...data, moves: [data.moves[0], null] }), 'illegalMove', '第 2 手不合法'],
+            [data => ({ ...data, moves: [{ ...data.moves[0], index: 9 }] }), 'illegalMove', '第 1 手不合法'],
+            [data => ({ ...data, moves: [{ ...data.moves[0], time: 'yesterday' }] }), 'moveTime', '第 1 手的時間格式錯誤'],
+            [data => ({ ...data, result: { winner: 'X', line: [0, 4, 8] } }), 'result', '記錄的結果 X 與重放結果 未結束 不符']
+        ];
+        cases.forEach(([mutate, code, reason]) => {
+            assertRecordError(() => GameRecord.validate(mutate(valid())), code, reason);
+        });
+        assertRecordError(() => GameRecord.parse('{"format": '), 'json', '不是合法的 JSON');
+        // 已分出勝負的棋譜不能少記結果
+        const won = JSON.parse(GameRecord.stringify(recordOf([0, 3, 1, 4, 2])));
+        assertRecordError(() => GameRecord.validate({ ...won, result: null }), 'result', '記錄的結果 未結束 與重放結果 X 不符');
+    });
+});
+
+describe('精簡記譜', () => {
+    test('3×3 三連線不加規則標頭，匯出後再匯入得到相同的狀態', () => {
+        const state = GameEngine.replay([4, 0, 8, 2, 1]);
+        assert.equal(GameRecord.toNotation(state), 'X:4 O:0 X:8 O:2 X:1');
+        assert.deepEqual(GameRecord.fromNotation(GameRecord.toNotation(state)), state);
+        assert.deepEqual(GameRecord.fromNotation('  X:4\n O:0\tX:8   O:2 X:1 '), state);
+        assert.deepEqual(GameRecord.fromNotation(''), GameEngine.createGame());
+    });
+
+    test('N×N 棋盤與 O 先手', () => {
+        const options = { size: 15, winLength: 5, firstPlayer: 'O' };
+        const state = GameEngine.replay([112, 113, 97], options);
+        assert.equal(GameRecord.toNotation(state), '15x15/5 O:112 X:113 O:97');
+        assert.deepEqual(GameRecord.fromNotation(GameRecord.toNotation(state)), state);
+        assert.deepEqual(GameRecord.importText('O:4 X:0'), { record: null, state: GameEngine.replay([4, 0], { firstPlayer: 'O' }) });
+        assert.deepEqual(GameRecord.fromNotation('4x4/3'), GameEngine.createGame({ size: 4, winLength: 3 }));
+        assert.equal(GameRecord.toNotation(GameEngine.createGame({ size: 3, winLength: 3 })), '');
+    });
+
+    test('不合法的記譜', () => {
+        [
+            ['4x5/3 X:0', 'square', '棋盤必須是正方形'],
+            ['20x20/5 X:0', 'rules', '不支援的規則（棋盤 20、連線 5）'],
+            ['5x5/6', 'rules', '不支援的規則（棋盤 5、連線 6）'],
+            ['X:4 Q:0', 'token', '無法辨識「Q:0」（第 2 手）'],
+            ['X:4 O:-1', 'token', '無法辨識「O:-1」（第 2 手）'],
+            ['X:4 3x3/3', 'token', '無法辨識「3x3/3」（第 2 手）'],
+            ['X:4 O:4', 'illegalMove', '第 2 手不合法'],
+            ['X:4 X:0', 'illegalMove', '第 2 手不合法'],
+            ['X:9', 'illegalMove', '第 1 手不合法'],
+            ['X:0 O:3 X:1 O:4 X:2 O:5', 'illegalMove', '第 6 手不合法']
+        ].forEach(([text, code, reason]) => {
+            assertRecordError(() => GameRecord.fromNotation(text), code, reason);
+        });
+        assertRecordError(() => GameRecord.importText('   '), 'empty', '內容是空的');
+        assertRecordError(() => GameRecord.importText(null), 'empty', '內容是空的');
+    });
+});
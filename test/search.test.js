@@ -0,0 +1,228 @@
+/**
+ * @fileoverview app/search.js 與 GameAI.benchmark 的測試
+ * 3×3 上與舊版完整 Minimax 以及窮舉的參考實作比對結果，並確認 Alpha-Beta 加上對稱置換表搜尋的節點較少；
+ * 7×7／四連線上檢查迭代加深的時間預算
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const GameEngine = require('../app/engine.js');
+const GameSearch = require('../app/search.js');
+const GameAI = require('../app/ai.js');
+
+// 3×3 的搜尋一定會完成，時間預算只是上限
+const NO_TIME_LIMIT = { timeBudget: 60 * 1000 };
+
+/**
+ * 參考實作：不剪枝、不用置換表的 Negamax，分數的定義與 GameSearch 相同
+ * （在 ply 手後獲勝為 WIN_SCORE − ply − 1，和局為 0）
+ * @returns {number} 以 player 角度的精確分數
+ */
+function reference(board, winLength, player, ply, memo) {
+    const key = board.join(',') + player;
+    if (memo.has(key)) return memo.get(key) - ply;
+    let best = -Infinity;
+    let any = false;
+    for (let index = 0; index < board.length; index++) {
+        if (board[index] !== '') continue;
+        any = true;
+        best = Math.max(best, moveScore(board, winLength, player, index, ply, memo));
+    }
+    if (!any) best = 0;
+    // 同一個局面的手數固定，以 ply 為 0 的分數儲存即可
+    memo.set(key, best + ply);
+    return best;
+}
+
+function moveScore(board, winLength, player, index, ply, memo) {
+    board[index] = player;
+    const score = GameEngine.findWinner(board, winLength, index).winner === player
+        ? GameSearch.WIN_SCORE - ply - 1
+        : -reference(board, winLength, GameEngine.otherPlayer(player), ply + 1, memo);
+    board[index] = '';
+    return score;
+}
+
+/**
+ * 每個空格在雙方都下最佳棋步時的分數
+ * @returns {Map<number, number>}
+ */
+function referenceScores(state) {
+    const memo = new Map();
+    const board = state.board.slice();
+    const scores = new Map();
+    GameEngine.legalMoves(state).forEach(index => {
+        // 和局的分數可能是 -0，一律換成 0
+        scores.set(index, moveScore(board, state.winLength, state.currentPlayer, index, 0, memo) + 0);
+    });
+    return scores;
+}
+
+function outcome(score) {
+    if (score > GameSearch.MATE_BOUND) return 'win';
+    if (score < -GameSearch.MATE_BOUND) return 'loss';
+    return 'draw';
+}
+
+/**
+ * 3×3 的測試局面：空棋盤、所有一步與兩步後的局面，以及固定的殘局
+ */
+function positions3x3() {
+    const list = [[]];
+    for (let a = 0; a < 9; a++) {
+        list.push([a]);
+        for (let b = 0; b < 9; b++) {
+            if (a !== b) list.push([a, b]);
+        }
+    }
+    list.push([4, 0, 8, 2, 1], [0, 4, 8, 2, 6], [4, 1, 0, 8, 3, 5], [0, 1, 3, 6, 4, 8, 2]);
+    return list
+        .map(moves => GameEngine.replay(moves))
+        .filter(state => !GameEngine.isOver(state));
+}
+
+describe('3×3 與舊版 Minimax 比較', () => {
+    const states = positions3x3();
+
+    test('Alpha-Beta 與 Minimax 選擇的棋步結果（勝、和、負）相同，且都是最佳結果', () => {
+        states.forEach(state => {
+            const label = state.moves.map(move => move.index).join() || '空棋盤';
+            const scores = referenceScores(state);
+            const best = outcome(Math.max(...scores.values()));
+            const { alphaBeta, minimax } = GameAI.benchmark(state, NO_TIME_LIMIT);
+
+            assert.ok(alphaBeta.complete, label);
+            assert.equal(outcome(alphaBeta.score), best, label);
+            assert.equal(outcome(scores.get(alphaBeta.move)), best, `${label}：Alpha-Beta 下 ${alphaBeta.move}`);
+            assert.equal(outcome(scores.get(minimax.move)), best, `${label}：Minimax 下 ${minimax.move}`);
+        });
+    });
+
+    test('Alpha-Beta 搜尋的節點數少於 Minimax', () => {
+        states.forEach(state => {
+            const label = state.moves.map(move => move.index).join() || '空棋盤';
+            const { alphaBeta, minimax } = GameAI.benchmark(state, NO_TIME_LIMIT);
+            // 剩下四格以內時剪枝省下的節點不多，Alpha-Beta 的一層迭代加深可能多算一兩個節點
+            if (GameEngine.legalMoves(state).length >= 5) {
+                assert.ok(alphaBeta.nodes < minimax.nodes, `${label}：${alphaBeta.nodes} ≥ ${minimax.nodes}`);
+            } else {
+                assert.ok(alphaBeta.nodes <= minimax.nodes * 2, `${label}：${alphaBeta.nodes} > ${minimax.nodes}`);
+            }
+        });
+        const empty = GameAI.benchmark(GameEngine.createGame(), NO_TIME_LIMIT);
+        // 空棋盤上差距最大：完整 Minimax 約 55 萬個節點
+        assert.equal(empty.minimax.nodes, 549945);
+        assert.ok(empty.alphaBeta.nodes * 100 < empty.minimax.nodes, String(empty.alphaBeta.nodes));
+        assert.ok(empty.alphaBeta.tableHits > 0);
+    });
+
+    test('大於 3×3 時不執行 Minimax', () => {
+        const state = GameEngine.replay([5, 6, 9, 10, 0], { size: 4 });
+        assert.equal(GameAI.benchmark(state, NO_TIME_LIMIT).minimax, null);
+        assert.throws(() => GameAI.getMinimaxMove(state), { name: 'RangeError', message: '完整 Minimax 只支援 3×3 棋盤' });
+    });
+});
+
+describe('置換表', () => {
+    // 根節點以外的節點都以縮小的視窗搜尋，置換表中存的是上界（UPPER）或下界（LOWER）；
+    // 如果把邊界當成精確值使用，或對稱局面與必勝手數的換算有誤，分析模式的分數就會與參考實作不同
+    test('分析模式下每個空格的分數等於參考實作的精確分數', () => {
+        const states = [
+            ...positions3x3(),
+            ...[[5, 6, 9, 10, 0, 15], [0, 5, 10, 15, 3, 12, 6], [5, 10, 6, 9, 1, 2, 14]]
+                .map(moves => GameEngine.replay(moves, { size: 4, winLength: 3 })),
+            GameEngine.replay([0, 5, 10, 15, 3, 12, 6], { size: 4, winLength: 4 })
+        ];
+        states.forEach(state => {
+            const label = `${state.size}x${state.winLength} ${state.moves.map(move => move.index).join()}`;
+            const expected = referenceScores(state);
+            const result = GameSearch.search(state, { ...NO_TIME_LIMIT, analyze: true });
+            assert.ok(result.complete, label);
+            assert.deepEqual(new Map(result.scores.map(entry => [entry.move, entry.score + 0])), expected, label);
+        });
+    });
+
+    test('一般模式的最佳分數也等於參考實作', () => {
+        positions3x3().forEach(state => {
+            const expected = Math.max(...referenceScores(state).values());
+            const result = GameSearch.search(state, NO_TIME_LIMIT);
+            assert.equal(result.score + 0, expected, state.moves.map(move => move.index).join());
+        });
+    });
+
+    test('對稱的局面得到對稱的分數', () => {
+        // 四個角落開局彼此對稱：以 0 為準，把每個開局的分數換到同一個方向後比較
+        const rotations = {
+            0: index => index,
+            2: index => (2 - index % 3) * 3 + Math.floor(index / 3),
+            8: index => 8 - index,
+            6: index => (index % 3) * 3 + 2 - Math.floor(index / 3)
+        };
+        const scoresFor = corner => {
+            const { scores } = GameSearch.search(GameEngine.replay([corner]), { ...NO_TIME_LIMIT, analyze: true });
+            return new Map(scores.map(entry => [rotations[corner](entry.move), entry.score + 0]));
+        };
+        const expected = scoresFor(0);
+        [2, 6, 8].forEach(corner => assert.deepEqual(scoresFor(corner), expected, String(corner)));
+        assert.ok(GameSearch.search(GameEngine.createGame(), NO_TIME_LIMIT).tableHits > 0);
+    });
+});
+
+describe('7×7／四連線的迭代加深', () => {
+    const options = { size: 7, winLength: 4 };
+
+    test('時間用盡時採用最後一個完成深度的結果', () => {
+        const state = GameEngine.replay([24, 25], options);
+        const budget = 100;
+        const progress = [];
+        const result = GameSearch.search(state, { timeBudget: budget, onProgress: entry => progress.push(entry) });
+
+        assert.equal(result.complete, false);
+        assert.ok(result.depth >= 1);
+        assert.deepEqual(progress.map(entry => entry.depth), Array.from({ length: result.depth }, (_, i) => i + 1));
+        const last = progress[progress.length - 1];
+        assert.equal(result.move, last.move);
+        assert.equal(result.score, last.score);
+        // 中止的那一層仍有搜尋節點
+        assert.ok(result.nodes >= last.nodes);
+        assert.ok(GameEngine.isLegalMove(state, result.move));
+        // 每 TIME_CHECK_INTERVAL 個節點才檢查一次時間，允許些許超出
+        assert.ok(result.elapsed >= budget && result.elapsed < budget + 250, `${result.elapsed}ms`);
+    });
+
+    test('maxDepth 限制搜尋深度', () => {
+        const state = GameEngine.replay([24, 25], options);
+        const result = GameSearch.search(state, { timeBudget: 10 * 1000, maxDepth: 2 });
+        assert.equal(result.depth, 2);
+        assert.equal(result.complete, false);
+    });
+
+    test('找到必勝時提前結束', () => {
+        // X 在 17、18、24 與 10 的對角上有兩個威脅
+        const state = GameEngine.replay([24, 25, 17, 31, 18, 10], options);
+        const result = GameSearch.search(state, { timeBudget: 10 * 1000 });
+        assert.equal(result.complete, true);
+        assert.ok(result.score > GameSearch.MATE_BOUND);
+        // 三手後獲勝：X 下、O 擋、X 連成
+        assert.equal(GameSearch.WIN_SCORE - result.score, 3);
+        assert.ok(result.elapsed < 10 * 1000);
+    });
+
+    test('立即獲勝與必須阻擋的棋步', () => {
+        // X：0、1、2；O：8、9、10，輪到 X，下 3 即獲勝
+        const win = GameSearch.search(GameEngine.replay([0, 8, 1, 9, 2, 10], options), { timeBudget: 1000 });
+        assert.equal(win.move, 3);
+        assert.equal(win.score, GameSearch.WIN_SCORE - 1);
+        // X：0、1、20；O：7、8、9（第二列的開頭），輪到 X，必須擋 10
+        const block = GameSearch.search(GameEngine.replay([0, 7, 1, 8, 20, 9], options), { timeBudget: 1000 });
+        assert.equal(block.move, 10);
+    });
+
+    test('無棋可下', () => {
+        const over = GameEngine.replay([0, 3, 1, 4, 2]);
+        assert.deepEqual(GameSearch.search(over), {
+            move: -1, score: 0, depth: 0, complete: true, nodes: 0, tableHits: 0, elapsed: 0
+        });
+        assert.deepEqual(GameSearch.search(over, { analyze: true }).scores, []);
+    });
+});
@@ -0,0 +1,748 @@
+/**
+ * @fileoverview secure-dom.js 的測試
+ * 同時載入 UMD（require）與 ES module（secure-dom.mjs）兩個入口，確認匯出的名稱與物件相同，
+ * 再逐一測試每個匯出；DOM 由 jsdom 提供（見 helpers/dom.js）
+ */
+
+const { describe, test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { installDom } = require('./helpers/dom.js');
+
+const window = installDom();
+const SecureDom = require('../app/secure-dom.js');
+
+const {
+    SecurityConfig,
+    SecureDomMessages,
+    Validator,
+    UrlRejection,
+    SanitizationPolicies,
+    LogSeverity,
+    LogEventType,
+    LogEvents,
+    LogTransports,
+    Logger,
+    setTextContent,
+    createSafeTextNode,
+    createElement,
+    Sanitizer,
+    sanitizeHtml,
+    setSanitizedHTML,
+    escapeHtml,
+    Markdown,
+    markdownToHtml,
+    markdownToFragment,
+    renderRichContent,
+    createSecureInteractiveElement,
+    View,
+    h,
+    patchView
+} = SecureDom;
+
+const EXPORTS = [
+    'SecurityConfig', 'SecureDomMessages', 'Validator', 'UrlRejection', 'SanitizationPolicies',
+    'LogSeverity', 'LogEventType', 'LogEvents', 'LogTransports', 'Logger',
+    'setTextContent', 'createSafeTextNode', 'createElement', 'Sanitizer', 'sanitizeHtml', 'setSanitizedHTML',
+    'escapeHtml', 'Markdown', 'markdownToHtml', 'markdownToFragment', 'renderRichContent',
+    'createSecureInteractiveElement', 'View', 'h', 'patchView'
+];
+
+// 所有測試共用一個記憶體傳送方式，每個測試前清空
+const memory = LogTransports.memory();
+
+/**
+ * 執行 action 後送出緩衝區，回傳這段期間記錄的日誌
+ * @param {Function} action - 要執行的動作（拋出的錯誤會被忽略）
+ * @returns {Promise<Object[]>}
+ */
+async function logged(action) {
+    await Logger.flush();
+    memory.clear();
+    try {
+        action();
+    } catch (error) {
+        // 由各測試另外檢查
+    }
+    await Logger.flush();
+    return memory.entries.slice();
+}
+
+function container() {
+    const element = document.createElement('div');
+    document.body.appendChild(element);
+    return element;
+}
+
+function html(fragment) {
+    const wrapper = document.createElement('div');
+    wrapper.appendChild(fragment);
+    return wrapper.innerHTML;
+}
+
+beforeEach(async () => {
+    Logger.configure({
+        minSeverity: LogSeverity.INFO,
+        devMode: false,
+        sampling: {},
+        transports: [memory]
+    });
+    await Logger.flush();
+    memory.clear();
+    document.body.replaceChildren();
+});
+
+after(async () => {
+    await Logger.flush();
+    window.close();
+});
+
+describe('模組入口', () => {
+    let esm;
+
+    before(async () => {
+        esm = await import('../app/secure-dom.mjs');
+    });
+
+    test('UMD 以 CommonJS 匯出凍結的物件，不設定全域變數', () => {
+        assert.deepEqual(Object.keys(SecureDom).sort(), EXPORTS.slice().sort());
+        assert.ok(Object.isFrozen(SecureDom));
+        assert.equal(globalThis.SecureDom, undefined);
+    });
+
+    test('以 <script> 載入（沒有 module）時設定全域變數 SecureDom', () => {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'app', 'secure-dom.js'), 'utf8');
+        const context = vm.createContext({});
+        vm.runInContext(source, context);
+        assert.deepEqual(Object.keys(context.SecureDom).sort(), EXPORTS.slice().sort());
+        assert.ok(Object.isFrozen(context.SecureDom));
+    });
+
+    test('ES module 具名匯出每個名稱，且與 UMD 是同一個物件', () => {
+        assert.deepEqual(Object.keys(esm).filter(name => name !== 'default').sort(), EXPORTS.slice().sort());
+        EXPORTS.forEach(name => assert.equal(esm[name], SecureDom[name], name));
+        assert.equal(esm.default, SecureDom);
+    });
+
+    test('TrustedTypesPolicy 不對外公開', () => {
+        assert.equal(SecureDom.TrustedTypesPolicy, undefined);
+    });
+});
+
+describe('SecurityConfig', () => {
+    test('預設政策已定義，FORBID_CONTENTS 不能被任何政策允許', () => {
+        assert.equal(SanitizationPolicies.resolve().name, SecurityConfig.DEFAULT_POLICY);
+        assert.ok(SecurityConfig.FORBID_CONTENTS.includes('script'));
+        assert.ok(!SecurityConfig.FORBID_CONTENTS.includes('button'));
+        assert.deepEqual(SecurityConfig.URL_ATTRIBUTES, ['href']);
+        assert.equal(SecurityConfig.TRUSTED_TYPES_POLICY, 'secure-dom');
+    });
+});
+
+describe('SecureDomMessages', () => {
+    test('沒有 I18n 時使用繁體中文並插入參數', () => {
+        assert.equal(SecureDomMessages.t('invalidElement'), '無效的 DOM 元素');
+        assert.equal(SecureDomMessages.t('contentTooLong', { max: 10 }), '內容長度超過限制 10 字符');
+        assert.equal(SecureDomMessages.t('contentTooLong'), '內容長度超過限制 {max} 字符');
+    });
+
+    test('每個語言都有相同的訊息鍵', () => {
+        const keys = Object.keys(SecureDomMessages.catalogs['zh-TW']).sort();
+        Object.values(SecureDomMessages.catalogs).forEach(messages => {
+            assert.deepEqual(Object.keys(messages).sort(), keys);
+        });
+    });
+});
+
+describe('Validator', () => {
+    test('validateElement 只接受 HTMLElement', () => {
+        Validator.validateElement(document.createElement('div'));
+        assert.throws(() => Validator.validateElement(null), TypeError);
+        assert.throws(() => Validator.validateElement(document.createTextNode('x')), TypeError);
+        assert.throws(() => Validator.validateElement({ tagName: 'DIV' }), TypeError);
+    });
+
+    test('validateInput 只接受長度限制內的字串', () => {
+        Validator.validateInput('');
+        Validator.validateInput('x'.repeat(SecurityConfig.MAX_CONTENT_LENGTH));
+        assert.throws(() => Validator.validateInput(1), TypeError);
+        assert.throws(() => Validator.validateInput('x'.repeat(SecurityConfig.MAX_CONTENT_LENGTH + 1)), /超過限制/);
+    });
+
+    test('checkUrl 回傳正規化的網址或拒絕原因', () => {
+        assert.deepEqual(Validator.checkUrl('/help'), { valid: true, url: 'https://game.test/help', reason: null });
+        assert.deepEqual(Validator.checkUrl('javascript:alert(1)'),
+            { valid: false, url: null, reason: UrlRejection.SCHEME_NOT_ALLOWED });
+        assert.equal(Validator.checkUrl('/help', { ...SecurityConfig.URL_POLICY, allowRelative: false }).reason,
+            UrlRejection.RELATIVE_NOT_ALLOWED);
+        assert.equal(Validator.checkUrl('https://other.test/', { ...SecurityConfig.URL_POLICY, origins: ['self'] }).reason,
+            UrlRejection.ORIGIN_NOT_ALLOWED);
+    });
+
+    test('isValidUrl 與 toSafeUrl 依 checkUrl 的結果', () => {
+        assert.equal(Validator.isValidUrl('https://example.com'), true);
+        assert.equal(Validator.isValidUrl('data:text/html,x'), false);
+        assert.equal(Validator.toSafeUrl('HTTPS://Example.com'), 'https://example.com/');
+        assert.equal(Validator.toSafeUrl('vbscript:x'), null);
+    });
+});
+
+describe('UrlRejection', () => {
+    test('每個原因都是不重複的字串', () => {
+        const values = Object.values(UrlRejection);
+        assert.ok(values.every(value => typeof value === 'string'));
+        assert.equal(new Set(values).size, values.length);
+    });
+});
+
+describe('SanitizationPolicies', () => {
+    test('define 回傳凍結的政策，resolve 接受名稱或同一個物件', () => {
+        const policy = SanitizationPolicies.define('test-policy', {
+            allowedTags: ['P', 'a'],
+            allowedAttributes: ['data-*', 'HREF']
+        });
+        assert.ok(Object.isFrozen(policy));
+        assert.deepEqual(policy.allowedTags, ['p', 'a']);
+        assert.equal(SanitizationPolicies.resolve('test-policy'), policy);
+        assert.equal(SanitizationPolicies.resolve(policy), policy);
+        assert.throws(() => SanitizationPolicies.resolve({ ...policy }), RangeError);
+        assert.throws(() => SanitizationPolicies.resolve('missing'), RangeError);
+    });
+
+    test('define 拒絕無效的名稱、重複的名稱與 FORBID_CONTENTS 的標籤', () => {
+        assert.throws(() => SanitizationPolicies.define('Bad Name'), TypeError);
+        assert.throws(() => SanitizationPolicies.define('links'), RangeError);
+        assert.throws(() => SanitizationPolicies.define('with-script', { allowedTags: ['script'] }), RangeError);
+        assert.throws(() => SanitizationPolicies.define('bad-list', { allowedTags: 'p' }), TypeError);
+    });
+
+    test('define 只接受 SecurityConfig.TARGETS 之中的 target', () => {
+        assert.throws(() => SanitizationPolicies.define('named-target', { allowedTargets: ['_blank', 'popup', 'javascript:'] }),
+            { name: 'RangeError', message: 'named-target 不能允許這些 target：popup, javascript:' });
+        assert.throws(() => SanitizationPolicies.define('target-string', { allowedTargets: '_blank' }),
+            { name: 'TypeError', message: 'target-string 的 allowedTargets 必須是字串陣列' });
+        assert.throws(() => SanitizationPolicies.define('target-null', { allowedTargets: [null] }), TypeError);
+        // 被拒絕的定義不會登錄
+        assert.throws(() => SanitizationPolicies.resolve('named-target'), RangeError);
+
+        const policy = SanitizationPolicies.define('top-target', { allowedTargets: ['_TOP', '_parent'] });
+        assert.deepEqual(policy.allowedTargets, ['_top', '_parent']);
+        assert.ok(Object.isFrozen(policy.allowedTargets));
+        assert.deepEqual(SanitizationPolicies.resolve('links').allowedTargets, ['_blank', '_self']);
+    });
+
+    test('allowsTag 與 allowsAttribute（萬用字元至少比對一個合法字元）', () => {
+        const links = SanitizationPolicies.resolve('links');
+        assert.equal(SanitizationPolicies.allowsTag(links, 'A'), true);
+        assert.equal(SanitizationPolicies.allowsTag(links, 'img'), false);
+        assert.equal(SanitizationPolicies.allowsAttribute(links, 'data-id'), true);
+        assert.equal(SanitizationPolicies.allowsAttribute(links, 'data-'), false);
+        assert.equal(SanitizationPolicies.allowsAttribute(links, 'data-a b'), false);
+        assert.equal(SanitizationPolicies.allowsAttribute(links, 'onclick'), false);
+    });
+});
+
+describe('LogSeverity、LogEventType 與 LogEvents', () => {
+    test('每個預定義的事件類型都已登錄', () => {
+        Object.values(LogEventType).forEach(eventType => {
+            const definition = LogEvents.get(eventType);
+            assert.ok(definition, eventType);
+            assert.ok(Object.values(LogSeverity).includes(definition.severity));
+        });
+    });
+
+    test('SANITIZATION 只記錄原始 HTML 的長度', () => {
+        assert.deepEqual(LogEvents.get(LogEventType.SANITIZATION).schema,
+            { policy: 'string', removed: 'array', length: 'number' });
+    });
+
+    test('register 拒絕無效的定義', () => {
+        assert.equal(LogEvents.register('TEST_EVENT', { severity: LogSeverity.INFO, schema: { id: 'number?' } }),
+            'TEST_EVENT');
+        assert.throws(() => LogEvents.register('TEST_EVENT', { severity: LogSeverity.INFO }), RangeError);
+        assert.throws(() => LogEvents.register('1bad', { severity: LogSeverity.INFO }), TypeError);
+        assert.throws(() => LogEvents.register('TEST_SEVERITY', { severity: 'DEBUG' }), RangeError);
+        assert.throws(() => LogEvents.register('TEST_SCHEMA', { severity: LogSeverity.INFO, schema: { id: 'date' } }),
+            TypeError);
+        assert.equal(LogEvents.get('NOT_REGISTERED'), null);
+    });
+
+    test('validate 列出不符格式的地方', () => {
+        assert.deepEqual(LogEvents.validate('TEST_EVENT', {}), []);
+        assert.deepEqual(LogEvents.validate('TEST_EVENT', { id: 1 }), []);
+        assert.deepEqual(LogEvents.validate('TEST_EVENT', { id: '1', extra: true }),
+            ['未知的欄位：extra', 'id 必須是 number']);
+        assert.deepEqual(LogEvents.validate(LogEventType.INVALID_URL, { url: 'x' }), ['缺少欄位：reason']);
+        assert.deepEqual(LogEvents.validate(LogEventType.INVALID_URL, []), ['內容必須是物件']);
+        assert.deepEqual(LogEvents.validate(LogEventType.VALIDATION_ERROR, { anything: 1 }), []);
+    });
+});
+
+describe('LogTransports', () => {
+    const entry = severity => ({ timestamp: '', severity, eventType: 'TEST_EVENT', data: {}, sessionId: 's' });
+
+    test('memory 保存每一批日誌', () => {
+        const transport = LogTransports.memory({ minSeverity: LogSeverity.WARN });
+        assert.equal(transport.remote, false);
+        assert.equal(transport.minSeverity, LogSeverity.WARN);
+        assert.equal(transport.send([entry('INFO')]), true);
+        assert.equal(transport.entries.length, 1);
+        transport.clear();
+        assert.deepEqual(transport.entries, []);
+    });
+
+    test('console 依嚴重程度選擇主控台方法', t => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const error = t.mock.method(console, 'error', () => {});
+        const info = t.mock.method(console, 'info', () => {});
+        const transport = LogTransports.console();
+        assert.equal(transport.send([entry('INFO'), entry('WARN'), entry('ERROR'), entry('SECURITY')]), true);
+        assert.equal(info.mock.callCount(), 1);
+        assert.equal(warn.mock.callCount(), 2);
+        assert.equal(error.mock.callCount(), 1);
+    });
+
+    test('beacon 以 sendBeacon 送出 JSON，不支援時直接放棄', t => {
+        const transport = LogTransports.beacon({ url: '/collect' });
+        assert.equal(transport.remote, true);
+        assert.equal(transport.send([entry('WARN')]), true);
+
+        const calls = [];
+        navigator.sendBeacon = (url, body) => {
+            calls.push({ url, body });
+            return calls.length === 1;
+        };
+        t.after(() => delete navigator.sendBeacon);
+        assert.equal(transport.send([entry('WARN')]), true);
+        assert.equal(transport.send([entry('WARN')]), false);
+        assert.equal(calls[0].url, '/collect');
+        assert.deepEqual(JSON.parse(calls[0].body), [entry('WARN')]);
+    });
+
+    test('fetch 只在網路錯誤與 5xx 時回報沒送達', async t => {
+        const requests = [];
+        let respond = () => ({ status: 204 });
+        globalThis.fetch = async (url, options) => {
+            requests.push({ url, options });
+            return respond();
+        };
+        t.after(() => delete globalThis.fetch);
+
+        const transport = LogTransports.fetch();
+        assert.equal(await transport.send([entry('ERROR')]), true);
+        assert.equal(requests[0].url, '/api/logs');
+        assert.equal(requests[0].options.method, 'POST');
+        assert.equal(requests[0].options.keepalive, true);
+        assert.equal(requests[0].options.credentials, 'same-origin');
+        assert.deepEqual(JSON.parse(requests[0].options.body), [entry('ERROR')]);
+
+        respond = () => ({ status: 429 });
+        assert.equal(await transport.send([entry('ERROR')]), true);
+        respond = () => ({ status: 503 });
+        assert.equal(await transport.send([entry('ERROR')]), false);
+        respond = () => {
+            throw new TypeError('Failed to fetch');
+        };
+        assert.equal(await transport.send([entry('ERROR')]), false);
+    });
+});
+
+describe('Logger', () => {
+    test('configure 拒絕無效的設定且不修改原設定', () => {
+        assert.throws(() => Logger.configure({ minSeverity: 'DEBUG' }), RangeError);
+        assert.throws(() => Logger.configure({ batchSize: 0 }), RangeError);
+        assert.throws(() => Logger.configure({ flushInterval: 1.5 }), RangeError);
+        assert.throws(() => Logger.configure({ sampling: { TEST_EVENT: 2 } }), RangeError);
+        assert.throws(() => Logger.configure({ devMode: 'yes' }), TypeError);
+        assert.throws(() => Logger.configure({ transports: [{}] }), TypeError);
+        assert.throws(() => Logger.configure({ transports: [LogTransports.memory({ minSeverity: 'DEBUG' })] }), TypeError);
+        assert.equal(Logger._config.minSeverity, LogSeverity.INFO);
+        assert.deepEqual(Logger._config.transports, [memory]);
+    });
+
+    test('預設只送到日誌收集器，開發模式才加上主控台', () => {
+        const transports = () => Logger._config.transports.map(transport => transport.name);
+        Logger.configure({ transports: [LogTransports.beacon()] });
+        assert.deepEqual(transports(), ['beacon']);
+        Logger.configure({ devMode: true });
+        assert.deepEqual(transports(), ['beacon', 'console']);
+        Logger.configure({ devMode: true });
+        assert.deepEqual(transports(), ['beacon', 'console']);
+        Logger.configure({ devMode: false });
+        assert.deepEqual(transports(), ['beacon']);
+        // 同時指定 transports 時以指定的為準
+        Logger.configure({ devMode: true, transports: [memory] });
+        assert.deepEqual(transports(), ['memory']);
+    });
+
+    test('logEvent 依登錄的嚴重程度記錄，並移除敏感欄位與截斷長字串', async () => {
+        const entries = await logged(() => {
+            Logger.logEvent(LogEventType.VALIDATION_ERROR, { token: 'abc', nested: { Password: 'x' }, text: 'y'.repeat(1200) });
+        });
+        assert.equal(entries.length, 1);
+        const [entry] = entries;
+        assert.equal(entry.severity, LogSeverity.WARN);
+        assert.equal(entry.eventType, LogEventType.VALIDATION_ERROR);
+        assert.equal(entry.data.token, '[REDACTED]');
+        assert.equal(entry.data.nested.Password, '[REDACTED]');
+        assert.equal(entry.data.text.length, 1003);
+        assert.match(entry.timestamp, /^\d{4}-\d{2}-\d{2}T/);
+        assert.equal(entry.sessionId, window._logSessionId);
+    });
+
+    test('未登錄或不符格式的事件改記 INVALID_LOG_EVENT', async () => {
+        const entries = await logged(() => {
+            Logger.logEvent('NOT_REGISTERED', {});
+            Logger.logEvent(LogEventType.INVALID_URL, { url: 1, reason: 'x' });
+        });
+        assert.deepEqual(entries.map(entry => entry.eventType),
+            [LogEventType.INVALID_LOG_EVENT, LogEventType.INVALID_LOG_EVENT]);
+        assert.deepEqual(entries[0].data, { eventType: 'NOT_REGISTERED', problems: ['事件類型未登錄'] });
+        assert.deepEqual(entries[1].data.problems, ['url 必須是 string']);
+    });
+
+    test('開發模式下未登錄或不符格式的事件拋出 TypeError', () => {
+        Logger.configure({ devMode: true, transports: [memory] });
+        assert.throws(() => Logger.logEvent('NOT_REGISTERED', {}), TypeError);
+        assert.throws(() => Logger.logEvent(LogEventType.TEXT_UPDATE_ERROR, {}), /缺少欄位：error/);
+        assert.throws(() => Logger.logSecurityEvent(LogEventType.TEXT_UPDATE_ERROR, { error: 1 }), TypeError);
+    });
+
+    test('低於 minSeverity 的日誌與取樣外的日誌不記錄', async t => {
+        Logger.configure({ minSeverity: LogSeverity.ERROR });
+        let entries = await logged(() => {
+            Logger.logEvent(LogEventType.VALIDATION_ERROR, {});
+            Logger.logEvent(LogEventType.API_ERROR, {});
+        });
+        assert.deepEqual(entries.map(entry => entry.eventType), [LogEventType.API_ERROR]);
+
+        Logger.configure({ minSeverity: LogSeverity.INFO, sampling: { [LogEventType.API_ERROR]: 0.5 } });
+        t.mock.method(Math, 'random', () => 0.7);
+        entries = await logged(() => Logger.logEvent(LogEventType.API_ERROR, {}));
+        assert.deepEqual(entries, []);
+    });
+
+    test('各傳送方式只收到 minSeverity 以上的日誌，且依 batchSize 分批', async () => {
+        const batches = [];
+        const errors = { name: 'errors', minSeverity: LogSeverity.ERROR, send: batch => batches.push(batch) > 0 };
+        Logger.configure({ batchSize: 2, flushInterval: 60000, transports: [memory, errors] });
+        memory.clear();
+        Logger.logEvent(LogEventType.API_ERROR, { n: 1 });
+        Logger.logEvent(LogEventType.VALIDATION_ERROR, { n: 2 });
+        // 第二筆達到 batchSize，立即送出
+        assert.equal(memory.entries.length, 2);
+        Logger.logEvent(LogEventType.API_ERROR, { n: 3 });
+        Logger.logEvent(LogEventType.API_ERROR, { n: 4 });
+        Logger.logEvent(LogEventType.API_ERROR, { n: 5 });
+        await Logger.flush();
+        assert.equal(memory.entries.length, 5);
+        assert.deepEqual(batches.map(batch => batch.map(entry => entry.data.n)), [[1], [3, 4], [5]]);
+    });
+
+    test('沒送達的批次留在離線佇列，下次 flush 重送，超過上限時丟棄最舊的', async () => {
+        let accept = false;
+        const received = [];
+        const flaky = { name: 'flaky', send: batch => (accept ? received.push(...batch) > 0 : false) };
+        const failing = { name: 'failing', send: () => Promise.reject(new Error('down')) };
+        Logger.configure({ maxQueueSize: 2, transports: [flaky, failing] });
+        Logger.logEvent(LogEventType.API_ERROR, { n: 1 });
+        Logger.logEvent(LogEventType.API_ERROR, { n: 2 });
+        await Logger.flush();
+        Logger.logEvent(LogEventType.API_ERROR, { n: 3 });
+        await Logger.flush();
+        assert.equal(Logger._offline.reduce((sum, item) => sum + item.entries.length, 0), 2);
+
+        accept = true;
+        Logger.configure({ transports: [flaky] });
+        await Logger.flush();
+        assert.deepEqual(received.map(entry => entry.data.n), [3]);
+        Logger._offline.length = 0;
+    });
+
+    test('離線時不呼叫遠端傳送方式', async t => {
+        t.mock.getter(navigator, 'onLine', () => false);
+        let calls = 0;
+        const remote = { name: 'remote', remote: true, send: () => ++calls > 0 };
+        Logger.configure({ transports: [remote, memory] });
+        const entries = await logged(() => Logger.logEvent(LogEventType.API_ERROR, {}));
+        assert.equal(calls, 0);
+        assert.equal(entries.length, 1);
+        assert.equal(Logger._offline.length, 1);
+        Logger._offline.length = 0;
+    });
+});
+
+describe('文字與元素', () => {
+    before(() => {
+        SanitizationPolicies.define('game-test-ui', { allowedTags: ['button'], allowedAttributes: ['type'] });
+    });
+
+    test('setTextContent 以文字寫入，參數無效時記錄錯誤並拋出', async () => {
+        const element = container();
+        setTextContent(element, '<b>x</b>');
+        assert.equal(element.innerHTML, '&lt;b&gt;x&lt;/b&gt;');
+        const entries = await logged(() => setTextContent(element, 1));
+        assert.throws(() => setTextContent(null, 'x'), TypeError);
+        assert.deepEqual(entries.map(entry => entry.eventType), [LogEventType.TEXT_UPDATE_ERROR]);
+    });
+
+    test('createSafeTextNode 加入文字節點', async () => {
+        const element = container();
+        const node = createSafeTextNode(element, '<i>');
+        assert.equal(node.nodeType, Node.TEXT_NODE);
+        assert.equal(element.innerHTML, '&lt;i&gt;');
+        const entries = await logged(() => createSafeTextNode(element, null));
+        assert.deepEqual(entries.map(entry => entry.eventType), [LogEventType.TEXT_NODE_ERROR]);
+    });
+
+    test('createElement 依政策檢查標籤與屬性，連結加上 rel，按鈕設為 type="button"', async () => {
+        const parent = container();
+        const link = createElement(parent, 'a', {
+            text: 'help',
+            attributes: { href: '/help', onclick: 'alert(1)', title: 'x', class: 'link', id: null },
+            policy: 'links'
+        });
+        assert.equal(link.parentNode, parent);
+        assert.equal(link.outerHTML, '<a href="https://game.test/help" class="link" rel="noopener noreferrer">help</a>');
+
+        const button = createElement(parent, 'button', { attributes: { type: 'submit' }, policy: 'game-test-ui' });
+        assert.equal(button.getAttribute('type'), 'button');
+
+        const entries = await logged(() => createElement(parent, 'a', { attributes: { href: 'javascript:x' } }));
+        assert.deepEqual(entries.map(entry => [entry.eventType, entry.data.reason]),
+            [[LogEventType.INVALID_URL, UrlRejection.SCHEME_NOT_ALLOWED]]);
+        assert.equal(parent.lastChild.hasAttribute('href'), false);
+    });
+
+    test('createElement 拒絕政策外的標籤', async () => {
+        const parent = container();
+        assert.throws(() => createElement(parent, 'script'), /不允許的 HTML 標籤/);
+        assert.throws(() => createElement(parent, 'a', { policy: 'strict-text' }), /不允許的 HTML 標籤/);
+        const entries = await logged(() => createElement(parent, 'img'));
+        assert.deepEqual(entries.map(entry => entry.eventType), [LogEventType.ELEMENT_CREATION_ERROR]);
+        assert.equal(parent.childNodes.length, 0);
+    });
+});
+
+describe('Sanitizer、sanitizeHtml 與 setSanitizedHTML', () => {
+    test('拆掉政策外的元素、移除 FORBID_CONTENTS 與政策外的屬性，並列出移除的內容', () => {
+        const { fragment, policy, removed } = Sanitizer.sanitize(
+            '<p class="a" onclick="x"><u>keep</u><script>bad()</script><a href="javascript:x">l</a></p><!-- c -->',
+            { policy: 'links', engine: 'builtin' });
+        assert.equal(policy, 'links');
+        assert.equal(html(fragment), '<p class="a">keep<a>l</a></p>');
+        assert.deepEqual(removed, [
+            { type: 'attribute', name: 'onclick', path: 'p' },
+            { type: 'element', name: 'u', path: 'p' },
+            { type: 'element', name: 'script', path: 'p' },
+            { type: 'attribute', name: 'href', path: 'p > a', reason: UrlRejection.SCHEME_NOT_ALLOWED },
+            { type: 'node', name: '#comment', path: '' }
+        ]);
+    });
+
+    test('正規化網址、強制 rel 與 button 的 type', () => {
+        SanitizationPolicies.define('sanitizer-button', { allowedTags: ['button'], allowedAttributes: ['type'] });
+        assert.equal(html(Sanitizer.sanitize('<a href="/x" rel="opener">x</a>', { engine: 'builtin' }).fragment),
+            '<a href="https://game.test/x" rel="noopener noreferrer">x</a>');
+        assert.equal(html(Sanitizer.sanitize('<button type="submit">x</button>',
+            { policy: 'sanitizer-button', engine: 'builtin' }).fragment), '<button type="button">x</button>');
+    });
+
+    test('checkAttribute 檢查 target 與網址', () => {
+        const links = SanitizationPolicies.resolve('links');
+        assert.deepEqual(Sanitizer.checkAttribute('target', '_blank', links), { value: '_blank', reason: null });
+        assert.deepEqual(Sanitizer.checkAttribute('target', '_top', links), { value: null, reason: null });
+        assert.deepEqual(Sanitizer.checkAttribute('HREF', 'data:x', links),
+            { value: null, reason: UrlRejection.SCHEME_NOT_ALLOWED });
+    });
+
+    test('指定 dompurify 但未載入時拋出錯誤', () => {
+        assert.throws(() => Sanitizer.sanitize('<p>x</p>', { engine: 'dompurify' }), /DOMPurify 未載入/);
+        assert.throws(() => Sanitizer.sanitize('<p>x</p>', { policy: 'missing' }), RangeError);
+    });
+
+    test('sanitizeHtml 先驗證輸入', () => {
+        assert.throws(() => sanitizeHtml(null), TypeError);
+        assert.equal(html(sanitizeHtml('<b>x</b>', { policy: 'strict-text' }).fragment), 'x');
+    });
+
+    test('setSanitizedHTML 取代內容，有移除時只記錄原始 HTML 的長度', async () => {
+        const element = container();
+        element.textContent = 'old';
+        const input = '<b onmouseover="steal()">secret</b>';
+        const entries = await logged(() => setSanitizedHTML(element, input));
+        assert.equal(element.innerHTML, '<b>secret</b>');
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].eventType, LogEventType.SANITIZATION);
+        assert.deepEqual(entries[0].data, {
+            policy: 'default',
+            removed: [{ type: 'attribute', name: 'onmouseover', path: 'b' }],
+            length: input.length
+        });
+        assert.ok(!JSON.stringify(entries).includes('steal'));
+    });
+
+    test('setSanitizedHTML 參數無效時記錄錯誤並拋出', async () => {
+        assert.throws(() => setSanitizedHTML(container(), '<p>', { policy: 'missing' }), RangeError);
+        const entries = await logged(() => setSanitizedHTML(null, '<p>'));
+        assert.deepEqual(entries.map(entry => entry.eventType), [LogEventType.HTML_UPDATE_ERROR]);
+    });
+});
+
+describe('escapeHtml', () => {
+    test('轉義 HTML 的特殊字元', () => {
+        assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`),
+            '&lt;a href=&quot;x&quot; title=&#039;y&#039;&gt;&amp;&lt;/a&gt;');
+    });
+});
+
+describe('Markdown、markdownToHtml 與 markdownToFragment', () => {
+    const source = '**粗體** 與 _斜體_ 與 `<code>`\n\n- [連結](https://example.com)\n- 第二項\n\n```\n<pre>\n```';
+
+    test('parse 產生區塊節點', () => {
+        assert.deepEqual(Markdown.parse(source).map(block => block.type), ['paragraph', 'list', 'codeBlock']);
+        assert.deepEqual(Markdown.parseInline('a\\*b*'), [{ type: 'text', value: 'a*b*' }]);
+    });
+
+    test('markdownToHtml 與 markdownToFragment 輸出相同的結構', () => {
+        const expected = '<p><strong>粗體</strong> 與 <em>斜體</em> 與 <code>&lt;code&gt;</code></p>'
+            + '<ul><li><a href="https://example.com/" rel="noopener noreferrer">連結</a></li><li>第二項</li></ul>'
+            + '<pre><code>&lt;pre&gt;</code></pre>';
+        assert.equal(markdownToHtml(source), expected);
+        assert.equal(html(markdownToFragment(source)), expected);
+        assert.equal(Markdown.toHtml(Markdown.parse(source)), expected);
+    });
+
+    test('輸入必須是字串', () => {
+        assert.throws(() => markdownToHtml(null), TypeError);
+        assert.throws(() => markdownToFragment(undefined), TypeError);
+    });
+});
+
+describe('renderRichContent', () => {
+    test('預設以單一文字節點加入，不重複轉義', async () => {
+        const element = container();
+        const entries = await logged(() => renderRichContent(element, '<b>1 < 2</b>'));
+        assert.equal(element.childNodes.length, 1);
+        assert.equal(element.textContent, '<b>1 < 2</b>');
+        assert.deepEqual(entries.map(entry => entry.data), [{ type: 'escaped', length: 12 }]);
+    });
+
+    test('plainText、allowHtml 與 markdown', () => {
+        const element = container();
+        renderRichContent(element, '<i>x</i>', { plainText: true });
+        assert.equal(element.innerHTML, '&lt;i&gt;x&lt;/i&gt;');
+        renderRichContent(element, '<i>x</i><img src=x onerror=y>', { allowHtml: true });
+        assert.equal(element.innerHTML, '<i>x</i>');
+        renderRichContent(element, '**x** [a](/a)', { markdown: true, policy: 'basic-formatting' });
+        assert.equal(element.innerHTML, '<p><strong>x</strong> a</p>');
+    });
+
+    test('容器是連結時加上 rel', () => {
+        const link = document.createElement('a');
+        renderRichContent(link, 'x', { plainText: true });
+        assert.equal(link.getAttribute('rel'), 'noopener noreferrer');
+    });
+
+    test('失敗時記錄 RENDER_ERROR 並拋出', async () => {
+        assert.throws(() => renderRichContent(null, 'x'), TypeError);
+        const entries = await logged(() => renderRichContent(container(), 'x'.repeat(SecurityConfig.MAX_CONTENT_LENGTH + 1)));
+        assert.deepEqual(entries.map(entry => entry.eventType), [LogEventType.RENDER_ERROR]);
+        assert.deepEqual(Object.keys(entries[0].data).sort(), ['error', 'length']);
+        assert.equal(entries[0].data.length, SecurityConfig.MAX_CONTENT_LENGTH + 1);
+    });
+});
+
+describe('createSecureInteractiveElement', () => {
+    test('以事件監聽器處理點擊，只有 data-action 時才呼叫', () => {
+        const parent = container();
+        const clicks = [];
+        const button = createSecureInteractiveElement(parent, {
+            tag: 'span', text: 'go', className: 'btn', id: 'go', action: 'start', onClick: event => clicks.push(event.type)
+        });
+        assert.equal(button.outerHTML, '<span class="btn" id="go" data-action="start">go</span>');
+        button.click();
+        assert.deepEqual(clicks, ['click']);
+
+        const inert = createSecureInteractiveElement(parent, { text: 'x', onClick: () => clicks.push('inert') });
+        inert.click();
+        assert.deepEqual(clicks, ['click']);
+    });
+
+    test('失敗時記錄 INTERACTIVE_ELEMENT_ERROR 並拋出', async () => {
+        const entries = await logged(() => createSecureInteractiveElement(container(), { tag: 'script' }));
+        assert.deepEqual(entries.map(entry => entry.eventType),
+            [LogEventType.ELEMENT_CREATION_ERROR, LogEventType.INTERACTIVE_ELEMENT_ERROR]);
+        assert.equal(entries[1].data.config, '{"tag":"script"}');
+    });
+});
+
+describe('View、h 與 patchView', () => {
+    test('h 產生凍結的節點描述，字串與數字成為文字', () => {
+        const view = h('span', { class: 'a' }, 'x', 1, null, false, ['y']);
+        assert.ok(View.isNode(view));
+        assert.ok(Object.isFrozen(view));
+        assert.deepEqual(view.children, ['x', '1', 'y']);
+        assert.deepEqual(h('b', 'text').children, ['text']);
+        assert.equal(View.isNode({ tag: 'span', attributes: {}, children: [] }), false);
+    });
+
+    test('h 拒絕無效的參數', () => {
+        assert.throws(() => h(''), TypeError);
+        assert.throws(() => h('span', { on: { submit: () => {} } }), TypeError);
+        assert.throws(() => h('span', { on: { click: 'alert(1)' } }), TypeError);
+        assert.throws(() => h('span', null, { tag: 'script' }), TypeError);
+    });
+
+    test('patchView 建立 DOM，再次呼叫時沿用節點並只更新差異', () => {
+        const root = container();
+        patchView(root, h('div', { class: 'score', id: '<x>', title: 'dropped' }, h('span', null, 'X'), ': ', 3));
+        assert.equal(root.innerHTML, '<div class="score" id="<x>"><span>X</span>: 3</div>');
+        const span = root.querySelector('span');
+
+        patchView(root, h('div', { class: 'score' }, h('span', null, 'O'), ': ', 4, h('b', null, '!')));
+        assert.equal(root.innerHTML, '<div class="score"><span>O</span>: 4<b>!</b></div>');
+        assert.equal(root.querySelector('span'), span);
+    });
+
+    test('屬性經過政策與網址檢查，按鈕設為 type="button"', async () => {
+        const root = container();
+        const entries = await logged(() => patchView(root, [
+            h('a', { href: 'javascript:x', onclick: 'y' }, 'a'),
+            h('a', { href: '/ok', hidden: true }, 'b')
+        ]));
+        assert.equal(root.innerHTML, '<a>a</a><a href="https://game.test/ok" rel="noopener noreferrer">b</a>');
+        assert.deepEqual(entries.map(entry => entry.eventType), [LogEventType.INVALID_URL]);
+
+        patchView(root, h('button', { type: 'submit' }, 'x'), { policy: 'game-test-ui' });
+        assert.equal(root.innerHTML, '<button type="button">x</button>');
+    });
+
+    test('政策外的標籤讓 patchView 拋出錯誤且不修改 DOM', async () => {
+        const root = container();
+        patchView(root, h('p', null, 'before'));
+        const entries = await logged(() => patchView(root, [h('p', null, 'after'), h('img')]));
+        assert.throws(() => patchView(root, h('p', null, 'x'), { policy: 'strict-text' }), /不允許的 HTML 標籤/);
+        assert.equal(root.innerHTML, '<p>before</p>');
+        assert.deepEqual(entries.map(entry => entry.eventType), [LogEventType.ELEMENT_CREATION_ERROR]);
+    });
+
+    test('事件由容器委派，由內往外呼叫且可以停止', () => {
+        const root = container();
+        const calls = [];
+        patchView(root, h('div', { on: { click: () => calls.push('outer') } },
+            h('span', { on: { click: (event, element) => calls.push(element.localName) } }, 'a'),
+            h('b', { on: { click: event => { calls.push('stop'); event.stopPropagation(); } } }, 'b')));
+        root.querySelector('span').click();
+        root.querySelector('b').click();
+        assert.deepEqual(calls, ['span', 'outer', 'stop']);
+
+        // 更新後沿用新的處理函數
+        calls.length = 0;
+        patchView(root, h('div', null, h('span', { on: { click: () => calls.push('new') } }, 'a')));
+        root.querySelector('span').click();
+        assert.deepEqual(calls, ['new']);
+    });
+});
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview app/stats.js 的測試
+ * 勝率、連勝、平均手數與常見開局的統計，依模式與難度分組，以及 CSV 匯出的跳脫
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const GameStorage = require('../app/storage.js');
+const GameStats = require('../app/stats.js');
+
+const HEADER = 'endedAt,mode,difficulty,difficultyX,boardSize,winLength,winner,outcome,length,opening';
+
+function entry(overrides = {}) {
+    return {
+        endedAt: '2026-10-19T10:00:00.000Z',
+        mode: 'pvc',
+        difficulty: 'hard',
+        difficultyX: null,
+        boardSize: 3,
+        winLength: 3,
+        winner: 'O',
+        outcome: 'loss',
+        length: 7,
+        opening: 4,
+        ...overrides
+    };
+}
+
+/**
+ * 依結果字串建立對局紀錄，例如 'wwlwd'
+ */
+function games(outcomes, overrides = {}) {
+    const winners = { w: 'X', l: 'O', d: 'draw' };
+    const names = { w: 'win', l: 'loss', d: 'draw' };
+    return outcomes.split('').map(code => entry({ winner: winners[code], outcome: names[code], ...overrides }));
+}
+
+/**
+ * 簡單的 RFC 4180 解析器，只用於檢查匯出的結果
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' && text[i + 1] === '\n') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            i++;
+        } else {
+            field += char;
+        }
+    }
+    return rows;
+}
+
+describe('summarize', () => {
+    test('勝負和的次數與比率、平均手數', () => {
+        const history = games('wwlwd').map((game, i) => ({ ...game, length: 5 + i }));
+        const summary = GameStats.summarize(history);
+        assert.equal(summary.games, 5);
+        assert.equal(summary.wins, 3);
+        assert.equal(summary.losses, 1);
+        assert.equal(summary.draws, 1);
+        assert.equal(summary.winRate, 0.6);
+        assert.equal(summary.lossRate, 0.2);
+        assert.equal(summary.drawRate, 0.2);
+        assert.equal(summary.averageLength, 7);
+    });
+
+    test('目前的連續結果與最長連勝', () => {
+        assert.deepEqual(GameStats.summarize(games('wwwlwwdd')).currentStreak, { outcome: 'draw', length: 2 });
+        assert.equal(GameStats.summarize(games('wwwlwwdd')).longestWinStreak, 3);
+        assert.deepEqual(GameStats.summarize(games('lwwww')).currentStreak, { outcome: 'win', length: 4 });
+        assert.equal(GameStats.summarize(games('lwwww')).longestWinStreak, 4);
+        assert.equal(GameStats.summarize(games('ldl')).longestWinStreak, 0);
+    });
+
+    test('最常見的開局依棋盤大小區分，次數相同時取最早出現的', () => {
+        const history = [
+            entry({ opening: 0 }),
+            entry({ opening: 4, boardSize: 5, winLength: 4 }),
+            entry({ opening: 4 }),
+            entry({ opening: 0 }),
+            entry({ opening: 4, boardSize: 5, winLength: 4 }),
+            entry({ opening: 4, boardSize: 5, winLength: 4 })
+        ];
+        assert.deepEqual(GameStats.summarize(history).commonOpening, { boardSize: 5, index: 4, count: 3 });
+        assert.deepEqual(GameStats.summarize(history.slice(0, 4)).commonOpening, { boardSize: 3, index: 0, count: 2 });
+        assert.deepEqual(GameStats.summarize(history.slice(0, 3)).commonOpening, { boardSize: 3, index: 0, count: 1 });
+    });
+
+    test('沒有對局時比率為 0', () => {
+        assert.deepEqual(GameStats.summarize([]), {
+            games: 0,
+            wins: 0,
+            losses: 0,
+            draws: 0,
+            winRate: 0,
+            lossRate: 0,
+            drawRate: 0,
+            currentStreak: { outcome: null, length: 0 },
+            longestWinStreak: 0,
+            averageLength: 0,
+            commonOpening: null
+        });
+    });
+});
+
+describe('紀錄的篩選與分組', () => {
+    const history = [
+        ...games('wl'),
+        ...games('d', { difficulty: 'easy' }),
+        ...games('ww', { mode: 'pvp', difficulty: null }),
+        ...games('l', { mode: 'cvc', difficulty: 'hard', difficultyX: 'easy' }),
+        ...games('w')
+    ];
+
+    test('filterGames 只篩選指定的欄位', () => {
+        assert.equal(GameStats.filterGames(history).length, history.length);
+        assert.equal(GameStats.filterGames(history, { mode: 'pvc' }).length, 4);
+        assert.equal(GameStats.filterGames(history, { difficulty: 'hard' }).length, 4);
+        assert.equal(GameStats.filterGames(history, { mode: 'pvc', difficulty: 'easy' }).length, 1);
+        assert.deepEqual(GameStats.filterGames(history, { mode: 'cvp' }), []);
+    });
+
+    test('breakdown 依模式、難度與 X 的難度分組，保持第一次出現的順序', () => {
+        const groups = GameStats.breakdown(history);
+        assert.deepEqual(groups.map(({ mode, difficulty, difficultyX }) => [mode, difficulty, difficultyX]), [
+            ['pvc', 'hard', null],
+            ['pvc', 'easy', null],
+            ['pvp', null, null],
+            ['cvc', 'hard', 'easy']
+        ]);
+        assert.equal(groups[0].summary.games, 3);
+        assert.equal(groups[0].summary.wins, 2);
+        assert.deepEqual(groups[0].summary.currentStreak, { outcome: 'win', length: 1 });
+        assert.equal(groups[2].summary.winRate, 1);
+        assert.deepEqual(GameStats.breakdown([]), []);
+    });
+
+    test('recent 取最近的幾局，最新的在前', () => {
+        const numbered = history.map((game, i) => ({ ...game, length: i }));
+        assert.deepEqual(GameStats.recent(numbered, 3).map(game => game.length), [6, 5, 4]);
+        assert.equal(GameStats.recent(numbered, 99).length, numbered.length);
+    });
+
+    test('appendGame 不修改原陣列，最多保留 MAX_HISTORY 局', () => {
+        const history = Array.from({ length: GameStorage.MAX_HISTORY }, (_, i) => entry({ length: i }));
+        const appended = GameStats.appendGame(history, entry({ length: -1 }));
+        assert.equal(history.length, GameStorage.MAX_HISTORY);
+        assert.equal(appended.length, GameStorage.MAX_HISTORY);
+        assert.equal(appended[0].length, 1);
+        assert.equal(appended[appended.length - 1].length, -1);
+        assert.deepEqual(GameStats.appendGame([], entry()), [entry()]);
+    });
+});
+
+describe('toCsv', () => {
+    test('標題列與每局一列，以 CRLF 分行，null 為空欄位', () => {
+        const csv = GameStats.toCsv([entry(), entry({ mode: 'pvp', difficulty: null, winner: 'draw', outcome: 'draw' })]);
+        assert.equal(csv, [
+            HEADER,
+            '2026-10-19T10:00:00.000Z,pvc,hard,,3,3,O,loss,7,4',
+            '2026-10-19T10:00:00.000Z,pvp,,,3,3,draw,draw,7,4',
+            ''
+        ].join('\r\n'));
+        assert.equal(GameStats.toCsv([]), `${HEADER}\r\n`);
+    });
+
+    test('含逗號、引號或換行的欄位加上引號，引號重複一次', () => {
+        const csv = GameStats.toCsv([entry({ mode: 'a,b', difficulty: 'say "hi"', difficultyX: 'line\nbreak', winner: '"' })]);
+        assert.equal(csv.split('\r\n')[1],
+            '2026-10-19T10:00:00.000Z,"a,b","say ""hi""","line\nbreak",3,3,"""",loss,7,4');
+    });
+
+    test('以 = + - @ 開頭的值加上單引號，不會被試算表當成公式', () => {
+        const csv = GameStats.toCsv([entry({ mode: '=HYPERLINK("http://evil")', difficulty: '+1', difficultyX: '@SUM(A1)', length: -1 })]);
+        assert.equal(csv.split('\r\n')[1],
+            '2026-10-19T10:00:00.000Z,"\'=HYPERLINK(""http://evil"")",\'+1,\'@SUM(A1),3,3,O,loss,\'-1,4');
+    });
+
+    test('解析匯出的 CSV 得到原本的值', () => {
+        const history = [entry({ mode: 'x,"y"' }), entry({ difficulty: 'a\r\nb' }), entry()];
+        const rows = parseCsv(GameStats.toCsv(history));
+        assert.deepEqual(rows[0], HEADER.split(','));
+        assert.deepEqual(rows.slice(1).map(row => row[1]), ['x,"y"', 'pvc', 'pvc']);
+        assert.deepEqual(rows.slice(1).map(row => row[2]), ['hard', 'a\r\nb', 'hard']);
+        assert.ok(rows.slice(1).every(row => row.length === rows[0].length));
+    });
+});
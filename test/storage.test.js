@@ -0,0 +1,266 @@
+/**
+ * @fileoverview app/storage.js 的測試
+ * 以記憶體後端與假的 Cookie 來源測試載入、舊版 Cookie 的一次性遷移、損毀資料的備份與結構遷移
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const GameStorage = require('../app/storage.js');
+
+const STATE_KEY = 'gameState';
+const BACKUP_KEY = 'gameState.corrupt';
+
+/**
+ * 假的 Cookie 來源，記錄刪除過的名稱
+ */
+function createCookieJar(cookies = {}) {
+    const values = new Map(Object.entries(cookies));
+    return {
+        removed: [],
+        read(name) {
+            return values.has(name) ? values.get(name) : null;
+        },
+        remove(name) {
+            this.removed.push(name);
+            values.delete(name);
+        }
+    };
+}
+
+function legacyCookie(value) {
+    return encodeURIComponent(JSON.stringify(value));
+}
+
+function envelope(data, schemaVersion = GameStorage.SCHEMA_VERSION) {
+    return { schemaVersion, savedAt: '2026-10-19T00:00:00.000Z', checksum: GameStorage.checksum(data), data };
+}
+
+function entry(overrides = {}) {
+    return {
+        endedAt: '2026-10-19T10:00:00.000Z',
+        mode: 'pvc',
+        difficulty: 'hard',
+        difficultyX: null,
+        boardSize: 3,
+        winLength: 3,
+        winner: 'O',
+        outcome: 'loss',
+        length: 7,
+        opening: 4,
+        ...overrides
+    };
+}
+
+describe('createStore', () => {
+    test('儲存後載入得到相同的狀態', async () => {
+        const backend = GameStorage.createMemoryBackend();
+        const store = GameStorage.createStore({ backend, cookieJar: null });
+        const state = { ...GameStorage.createDefaultState(), mode: 'pvp', boardSize: 5, winLength: 4, history: [entry()] };
+        state.settings.locale = 'en';
+
+        await store.save(state);
+        const saved = await backend.get(STATE_KEY);
+        assert.equal(saved.schemaVersion, GameStorage.SCHEMA_VERSION);
+        assert.equal(saved.checksum, GameStorage.checksum(state));
+        assert.deepEqual(await store.load(), { state, source: 'store', recovered: null });
+
+        await store.clear();
+        assert.equal(await backend.get(STATE_KEY), undefined);
+        assert.deepEqual(await store.load(), { state: GameStorage.createDefaultState(), source: 'default', recovered: null });
+    });
+
+    test('不合法的狀態不會被儲存', async () => {
+        const backend = GameStorage.createMemoryBackend();
+        const store = GameStorage.createStore({ backend, cookieJar: null });
+        await assert.rejects(store.save({ ...GameStorage.createDefaultState(), mode: 'online' }), RangeError);
+        assert.equal(await backend.get(STATE_KEY), undefined);
+    });
+
+    test('舊版 Cookie 匯入一次後刪除', async () => {
+        const backend = GameStorage.createMemoryBackend();
+        const cookieJar = createCookieJar({
+            gameState: legacyCookie({ playerScore: 3, computerScore: 1, drawScore: 2, difficulty: 'hard' })
+        });
+        const store = GameStorage.createStore({ backend, cookieJar });
+
+        const loaded = await store.load();
+        assert.equal(loaded.source, 'cookie');
+        assert.deepEqual(loaded.state.scores.pvc, { X: 3, O: 1, draw: 2 });
+        assert.equal(loaded.state.difficulty, 'hard');
+        assert.deepEqual(cookieJar.removed, ['gameState']);
+        // 已寫入儲存庫，之後不再讀 Cookie
+        const saved = await backend.get(STATE_KEY);
+        assert.deepEqual(saved.data, loaded.state);
+        assert.equal(saved.checksum, GameStorage.checksum(loaded.state));
+        assert.equal((await store.load()).source, 'store');
+        assert.deepEqual(cookieJar.removed, ['gameState']);
+    });
+
+    test('匯入失敗時仍刪除 Cookie，並備份原始內容', async () => {
+        const cases = [
+            ['%E0%A4%A', /URI/],
+            [encodeURIComponent('{not json'), /JSON/],
+            [legacyCookie({ playerScore: -1 }), /模式 pvc 的分數無效/],
+            [legacyCookie({ mode: 'online' }), /未知的對戰模式：online/],
+            [legacyCookie({ boardSize: 2 }), /棋盤大小/]
+        ];
+        for (const [cookie, pattern] of cases) {
+            const backend = GameStorage.createMemoryBackend();
+            const cookieJar = createCookieJar({ gameState: cookie });
+            const loaded = await GameStorage.createStore({ backend, cookieJar }).load();
+
+            assert.deepEqual(cookieJar.removed, ['gameState'], cookie);
+            assert.equal(loaded.source, 'default', cookie);
+            assert.deepEqual(loaded.state, GameStorage.createDefaultState(), cookie);
+            assert.equal(loaded.recovered.reason, 'corrupted', cookie);
+            assert.equal(loaded.recovered.backupKey, BACKUP_KEY, cookie);
+            assert.match(loaded.recovered.message, pattern, cookie);
+
+            const backup = await backend.get(BACKUP_KEY);
+            assert.equal(backup.raw, cookie);
+            assert.equal(backup.reason, loaded.recovered.message);
+            assert.equal(await backend.get(STATE_KEY), undefined);
+        }
+    });
+
+    test('儲存庫已有資料時不讀 Cookie', async () => {
+        const state = GameStorage.createDefaultState();
+        const backend = GameStorage.createMemoryBackend({ [STATE_KEY]: envelope(state) });
+        const cookieJar = createCookieJar({ gameState: legacyCookie({ playerScore: 9 }) });
+        assert.equal((await GameStorage.createStore({ backend, cookieJar }).load()).source, 'store');
+        assert.deepEqual(cookieJar.removed, []);
+    });
+
+    test('校驗碼不符時備份到 gameState.corrupt 並使用預設值', async () => {
+        const saved = envelope(GameStorage.createDefaultState());
+        saved.data.scores.pvc.X = 999;
+        const backend = GameStorage.createMemoryBackend({ [STATE_KEY]: saved });
+        const loaded = await GameStorage.createStore({ backend, cookieJar: null }).load();
+
+        assert.deepEqual(loaded, {
+            state: GameStorage.createDefaultState(),
+            source: 'default',
+            recovered: { reason: 'corrupted', message: '校驗碼不符，資料可能已損毀', backupKey: BACKUP_KEY }
+        });
+        const backup = await backend.get(BACKUP_KEY);
+        assert.deepEqual(backup.raw, saved);
+        assert.match(backup.savedAt, /^\d{4}-\d{2}-\d{2}T/);
+        assert.equal(await backend.get(STATE_KEY), undefined);
+    });
+
+    test('拒絕比程式新的結構版本', async () => {
+        const saved = envelope(GameStorage.createDefaultState(), GameStorage.SCHEMA_VERSION + 1);
+        const backend = GameStorage.createMemoryBackend({ [STATE_KEY]: saved });
+        const loaded = await GameStorage.createStore({ backend, cookieJar: null }).load();
+
+        assert.equal(loaded.source, 'default');
+        assert.equal(loaded.recovered.message, `資料版本 ${GameStorage.SCHEMA_VERSION + 1} 比程式支援的 ${GameStorage.SCHEMA_VERSION} 新`);
+        assert.deepEqual((await backend.get(BACKUP_KEY)).raw, saved);
+    });
+
+    test('localStorage 中無法解析的內容同樣被備份', async () => {
+        const items = new Map([['tic-tac-toe:gameState', '{truncated']]);
+        const storage = {
+            getItem: key => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: key => items.delete(key)
+        };
+        const backend = GameStorage.createLocalStorageBackend(storage);
+        const loaded = await GameStorage.createStore({ backend, cookieJar: null }).load();
+
+        assert.equal(loaded.recovered.reason, 'corrupted');
+        assert.equal(JSON.parse(items.get('tic-tac-toe:gameState.corrupt')).raw, '{truncated');
+        assert.equal(items.has('tic-tac-toe:gameState'), false);
+    });
+
+    test('儲存空間無法使用時改用記憶體', async () => {
+        const failing = {
+            name: 'broken',
+            get: () => Promise.reject(new Error('SecurityError')),
+            set: () => Promise.reject(new Error('SecurityError')),
+            remove: () => Promise.reject(new Error('SecurityError'))
+        };
+        const store = GameStorage.createStore({ backend: failing, cookieJar: null });
+        const loaded = await store.load();
+        assert.deepEqual(loaded.recovered, { reason: 'unavailable', message: 'SecurityError', backupKey: null });
+        assert.equal(store.backend.name, 'memory');
+        await store.save(loaded.state);
+        assert.equal((await store.load()).source, 'store');
+    });
+});
+
+describe('migrate', () => {
+    test('版本 0 到 4 依序遷移', () => {
+        const legacy = { playerScore: 1, computerScore: 2, drawScore: 3, mode: 'pvc', boardSize: 4, winLength: 3 };
+        const expected = {
+            ...GameStorage.createDefaultState(),
+            boardSize: 4,
+            winLength: 3
+        };
+        expected.scores.pvc = { X: 1, O: 2, draw: 3 };
+        assert.deepEqual(GameStorage.validate(GameStorage.migrate(legacy, 0)), expected);
+
+        // 版本 1 還沒有對局紀錄與顯示設定，之後的每個版本都能遷移到目前的版本
+        const v1 = { ...expected };
+        delete v1.history;
+        delete v1.settings;
+        assert.deepEqual(GameStorage.migrate(v1, 1), expected);
+        assert.deepEqual(GameStorage.migrate({ ...v1, history: [entry()] }, 2).history, [entry()]);
+        assert.deepEqual(GameStorage.migrate({ ...v1, history: [] }, 2).settings,
+            { highContrast: false, motion: 'system', locale: null });
+        assert.deepEqual(GameStorage.migrate({ ...v1, history: [], settings: { highContrast: true, motion: 'reduce' } }, 3).settings,
+            { highContrast: true, motion: 'reduce', locale: null });
+        assert.deepEqual(GameStorage.migrate(expected, GameStorage.SCHEMA_VERSION), expected);
+    });
+
+    test('版本 0 的各模式分數', () => {
+        const migrated = GameStorage.migrate({ scores: { pvp: { X: 4, draw: 1 } }, mode: 'pvp' }, 0);
+        assert.deepEqual(migrated.scores.pvp, { X: 4, O: 0, draw: 1 });
+        assert.deepEqual(migrated.scores.pvc, { X: 0, O: 0, draw: 0 });
+        assert.equal(migrated.mode, 'pvp');
+    });
+
+    test('無效或更新的版本號拋出錯誤', () => {
+        [-1, 1.5, '4', undefined, null].forEach(version => {
+            assert.throws(() => GameStorage.migrate({}, version), { message: `無效的資料版本：${version}` });
+        });
+        assert.throws(() => GameStorage.migrate({}, GameStorage.SCHEMA_VERSION + 1), /比程式支援的/);
+    });
+});
+
+describe('validate 與 checksum', () => {
+    test('校驗碼不受鍵的順序影響', () => {
+        assert.equal(GameStorage.checksum({ a: 1, b: [1, { c: 2, d: 3 }] }), GameStorage.checksum({ b: [1, { d: 3, c: 2 }], a: 1 }));
+        assert.notEqual(GameStorage.checksum({ a: 1 }), GameStorage.checksum({ a: 2 }));
+        assert.match(GameStorage.checksum(GameStorage.createDefaultState()), /^[0-9a-f]{8}$/);
+    });
+
+    test('只保留已知欄位，對局紀錄最多 MAX_HISTORY 局', () => {
+        const history = Array.from({ length: GameStorage.MAX_HISTORY + 5 }, (_, i) => entry({ opening: i % 9 }));
+        const state = { ...GameStorage.createDefaultState(), history, extra: true };
+        state.history[0].extra = true;
+        const validated = GameStorage.validate(state);
+        assert.equal(validated.extra, undefined);
+        assert.equal(validated.history.length, GameStorage.MAX_HISTORY);
+        assert.equal(validated.history[0].opening, 5 % 9);
+    });
+
+    test('拒絕不合法的欄位', () => {
+        const base = GameStorage.createDefaultState();
+        const invalid = [
+            [null, TypeError],
+            [[], TypeError],
+            [{ ...base, scores: null }, TypeError],
+            [{ ...base, scores: { ...base.scores, cvc: { X: 1.5, O: 0, draw: 0 } } }, RangeError],
+            [{ ...base, difficulty: 'impossible' }, RangeError],
+            [{ ...base, winLength: 4 }, RangeError],
+            [{ ...base, history: {} }, TypeError],
+            [{ ...base, history: [entry({ opening: 9 })] }, RangeError],
+            [{ ...base, history: [entry({ boardSize: 20 })] }, RangeError],
+            [{ ...base, settings: { ...base.settings, motion: 'fast' } }, RangeError],
+            [{ ...base, settings: { ...base.settings, locale: 'en_US' } }, RangeError],
+            [{ ...base, settings: { ...base.settings, highContrast: 'yes' } }, TypeError]
+        ];
+        invalid.forEach(([data, type], i) => assert.throws(() => GameStorage.validate(data), type, String(i)));
+    });
+});
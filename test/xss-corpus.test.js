@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Sanitizer 的 XSS 測試集
+ * 同一份測試集分別以內建引擎與 DOMPurify 引擎淨化：
+ *   - 以 links 政策淨化的結果必須等於 expected（兩個引擎解析不同時分別列出）
+ *   - 以每個內建政策淨化的結果都必須符合政策（只有允許的標籤與屬性、網址通過 checkUrl、連結帶有 rel 等）
+ */
+
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const createDOMPurify = require('dompurify');
+const { installDom } = require('./helpers/dom.js');
+
+const window = installDom({ url: 'https://game.test/app/index.html' });
+globalThis.DOMPurify = createDOMPurify(window);
+const { SecurityConfig, SanitizationPolicies, Sanitizer, Validator } = require('../app/secure-dom.js');
+
+after(() => window.close());
+
+const ENGINES = ['builtin', 'dompurify'];
+const BUTTON_POLICY = SanitizationPolicies.define('corpus-buttons', {
+    allowedTags: ['div', 'span', 'button'],
+    allowedAttributes: ['class', 'type', 'aria-*', 'data-*']
+});
+const POLICIES = ['strict-text', 'basic-formatting', 'links', 'default', BUTTON_POLICY.name];
+
+/**
+ * 測試集：{ name, html, expected }；expected 為 links 政策的結果，
+ * 兩個引擎不同時為 { builtin, dompurify }
+ */
+const CORPUS = [
+    // 腳本與事件處理器
+    { name: 'img onerror', html: '<img src=x onerror=alert(1)>', expected: '' },
+    { name: 'script', html: '<script>alert(1)</script>ok', expected: 'ok' },
+    { name: 'svg script', html: '<svg><script>alert(1)</script></svg>', expected: '' },
+    { name: 'svg onload', html: '<svg onload=alert(1)>', expected: '' },
+    { name: 'details ontoggle', html: '<details open ontoggle=alert(1)>', expected: '' },
+    { name: 'onclick 與 style', html: '<div onclick="alert(1)" style="color:red" class="c">d</div>', expected: '<div class="c">d</div>' },
+    { name: 'style @import', html: '<style>@import "javascript:alert(1)"</style>', expected: '' },
+    { name: 'iframe srcdoc', html: '<iframe srcdoc="<script>alert(1)</script>"></iframe>', expected: '' },
+    { name: 'object 與 embed', html: '<object data="javascript:alert(1)"></object><embed src="x.swf">', expected: '' },
+    { name: 'form 與 button', html: '<form action="javascript:alert(1)"><button>x</button></form>', expected: '' },
+    { name: 'template', html: '<template><img src=x onerror=alert(1)></template>', expected: '' },
+    { name: '註解', html: '<!-- <img src=x onerror=alert(1)> -->c', expected: 'c' },
+    // 解析差異（mXSS）
+    {
+        name: 'math 與 mglyph',
+        html: '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+        expected: ''
+    },
+    {
+        name: 'noscript 中的屬性',
+        html: '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+        // 內建引擎在 <template> 中解析（不啟用腳本），DOMPurify 以 DOMParser 解析
+        expected: { builtin: '"&gt;', dompurify: '<p></p>' }
+    },
+    // 網址
+    { name: 'javascript:', html: '<a href="javascript:alert(1)">x</a>', expected: '<a>x</a>' },
+    { name: 'javascript: 大小寫與空白', html: '<a href=" JaVaScRiPt:alert(1)">x</a>', expected: '<a>x</a>' },
+    { name: 'javascript: 字元參照', html: '<a href="jav&#x61;script&colon;alert(1)">x</a>', expected: '<a>x</a>' },
+    { name: 'javascript: 定位字元', html: '<a href="java&#x09;script:alert(1)">t</a>', expected: '<a>t</a>' },
+    { name: 'data:', html: '<a href="data:text/html;base64,PHNjcmlwdD4=">x</a>', expected: '<a>x</a>' },
+    { name: 'vbscript:', html: '<a href="vbscript:msgbox(1)">x</a>', expected: '<a>x</a>' },
+    {
+        name: '協定相對網址',
+        html: '<a href="//evil.test">p</a>',
+        expected: '<a href="https://evil.test/" rel="noopener noreferrer">p</a>'
+    },
+    {
+        name: '網址中的引號',
+        html: '<a href="https://example.com/&quot;onmouseover=&quot;alert(1)">q</a>',
+        expected: '<a href="https://example.com/%22onmouseover=%22alert(1)" rel="noopener noreferrer">q</a>'
+    },
+    {
+        name: '相對網址與 mailto',
+        html: '<a href="/help">h</a><a href="mailto:team@game.test?subject=Hi there">m</a>',
+        expected: '<a href="https://game.test/help" rel="noopener noreferrer">h</a>'
+            + '<a href="mailto:team@game.test?subject=Hi%20there" rel="noopener noreferrer">m</a>'
+    },
+    // target 與 rel
+    {
+        name: '允許的 target',
+        html: '<a href="https://example.com" target="_blank">ok</a>',
+        expected: '<a href="https://example.com/" target="_blank" rel="noopener noreferrer">ok</a>'
+    },
+    {
+        name: '不允許的 target 與 rel=opener',
+        html: '<a href="https://example.com" target="_top" rel="opener">t</a>',
+        expected: '<a href="https://example.com/" rel="noopener noreferrer">t</a>'
+    },
+    // data-* 萬用字元
+    {
+        name: 'data-* 萬用字元',
+        html: '<div data-id="7" data-x-y="z" DATA-UP="2" data-ok.x="3">w</div>',
+        expected: '<div data-id="7" data-x-y="z" data-up="2" data-ok.x="3">w</div>'
+    },
+    {
+        name: 'data-* 萬用字元不接受空的後綴與特殊字元',
+        html: '<div data-="x" data-é="1" data-a:b="2" data-ok="1">w</div>',
+        expected: '<div data-ok="1">w</div>'
+    },
+    // 政策外的屬性
+    {
+        name: '政策外的屬性',
+        html: '<span id="x" name="y" formaction="javascript:alert(1)" aria-label="a" title="t">s</span>',
+        expected: '<span>s</span>'
+    },
+    {
+        name: '連結上政策外的屬性',
+        html: '<a href="/x" id="i" ping="https://evil.test" download style="x">l</a>',
+        expected: '<a href="https://game.test/x" rel="noopener noreferrer">l</a>'
+    },
+    { name: 'srcset', html: '<img srcset="x 1x" src="/a.png" alt="a">', expected: '' },
+    // 政策外的元素保留內容
+    {
+        name: '未知的元素',
+        html: '<p>para <b>bold</b> <unknown>kept text</unknown></p>',
+        expected: '<p>para <b>bold</b> kept text</p>'
+    },
+    { name: 'button 不在政策內', html: '<button type="submit" formaction="x">b</button>', expected: 'b' },
+    {
+        name: '文字中的標記',
+        html: '<ul><li><code>&lt;b&gt;</code></li></ul><pre>pre</pre>',
+        expected: '<ul><li><code>&lt;b&gt;</code></li></ul><pre>pre</pre>'
+    }
+];
+
+function serialize(fragment) {
+    const wrapper = document.createElement('div');
+    wrapper.appendChild(fragment);
+    return wrapper.innerHTML;
+}
+
+/**
+ * 檢查淨化結果符合政策
+ */
+function assertConforms(node, policy, label) {
+    node.querySelectorAll('*').forEach(element => {
+        const tag = element.localName;
+        assert.ok(SanitizationPolicies.allowsTag(policy, tag), `${label}：<${tag}>`);
+        assert.equal(element.namespaceURI, Sanitizer.HTML_NAMESPACE, label);
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            // rel 與 button 的 type 由淨化器加上
+            const forced = (tag === 'a' && name === 'rel') || (tag === 'button' && name === 'type');
+            assert.ok(forced || SanitizationPolicies.allowsAttribute(policy, name), `${label}：${tag}[${name}]`);
+            assert.ok(!name.startsWith('on'), `${label}：${name}`);
+            if (SecurityConfig.URL_ATTRIBUTES.includes(name)) {
+                assert.equal(Validator.checkUrl(value).url, value, `${label}：${name}="${value}"`);
+            }
+            if (name === 'target') assert.ok(policy.allowedTargets.includes(value), label);
+        });
+        if (tag === 'a' && element.hasAttribute('href')) {
+            assert.equal(element.getAttribute('rel'), 'noopener noreferrer', label);
+        }
+        if (tag === 'button') assert.equal(element.getAttribute('type'), 'button', label);
+        assert.ok(!SecurityConfig.FORBID_CONTENTS.includes(tag), label);
+    });
+}
+
+ENGINES.forEach(engine => {
+    describe(`${engine} 引擎`, () => {
+        CORPUS.forEach(({ name, html, expected }) => {
+            test(name, () => {
+                const result = Sanitizer.sanitize(html, { policy: 'links', engine });
+                const wanted = typeof expected === 'string' ? expected : expected[engine];
+                assert.equal(serialize(result.fragment), wanted);
+                assert.equal(result.policy, 'links');
+                result.removed.forEach(entry => assert.ok(['element', 'attribute', 'node'].includes(entry.type)));
+
+                POLICIES.forEach(policyName => {
+                    const policy = SanitizationPolicies.resolve(policyName);
+                    const container = document.createElement('div');
+                    container.appendChild(Sanitizer.sanitize(html, { policy, engine }).fragment);
+                    assertConforms(container, policy, `${name}（${policyName}）`);
+                });
+            });
+        });
+
+        test('政策允許 button 時一律設為 type="button"', () => {
+            const { fragment } = Sanitizer.sanitize(
+                '<button type="submit" formaction="x" onclick="y" data-move="4" aria-label="a">b</button>',
+                { policy: BUTTON_POLICY, engine });
+            assert.equal(serialize(fragment), '<button type="button" data-move="4" aria-label="a">b</button>');
+        });
+
+        test('strict-text 只留下文字', () => {
+            const { fragment } = Sanitizer.sanitize('<p>a <a href="/x">b</a><script>c</script></p>',
+                { policy: 'strict-text', engine });
+            assert.equal(serialize(fragment), 'a b');
+        });
+    });
+});
+
+test('兩個引擎以 links 以外的政策淨化時，除了已知的解析差異外結果相同', () => {
+    CORPUS.filter(({ expected }) => typeof expected === 'string').forEach(({ name, html }) => {
+        POLICIES.forEach(policy => {
+            const [builtin, dompurify] = ENGINES.map(engine => serialize(Sanitizer.sanitize(html, { policy, engine }).fragment));
+            assert.equal(dompurify, builtin, `${name}（${policy}）`);
+        });
+    });
+});